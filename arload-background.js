@@ -0,0 +1,29 @@
+// netlify/functions/arload-background.js
+// Netlify runs functions named *-background asynchronously: the caller gets
+// 202 straight away and the function has up to 15 minutes. arload.js queues
+// the upload in the job store and calls this with its job ID; clients poll
+// arload's GET ?job=<id> for the result.
+const { runBackgroundUpload } = require('./arload');
+
+exports.handler = async (event, context) => {
+  let jobId;
+  try {
+    jobId = JSON.parse(event.body || '{}').jobId;
+  } catch (err) {
+    jobId = null;
+  }
+
+  if (!jobId) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ success: false, error: 'MISSING_JOB_ID', message: 'jobId is required' })
+    };
+  }
+
+  const job = await runBackgroundUpload(jobId, event);
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, jobId, status: job ? job.status : null })
+  };
+};
@@ -1,18 +1,48 @@
 // netlify/functions/arload.js
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createHttpError,
+  isBinaryEnvelope,
+  decodeEnvelope,
+  createEnvelopeMetadata,
+  encryptContent,
+  parseLegacyEnvelope,
+  decryptContent,
+  generateEncryptionKey,
+  parseEncryptionKey,
+  detectContentType,
+  isTextContent,
+  createShareUrl,
+  parseShareUrl,
+  parseUrlList,
+  EphemeralWalletProvider
+} = require('./thyra-core');
 
 // Configuration constants
 const CONFIG = {
   MAX_SIZE_BYTES: 100 * 1024, // 100KB final upload limit
-  MAX_RAW_FOR_ENCRYPTION: 72 * 1024, // 72KB max raw content that will be encrypted
+  MAX_RAW_FOR_ENCRYPTION: 95 * 1024, // 95KB max raw content that will be encrypted
   MAX_ALREADY_ENCRYPTED: 95 * 1024, // 95KB max for already encrypted or unencrypted content
   MAX_DECRYPTION_SIZE: 1024 * 1024, // 1MB max for decryption (larger since we're just fetching)
-  ENCRYPTION_OVERHEAD_PERCENT: 37, // Real-world encryption overhead: ~37%
-  ARWEAVE_HOST: 'arweave.net',
-  TURBO_UPLOAD_URL: 'https://upload.ardrive.io/v1/tx',
-  TIMEOUT_THRESHOLD: 2000, // 2000 seconds - if upload took longer, delegate to fresh function
-  MAX_FUNCTION_TIMEOUT: 9500, // 9.5 seconds - leave 500ms buffer
-  
+  ENVELOPE_OVERHEAD_BYTES: 1024, // Binary envelope header, metadata and auth tag stay well under 1KB
+  GATEWAYS: parseUrlList(process.env.ARWEAVE_GATEWAYS, ['https://arweave.net', 'https://ar-io.net']), // Tried in order
+  BUNDLERS: parseUrlList(process.env.BUNDLER_URLS, ['https://upload.ardrive.io/v1/tx']), // Tried in order
+  REQUEST_TIMEOUT_MS: 4000, // 4 seconds per attempt - the whole function has under 10
+  RETRY_BACKOFF_MS: 200, // Doubles with each attempt
+  TIMEOUT_THRESHOLD: 2000, // 2 seconds (in ms) spent before the upload starts - past that, hand it to the background function
+  FUNCTION_PATH: '/.netlify/functions/arload',
+  BACKGROUND_FUNCTION_PATH: '/.netlify/functions/arload-background', // Netlify gives these 15 minutes
+  JOB_STORE: process.env.ARLOAD_JOB_STORE || 'blobs', // 'blobs' (Netlify Blobs), 'file', or an object with get/set/delete
+  JOB_STORE_NAME: 'arload-jobs', // Netlify Blobs store
+  JOB_DIR: process.env.ARLOAD_JOB_DIR || path.join(os.tmpdir(), 'arload-jobs'), // For the 'file' store
+  MAX_CHUNKED_SIZE: 4 * 1024 * 1024, // 4MB max total size for chunked uploads - GET ?url= has to return them as base64 within Netlify's 6MB response limit
+  CHUNK_MANIFEST_TYPE: 'thyra-chunked-manifest',
+  CHUNK_MANIFEST_VERSION: 1,
+  CHUNK_SECRET: process.env.ARLOAD_CHUNK_SECRET || null, // Signs chunk plans and receipts, chunked uploads are off without it
+
   // Admin controls
   ADMIN: {
     DECRYPTION_ENABLED: true, // Set to false to disable decryption endpoint
@@ -27,53 +57,16 @@ const CONFIG = {
   }
 };
 
-// Core uploader class
+// Signs and posts uploads, within the free tier limits. Encryption, content
+// types and share URLs come from thyra-core.js, shared with the server.
 class MinimalThyraUploader {
-  constructor() {
-    this.arweave = null;
-    this.initialized = false;
-  }
-
-  async initialize() {
-    if (this.initialized) return;
-    
-    const Arweave = (await import('arweave')).default;
-    this.arweave = Arweave.init({
-      host: CONFIG.ARWEAVE_HOST,
-      port: 443,
-      protocol: 'https'
-    });
-    
-    this.initialized = true;
-  }
-
-  async createEphemeralWallet() {
-    await this.initialize();
-    return await this.arweave.wallets.generate();
-  }
-
-  async generateEncryptionKey() {
-    return crypto.randomBytes(32);
-  }
-
-  async encryptContent(content, key) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-    
-    let encrypted = cipher.update(content);
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
-    const authTag = cipher.getAuthTag();
-
-    return {
-      encrypted: encrypted.toString('base64'),
-      iv: iv.toString('base64'),
-      authTag: authTag.toString('base64'),
-      algorithm: 'aes-256-gcm'
-    };
+  // Every upload gets a fresh wallet unless a provider says otherwise
+  constructor({ walletProvider = new EphemeralWalletProvider() } = {}) {
+    this.walletProvider = walletProvider;
   }
 
   async uploadToArweave(content, tags = []) {
-    const wallet = await this.createEphemeralWallet();
+    const wallet = await this.walletProvider.getWallet();
     
     const { createData, ArweaveSigner } = await import('arbundles');
     const signer = new ArweaveSigner(wallet);
@@ -89,14 +82,16 @@ class MinimalThyraUploader {
 
     await dataItem.sign(signer);
 
-    const response = await fetch(CONFIG.TURBO_UPLOAD_URL, {
+    const raw = dataItem.getRaw();
+    const response = await fetchWithFailover(CONFIG.BUNDLERS, (bundler, signal) => fetch(bundler, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/octet-stream',
         'Accept': 'application/json'
       },
-      body: dataItem.getRaw()
-    });
+      body: raw,
+      signal
+    }));
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -110,141 +105,66 @@ class MinimalThyraUploader {
     };
   }
 
-  createShareUrl(arweaveId, encryptionKey, baseUrl, contentType = null) {
-    const keyB64 = encryptionKey.toString('base64');
-    let shareUrl = `${baseUrl}/s/?url=${btoa(`https://arweave.net/${arweaveId}`)}&key=${encodeURIComponent(keyB64)}`;
-    
-    if (contentType) {
-      shareUrl += `&type=${encodeURIComponent(contentType)}`;
-    }
-    
-    return shareUrl;
-  }
-
   validateSize(content, willEncrypt = true) {
     const baseSize = Buffer.isBuffer(content) ? content.length : Buffer.from(content).length;
     
     if (willEncrypt) {
       if (baseSize > CONFIG.MAX_RAW_FOR_ENCRYPTION) {
-        throw new Error(`Content too large for encryption. Max: ${Math.floor(CONFIG.MAX_RAW_FOR_ENCRYPTION / 1024)}KB, Actual: ${Math.floor(baseSize / 1024)}KB. Use encrypt=false for larger content.`);
+        throw createHttpError(413, 'CONTENT_TOO_LARGE_FOR_ENCRYPTION', `Content too large for encryption. Max: ${Math.floor(CONFIG.MAX_RAW_FOR_ENCRYPTION / 1024)}KB, Actual: ${Math.floor(baseSize / 1024)}KB. Use encrypt=false for larger content.`);
       }
       
-      const estimatedEncryptedSize = Math.ceil(baseSize * (1 + CONFIG.ENCRYPTION_OVERHEAD_PERCENT / 100));
+      const estimatedEncryptedSize = baseSize + CONFIG.ENVELOPE_OVERHEAD_BYTES;
       
       if (estimatedEncryptedSize > CONFIG.MAX_SIZE_BYTES) {
-        throw new Error(`Encrypted content would be too large. Estimated: ${Math.floor(estimatedEncryptedSize / 1024)}KB, Max: ${Math.floor(CONFIG.MAX_SIZE_BYTES / 1024)}KB`);
+        throw createHttpError(413, 'ENCRYPTED_SIZE_TOO_LARGE', `Encrypted content would be too large. Estimated: ${Math.floor(estimatedEncryptedSize / 1024)}KB, Max: ${Math.floor(CONFIG.MAX_SIZE_BYTES / 1024)}KB`);
       }
       
       return { baseSize, estimatedFinalSize: estimatedEncryptedSize };
       
     } else {
       if (baseSize > CONFIG.MAX_ALREADY_ENCRYPTED) {
-        throw new Error(`Content too large. Max: ${Math.floor(CONFIG.MAX_ALREADY_ENCRYPTED / 1024)}KB, Actual: ${Math.floor(baseSize / 1024)}KB`);
+        throw createHttpError(413, 'CONTENT_TOO_LARGE', `Content too large. Max: ${Math.floor(CONFIG.MAX_ALREADY_ENCRYPTED / 1024)}KB, Actual: ${Math.floor(baseSize / 1024)}KB`);
       }
       
       return { baseSize, estimatedFinalSize: baseSize };
     }
   }
 
-  validateEncryptionKey(customKey) {
-    if (!customKey) return null;
-    
-    try {
-      const keyBuffer = Buffer.from(customKey, 'base64');
-      if (keyBuffer.length !== 32) {
-        throw new Error(`Invalid key length: expected 32 bytes, got ${keyBuffer.length} bytes`);
-      }
-      return keyBuffer;
-    } catch (err) {
-      if (err.message.includes('Invalid key length')) {
-        throw err;
-      }
-      throw new Error('Invalid base64 key format');
-    }
+  // Raw bytes per chunk so each uploaded piece stays within the free tier
+  getChunkSize(willEncrypt = true) {
+    return willEncrypt ? CONFIG.MAX_RAW_FOR_ENCRYPTION : CONFIG.MAX_ALREADY_ENCRYPTED;
   }
 
-  // Decrypt content using AES-GCM
-  async decryptContent(encryptedData, key) {
-    if (!encryptedData.algorithm || encryptedData.algorithm !== 'aes-256-gcm') {
-      throw new Error('Unsupported encryption algorithm');
-    }
-
-    const iv = Buffer.from(encryptedData.iv, 'base64');
-    const authTag = Buffer.from(encryptedData.authTag, 'base64');
-    const encrypted = Buffer.from(encryptedData.encrypted, 'base64');
-
-    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-    decipher.setAuthTag(authTag);
-
-    let decrypted = decipher.update(encrypted);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-
-    return decrypted;
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
   }
 
-  // Detect content type from file
-  detectContentType(buffer, filename = '', mimeType = '') {
-    // Use provided mime type if available
-    if (mimeType && mimeType !== 'application/octet-stream') {
-      return mimeType;
-    }
-
-    // Detect from file extension
-    const ext = filename.toLowerCase().split('.').pop();
-    const extensionMap = {
-      'txt': 'text/plain',
-      'html': 'text/html',
-      'htm': 'text/html',
-      'css': 'text/css',
-      'js': 'application/javascript',
-      'json': 'application/json',
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'png': 'image/png',
-      'gif': 'image/gif',
-      'pdf': 'application/pdf',
-      'doc': 'application/msword',
-      'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'zip': 'application/zip'
+  // Build the manifest that ties uploaded chunks together, ordered by index
+  createChunkManifest({ uploadId, totalSize, chunkSize, chunks, encrypted, contentType, filename }) {
+    return {
+      type: CONFIG.CHUNK_MANIFEST_TYPE,
+      version: CONFIG.CHUNK_MANIFEST_VERSION,
+      uploadId,
+      encrypted,
+      algorithm: encrypted ? 'aes-256-gcm' : null,
+      contentType,
+      filename: filename || null,
+      totalSize,
+      chunkSize,
+      totalChunks: chunks.length,
+      chunks: [...chunks]
+        .sort((a, b) => a.index - b.index)
+        .map(chunk => ({
+          index: chunk.index,
+          id: chunk.id,
+          size: chunk.size,
+          sha256: chunk.sha256
+        }))
     };
-
-    if (extensionMap[ext]) {
-      return extensionMap[ext];
-    }
-
-    // Detect from file signature (magic bytes)
-    const bytes = buffer.slice(0, 16);
-    
-    // Images
-    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'image/jpeg';
-    if (bytes[0] === 0x89 && bytes[1] === 0x50) return 'image/png';
-    if (bytes[0] === 0x47 && bytes[1] === 0x49) return 'image/gif';
-    
-    // Documents
-    if (bytes[0] === 0x25 && bytes[1] === 0x50) return 'application/pdf'; // %PDF
-    if (bytes[0] === 0x50 && bytes[1] === 0x4B) return 'application/zip'; // PK (zip/docx)
-    
-    // Try to detect text
-    const isText = this.isTextContent(bytes);
-    if (isText) {
-      const text = buffer.toString('utf8', 0, Math.min(1000, buffer.length));
-      if (text.includes('<!DOCTYPE') || text.includes('<html')) {
-        return 'text/html';
-      }
-      return 'text/plain';
-    }
-
-    return 'application/octet-stream';
   }
 
-  isTextContent(bytes) {
-    for (let i = 0; i < Math.min(100, bytes.length); i++) {
-      const byte = bytes[i];
-      if (byte === 0 || (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13)) {
-        return false;
-      }
-    }
-    return true;
+  isChunkManifest(data) {
+    return data && data.type === CONFIG.CHUNK_MANIFEST_TYPE && Array.isArray(data.chunks);
   }
 }
 
@@ -305,52 +225,415 @@ function checkDomainAccess(headers) {
   }
 }
 
-// Helper function to parse share URL and extract components
-function parseShareUrl(shareUrl) {
+// Tries each URL in order, moving on after network errors, timeouts and 5xx
+// responses with a short backoff. makeRequest(url, signal) runs per attempt.
+// tryNext marks responses worth trying elsewhere (a gateway without the data);
+// the last response is returned if nothing better turns up.
+async function fetchWithFailover(urls, makeRequest, { tryNext = () => false } = {}) {
+  let lastResponse = null;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < urls.length; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_BACKOFF_MS * 2 ** (attempt - 1)));
+    }
+
+    try {
+      const response = await makeRequest(urls[attempt], AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT_MS));
+      if (response.status < 500 && !tryNext(response)) {
+        return response;
+      }
+      if (CONFIG.ADMIN.LOGGING_ENABLED) {
+        console.log(`${urls[attempt]} answered ${response.status}, trying next`);
+      }
+      lastResponse = response;
+    } catch (error) {
+      if (CONFIG.ADMIN.LOGGING_ENABLED) {
+        console.log(`${urls[attempt]} failed: ${error.message}`);
+      }
+      lastError = error;
+    }
+  }
+
+  if (lastResponse) {
+    return lastResponse;
+  }
+  throw new Error(`All endpoints failed: ${lastError?.message}`);
+}
+
+function fetchFromGateway(arweaveId) {
+  return fetchWithFailover(
+    CONFIG.GATEWAYS.map(gateway => `${gateway}/${arweaveId}`),
+    (url, signal) => fetch(url, { signal }),
+    { tryNext: response => response.status === 404 }
+  );
+}
+
+// Helper function to build the public base URL for share links
+function getBaseUrl(eventHeaders) {
+  const protocol = eventHeaders['x-forwarded-proto'] || 'https';
+  return `${protocol}://${eventHeaders.host}`;
+}
+
+// Helper function to fetch, verify and reassemble the chunks listed in a manifest
+async function fetchChunkedContent(uploader, manifest, keyBuffer) {
+  if (manifest.totalSize > CONFIG.MAX_CHUNKED_SIZE) {
+    throw createHttpError(413, 'CONTENT_TOO_LARGE', `Content too large for decryption. Max: ${Math.floor(CONFIG.MAX_CHUNKED_SIZE / (1024 * 1024))}MB`);
+  }
+
+  const chunks = [...manifest.chunks].sort((a, b) => a.index - b.index);
+  const parts = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    if (chunk.index !== i) {
+      throw new Error(`Manifest is missing chunk ${i}`);
+    }
+
+    const response = await fetchFromGateway(chunk.id);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch chunk ${chunk.index}`);
+    }
+
+    const raw = Buffer.from(await response.arrayBuffer());
+    if (uploader.hashContent(raw) !== chunk.sha256) {
+      throw new Error(`Chunk ${chunk.index} failed integrity check`);
+    }
+
+    parts.push(manifest.encrypted
+      ? decryptContent(raw, keyBuffer)
+      : raw);
+  }
+
+  return Buffer.concat(parts);
+}
+
+// Number() rather than parseInt(), which reads "12abc" as 12
+function parseInteger(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+// The function keeps nothing between calls, so the plan init makes and the
+// receipt of each chunk go back to the client signed with CHUNK_SECRET, and
+// finalize only builds a manifest from what the signatures vouch for
+function signChunked(value) {
+  return crypto.createHmac('sha256', CONFIG.CHUNK_SECRET).update(value).digest('base64url');
+}
+
+function verifyChunked(value, signature) {
+  const expected = Buffer.from(signChunked(value));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function createChunkPlan(plan) {
+  const body = Buffer.from(JSON.stringify(plan)).toString('base64url');
+  return `${body}.${signChunked(`plan.${body}`)}`;
+}
+
+function parseChunkPlan(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !verifyChunked(`plan.${body}`, signature)) {
+    throw createHttpError(400, 'INVALID_PLAN', 'plan must be the one returned by init');
+  }
+  return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+}
+
+function chunkReceiptValue(uploadId, { index, id, size, sha256 }) {
+  return `chunk.${uploadId}.${index}.${id}.${size}.${sha256}`;
+}
+
+// Chunked upload flow for files beyond the single upload limit:
+//   init     - plan the chunks and hand out the encryption key and the plan
+//   chunk    - encrypt and upload one piece, returning a receipt for it
+//   finalize - upload the manifest, or report missing indices so the client can resume
+async function handleChunkedRequest(requestData, event, uploader, headers, startTime) {
+  const respond = (statusCode, body) => ({
+    statusCode,
+    headers,
+    body: JSON.stringify({ ...body, duration: Date.now() - startTime })
+  });
+
+  const { chunked: action } = requestData;
+
+  if (!['init', 'chunk', 'finalize'].includes(action)) {
+    return respond(400, {
+      success: false,
+      error: 'INVALID_CHUNKED_ACTION',
+      message: 'chunked must be one of: init, chunk, finalize'
+    });
+  }
+
+  if (!CONFIG.CHUNK_SECRET) {
+    return respond(503, {
+      success: false,
+      error: 'CHUNKED_UNAVAILABLE',
+      message: 'Chunked uploads need ARLOAD_CHUNK_SECRET to be set'
+    });
+  }
+
+  if (action === 'init') {
+    const { encrypt = true } = requestData;
+    const totalSize = parseInteger(requestData.size);
+    if (!Number.isInteger(totalSize) || totalSize <= 0) {
+      return respond(400, {
+        success: false,
+        error: 'INVALID_SIZE',
+        message: 'A positive total size is required'
+      });
+    }
+
+    if (totalSize > CONFIG.MAX_CHUNKED_SIZE) {
+      return respond(413, {
+        success: false,
+        error: 'CONTENT_TOO_LARGE',
+        message: `Content too large. Max: ${Math.floor(CONFIG.MAX_CHUNKED_SIZE / (1024 * 1024))}MB`
+      });
+    }
+
+    let generatedKey = null;
+    if (encrypt) {
+      try {
+        if (requestData.customKey) {
+          parseEncryptionKey(requestData.customKey);
+        } else {
+          generatedKey = generateEncryptionKey();
+        }
+      } catch (keyError) {
+        return respond(keyError.statusCode, {
+          success: false,
+          error: keyError.errorCode,
+          message: keyError.message
+        });
+      }
+    }
+
+    const chunkSize = uploader.getChunkSize(encrypt);
+    const plan = {
+      uploadId: requestData.uploadId || crypto.randomUUID(),
+      size: totalSize,
+      chunkSize,
+      totalChunks: Math.ceil(totalSize / chunkSize),
+      encrypted: Boolean(encrypt)
+    };
+
+    const response = {
+      success: true,
+      uploadId: plan.uploadId,
+      encrypted: plan.encrypted,
+      chunkSize,
+      totalChunks: plan.totalChunks,
+      plan: createChunkPlan(plan)
+    };
+
+    if (generatedKey) response.key = generatedKey.toString('base64');
+
+    return respond(200, response);
+  }
+
+  let plan;
   try {
-    const url = new URL(shareUrl);
-    const params = new URLSearchParams(url.search);
-    
-    const encodedArweaveUrl = params.get('url');
-    const encryptionKey = params.get('key');
-    const contentType = params.get('type');
+    plan = parseChunkPlan(requestData.plan);
+  } catch (planError) {
+    return respond(planError.statusCode, {
+      success: false,
+      error: planError.errorCode,
+      message: planError.message
+    });
+  }
+
+  const { uploadId, totalChunks, encrypted: encrypt } = plan;
 
-    if (!encodedArweaveUrl) {
-      throw new Error('Missing URL parameter');
+  let keyBuffer = null;
+  if (encrypt) {
+    if (!requestData.key) {
+      return respond(400, {
+        success: false,
+        error: 'MISSING_KEY',
+        message: 'Encryption key is required for encrypted chunked uploads'
+      });
     }
 
-    // Validate base64 before decoding
     try {
-      const arweaveUrl = atob(encodedArweaveUrl);
-      
-      // Validate it's a proper Arweave URL
-      if (!arweaveUrl.startsWith('https://arweave.net/') && !arweaveUrl.startsWith('https://ar-io.net/')) {
-        throw new Error('Invalid Arweave URL');
+      keyBuffer = parseEncryptionKey(requestData.key);
+    } catch (keyError) {
+      return respond(keyError.statusCode, {
+        success: false,
+        error: keyError.errorCode,
+        message: keyError.message
+      });
+    }
+  }
+
+  if (action === 'chunk') {
+    const index = parseInteger(requestData.index);
+    if (!Number.isInteger(index) || index < 0 || index >= totalChunks) {
+      return respond(400, {
+        success: false,
+        error: 'INVALID_CHUNK_INDEX',
+        message: `Chunk index must be between 0 and ${totalChunks - 1}`
+      });
+    }
+
+    if (!requestData.content) {
+      return respond(400, {
+        success: false,
+        error: 'MISSING_CONTENT',
+        message: 'Chunk content (base64) is required'
+      });
+    }
+
+    const chunkBuffer = Buffer.from(requestData.content, 'base64');
+
+    if (chunkBuffer.length > plan.chunkSize) {
+      return respond(413, {
+        success: false,
+        error: 'CHUNK_TOO_LARGE',
+        message: `Chunk too large. Max: ${Math.floor(plan.chunkSize / 1024)}KB, Actual: ${Math.floor(chunkBuffer.length / 1024)}KB`
+      });
+    }
+
+    let finalContent = chunkBuffer;
+    if (encrypt) {
+      finalContent = encryptContent(chunkBuffer, keyBuffer);
+
+      if (finalContent.length > CONFIG.MAX_SIZE_BYTES) {
+        throw createHttpError(413, 'ENCRYPTED_SIZE_TOO_LARGE', `Encrypted content too large: ${finalContent.length} bytes`);
       }
-      
-      return {
-        arweaveUrl,
-        encryptionKey: encryptionKey ? decodeURIComponent(encryptionKey) : null,
-        contentType: contentType ? decodeURIComponent(contentType) : null
-      };
-      
-    } catch (decodeError) {
-      throw new Error('Invalid URL encoding');
     }
-    
-  } catch (error) {
-    throw new Error('Invalid share URL format');
+
+    const uploadResult = await uploader.uploadToArweave(finalContent, [
+      { name: 'Upload-ID', value: uploadId },
+      { name: 'Chunk-Index', value: index.toString() },
+      { name: 'Chunk-Count', value: totalChunks.toString() },
+      { name: 'Encrypted', value: encrypt.toString() }
+    ]);
+
+    safeLog(`Uploaded chunk ${index + 1}/${totalChunks} for ${uploadId}`);
+
+    const receipt = {
+      index,
+      id: uploadResult.id,
+      size: chunkBuffer.length,
+      sha256: uploader.hashContent(finalContent)
+    };
+
+    return respond(200, {
+      success: true,
+      uploadId,
+      ...receipt,
+      signature: signChunked(chunkReceiptValue(uploadId, receipt))
+    });
+  }
+
+  const receipts = Array.isArray(requestData.chunks) ? requestData.chunks : [];
+  const received = new Map();
+
+  for (const receipt of receipts) {
+    const chunk = {
+      index: parseInteger(receipt?.index),
+      id: receipt?.id,
+      size: parseInteger(receipt?.size),
+      sha256: receipt?.sha256
+    };
+
+    if (!Number.isInteger(chunk.index) || chunk.index < 0 || chunk.index >= totalChunks ||
+        !verifyChunked(chunkReceiptValue(uploadId, chunk), receipt?.signature)) {
+      return respond(400, {
+        success: false,
+        error: 'INVALID_CHUNKS',
+        message: 'Each chunk receipt must be sent back as the chunk step returned it'
+      });
+    }
+    received.set(chunk.index, chunk);
+  }
+
+  const missing = [];
+  for (let i = 0; i < totalChunks; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+
+  if (missing.length > 0) {
+    return respond(409, {
+      success: false,
+      error: 'CHUNKS_MISSING',
+      message: `${missing.length} of ${totalChunks} chunks have not been uploaded`,
+      uploadId,
+      missing
+    });
+  }
+
+  const chunks = [...received.values()];
+  const chunkedSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+  if (chunkedSize !== plan.size) {
+    return respond(400, {
+      success: false,
+      error: 'SIZE_MISMATCH',
+      message: `The chunks hold ${chunkedSize} bytes, init planned ${plan.size}`
+    });
   }
+
+  const totalSize = plan.size;
+  const contentType = requestData.contentType || 'application/octet-stream';
+  const filename = requestData.filename || null;
+  const note = requestData.note || null;
+
+  const manifest = uploader.createChunkManifest({
+    uploadId,
+    totalSize,
+    chunkSize: plan.chunkSize,
+    chunks,
+    encrypted: encrypt,
+    contentType,
+    filename
+  });
+
+  const uploadResult = await uploader.uploadToArweave(Buffer.from(JSON.stringify(manifest)), [
+    ...(note ? [{ name: 'Note', value: note }] : []),
+    ...(filename ? [{ name: 'Original-Filename', value: filename }] : []),
+    { name: 'Content-Type-Hint', value: contentType },
+    { name: 'Thyra-Manifest', value: CONFIG.CHUNK_MANIFEST_TYPE },
+    { name: 'Chunk-Count', value: totalChunks.toString() },
+    { name: 'Encrypted', value: encrypt.toString() },
+    { name: 'Upload-ID', value: uploadId }
+  ]);
+
+  const arweaveId = uploadResult.id;
+  const arweaveUrl = `${CONFIG.GATEWAYS[0]}/${arweaveId}`;
+  const baseUrl = getBaseUrl(event.headers);
+  const shareUrl = createShareUrl(baseUrl, arweaveId, keyBuffer);
+
+  const response = {
+    success: true,
+    id: uploadId,
+    arweaveId,
+    url: arweaveUrl,
+    shareUrl,
+    chunked: true,
+    totalChunks,
+    encrypted: encrypt,
+    size: totalSize,
+    contentType,
+    timestamp: Date.now()
+  };
+
+  if (note) response.note = note;
+  if (filename) response.filename = filename;
+  if (requestData.includeWallet) response.wallet = uploadResult.wallet;
+
+  return respond(200, response);
 }
 
-// Function handler with timeout delegation and decryption
+// Function handler with uploads, background job status and decryption
 exports.handler = async (event, context) => {
   const startTime = Date.now();
   
   const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Internal-Call, X-Original-Host',
+    'Access-Control-Allow-Headers': 'Content-Type',
     'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
   };
 
@@ -381,6 +664,11 @@ exports.handler = async (event, context) => {
 
   // Handle GET requests for decryption and info
   if (event.httpMethod === 'GET') {
+    // Status of a background upload
+    if (event.queryStringParameters?.job) {
+      return await handleJobStatus(event, headers, startTime);
+    }
+
     // Check if this is a request for API info/health check
     if (!event.queryStringParameters?.url) {
       return {
@@ -392,18 +680,23 @@ exports.handler = async (event, context) => {
           description: 'Encrypted file storage and sharing API',
           endpoints: {
             'POST /': 'Upload and encrypt files',
+            'POST / (chunked)': 'Chunked, resumable uploads via chunked=init|chunk|finalize',
+            'POST / (async)': 'Upload in the background function, answering 202 with a job ID',
+            'GET /?job=<jobId>': 'Status and result of a background upload',
             'GET /?url=<shareUrl>': 'Decrypt and retrieve files',
             'GET /': 'API information (this endpoint)'
           },
           limits: {
             maxUploadSize: `${Math.floor(CONFIG.MAX_ALREADY_ENCRYPTED / 1024)}KB`,
             maxEncryptionSize: `${Math.floor(CONFIG.MAX_RAW_FOR_ENCRYPTION / 1024)}KB`,
-            maxDecryptionSize: `${Math.floor(CONFIG.MAX_DECRYPTION_SIZE / 1024)}KB`
+            maxDecryptionSize: `${Math.floor(CONFIG.MAX_DECRYPTION_SIZE / 1024)}KB`,
+            maxChunkedSize: `${Math.floor(CONFIG.MAX_CHUNKED_SIZE / (1024 * 1024))}MB`
           },
           features: {
             encryption: 'AES-256-GCM',
+            envelope: 'Binary v1 (legacy JSON envelopes still readable)',
             storage: 'Arweave (permanent)',
-            delegation: 'Timeout protection enabled',
+            backgroundUploads: 'Slow or async uploads continue in a background function',
             domainRestriction: CONFIG.ADMIN.DOMAIN_RESTRICTION_ENABLED,
             decryptionEndpoint: CONFIG.ADMIN.DECRYPTION_ENABLED
           },
@@ -447,8 +740,8 @@ exports.handler = async (event, context) => {
 
       const uploader = new MinimalThyraUploader();
       
-      // Parse the share URL
-      const { arweaveUrl, encryptionKey, contentType } = parseShareUrl(shareUrl);
+      // Parse the share URL, in the current scheme or an older one
+      let { arweaveId, key: encryptionKey, contentType } = parseShareUrl(shareUrl);
       
       if (!encryptionKey) {
         return {
@@ -464,7 +757,7 @@ exports.handler = async (event, context) => {
       }
 
       // Fetch content from Arweave with size validation
-      const arweaveResponse = await fetch(arweaveUrl);
+      const arweaveResponse = await fetchFromGateway(arweaveId);
       if (!arweaveResponse.ok) {
         throw new Error('Failed to fetch content');
       }
@@ -472,42 +765,55 @@ exports.handler = async (event, context) => {
       // Check content size before processing
       const contentLength = arweaveResponse.headers.get('content-length');
       if (contentLength && parseInt(contentLength) > CONFIG.MAX_DECRYPTION_SIZE) {
-        throw new Error('Content too large for decryption');
+        throw createHttpError(413, 'CONTENT_TOO_LARGE', `Content too large for decryption. Max: ${Math.floor(CONFIG.MAX_DECRYPTION_SIZE / 1024)}KB`);
       }
 
-      const encryptedContent = await arweaveResponse.text();
+      const encryptedContent = Buffer.from(await arweaveResponse.arrayBuffer());
       
       // Additional size check after fetch
       if (encryptedContent.length > CONFIG.MAX_DECRYPTION_SIZE) {
-        throw new Error('Content too large for decryption');
+        throw createHttpError(413, 'CONTENT_TOO_LARGE', `Content too large for decryption. Max: ${Math.floor(CONFIG.MAX_DECRYPTION_SIZE / 1024)}KB`);
       }
       
-      // Parse encrypted JSON
+      // Binary envelopes are used as-is; legacy envelopes and manifests are JSON
       let encryptedData;
-      try {
-        encryptedData = JSON.parse(encryptedContent);
-        
-        // Validate encrypted data structure
-        if (!encryptedData.algorithm || !encryptedData.encrypted || !encryptedData.iv || !encryptedData.authTag) {
-          throw new Error('Invalid encrypted format');
+      if (isBinaryEnvelope(encryptedContent)) {
+        encryptedData = encryptedContent;
+
+        const { metadata } = decodeEnvelope(encryptedContent);
+        if (!contentType && metadata?.contentType) {
+          contentType = metadata.contentType;
+        }
+      } else {
+        try {
+          encryptedData = JSON.parse(encryptedContent.toString('utf8'));
+
+          // Validate encrypted data structure (chunk manifests are checked per chunk)
+          if (!uploader.isChunkManifest(encryptedData) && !parseLegacyEnvelope(encryptedData)) {
+            throw new Error('Invalid encrypted format');
+          }
+        } catch (error) {
+          throw new Error('Invalid content format');
         }
-      } catch (error) {
-        throw new Error('Invalid content format');
       }
 
       // Validate encryption key
-      const keyBuffer = uploader.validateEncryptionKey(encryptionKey);
-      if (!keyBuffer) {
-        throw new Error('Invalid encryption key');
+      const keyBuffer = parseEncryptionKey(encryptionKey);
+
+      // Decrypt the content, reassembling chunked uploads from their manifest
+      const isManifest = uploader.isChunkManifest(encryptedData);
+      const decryptedBuffer = isManifest
+        ? await fetchChunkedContent(uploader, encryptedData, keyBuffer)
+        : decryptContent(encryptedData, keyBuffer);
+
+      if (isManifest && !contentType) {
+        contentType = encryptedData.contentType;
       }
 
-      // Decrypt the content
-      const decryptedBuffer = await uploader.decryptContent(encryptedData, keyBuffer);
-      
       // Determine how to return the content
       const isText = contentType?.startsWith('text/') || 
                     contentType?.includes('json') || 
-                    uploader.isTextContent(decryptedBuffer.slice(0, 100));
+                    isTextContent(decryptedBuffer.subarray(0, 100));
 
       if (isText) {
         // Return text content as JSON
@@ -546,14 +852,15 @@ exports.handler = async (event, context) => {
 
     } catch (error) {
       safeError('Decryption error:', error);
-      
+
+      // Errors meant for the client say what went wrong, anything else stays vague
       return {
-        statusCode: 400,
+        statusCode: error.errorCode ? error.statusCode : 400,
         headers,
         body: JSON.stringify({
           success: false,
-          error: 'PROCESSING_FAILED',
-          message: 'Unable to process request',
+          error: error.errorCode || 'PROCESSING_FAILED',
+          message: error.errorCode ? error.message : 'Unable to process request',
           duration: Date.now() - startTime
         })
       };
@@ -575,335 +882,201 @@ exports.handler = async (event, context) => {
 
   try {
     const uploader = new MinimalThyraUploader();
-    const timestamp = Date.now();
-    
+
     let requestData;
     let contentBuffer;
     let originalFilename = 'upload';
     let detectedContentType = 'application/octet-stream';
-    let isInternalCall = false;
-
-    // Check if this is an internal delegation call
-    isInternalCall = event.headers['x-internal-call'] === 'true' || 
-                     event.queryStringParameters?.internal === 'true';
 
-    // Prevent infinite delegation loops
-    const delegationDepth = parseInt(event.headers['x-delegation-depth'] || '0');
-    if (delegationDepth >= 1) {
-      safeLog('Maximum delegation depth reached, processing in current function');
-      isInternalCall = false; // Force processing in current function
-    }
-
-    if (isInternalCall) {
-      // Handle internal delegation call - data is already processed
+    const contentType = event.headers['content-type'] || '';
+    
+    if (contentType.includes('multipart/form-data')) {
+      // Handle file upload - load parser only when needed
+      let multipart;
       try {
-        const internalData = JSON.parse(event.body);
-        
-        // Handle both base64 and array formats for backward compatibility
-        if (internalData.processedContent) {
-          contentBuffer = Buffer.from(internalData.processedContent, 'base64');
-        } else if (internalData.contentBuffer) {
-          contentBuffer = Buffer.from(internalData.contentBuffer);
-        } else {
-          throw new Error('Missing content data');
-        }
-        
-        originalFilename = internalData.originalFilename || 'upload';
-        detectedContentType = internalData.detectedContentType || 'application/octet-stream';
-        
-        requestData = {
-          encrypt: internalData.encrypt,
-          customKey: internalData.customKey,
-          note: internalData.note,
-          id: internalData.id,
-          includeWallet: internalData.includeWallet,
-          formContentType: internalData.formContentType
-        };
-
-        safeLog(`Internal call processing: ${Math.round(contentBuffer.length/1024)}KB file`);
-        
-      } catch (parseError) {
+        multipart = require('lambda-multipart-parser');
+      } catch (err) {
         return {
-          statusCode: 400,
+          statusCode: 500,
           headers,
           body: JSON.stringify({
             success: false,
-            error: 'INVALID_REQUEST',
-            message: 'Invalid internal request format',
+            error: 'MULTIPART_NOT_AVAILABLE',
+            message: 'File upload functionality not available. Install lambda-multipart-parser.',
             duration: Date.now() - startTime
           })
         };
       }
 
-    } else {
-      // Handle normal request
-      const contentType = event.headers['content-type'] || '';
-      
-      if (contentType.includes('multipart/form-data')) {
-        // Handle file upload - load parser only when needed
-        let multipart;
-        try {
-          multipart = require('lambda-multipart-parser');
-        } catch (err) {
-          return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({
-              success: false,
-              error: 'MULTIPART_NOT_AVAILABLE',
-              message: 'File upload functionality not available. Install lambda-multipart-parser.',
-              duration: Date.now() - startTime
-            })
-          };
-        }
-
-        try {
-          const result = await multipart.parse(event, {
-            maxFileSize: CONFIG.MAX_ALREADY_ENCRYPTED, // Reject large files early
-            maxFiles: 1 // Only allow single file upload
-          });
-          
-          if (!result.files || result.files.length === 0) {
-            return {
-              statusCode: 400,
-              headers,
-              body: JSON.stringify({
-                success: false,
-                error: 'NO_FILE_PROVIDED',
-                message: 'No file provided in multipart upload',
-                duration: Date.now() - startTime
-              })
-            };
-          }
-
-          const file = result.files[0];
-          contentBuffer = Buffer.from(file.content);
-          originalFilename = file.filename || 'upload';
-          
-          // Cache content type detection result
-          detectedContentType = uploader.detectContentType(contentBuffer, originalFilename, file.contentType);
-
-          // Extract form parameters
-          requestData = {
-            encrypt: result.encrypt === 'true' || result.encrypt === true,
-            customKey: result.customKey || null,
-            note: result.note || null,
-            id: result.id || null,
-            includeWallet: result.includeWallet === 'true' || result.includeWallet === true,
-            formContentType: result.contentType || detectedContentType
-          };
-
-        } catch (parseError) {
-          // Handle multipart parsing errors including size limits
-          const errorMessage = parseError.message.toLowerCase();
-          
-          if (errorMessage.includes('file too large') || errorMessage.includes('maxfilesize')) {
-            return {
-              statusCode: 413,
-              headers,
-              body: JSON.stringify({
-                success: false,
-                error: 'FILE_TOO_LARGE',
-                message: 'File size exceeds limit',
-                duration: Date.now() - startTime
-              })
-            };
-          }
-          
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              success: false,
-              error: 'INVALID_UPLOAD',
-              message: 'Failed to process file upload',
-              duration: Date.now() - startTime
-            })
-          };
-        }
-
-      } else {
-        // Handle JSON request
-        try {
-          requestData = JSON.parse(event.body || '{}');
-        } catch (err) {
+      try {
+        const result = await multipart.parse(event, {
+          maxFileSize: CONFIG.MAX_ALREADY_ENCRYPTED, // Reject large files early
+          maxFiles: 1 // Only allow single file upload
+        });
+        
+        if (!result.files || result.files.length === 0) {
           return {
             statusCode: 400,
             headers,
             body: JSON.stringify({
               success: false,
-              error: 'INVALID_JSON',
-              message: 'Invalid JSON in request body',
+              error: 'NO_FILE_PROVIDED',
+              message: 'No file provided in multipart upload',
               duration: Date.now() - startTime
             })
           };
         }
 
-        const { content, isBase64 = false } = requestData;
+        const file = result.files[0];
+        contentBuffer = Buffer.from(file.content);
+        originalFilename = file.filename || 'upload';
+        
+        // Cache content type detection result
+        detectedContentType = detectContentType(contentBuffer, originalFilename, file.contentType);
 
-        if (!content && content !== "") {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              success: false,
-              error: 'MISSING_CONTENT',
-              message: 'Content is required',
-              duration: Date.now() - startTime
-            })
-          };
-        }
+        // Extract form parameters
+        requestData = {
+          encrypt: result.encrypt === 'true' || result.encrypt === true,
+          customKey: result.customKey || null,
+          note: result.note || null,
+          id: result.id || null,
+          includeWallet: result.includeWallet === 'true' || result.includeWallet === true,
+          formContentType: result.contentType || detectedContentType,
+          async: result.async === 'true' || result.async === true
+        };
 
-        // Convert content to buffer
-        try {
-          contentBuffer = isBase64 ? Buffer.from(content, 'base64') : Buffer.from(content, 'utf8');
-          // Cache content type detection result
-          detectedContentType = uploader.detectContentType(contentBuffer);
-        } catch (err) {
+      } catch (parseError) {
+        // Handle multipart parsing errors including size limits
+        const errorMessage = parseError.message.toLowerCase();
+        
+        if (errorMessage.includes('file too large') || errorMessage.includes('maxfilesize')) {
           return {
-            statusCode: 400,
+            statusCode: 413,
             headers,
             body: JSON.stringify({
               success: false,
-              error: 'INVALID_CONTENT',
-              message: 'Invalid content format',
+              error: 'FILE_TOO_LARGE',
+              message: 'File size exceeds limit',
               duration: Date.now() - startTime
             })
           };
         }
+        
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'INVALID_UPLOAD',
+            message: 'Failed to process file upload',
+            duration: Date.now() - startTime
+          })
+        };
       }
 
-      // Check if we should delegate to a fresh function (timeout protection)
-      const uploadDuration = Date.now() - startTime;
-      const shouldDelegate = uploadDuration > CONFIG.TIMEOUT_THRESHOLD && contentBuffer.length > 10 * 1024; // Only for files > 10KB
-
-      if (shouldDelegate) {
-        safeLog(`Processing took ${uploadDuration}ms, delegating to fresh function for ${Math.round(contentBuffer.length/1024)}KB file`);
-  
-        try {
-          return await delegateToFreshFunction({
-            contentBuffer: Array.from(contentBuffer),
-            originalFilename,
-            detectedContentType,
-            ...requestData
-          }, event.headers, startTime, delegationDepth);
-        } catch (delegationError) {
-          safeError('Delegation failed, continuing with current function:', delegationError);
-          // and now fall through to do the upload in this function
-        }
+    } else {
+      // Handle JSON request
+      try {
+        requestData = JSON.parse(event.body || '{}');
+      } catch (err) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'INVALID_JSON',
+            message: 'Invalid JSON in request body',
+            duration: Date.now() - startTime
+          })
+        };
       }
-    }
-
-    // Continue with normal processing
-    const {
-      encrypt = true,
-      customKey = null,
-      note = null,
-      id = null,
-      includeWallet = false,
-      formContentType = null
-    } = requestData;
-
-    // Use the appropriate content type
-    const finalContentType = formContentType || detectedContentType;
 
-    const uploadId = id || crypto.randomUUID();
+      // Chunked uploads carry their own protocol and never go to the background function
+      if (requestData.chunked) {
+        return await handleChunkedRequest(requestData, event, uploader, headers, startTime);
+      }
 
-    // Validate size with limits
-    const sizeInfo = uploader.validateSize(contentBuffer, encrypt);
+      const { content, isBase64 = false } = requestData;
 
-    let finalContent, encryptionKey, shareUrl;
+      if (!content && content !== "") {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'MISSING_CONTENT',
+            message: 'Content is required',
+            duration: Date.now() - startTime
+          })
+        };
+      }
 
-    if (encrypt) {
-      // Validate custom key first, then generate or use it
+      // Convert content to buffer
       try {
-        encryptionKey = customKey 
-          ? uploader.validateEncryptionKey(customKey)
-          : await uploader.generateEncryptionKey();
-      } catch (keyError) {
+        contentBuffer = isBase64 ? Buffer.from(content, 'base64') : Buffer.from(content, 'utf8');
+        // Cache content type detection result
+        detectedContentType = detectContentType(contentBuffer);
+      } catch (err) {
         return {
           statusCode: 400,
           headers,
           body: JSON.stringify({
             success: false,
-            error: 'INVALID_KEY_LENGTH',
-            message: keyError.message,
+            error: 'INVALID_CONTENT',
+            message: 'Invalid content format',
             duration: Date.now() - startTime
           })
         };
       }
+    }
 
-      // Encrypt content
-      const encryptedData = await uploader.encryptContent(contentBuffer, encryptionKey);
-      finalContent = Buffer.from(JSON.stringify(encryptedData));
+    // Hand the upload to the background function when asked to, or when this
+    // invocation has already used up too much of its time limit
+    const asyncRequested = requestData.async === true || requestData.async === 'true' ||
+                           event.queryStringParameters?.async === 'true';
+    const elapsed = Date.now() - startTime;
+    const slow = elapsed > CONFIG.TIMEOUT_THRESHOLD && contentBuffer.length > 10 * 1024; // Only for files > 10KB
 
-      if (finalContent.length > CONFIG.MAX_SIZE_BYTES) {
-        throw new Error(`Encrypted content too large: ${finalContent.length} bytes`);
-      }
+    if (asyncRequested || slow) {
+      // Refuse what the background function would refuse, while the client is still here
+      uploader.validateSize(contentBuffer, requestData.encrypt !== false);
+      parseEncryptionKey(requestData.customKey || null);
 
-    } else {
-      finalContent = contentBuffer;
-      
-      if (customKey) {
-        try {
-          encryptionKey = uploader.validateEncryptionKey(customKey);
-        } catch (keyError) {
+      try {
+        safeLog(`Handing ${Math.round(contentBuffer.length / 1024)}KB upload to the background function after ${elapsed}ms`);
+        return await queueBackgroundUpload({
+          contentBuffer,
+          originalFilename,
+          detectedContentType,
+          requestData
+        }, event, headers, startTime);
+      } catch (handoffError) {
+        safeError('Background handoff failed:', handoffError);
+
+        if (asyncRequested) {
           return {
-            statusCode: 400,
+            statusCode: 503,
             headers,
             body: JSON.stringify({
               success: false,
-              error: 'INVALID_KEY_LENGTH',
-              message: keyError.message,
+              error: 'BACKGROUND_UNAVAILABLE',
+              message: 'Background uploads are not available',
               duration: Date.now() - startTime
             })
           };
         }
+        // Otherwise upload in this function after all
       }
     }
 
-    // Upload to Arweave
-    const uploadResult = await uploader.uploadToArweave(finalContent, [
-      ...(note ? [{ name: 'Note', value: note }] : []),
-      ...(originalFilename !== 'upload' ? [{ name: 'Original-Filename', value: originalFilename }] : []),
-      { name: 'Content-Type-Hint', value: finalContentType },
-      { name: 'Encrypted', value: encrypt.toString() },
-      { name: 'Upload-ID', value: uploadId }
-    ]);
-
-    const arweaveId = uploadResult.id;
-    const arweaveUrl = `https://arweave.net/${arweaveId}`;
-
-    // Create share URL
-    if (encryptionKey) {
-      const protocol = event.headers['x-forwarded-proto'] || 'https';
-      const host = event.headers.host;
-      const baseUrl = `${protocol}://${host}`;
-      shareUrl = uploader.createShareUrl(arweaveId, encryptionKey, baseUrl, finalContentType);
-    } else if (!encrypt) {
-      const protocol = event.headers['x-forwarded-proto'] || 'https';
-      const host = event.headers.host;
-      const baseUrl = `${protocol}://${host}`;
-      shareUrl = `${baseUrl}/s/?url=${btoa(arweaveUrl)}${finalContentType ? `&type=${encodeURIComponent(finalContentType)}` : ''}`;
-    }
-
-    const response = {
-      success: true,
-      id: uploadId,
-      arweaveId,
-      url: arweaveUrl,
-      encrypted: encrypt,
-      size: sizeInfo.baseSize,
-      contentType: finalContentType,
-      timestamp,
-      duration: Date.now() - startTime
-    };
-
-    // Add conditional fields
-    if (shareUrl) response.shareUrl = shareUrl;
-    if (note) response.note = note;
-    if (originalFilename !== 'upload') response.filename = originalFilename;
-    if (includeWallet) response.wallet = uploadResult.wallet;
+    const response = await processUpload(uploader, {
+      contentBuffer,
+      originalFilename,
+      detectedContentType,
+      requestData,
+      baseUrl: getBaseUrl(event.headers),
+      startTime
+    });
 
     return {
       statusCode: 200,
@@ -914,25 +1087,7 @@ exports.handler = async (event, context) => {
   } catch (error) {
     safeError('Upload error:', error);
 
-    let errorCode = 'UPLOAD_FAILED';
-    let statusCode = 500;
-
-    if (error.message.includes('too large for encryption')) {
-      errorCode = 'CONTENT_TOO_LARGE_FOR_ENCRYPTION';
-      statusCode = 413;
-    } else if (error.message.includes('Encrypted content would be too large')) {
-      errorCode = 'ENCRYPTED_SIZE_TOO_LARGE';
-      statusCode = 413;
-    } else if (error.message.includes('Content too large')) {
-      errorCode = 'CONTENT_TOO_LARGE';
-      statusCode = 413;
-    } else if (error.message.includes('Invalid content')) {
-      errorCode = 'INVALID_CONTENT';
-      statusCode = 400;
-    } else if (error.message.includes('Invalid key length')) {
-      errorCode = 'INVALID_KEY_LENGTH';
-      statusCode = 400;
-    }
+    const { statusCode, errorCode } = classifyUploadError(error);
 
     return {
       statusCode,
@@ -947,52 +1102,369 @@ exports.handler = async (event, context) => {
   }
 };
 
-// Helper function to delegate to a fresh function instance
-async function delegateToFreshFunction(processedData, originalHeaders, originalStartTime, currentDepth = 0) {
-  const protocol = originalHeaders['x-forwarded-proto'] || 'https';
-  const host = originalHeaders['host'];
-  const baseUrl = `${protocol}://${host}`;
-  
-  // Extract the function path from the request
-  const functionPath = '/.netlify/functions/arload';
-  const delegationUrl = `${baseUrl}${functionPath}?internal=true`;
+// Encrypts and uploads one file, returning the response body. Used by the
+// handler and, for background uploads, by runBackgroundUpload.
+async function processUpload(uploader, { contentBuffer, originalFilename, detectedContentType, requestData, baseUrl, startTime }) {
+  const {
+    encrypt = true,
+    customKey = null,
+    note = null,
+    id = null,
+    includeWallet = false,
+    formContentType = null
+  } = requestData;
+
+  const timestamp = Date.now();
+
+  // Use the appropriate content type
+  const finalContentType = formContentType || detectedContentType;
+
+  const uploadId = id || crypto.randomUUID();
+
+  // Validate size with limits
+  const sizeInfo = uploader.validateSize(contentBuffer, encrypt);
+
+  let finalContent;
+  let encryptionKey = null;
+
+  if (encrypt) {
+    // Validate custom key first, then generate or use it
+    encryptionKey = customKey
+      ? parseEncryptionKey(customKey)
+      : generateEncryptionKey();
+
+    // Encrypt content into a binary envelope
+    finalContent = encryptContent(
+      contentBuffer,
+      encryptionKey,
+      createEnvelopeMetadata(originalFilename !== 'upload' ? originalFilename : null, finalContentType)
+    );
+
+    if (finalContent.length > CONFIG.MAX_SIZE_BYTES) {
+      throw createHttpError(413, 'ENCRYPTED_SIZE_TOO_LARGE', `Encrypted content too large: ${finalContent.length} bytes`);
+    }
+
+  } else {
+    finalContent = contentBuffer;
+    parseEncryptionKey(customKey || null);
+  }
+
+  // Upload to Arweave
+  const uploadResult = await uploader.uploadToArweave(finalContent, [
+    ...(note ? [{ name: 'Note', value: note }] : []),
+    ...(originalFilename !== 'upload' ? [{ name: 'Original-Filename', value: originalFilename }] : []),
+    { name: 'Content-Type-Hint', value: finalContentType },
+    { name: 'Encrypted', value: encrypt.toString() },
+    { name: 'Upload-ID', value: uploadId }
+  ]);
+
+  const arweaveId = uploadResult.id;
+  const arweaveUrl = `${CONFIG.GATEWAYS[0]}/${arweaveId}`;
+
+  // Unencrypted uploads get a share URL without a key
+  const shareUrl = createShareUrl(baseUrl, arweaveId, encryptionKey);
+
+  const response = {
+    success: true,
+    id: uploadId,
+    arweaveId,
+    url: arweaveUrl,
+    shareUrl,
+    encrypted: encrypt,
+    size: sizeInfo.baseSize,
+    contentType: finalContentType,
+    timestamp,
+    duration: Date.now() - startTime
+  };
+
+  // Add conditional fields
+  if (note) response.note = note;
+  if (originalFilename !== 'upload') response.filename = originalFilename;
+  if (includeWallet) response.wallet = uploadResult.wallet;
 
+  return response;
+}
+
+// GET ?job=<id>: the background upload as the job store has it
+async function handleJobStatus(event, headers, startTime) {
+  const jobId = event.queryStringParameters.job;
+
+  try {
+    const job = await createJobStore(event).getJob(jobId);
+
+    if (!job) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'JOB_NOT_FOUND',
+          message: 'No background upload with this ID',
+          duration: Date.now() - startTime
+        })
+      };
+    }
+
+    const response = {
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      duration: Date.now() - startTime
+    };
+    if (job.result) response.result = job.result;
+    if (job.error) response.error = job.error;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    safeError('Job status error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'JOB_STORE_FAILED',
+        message: 'Could not read the job store',
+        duration: Date.now() - startTime
+      })
+    };
+  }
+}
+
+// Status code and error code to answer a failed upload with. Errors meant
+// for the client carry their own (see createHttpError in thyra-core.js).
+function classifyUploadError(error) {
+  if (error.errorCode) {
+    return { statusCode: error.statusCode || 500, errorCode: error.errorCode };
+  }
+  return { statusCode: 500, errorCode: 'UPLOAD_FAILED' };
+}
+
+// Background uploads keep their content and status in a job store: Netlify
+// Blobs when deployed, a local directory with ARLOAD_JOB_STORE=file. Any
+// object with get/set/delete of Buffers can be plugged in as CONFIG.JOB_STORE.
+class JobStore {
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  async getJob(id) {
+    const data = await this.backend.get(`jobs/${id}.json`);
+    return data ? JSON.parse(data.toString('utf8')) : null;
+  }
+
+  async saveJob(job) {
+    job.updatedAt = Date.now();
+    await this.backend.set(`jobs/${job.id}.json`, Buffer.from(JSON.stringify(job)));
+  }
+
+  async deleteJob(id) {
+    await this.backend.delete(`jobs/${id}.json`);
+  }
+
+  async getPayload(id) {
+    return await this.backend.get(`payloads/${id}`);
+  }
+
+  async savePayload(id, content) {
+    await this.backend.set(`payloads/${id}`, content);
+  }
+
+  async deletePayload(id) {
+    await this.backend.delete(`payloads/${id}`);
+  }
+}
+
+function createFileBackend(dir) {
+  return {
+    async get(key) {
+      try {
+        return await fs.promises.readFile(path.join(dir, key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async set(key, value) {
+      const file = path.join(dir, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, value);
+    },
+
+    async delete(key) {
+      await fs.promises.rm(path.join(dir, key), { force: true });
+    }
+  };
+}
+
+// Loaded only when needed, like lambda-multipart-parser. Functions in Lambda
+// compatibility mode have to hand the event to connectLambda first.
+function createBlobsBackend(event) {
+  const { connectLambda, getStore } = require('@netlify/blobs');
+  if (event?.blobs) {
+    connectLambda(event);
+  }
+  const store = getStore(CONFIG.JOB_STORE_NAME);
+
+  return {
+    async get(key) {
+      const data = await store.get(key, { type: 'arrayBuffer' });
+      return data ? Buffer.from(data) : null;
+    },
+
+    async set(key, value) {
+      await store.set(key, new Blob([value]));
+    },
+
+    async delete(key) {
+      await store.delete(key);
+    }
+  };
+}
+
+function createJobStore(event) {
+  if (typeof CONFIG.JOB_STORE === 'object') {
+    return new JobStore(CONFIG.JOB_STORE);
+  }
+  if (CONFIG.JOB_STORE === 'file') {
+    return new JobStore(createFileBackend(CONFIG.JOB_DIR));
+  }
+  return new JobStore(createBlobsBackend(event));
+}
+
+// Stores the upload as a queued job and wakes the background function, which
+// has minutes rather than seconds. Only the job ID is sent along; the client
+// polls GET ?job=<id> for the result. The ID is the only thing guarding the
+// result (and its share URL), so it is random and never listed.
+async function queueBackgroundUpload({ contentBuffer, originalFilename, detectedContentType, requestData }, event, headers, startTime) {
+  const store = createJobStore(event);
+  const baseUrl = getBaseUrl(event.headers);
+  // The content itself goes in the payload, not twice
+  const { content, ...options } = requestData;
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    createdAt: Date.now(),
+    request: { originalFilename, detectedContentType, requestData: options, baseUrl }
+  };
+
+  // A failed handoff must not leave the content, or a request holding the
+  // custom key, in the store. The background function may still have been
+  // woken (a timeout says nothing about that), and the caller may upload
+  // inline next, so the job is marked cancelled before it is removed: a
+  // background run that gets to it first skips it rather than uploading twice.
+  let handedOff = false;
   try {
-    const response = await fetch(delegationUrl, {
+    await store.savePayload(job.id, contentBuffer);
+    await store.saveJob(job);
+
+    const response = await fetch(`${baseUrl}${CONFIG.BACKGROUND_FUNCTION_PATH}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'X-Internal-Call': 'true',
-        'X-Delegation-Depth': (currentDepth + 1).toString(),
-        'X-Original-Host': originalHeaders['host'],
-        'User-Agent': 'Thyra-Internal-Delegation/1.0'
+        'User-Agent': 'Thyra-Background-Handoff/1.0'
       },
-      body: JSON.stringify(processedData),
-      timeout: 9000 // 9 second timeout for the delegated call
+      body: JSON.stringify({ jobId: job.id }),
+      signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT_MS)
     });
+    await response.body?.cancel();
 
     if (!response.ok) {
-      throw new Error(`Delegation failed with status ${response.status}`);
+      throw new Error(`Background function answered ${response.status}`);
     }
+    handedOff = true;
+  } finally {
+    if (!handedOff) {
+      await cancelBackgroundJob(store, job);
+    }
+  }
 
-    const responseData = await response.json();
-    
-    // Add delegation info to response
-    responseData.delegated = true;
-    responseData.originalDuration = Date.now() - originalStartTime;
+  return {
+    statusCode: 202,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      async: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${baseUrl}${CONFIG.FUNCTION_PATH}?job=${job.id}`,
+      duration: Date.now() - startTime
+    })
+  };
+}
 
-    return {
-      statusCode: response.status,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, X-Internal-Call, X-Original-Host',
-        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-      },
-      body: JSON.stringify(responseData)
-    };
+async function cancelBackgroundJob(store, job) {
+  try {
+    delete job.request;
+    job.status = 'cancelled';
+    await store.saveJob(job);
+    await store.deletePayload(job.id);
+    await store.deleteJob(job.id);
+  } catch (error) {
+    safeError(`Could not clear cancelled background job ${job.id}:`, error);
+  }
+}
+
+// Runs a queued upload. Called by arload-background.js; a job is only ever
+// started once, later calls for the same ID do nothing, and neither do calls
+// for jobs cancelled (or removed) after a failed handoff.
+async function runBackgroundUpload(jobId, event = null) {
+  const store = createJobStore(event);
+  const job = await store.getJob(jobId);
 
-  } catch (fetchError) {
-    throw new Error('Delegation request failed');
+  if (!job || job.status !== 'queued') {
+    safeLog(`Background job ${jobId} is ${job ? job.status : 'unknown'}, skipping`);
+    return job;
   }
+
+  job.status = 'running';
+  await store.saveJob(job);
+
+  const startTime = Date.now();
+  try {
+    const contentBuffer = await store.getPayload(jobId);
+
+    // The handoff may have given up while this run was starting
+    const current = await store.getJob(jobId);
+    if (!current || current.status === 'cancelled') {
+      safeLog(`Background job ${jobId} was cancelled, skipping`);
+      await store.deleteJob(jobId);
+      await store.deletePayload(jobId);
+      return null;
+    }
+
+    if (!contentBuffer) {
+      throw new Error('Upload content is missing from the job store');
+    }
+
+    job.result = await processUpload(new MinimalThyraUploader(), { contentBuffer, ...job.request, startTime });
+    job.status = 'completed';
+  } catch (error) {
+    safeError(`Background job ${jobId} failed:`, error);
+    const { statusCode, errorCode } = classifyUploadError(error);
+    job.status = 'failed';
+    job.error = { statusCode, error: errorCode, message: error.message };
+  }
+
+  // The request held the custom key, if any; the content isn't needed either
+  delete job.request;
+  job.completedAt = Date.now();
+  await store.saveJob(job);
+  await store.deletePayload(jobId);
+
+  return job;
 }
+
+// Not used by Netlify, which only calls handler. Exposed for the tests.
+exports.CONFIG = CONFIG;
+exports.MinimalThyraUploader = MinimalThyraUploader;
+exports.checkDomainAccess = checkDomainAccess;
+exports.parseShareUrl = parseShareUrl;
+exports.createJobStore = createJobStore;
+exports.runBackgroundUpload = runBackgroundUpload;
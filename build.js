@@ -14,6 +14,8 @@ function build() {
     const filesToCopy = [
       'thyra-r-cli.js',
       'thyra-r.js',
+      'thyra-mock-gateway.js',
+      'thyra-core.js',
       'package.json',
       '.env'
     ];
@@ -0,0 +1,438 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import { createRequire } from 'module';
+import { startMockGateway } from '../thyra-mock-gateway.js';
+import { createTempDir } from './helpers.js';
+
+const require = createRequire(import.meta.url);
+
+let hasMultipartParser = true;
+try {
+  require.resolve('lambda-multipart-parser');
+} catch {
+  hasMultipartParser = false;
+}
+
+describe('arload handler', () => {
+  let dir, gateway, arload;
+
+  before(async () => {
+    dir = createTempDir('thyra-arload-');
+    gateway = await startMockGateway({ port: 0, dataDir: dir, blockTimeMs: 100 });
+
+    // CONFIG reads these when the module loads
+    process.env.ARWEAVE_GATEWAYS = gateway.url;
+    process.env.BUNDLER_URLS = `${gateway.url}/v1/tx`;
+    arload = require('../arload.js');
+    arload.CONFIG.ADMIN.LOGGING_ENABLED = false;
+  });
+
+  after(async () => {
+    await gateway.fastify.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const call = async (event) => {
+    const response = await arload.handler({ headers: {}, ...event }, {});
+    return { status: response.statusCode, body: response.body ? JSON.parse(response.body) : null };
+  };
+
+  const post = (body, headers = {}) => call({
+    httpMethod: 'POST',
+    headers: { 'content-type': 'application/json', host: 'thyra.test', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  const storedData = (arweaveUrl) => gateway.store.get(arweaveUrl.split('/').pop());
+
+  describe('routing', () => {
+    test('answers CORS preflights', async () => {
+      const { status } = await call({ httpMethod: 'OPTIONS' });
+      assert.equal(status, 204);
+    });
+
+    test('GET without a share URL describes the API', async () => {
+      const { status, body } = await call({ httpMethod: 'GET' });
+      assert.equal(status, 200);
+      assert.equal(body.name, 'Thyra API');
+      assert.equal(body.limits.maxUploadSize, '95KB');
+    });
+
+    test('other methods are 405', async () => {
+      const { status, body } = await call({ httpMethod: 'PUT' });
+      assert.equal(status, 405);
+      assert.equal(body.error, 'METHOD_NOT_ALLOWED');
+    });
+  });
+
+  describe('uploads', () => {
+    test('encrypted uploads decrypt through the share URL', async () => {
+      const { status, body } = await post({ content: 'hello from arload', filename: 'hello.txt' });
+      assert.equal(status, 200);
+      assert.equal(body.encrypted, true);
+      assert.ok(body.url.startsWith(`${gateway.url}/`));
+
+      assert.match(body.shareUrl, new RegExp(`^https://thyra.test/share/${body.arweaveId}#decrypt=`));
+
+      const decrypted = await call({ httpMethod: 'GET', queryStringParameters: { url: body.shareUrl } });
+      assert.equal(decrypted.status, 200);
+      assert.equal(decrypted.body.content, 'hello from arload');
+      assert.equal(decrypted.body.contentType, 'text/plain');
+    });
+
+    test('a custom key is used instead of a random one', async () => {
+      const key = crypto.randomBytes(32).toString('base64');
+      const { body } = await post({ content: 'custom', customKey: key });
+      assert.equal(decodeURIComponent(body.shareUrl.split('#decrypt=')[1]), key);
+    });
+
+    test('unencrypted uploads are stored as sent', async () => {
+      const { body } = await post({ content: Buffer.from('plain bytes').toString('base64'), isBase64: true, encrypt: false });
+      assert.equal(body.encrypted, false);
+
+      const record = storedData(body.url);
+      assert.equal(record.dataSize, 'plain bytes'.length);
+    });
+
+    test('unencrypted uploads get a share URL without a key', async () => {
+      const { body } = await post({ content: 'public', encrypt: false });
+      assert.equal(body.shareUrl, `https://thyra.test/share/${body.arweaveId}`);
+    });
+  });
+
+  describe('chunked uploads', () => {
+    before(() => { arload.CONFIG.CHUNK_SECRET = 'chunk secret for the tests'; });
+    after(() => { arload.CONFIG.CHUNK_SECRET = null; });
+
+    const content = Buffer.from('chunked and put back together '.repeat(4000));
+
+    const uploadChunks = async () => {
+      const { body: init } = await post({ chunked: 'init', size: content.length });
+      assert.equal(init.totalChunks, 2);
+
+      const receipts = [];
+      for (let index = 0; index < init.totalChunks; index++) {
+        const piece = content.subarray(index * init.chunkSize, (index + 1) * init.chunkSize);
+        const { status, body } = await post({ chunked: 'chunk', plan: init.plan, key: init.key, index, content: piece.toString('base64') });
+        assert.equal(status, 200);
+        receipts.push({ index: body.index, id: body.id, size: body.size, sha256: body.sha256, signature: body.signature });
+      }
+      return { init, receipts };
+    };
+
+    const finalize = (init, chunks) => post({ chunked: 'finalize', plan: init.plan, key: init.key, chunks, contentType: 'text/plain' });
+
+    test('chunks are put back together from the share URL', async () => {
+      const { init, receipts } = await uploadChunks();
+      const { status, body } = await finalize(init, receipts);
+      assert.equal(status, 200);
+      assert.equal(body.size, content.length);
+
+      const decrypted = await call({ httpMethod: 'GET', queryStringParameters: { url: body.shareUrl } });
+      assert.equal(decrypted.status, 200);
+      assert.equal(decrypted.body.content, content.toString());
+    });
+
+    test('uploads and read-back share one size limit, past it both are 413 CONTENT_TOO_LARGE', async () => {
+      const tooLarge = await post({ chunked: 'init', size: arload.CONFIG.MAX_CHUNKED_SIZE + 1 });
+      assert.equal(tooLarge.status, 413);
+      assert.equal(tooLarge.body.error, 'CONTENT_TOO_LARGE');
+
+      const { init, receipts } = await uploadChunks();
+      const { body } = await finalize(init, receipts);
+
+      // A manifest made before the limit came down
+      const limit = arload.CONFIG.MAX_CHUNKED_SIZE;
+      arload.CONFIG.MAX_CHUNKED_SIZE = content.length - 1;
+      try {
+        const decrypted = await call({ httpMethod: 'GET', queryStringParameters: { url: body.shareUrl } });
+        assert.equal(decrypted.status, 413);
+        assert.equal(decrypted.body.error, 'CONTENT_TOO_LARGE');
+      } finally {
+        arload.CONFIG.MAX_CHUNKED_SIZE = limit;
+      }
+    });
+
+    test('finalize only takes the plan and receipts as they were signed', async () => {
+      const { init, receipts } = await uploadChunks();
+
+      assert.equal((await finalize(init, [receipts[0], { ...receipts[1], id: receipts[0].id }])).body.error, 'INVALID_CHUNKS');
+      assert.equal((await finalize(init, [receipts[0], { ...receipts[1], size: 1 }])).body.error, 'INVALID_CHUNKS');
+      assert.equal((await finalize(init, [receipts[0], { ...receipts[1], signature: undefined }])).body.error, 'INVALID_CHUNKS');
+
+      const [body, signature] = init.plan.split('.');
+      const bigger = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), size: 1 })).toString('base64url');
+      assert.equal((await finalize({ ...init, plan: `${bigger}.${signature}` }, receipts)).body.error, 'INVALID_PLAN');
+
+      const missing = await finalize(init, [receipts[0]]);
+      assert.equal(missing.status, 409);
+      assert.deepEqual(missing.body.missing, [1]);
+
+      // Receipts from another upload don't fit this one
+      const other = await uploadChunks();
+      assert.equal((await finalize(init, other.receipts)).body.error, 'INVALID_CHUNKS');
+    });
+
+    test('chunks that add up to another size than planned are refused', async () => {
+      const { body: init } = await post({ chunked: 'init', size: content.length });
+      const receipts = [];
+      for (const index of [0, 1]) {
+        const { body } = await post({ chunked: 'chunk', plan: init.plan, key: init.key, index, content: content.subarray(0, 10).toString('base64') });
+        receipts.push(body);
+      }
+
+      const { status, body } = await finalize(init, receipts);
+      assert.equal(status, 400);
+      assert.equal(body.error, 'SIZE_MISMATCH');
+    });
+
+    test('sizes and indices must be whole numbers', async () => {
+      assert.equal((await post({ chunked: 'init', size: '12abc' })).body.error, 'INVALID_SIZE');
+      assert.equal((await post({ chunked: 'init', size: 1.5 })).body.error, 'INVALID_SIZE');
+
+      const { body: init } = await post({ chunked: 'init', size: 10 });
+      const { body } = await post({ chunked: 'chunk', plan: init.plan, key: init.key, index: '0x', content: 'aGVsbG8=' });
+      assert.equal(body.error, 'INVALID_CHUNK_INDEX');
+    });
+
+    test('chunked uploads are off without a secret', async () => {
+      arload.CONFIG.CHUNK_SECRET = null;
+      try {
+        const { status, body } = await post({ chunked: 'init', size: 10 });
+        assert.equal(status, 503);
+        assert.equal(body.error, 'CHUNKED_UNAVAILABLE');
+      } finally {
+        arload.CONFIG.CHUNK_SECRET = 'chunk secret for the tests';
+      }
+    });
+  });
+
+  describe('errors', () => {
+    test('malformed JSON is 400 INVALID_JSON', async () => {
+      const { status, body } = await post('{not json');
+      assert.equal(status, 400);
+      assert.equal(body.error, 'INVALID_JSON');
+    });
+
+    test('a missing body is 400 MISSING_CONTENT', async () => {
+      const { status, body } = await post({ filename: 'nothing.txt' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'MISSING_CONTENT');
+    });
+
+    test('a short custom key is 400 INVALID_KEY', async () => {
+      const { status, body } = await post({ content: 'x', customKey: crypto.randomBytes(16).toString('base64') });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'INVALID_KEY');
+    });
+
+    test('content over the encryption limit is 413', async () => {
+      const { status, body } = await post({ content: 'x'.repeat(96 * 1024) });
+      assert.equal(status, 413);
+      assert.equal(body.error, 'CONTENT_TOO_LARGE_FOR_ENCRYPTION');
+    });
+
+    test('content over the plain limit is 413', async () => {
+      const { status, body } = await post({ content: 'x'.repeat(96 * 1024), encrypt: false });
+      assert.equal(status, 413);
+      assert.equal(body.error, 'CONTENT_TOO_LARGE');
+    });
+
+    test('share URLs without an Arweave ID are refused', async () => {
+      const shareUrl = `https://thyra.test/s/?url=${btoa('https://evil.example/abc')}&key=x`;
+      assert.throws(() => arload.parseShareUrl(shareUrl), { errorCode: 'INVALID_SHARE_URL' });
+
+      const { status, body } = await call({ httpMethod: 'GET', queryStringParameters: { url: shareUrl } });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'INVALID_SHARE_URL');
+    });
+
+    test('older share URLs still decrypt, fetched from the configured gateways', async () => {
+      const { body } = await post({ content: 'from an old link' });
+      const key = decodeURIComponent(body.shareUrl.split('#decrypt=')[1]);
+      const oldShareUrl = `https://thyra.test/s/?url=${btoa(`https://elsewhere.example/${body.arweaveId}`)}&key=${encodeURIComponent(key)}`;
+
+      const decrypted = await call({ httpMethod: 'GET', queryStringParameters: { url: oldShareUrl } });
+      assert.equal(decrypted.status, 200);
+      assert.equal(decrypted.body.content, 'from an old link');
+    });
+
+    test('multipart uploads need lambda-multipart-parser', { skip: hasMultipartParser }, async () => {
+      const { status, body } = await call({
+        httpMethod: 'POST',
+        headers: { 'content-type': 'multipart/form-data; boundary=x', host: 'thyra.test' },
+        body: ''
+      });
+      assert.equal(status, 500);
+      assert.equal(body.error, 'MULTIPART_NOT_AVAILABLE');
+    });
+  });
+
+  describe('domain restrictions', () => {
+    before(() => { arload.CONFIG.ADMIN.DOMAIN_RESTRICTION_ENABLED = true; });
+    after(() => { arload.CONFIG.ADMIN.DOMAIN_RESTRICTION_ENABLED = false; });
+
+    test('allows listed domains and their subdomains', () => {
+      assert.equal(arload.checkDomainAccess({ origin: 'https://komvos.net' }).allowed, true);
+      assert.equal(arload.checkDomainAccess({ referer: 'https://app.komvos.net/page' }).allowed, true);
+      assert.equal(arload.checkDomainAccess({ origin: 'http://localhost:3000' }).allowed, true);
+    });
+
+    test('refuses other, missing and malformed origins', () => {
+      assert.equal(arload.checkDomainAccess({ origin: 'https://notkomvos.net' }).error, 'DOMAIN_NOT_ALLOWED');
+      assert.equal(arload.checkDomainAccess({}).error, 'MISSING_ORIGIN');
+      assert.equal(arload.checkDomainAccess({ origin: 'not a url' }).error, 'INVALID_ORIGIN');
+    });
+
+    test('the handler answers refused origins with 403', async () => {
+      const { status, body } = await call({ httpMethod: 'GET', headers: { origin: 'https://evil.example' } });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'ACCESS_DENIED');
+    });
+  });
+
+  describe('background uploads', () => {
+    let functions, background, host;
+
+    before(async () => {
+      arload.CONFIG.JOB_STORE = 'file';
+      arload.CONFIG.JOB_DIR = `${dir}/jobs`;
+      background = require('../arload-background.js');
+
+      // A stand-in for Netlify: background functions answer 202 at once and
+      // keep running, everything else goes to the arload handler
+      functions = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const event = { httpMethod: req.method, headers: req.headers, body: Buffer.concat(chunks).toString() };
+
+        if (req.url === arload.CONFIG.BACKGROUND_FUNCTION_PATH) {
+          res.writeHead(202);
+          res.end();
+          await background.handler(event, {});
+          return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const response = await arload.handler({ ...event, queryStringParameters: Object.fromEntries(url.searchParams) }, {});
+        res.writeHead(response.statusCode, response.headers);
+        res.end(response.body);
+      });
+      await new Promise(resolve => functions.listen(0, '127.0.0.1', resolve));
+      host = `127.0.0.1:${functions.address().port}`;
+    });
+
+    after(() => {
+      arload.CONFIG.JOB_STORE = 'blobs';
+      functions.close();
+    });
+
+    const postHere = (body) => post(body, { host, 'x-forwarded-proto': 'http' });
+
+    // Generous: every upload generates a 4096 bit wallet first
+    const finished = async (jobId) => {
+      for (let i = 0; i < 750; i++) {
+        const { body } = await call({ httpMethod: 'GET', queryStringParameters: { job: jobId } });
+        if (body.status === 'completed' || body.status === 'failed') return body;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error(`Job ${jobId} never finished`);
+    };
+
+    test('async uploads answer 202 and the result is polled by job ID', async () => {
+      const { status, body } = await postHere({ content: 'uploaded later', note: 'later', async: true });
+      assert.equal(status, 202);
+      assert.equal(body.status, 'queued');
+      assert.equal(body.statusUrl, `http://${host}${arload.CONFIG.FUNCTION_PATH}?job=${body.jobId}`);
+
+      const job = await finished(body.jobId);
+      assert.equal(job.status, 'completed');
+      assert.equal(job.result.note, 'later');
+
+      const decrypted = await call({ httpMethod: 'GET', queryStringParameters: { url: job.result.shareUrl } });
+      assert.equal(decrypted.body.content, 'uploaded later');
+
+      // Neither the content nor the request options outlive the job
+      assert.deepEqual(fs.readdirSync(`${dir}/jobs/payloads`), []);
+      const stored = JSON.parse(fs.readFileSync(`${dir}/jobs/jobs/${body.jobId}.json`, 'utf8'));
+      assert.equal(stored.request, undefined);
+    });
+
+    test('slow requests are handed to the background function', async () => {
+      const threshold = arload.CONFIG.TIMEOUT_THRESHOLD;
+      arload.CONFIG.TIMEOUT_THRESHOLD = -1;
+      try {
+        const { status, body } = await postHere({ content: 'x'.repeat(11 * 1024), encrypt: false });
+        assert.equal(status, 202);
+
+        const job = await finished(body.jobId);
+        assert.equal(storedData(job.result.url).dataSize, 11 * 1024);
+      } finally {
+        arload.CONFIG.TIMEOUT_THRESHOLD = threshold;
+      }
+    });
+
+    test('failed uploads keep their error on the job', async () => {
+      const bundlers = arload.CONFIG.BUNDLERS;
+      arload.CONFIG.BUNDLERS = ['http://127.0.0.1:9/v1/tx'];
+      try {
+        const { body } = await postHere({ content: 'nowhere to go', async: 'true' });
+
+        const job = await finished(body.jobId);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error.error, 'UPLOAD_FAILED');
+        assert.equal(job.result, undefined);
+      } finally {
+        arload.CONFIG.BUNDLERS = bundlers;
+      }
+    });
+
+    test('invalid uploads are refused before they are queued', async () => {
+      const { status, body } = await postHere({ content: 'x', async: true, customKey: crypto.randomBytes(16).toString('base64') });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'INVALID_KEY');
+    });
+
+    test('async uploads without a background function are 503', async () => {
+      const { status, body } = await post({ content: 'x', async: true }, { host: '127.0.0.1:9', 'x-forwarded-proto': 'http' });
+      assert.equal(status, 503);
+      assert.equal(body.error, 'BACKGROUND_UNAVAILABLE');
+    });
+
+    test('a failed handoff leaves neither the job nor its content behind', async () => {
+      const stored = async () => {
+        const names = await Promise.all(['jobs', 'payloads'].map(sub => fs.promises.readdir(`${dir}/jobs/${sub}`).catch(() => [])));
+        return names.flat().sort();
+      };
+      const before = await stored();
+
+      const { status } = await post({ content: 'not kept', customKey: crypto.randomBytes(32).toString('base64'), async: true }, { host: '127.0.0.1:9', 'x-forwarded-proto': 'http' });
+      assert.equal(status, 503);
+      assert.deepEqual(await stored(), before);
+    });
+
+    test('cancelled jobs are not run', async () => {
+      const store = arload.createJobStore();
+      const job = { id: crypto.randomUUID(), status: 'cancelled', createdAt: Date.now() };
+      await store.saveJob(job);
+
+      const result = await background.handler({ body: JSON.stringify({ jobId: job.id }) }, {});
+      assert.equal(result.statusCode, 200);
+      assert.equal((await store.getJob(job.id)).status, 'cancelled');
+    });
+
+    test('unknown jobs are 404', async () => {
+      const { status, body } = await call({ httpMethod: 'GET', queryStringParameters: { job: crypto.randomUUID() } });
+      assert.equal(status, 404);
+      assert.equal(body.error, 'JOB_NOT_FOUND');
+    });
+
+    test('the background function needs a job ID', async () => {
+      const response = await background.handler({ body: '{}' }, {});
+      assert.equal(response.statusCode, 400);
+    });
+  });
+});
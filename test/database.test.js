@@ -0,0 +1,203 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { promisify } from 'util';
+import { DatabaseManager, UploadQueue } from '../thyra-r.js';
+import { createTempDir, waitFor } from './helpers.js';
+
+function upload(overrides = {}) {
+  const arweaveId = overrides.arweaveId || `tx-${Math.random().toString(36).slice(2)}`;
+  return {
+    id: `upload-${arweaveId}`,
+    url: `https://arweave.net/${arweaveId}`,
+    shareUrl: null,
+    timestamp: Date.now(),
+    encrypted: true,
+    size: 10,
+    note: null,
+    algorithm: 'aes-256-gcm',
+    arweaveId,
+    ...overrides
+  };
+}
+
+describe('DatabaseManager', () => {
+  let dir, db;
+
+  beforeEach(async () => {
+    dir = createTempDir();
+    db = new DatabaseManager({ database: { enabled: true, path: path.join(dir, 'uploads.db') } });
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('finds uploads by upload ID or Arweave ID', async () => {
+    await db.saveUpload(upload({ id: 'first', arweaveId: 'abc' }));
+
+    assert.equal((await db.findUpload('first')).arweave_id, 'abc');
+    assert.equal((await db.findUpload('abc')).id, 'first');
+    assert.equal(await db.findUpload('missing'), null);
+  });
+
+  test('filters and limits the upload list, newest first', async () => {
+    await db.saveUpload(upload({ id: 'old', timestamp: 1000, note: 'holiday photos' }));
+    await db.saveUpload(upload({ id: 'new', timestamp: 3000, note: 'tax return', folderId: 'folder-1' }));
+    await db.saveUpload(upload({ id: 'cbc', timestamp: 2000, algorithm: 'aes-256-cbc' }));
+
+    assert.deepEqual((await db.getUploads()).map(row => row.id), ['new', 'cbc', 'old']);
+    assert.deepEqual((await db.getUploads({ since: 2000 })).map(row => row.id), ['new', 'cbc']);
+    assert.deepEqual((await db.getUploads({ note: 'holiday' })).map(row => row.id), ['old']);
+    assert.deepEqual((await db.getUploads({ algorithm: 'aes-256-cbc' })).map(row => row.id), ['cbc']);
+    assert.deepEqual((await db.getUploads({ folderId: 'folder-1' })).map(row => row.id), ['new']);
+    assert.deepEqual((await db.getUploads({ limit: 1 })).map(row => row.id), ['new']);
+  });
+
+  test('tracks confirmation status, longest-unchecked pending uploads first', async () => {
+    await db.saveUpload(upload({ id: 'a', timestamp: 1000 }));
+    await db.saveUpload(upload({ id: 'b', timestamp: 2000 }));
+    await db.saveUpload(upload({ id: 'c', timestamp: 3000 }));
+
+    assert.equal((await db.findUpload('a')).status, 'pending');
+    assert.deepEqual((await db.getPendingUploads()).map(row => row.id), ['a', 'b', 'c']);
+
+    await db.updateUploadStatus('a', { status: 'pending', blockHeight: null, confirmations: 0 });
+    await db.updateUploadStatus('b', { status: 'confirmed', blockHeight: 42, confirmations: 12 });
+    assert.deepEqual((await db.getPendingUploads()).map(row => row.id), ['c', 'a']);
+
+    const confirmed = await db.findUpload('b');
+    assert.equal(confirmed.block_height, 42);
+    assert.equal(confirmed.confirmations, 12);
+    assert.ok(confirmed.status_checked_at);
+    assert.deepEqual((await db.getUploads({ status: 'confirmed' })).map(row => row.id), ['b']);
+  });
+
+  test('stores webhooks and filters their delivery log', async () => {
+    await db.saveWebhook({ id: 'hook', url: 'http://hook.test/', events: ['upload.accepted', 'upload.failed'], secret: 's'.repeat(32), createdAt: 1 });
+    assert.equal((await db.getWebhook('hook')).events, 'upload.accepted,upload.failed');
+
+    const delivery = (id, overrides) => ({
+      id, webhookId: 'hook', url: 'http://hook.test/', event: 'upload.accepted', uploadId: 'u1', payload: '{}',
+      status: 'pending', attempts: 0, responseStatus: null, error: null, nextAttemptAt: 0, createdAt: 1, deliveredAt: null,
+      ...overrides
+    });
+    await db.saveDelivery(delivery('d1'));
+    await db.saveDelivery(delivery('d2', { webhookId: null, uploadId: 'u2', createdAt: 2 }));
+    await db.saveDelivery(delivery('d1', { status: 'delivered', attempts: 1 }));
+
+    assert.deepEqual((await db.getDeliveries()).map(row => row.id), ['d2', 'd1']);
+    assert.deepEqual((await db.getDeliveries({ status: 'pending' })).map(row => row.id), ['d2']);
+    assert.deepEqual((await db.getDeliveries({ webhookId: 'hook' })).map(row => row.attempts), [1]);
+    assert.deepEqual((await db.getDeliveries({ uploadId: 'u2' })).map(row => row.id), ['d2']);
+
+    await db.deleteWebhook('hook');
+    assert.deepEqual(await db.getWebhooks(), []);
+  });
+
+  test('stores API keys, their daily usage and who made each upload', async () => {
+    await db.saveApiKey({ id: 'k1', name: 'ci', keyHash: 'hash', scopes: ['upload', 'list'], quotaBytesPerDay: 1000, createdAt: 1 });
+    assert.equal(await db.countApiKeys(), 1);
+    assert.equal((await db.getApiKey('k1')).scopes, 'upload,list');
+
+    assert.equal(await db.reserveApiKeyUsage('k1', '2026-01-01', 300, 1000), true);
+    assert.equal(await db.reserveApiKeyUsage('k1', '2026-01-01', 200, 1000), true);
+    assert.equal(await db.reserveApiKeyUsage('k1', '2026-01-01', 600, 1000), false);
+    assert.equal(await db.reserveApiKeyUsage('k1', '2026-01-02', 5000, null), true);
+    assert.equal(await db.getApiKeyUsage('k1', '2026-01-01'), 500);
+    await db.releaseApiKeyUsage('k1', '2026-01-01', 200);
+    assert.equal(await db.getApiKeyUsage('k1', '2026-01-01'), 300);
+    assert.equal(await db.getApiKeyUsage('k1', '2026-01-03'), 0);
+
+    await db.saveUpload(upload({ id: 'mine', apiKeyId: 'k1' }));
+    await db.saveUpload(upload({ id: 'other' }));
+    assert.deepEqual((await db.getUploads({ apiKeyId: 'k1' })).map(row => row.id), ['mine']);
+
+    await db.touchApiKey('k1');
+    await db.revokeApiKey('k1');
+    const revoked = await db.getApiKey('k1');
+    assert.ok(revoked.last_used_at);
+    assert.ok(revoked.revoked_at);
+    assert.equal(await db.countApiKeys(), 1);
+  });
+
+  test('keeps folder names unique within a parent', async () => {
+    const folder = { id: 'f1', name: 'docs', parentId: 'root', driveId: 'drive', path: '/docs', txId: 'tx1' };
+    await db.saveFolder(folder);
+    await db.saveFolder({ ...folder, id: 'f2', name: 'img', path: '/img' });
+
+    assert.equal((await db.findFolder('drive', 'root', 'docs')).id, 'f1');
+    assert.deepEqual((await db.getChildFolders('drive', 'root')).map(row => row.name), ['docs', 'img']);
+    await assert.rejects(db.saveFolder({ ...folder, id: 'f3' }), /UNIQUE/);
+  });
+});
+
+test('initialize() migrates a database from the first release', async () => {
+  const dir = createTempDir();
+  const dbPath = path.join(dir, 'uploads.db');
+
+  const legacy = new sqlite3.Database(dbPath);
+  const run = promisify(legacy.run.bind(legacy));
+  await run(`CREATE TABLE uploads (
+    id TEXT PRIMARY KEY, url TEXT NOT NULL, share_url TEXT, timestamp INTEGER,
+    encrypted BOOLEAN, size INTEGER, note TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await run(`INSERT INTO uploads (id, url, encrypted, timestamp) VALUES ('legacy', 'https://arweave.net/old-tx', 1, 1)`);
+  await promisify(legacy.close.bind(legacy))();
+
+  const db = new DatabaseManager({ database: { enabled: true, path: dbPath } });
+  await db.initialize();
+
+  const row = await db.findUpload('old-tx');
+  assert.equal(row.id, 'legacy');
+  assert.equal(row.algorithm, 'aes-256-cbc');
+  assert.equal(row.folder_id, null);
+
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a disabled database answers empty without a file', async () => {
+  const db = new DatabaseManager({ database: { enabled: false } });
+  await db.initialize();
+
+  await db.saveUpload(upload());
+  assert.deepEqual(await db.getUploads(), []);
+  assert.equal(await db.findUpload('anything'), null);
+  await db.close();
+});
+
+test('the upload queue picks up jobs left running by a restart', async () => {
+  const dir = createTempDir();
+  const db = new DatabaseManager({ database: { enabled: true, path: path.join(dir, 'uploads.db') } });
+  await db.initialize();
+
+  const spools = { serializeSpool: spool => spool, restoreSpool: spool => spool, discardSpool: async () => {} };
+  const job = {
+    id: 'interrupted', uploadId: 'u1', status: 'running', attempts: 1, maxAttempts: 3,
+    spool: { path: 'spool.tmp' }, options: { upload: {} }, result: null, error: null,
+    nextRunAt: 0, createdAt: 1, updatedAt: 1, completedAt: null
+  };
+  await db.saveJob(job);
+
+  const processed = [];
+  const queue = new UploadQueue(spools, db, async (queued, spool) => {
+    processed.push({ id: queued.id, spool });
+    return { url: 'https://arweave.net/done' };
+  }, { pollIntervalMs: 10 });
+  await queue.start();
+
+  const done = await waitFor(async () => (await queue.get('interrupted')).status === 'completed' && queue.get('interrupted'));
+  assert.deepEqual(processed, [{ id: 'interrupted', spool: { path: 'spool.tmp' } }]);
+  assert.equal(done.attempts, 2);
+  assert.equal(done.spool, null);
+  assert.equal(done.result.url, 'https://arweave.net/done');
+
+  await queue.stop();
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,114 @@
+// Shared fixtures for the test suite
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createConfig } from '../thyra-r.js';
+
+// The server narrates every request on stdout, which is also the test
+// runner's channel. Set THYRA_TEST_LOGS=1 to see it.
+if (!process.env.THYRA_TEST_LOGS) {
+  console.log = () => {};
+}
+
+export function createTempDir(prefix = 'thyra-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+// A config that keeps every file in dir and never touches the network
+export function createTestConfig(dir, overrides = {}) {
+  const config = createConfig();
+
+  return {
+    ...config,
+    port: 0,
+    apiKey: null,
+    logLevel: 'silent',
+    nodeEnv: 'test',
+    wallet: { path: path.join(dir, 'wallet.json') },
+    drive: {
+      keyPath: path.join(dir, 'drive-key.json'),
+      statePath: path.join(dir, 'drive-state.json'),
+      privacy: 'public',
+      password: null
+    },
+    database: { enabled: false, path: path.join(dir, 'uploads.db') },
+    upload: { ...config.upload, spoolDir: path.join(dir, 'spool') },
+    network: {
+      ...config.network,
+      gateways: ['http://127.0.0.1:9'],
+      bundlers: ['http://127.0.0.1:9/v1/tx'],
+      payments: ['http://127.0.0.1:9'],
+      retries: 0,
+      healthCheckIntervalMs: 0
+    },
+    confirmations: { ...config.confirmations, intervalMs: 0 },
+    jobs: { ...config.jobs, maxAttempts: 2, backoffMs: 20, pollIntervalMs: 20 },
+    webhooks: { ...config.webhooks, backoffMs: 20, timeoutMs: 2000, allowedHosts: ['127.0.0.1'] },
+    ...overrides
+  };
+}
+
+// Stands in for the bundlers: verifies each data item and keeps it in memory
+export function createFakeUploader() {
+  const items = new Map();
+
+  return {
+    items,
+    failWith: null,
+
+    async upload(createBody) {
+      if (this.failWith) {
+        throw this.failWith;
+      }
+
+      const body = await createBody();
+      const chunks = [];
+      if (Buffer.isBuffer(body)) {
+        chunks.push(body);
+      } else {
+        for await (const chunk of body) chunks.push(Buffer.from(chunk));
+      }
+
+      const { DataItem } = await import('arbundles');
+      const raw = Buffer.concat(chunks);
+      if (!await DataItem.verify(raw)) {
+        throw new Error('HTTP 400: Invalid data item signature');
+      }
+
+      const item = new DataItem(raw);
+      items.set(item.id, { data: item.rawData, tags: item.tags, owner: item.owner });
+      return { id: item.id };
+    }
+  };
+}
+
+export function tagValue(item, name) {
+  return item.tags.find(tag => tag.name === name)?.value;
+}
+
+// Encodes fields and files the way a browser would, for fastify.inject()
+export async function multipartPayload(fields = {}, files = []) {
+  const form = new FormData();
+
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  files.forEach(({ field = 'file', name, content, type = 'application/octet-stream' }) => {
+    form.append(field, new Blob([content], { type }), name);
+  });
+
+  const request = new Request('http://localhost/', { method: 'POST', body: form });
+  return {
+    payload: Buffer.from(await request.arrayBuffer()),
+    headers: { 'content-type': request.headers.get('content-type') }
+  };
+}
+
+// Polls until check() returns something truthy
+export async function waitFor(check, { timeoutMs = 5000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error('Timed out waiting');
+}
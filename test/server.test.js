@@ -0,0 +1,1135 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { start, EndpointPool, WebhookDispatcher } from '../thyra-r.js';
+import { startMockGateway } from '../thyra-mock-gateway.js';
+import { decryptWalletKeyfile, encryptWalletKeyfile, generateWallet, walletAddress } from '../thyra-core.js';
+import { createTempDir, createTestConfig, createFakeUploader, multipartPayload, tagValue, waitFor } from './helpers.js';
+
+const API_KEY = 'test-api-key';
+
+describe('API server', () => {
+  let dir, fastify, thyraCore, dbManager, uploader;
+
+  before(async () => {
+    dir = createTempDir();
+    const config = createTestConfig(dir, { apiKey: API_KEY });
+    config.database.enabled = true;
+    config.upload.maxSizeBytes = 64 * 1024;
+
+    uploader = createFakeUploader();
+    ({ fastify, thyraCore, dbManager } = await start(config, { uploader, listen: false }));
+  });
+
+  after(async () => {
+    await fastify.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const upload = async (fields, file = { name: 'hello.txt', content: 'hello thyra', type: 'text/plain' }) => {
+    const { payload, headers } = await multipartPayload(fields, file ? [file] : []);
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/api/upload',
+      headers: { ...headers, 'x-api-key': API_KEY },
+      payload
+    });
+    return { status: response.statusCode, body: response.json() };
+  };
+
+  const storedItem = (url) => uploader.items.get(url.split('/').pop());
+
+  test('initialization creates the drive through the uploader', () => {
+    assert.ok(thyraCore.initialized);
+    assert.ok(thyraCore.thyraDriveId);
+    assert.ok([...uploader.items.values()].some(item => tagValue(item, 'Entity-Type') === 'drive'));
+  });
+
+  describe('authentication', () => {
+    test('health is public', async () => {
+      const response = await fastify.inject({ method: 'GET', url: '/api/health' });
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.json().status, 'healthy');
+    });
+
+    test('API routes need the key, as X-API-Key or a bearer token', async () => {
+      assert.equal((await fastify.inject({ method: 'GET', url: '/api/uploads' })).statusCode, 401);
+      assert.equal((await fastify.inject({
+        method: 'GET', url: '/api/uploads', headers: { 'x-api-key': 'wrong' }
+      })).statusCode, 401);
+      assert.equal((await fastify.inject({
+        method: 'GET', url: '/api/uploads', headers: { 'x-api-key': API_KEY }
+      })).statusCode, 200);
+      assert.equal((await fastify.inject({
+        method: 'GET', url: '/api/uploads', headers: { authorization: `Bearer ${API_KEY}` }
+      })).statusCode, 200);
+    });
+  });
+
+  describe('uploads', () => {
+    test('random key uploads decrypt with the key in the share URL', async () => {
+      const { status, body } = await upload({});
+      assert.equal(status, 200);
+      assert.equal(body.encrypted, true);
+      assert.equal(body.algorithm, 'aes-256-gcm');
+
+      const arweaveId = body.url.split('/').pop();
+      assert.match(body.shareUrl, new RegExp(`^http://localhost(:80)?/share/${arweaveId}#decrypt=`));
+
+      const key = Buffer.from(decodeURIComponent(body.shareUrl.split('#decrypt=')[1]), 'base64');
+      const item = storedItem(body.url);
+      assert.equal((await thyraCore.decryptContent(item.data, key)).toString(), 'hello thyra');
+      assert.equal(tagValue(item, 'Original-Filename'), 'hello.txt');
+      assert.deepEqual(thyraCore.decodeEnvelope(item.data).metadata, { filename: 'hello.txt', contentType: 'text/plain' });
+    });
+
+    test('custom keys are used as given', async () => {
+      const key = crypto.randomBytes(32);
+      const { body } = await upload({ encryption: 'custom', customKey: key.toString('base64') });
+      assert.equal((await thyraCore.decryptContent(storedItem(body.url).data, key)).toString(), 'hello thyra');
+    });
+
+    test('passphrase uploads keep the key out of the share URL', async () => {
+      const { body } = await upload({ encryption: 'passphrase', passphrase: 'correct horse' });
+      assert.ok(!body.shareUrl.includes('#'));
+      assert.equal(body.keyDerivation, 'pbkdf2-sha256');
+
+      const envelope = storedItem(body.url).data;
+      const key = await thyraCore.deriveKeyFromPassphrase('correct horse', thyraCore.decodeEnvelope(envelope).metadata.kdf);
+      assert.equal((await thyraCore.decryptContent(envelope, key)).toString(), 'hello thyra');
+    });
+
+    test('unencrypted uploads are stored as sent, with their content type', async () => {
+      const { body } = await upload({ encryption: 'none' }, { name: 'page.html', content: '<h1>hi</h1>', type: 'text/html' });
+      assert.equal(body.encrypted, false);
+      assert.equal(body.shareUrl, null);
+
+      const item = storedItem(body.url);
+      assert.equal(item.data.toString(), '<h1>hi</h1>');
+      assert.equal(tagValue(item, 'Content-Type'), 'text/html');
+    });
+
+    test('JSON messages are uploaded as text', async () => {
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/api/upload',
+        headers: { 'x-api-key': API_KEY },
+        payload: { message: 'a short note', encryption: 'none', note: 'memo' }
+      });
+      assert.equal(response.statusCode, 200);
+      assert.equal(storedItem(response.json().url).data.toString(), 'a short note');
+    });
+
+    test('uploads are recorded in the database', async () => {
+      const { body } = await upload({ id: 'recorded-upload', note: 'find me' });
+      const response = await fastify.inject({
+        method: 'GET', url: '/api/uploads?note=find', headers: { 'x-api-key': API_KEY }
+      });
+      const uploads = response.json().uploads;
+      assert.equal(uploads.length, 1);
+      assert.equal(uploads[0].id, 'recorded-upload');
+      assert.equal(uploads[0].url, body.url);
+    });
+
+    test('uploads can go into a folder, created on the way', async () => {
+      const { status, body } = await upload({ folder: 'reports/2026' });
+      assert.equal(status, 200);
+
+      const response = await fastify.inject({
+        method: 'POST', url: '/api/folders', headers: { 'x-api-key': API_KEY }, payload: { path: 'reports/2026' }
+      });
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.json().folder.id, body.folderId);
+    });
+  });
+
+  describe('manifests', () => {
+    const spooled = () => fs.existsSync(`${dir}/spool`) ? fs.readdirSync(`${dir}/spool`).length : 0;
+
+    const publish = async (fields, files) => {
+      const { payload, headers } = await multipartPayload(fields, files);
+      const response = await fastify.inject({ method: 'POST', url: '/api/manifest', headers: { ...headers, 'x-api-key': API_KEY }, payload });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    const site = [
+      { field: 'index.html', name: 'index.html', content: '<link href="css/site.css">', type: 'text/html' },
+      { field: 'css/site.css', name: 'site.css', content: 'h1 { color: teal }', type: 'text/css' },
+      { field: '404.html', name: '404.html', content: 'not here', type: 'text/html' }
+    ];
+
+    test('files are published as they are behind a paths manifest', async () => {
+      const before = spooled();
+      const { status, body } = await publish({ fallback: '404.html' }, site);
+      assert.equal(status, 200);
+      assert.equal(body.index, 'index.html');
+      assert.equal(body.size, site.reduce((total, file) => total + file.content.length, 0));
+
+      for (const file of site) {
+        const item = uploader.items.get(body.files[file.field].id);
+        assert.equal(Buffer.from(item.data).toString(), file.content);
+        assert.equal(tagValue(item, 'Content-Type'), file.type);
+      }
+
+      const manifest = JSON.parse(Buffer.from(uploader.items.get(body.manifestId).data).toString());
+      assert.equal(manifest.manifest, 'arweave/paths');
+      assert.deepEqual(manifest.index, { path: 'index.html' });
+      assert.deepEqual(manifest.fallback, { id: body.files['404.html'].id });
+      assert.equal(manifest.paths['css/site.css'].id, body.files['css/site.css'].id);
+
+      assert.equal(spooled(), before);
+    });
+
+    test('bad paths, a missing index and oversized files are refused, leaving no spool behind', async () => {
+      const before = spooled();
+
+      assert.equal((await publish({ index: 'home.html' }, site)).body.error, 'INVALID_INDEX');
+      assert.equal((await publish({}, [{ ...site[0], field: '../index.html' }])).body.error, 'INVALID_PATH');
+      assert.equal((await publish({}, [site[0], site[0]])).body.error, 'INVALID_PATH');
+      assert.equal((await publish({}, [])).body.error, 'MISSING_CONTENT');
+
+      const big = await publish({}, [site[0], { field: 'big.bin', name: 'big.bin', content: crypto.randomBytes(65 * 1024) }]);
+      assert.equal(big.status, 413);
+      assert.equal(big.body.error, 'FILE_TOO_LARGE');
+
+      assert.equal(spooled(), before);
+    });
+  });
+
+  describe('content', () => {
+    let gateway, gateways;
+
+    // Serves what the fake bundler took, the way a gateway would
+    before(async () => {
+      gateway = http.createServer((req, res) => {
+        const item = uploader.items.get(req.url.slice(1));
+        res.writeHead(item ? 200 : 404, { 'Content-Type': 'application/octet-stream' });
+        res.end(item ? Buffer.from(item.data) : '');
+      });
+      await new Promise(resolve => gateway.listen(0, '127.0.0.1', resolve));
+
+      gateways = thyraCore.gateways;
+      thyraCore.gateways = new EndpointPool('gateway', [`http://127.0.0.1:${gateway.address().port}`], { retries: 0 });
+    });
+
+    after(() => {
+      thyraCore.gateways = gateways;
+      gateway.close();
+    });
+
+    const content = async (id, headers = {}) => {
+      const response = await fastify.inject({ method: 'GET', url: `/api/content/${id}`, headers: { 'x-api-key': API_KEY, ...headers } });
+      return { status: response.statusCode, headers: response.headers, body: response.body };
+    };
+
+    const downloads = () => fs.readdirSync(`${dir}/spool`).filter(name => name.startsWith('download-')).length;
+
+    test('stored uploads decrypt with their own key', async () => {
+      const { body } = await upload({});
+      const response = await content(body.id);
+      assert.equal(response.status, 200);
+      assert.equal(response.body, 'hello thyra');
+      assert.equal(response.headers['content-type'], 'text/plain');
+      assert.equal(response.headers['content-length'], '11');
+      assert.match(response.headers['content-disposition'], /filename="hello.txt"/);
+    });
+
+    test('drive uploads keep the drive key to the server and decrypt there', async () => {
+      const { status, body } = await upload({ encryption: 'drive' });
+      assert.equal(status, 200);
+      assert.match(body.shareUrl, new RegExp(`^http://localhost(:80)?/share/${body.url.split('/').pop()}$`));
+      assert.equal(body.encryptionKey, undefined);
+
+      const driveKey = thyraCore.driveKey.toString('base64');
+      const listed = await fastify.inject({ method: 'GET', url: '/api/uploads', headers: { 'x-api-key': API_KEY } });
+      assert.ok(!JSON.stringify(body).includes(driveKey));
+      assert.ok(!listed.body.includes(driveKey));
+      assert.ok(!listed.body.includes(encodeURIComponent(driveKey)));
+
+      const response = await content(body.id);
+      assert.equal(response.status, 200);
+      assert.equal(response.body, 'hello thyra');
+    });
+
+    test('ranges are served from the decrypted content', async () => {
+      const { body } = await upload({});
+
+      const partial = await content(body.id, { range: 'bytes=6-' });
+      assert.equal(partial.status, 206);
+      assert.equal(partial.body, 'thyra');
+      assert.equal(partial.headers['content-range'], 'bytes 6-10/11');
+
+      const suffix = await content(body.id, { range: 'bytes=-5' });
+      assert.equal(suffix.body, 'thyra');
+
+      const outside = await content(body.id, { range: 'bytes=20-30' });
+      assert.equal(outside.status, 416);
+      assert.equal(outside.headers['content-range'], 'bytes */11');
+    });
+
+    test('unstored uploads need the key in X-Decryption-Key', async () => {
+      const { body } = await upload({ store: 'false' });
+      const arweaveId = body.url.split('/').pop();
+      const key = decodeURIComponent(body.shareUrl.split('#decrypt=')[1]);
+
+      assert.equal((await content(arweaveId)).status, 400);
+      assert.equal(JSON.parse((await content(arweaveId)).body).error, 'KEY_REQUIRED');
+
+      const wrong = await content(arweaveId, { 'x-decryption-key': crypto.randomBytes(32).toString('base64') });
+      assert.equal(wrong.status, 422);
+      assert.equal(JSON.parse(wrong.body).error, 'DECRYPTION_FAILED');
+
+      const right = await content(arweaveId, { 'x-decryption-key': key });
+      assert.equal(right.status, 200);
+      assert.equal(right.body, 'hello thyra');
+    });
+
+    test('downloads are removed from the spool, whatever the outcome', async () => {
+      const { body } = await upload({});
+      const before = downloads();
+
+      await content(body.id);
+      await content(body.id, { range: 'bytes=0-4' });
+      await content(body.id, { range: 'bytes=99-' });
+      await content(body.url.split('/').pop(), { 'x-decryption-key': crypto.randomBytes(32).toString('base64') });
+      assert.equal((await content('a'.repeat(43))).status, 404);
+
+      await waitFor(() => downloads() === before);
+    });
+  });
+
+  describe('upload status', () => {
+    const status = async (id) => {
+      const response = await fastify.inject({
+        method: 'GET', url: `/api/uploads/${id}/status`, headers: { 'x-api-key': API_KEY }
+      });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    const withChain = async (chain, fn) => {
+      const original = thyraCore.fetchTransactionStatus;
+      thyraCore.fetchTransactionStatus = async () => chain;
+      try {
+        await fn();
+      } finally {
+        thyraCore.fetchTransactionStatus = original;
+      }
+    };
+
+    test('pending uploads are checked on request and settle once confirmed', async () => {
+      const { body: uploaded } = await upload({ id: 'status-upload' });
+
+      await withChain({ blockHeight: null, confirmations: 0 }, async () => {
+        const { body } = await status('status-upload');
+        assert.equal(body.status, 'pending');
+        assert.equal(body.tracked, true);
+        assert.equal(body.arweaveId, uploaded.url.split('/').pop());
+      });
+
+      await withChain({ blockHeight: 100, confirmations: 10 }, async () => {
+        const { body } = await status('status-upload');
+        assert.equal(body.status, 'confirmed');
+        assert.equal(body.blockHeight, 100);
+        assert.equal(body.confirmationsRequired, 10);
+      });
+
+      // Settled uploads are answered from the database
+      await withChain(null, async () => {
+        assert.equal((await status('status-upload')).body.confirmations, 10);
+      });
+    });
+
+    test('Arweave IDs outside the database are looked up live', async () => {
+      await withChain({ blockHeight: 5, confirmations: 1 }, async () => {
+        const { status: code, body } = await status('a'.repeat(43));
+        assert.equal(code, 200);
+        assert.equal(body.tracked, false);
+        assert.equal(body.status, 'pending');
+      });
+    });
+
+    test('unknown upload IDs are 404 NOT_FOUND', async () => {
+      const { status: code, body } = await status('no-such-upload');
+      assert.equal(code, 404);
+      assert.equal(body.error, 'NOT_FOUND');
+    });
+  });
+
+  describe('async uploads', () => {
+    const job = async (id, action = '') => {
+      const response = await fastify.inject({
+        method: action ? 'POST' : 'GET',
+        url: `/api/jobs/${id}${action}`,
+        headers: { 'x-api-key': API_KEY }
+      });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    const settled = (id) => waitFor(async () => {
+      const { body } = await job(id);
+      return ['completed', 'dead'].includes(body.job.status) && body.job;
+    });
+
+    const uploadAsync = async (fields) => {
+      const { payload, headers } = await multipartPayload(fields, [{ name: 'queued.txt', content: 'queued bytes', type: 'text/plain' }]);
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/api/upload?async=true',
+        headers: { ...headers, 'x-api-key': API_KEY },
+        payload
+      });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    test('answer 202 with a job that completes into the usual upload response', async () => {
+      const { status, body } = await uploadAsync({ id: 'async-upload', note: 'queued' });
+      assert.equal(status, 202);
+      assert.equal(body.id, 'async-upload');
+      assert.equal(body.statusUrl, `/api/jobs/${body.jobId}`);
+
+      const done = await settled(body.jobId);
+      assert.equal(done.status, 'completed');
+      assert.equal(done.filename, 'queued.txt');
+
+      const key = Buffer.from(decodeURIComponent(done.result.shareUrl.split('#decrypt=')[1]), 'base64');
+      assert.equal((await thyraCore.decryptContent(storedItem(done.result.url).data, key)).toString(), 'queued bytes');
+
+      const listed = await fastify.inject({ method: 'GET', url: '/api/uploads?note=queued', headers: { 'x-api-key': API_KEY } });
+      assert.equal(listed.json().uploads[0].id, 'async-upload');
+    });
+
+    test('failing jobs are retried, dead-lettered, and can be retried by hand', async () => {
+      uploader.failWith = new Error('HTTP 503: bundler down');
+      let dead;
+      try {
+        const { body } = await uploadAsync({});
+        dead = await settled(body.jobId);
+      } finally {
+        uploader.failWith = null;
+      }
+
+      assert.equal(dead.status, 'dead');
+      assert.equal(dead.attempts, 2);
+      assert.match(dead.error, /bundler down/);
+
+      // The content key waits for the retry wrapped, never as it is
+      const storedKey = JSON.parse((await dbManager.getJob(dead.id)).spool).encryptionKey;
+      assert.ok(storedKey.iv && storedKey.authTag);
+
+      assert.equal((await job(dead.id, '/retry')).status, 200);
+      const done = await settled(dead.id);
+      assert.equal(done.status, 'completed');
+      assert.equal(thyraCore.unwrapSpoolKey(storedKey).toString('base64'), decodeURIComponent(done.result.shareUrl.split('#decrypt=')[1]));
+      assert.equal((await dbManager.getJob(dead.id)).spool, null);
+      assert.equal((await job(dead.id, '/retry')).body.error, 'JOB_NOT_RETRYABLE');
+    });
+
+    test('dead jobs can be cancelled, which removes their spool', async () => {
+      uploader.failWith = new Error('HTTP 503: bundler down');
+      let dead;
+      try {
+        dead = await settled((await uploadAsync({})).body.jobId);
+      } finally {
+        uploader.failWith = null;
+      }
+
+      const spoolDir = fs.readdirSync(`${dir}/spool`);
+      assert.ok(spoolDir.length > 0);
+
+      const { body } = await job(dead.id, '/cancel');
+      assert.equal(body.job.status, 'cancelled');
+      assert.equal(fs.readdirSync(`${dir}/spool`).length, spoolDir.length - 1);
+      assert.equal((await job(dead.id, '/cancel')).body.error, 'JOB_NOT_CANCELLABLE');
+    });
+
+    test('unknown jobs are 404 JOB_NOT_FOUND', async () => {
+      const { status, body } = await job('no-such-job');
+      assert.equal(status, 404);
+      assert.equal(body.error, 'JOB_NOT_FOUND');
+    });
+  });
+
+  describe('webhooks', () => {
+    let receiver, received, failNext;
+
+    before(async () => {
+      received = [];
+      failNext = 0;
+      receiver = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        if (failNext > 0) {
+          failNext--;
+          res.writeHead(503).end();
+          return;
+        }
+        received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+        res.writeHead(204).end();
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => receiver.close());
+
+    const receiverUrl = (path) => `http://127.0.0.1:${receiver.address().port}${path}`;
+
+    const api = async (method, url, payload) => {
+      const response = await fastify.inject({ method, url, headers: { 'x-api-key': API_KEY }, payload });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    const receivedFor = (path, uploadId) => waitFor(() => received.find(request =>
+      request.path === path && JSON.parse(request.body).data.id === uploadId));
+
+    test('registered webhooks get signed upload events', async () => {
+      const { status, body } = await api('POST', '/api/webhooks', { url: receiverUrl('/hook'), events: ['upload.accepted'] });
+      assert.equal(status, 201);
+      assert.deepEqual(body.webhook.events, ['upload.accepted']);
+      assert.ok(body.secret.length >= 32);
+
+      await upload({ id: 'webhook-upload' });
+      const request = await receivedFor('/hook', 'webhook-upload');
+      const payload = JSON.parse(request.body);
+
+      assert.equal(payload.event, 'upload.accepted');
+      assert.equal(request.headers['x-thyra-event'], 'upload.accepted');
+      assert.equal(request.headers['x-thyra-delivery'], payload.id);
+      assert.equal(payload.data.shareUrl, undefined);
+
+      const expected = crypto.createHmac('sha256', body.secret)
+        .update(`${request.headers['x-thyra-timestamp']}.${request.body}`).digest('hex');
+      assert.equal(request.headers['x-thyra-signature'], `sha256=${expected}`);
+
+      const listed = await api('GET', '/api/webhooks');
+      assert.ok(listed.body.webhooks.some(webhook => webhook.id === body.webhook.id && !('secret' in webhook)));
+
+      assert.equal((await api('DELETE', `/api/webhooks/${body.webhook.id}`)).status, 200);
+      assert.equal((await api('DELETE', `/api/webhooks/${body.webhook.id}`)).body.error, 'WEBHOOK_NOT_FOUND');
+    });
+
+    test('callback URLs hear about their upload, with retries in the delivery log', async () => {
+      failNext = 2;
+      await upload({ id: 'callback-upload', callbackUrl: receiverUrl('/callback') });
+      await receivedFor('/callback', 'callback-upload');
+
+      const { body } = await waitFor(async () => {
+        const response = await api('GET', '/api/webhooks/deliveries?uploadId=callback-upload');
+        return response.body.deliveries[0]?.status === 'delivered' && response;
+      });
+      const [delivery] = body.deliveries;
+      assert.equal(delivery.webhookId, null);
+      assert.equal(delivery.event, 'upload.accepted');
+      assert.equal(delivery.attempts, 3);
+      assert.equal(delivery.responseStatus, 204);
+    });
+
+    test('failed uploads are reported to their callback URL', async () => {
+      uploader.failWith = new Error('HTTP 503: bundler down');
+      try {
+        await upload({ id: 'failed-upload', callbackUrl: receiverUrl('/callback') });
+      } finally {
+        uploader.failWith = null;
+      }
+
+      const payload = JSON.parse((await receivedFor('/callback', 'failed-upload')).body);
+      assert.equal(payload.event, 'upload.failed');
+      assert.match(payload.data.error, /bundler down/);
+    });
+
+    test('bad URLs and events are refused', async () => {
+      assert.equal((await api('POST', '/api/webhooks', { url: 'ftp://example.com' })).body.error, 'INVALID_URL');
+      assert.equal((await api('POST', '/api/webhooks', { url: receiverUrl('/'), events: ['upload.deleted'] })).body.error, 'INVALID_EVENT');
+      assert.equal((await api('POST', '/api/webhooks', { url: receiverUrl('/'), secret: 'short' })).body.error, 'WEAK_SECRET');
+      assert.equal((await upload({ callbackUrl: 'not a url' })).body.error, 'INVALID_CALLBACK_URL');
+    });
+
+    test('the local network is refused unless its host is allowed', async () => {
+      for (const url of ['http://localhost:8080/', 'http://169.254.169.254/latest', 'http://10.1.2.3/', 'http://[::1]/', 'http://[::ffff:192.168.0.1]/']) {
+        assert.equal((await api('POST', '/api/webhooks', { url })).body.error, 'INVALID_URL', url);
+      }
+      assert.equal((await upload({ callbackUrl: 'http://192.168.1.1/hook' })).body.error, 'INVALID_CALLBACK_URL');
+
+      assert.equal((await api('POST', '/api/webhooks', { url: 'http://thyra.localhost/hook' })).body.error, 'INVALID_URL');
+
+      // Other names are only known to be local once they are resolved
+      const dispatcher = new WebhookDispatcher(dbManager, { allowedHosts: ['hooks.internal'] });
+      dispatcher.resolve = async () => [{ address: '93.184.215.14' }, { address: '10.0.0.5' }];
+      await assert.rejects(dispatcher.checkTarget('https://hooks.example/in'), { errorCode: 'WEBHOOK_TARGET_REFUSED' });
+      await dispatcher.checkTarget('https://hooks.internal/in');
+
+      dispatcher.resolve = async () => [{ address: '93.184.215.14' }];
+      await dispatcher.checkTarget('https://hooks.example/in');
+    });
+
+    test('deliveries go to the address that was checked, without resolving the name again', async () => {
+      const dispatcher = new WebhookDispatcher(dbManager, { allowedHosts: ['hooks.test'] });
+      let lookups = 0;
+      dispatcher.resolve = async () => {
+        lookups++;
+        return lookups === 1 ? [{ address: '127.0.0.1', family: 4 }] : [{ address: '10.255.255.1', family: 4 }];
+      };
+
+      try {
+        await dispatcher.emit('upload.accepted', { id: 'pinned-upload' }, { callbackUrl: `http://hooks.test:${receiver.address().port}/pinned` });
+        const request = await receivedFor('/pinned', 'pinned-upload');
+        assert.equal(request.headers.host, `hooks.test:${receiver.address().port}`);
+        assert.equal(lookups, 1);
+      } finally {
+        await dispatcher.stop();
+      }
+    });
+  });
+
+  describe('API keys', () => {
+    const createKey = async (body) => {
+      const response = await fastify.inject({ method: 'POST', url: '/api/keys', headers: { 'x-api-key': API_KEY }, payload: body });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    const uploadAs = async (secret, message) => {
+      const response = await fastify.inject({
+        method: 'POST', url: '/api/upload', headers: { 'x-api-key': secret }, payload: { message, note: 'keyed' }
+      });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    test('created keys authenticate and only reach their scopes', async () => {
+      const created = await createKey({ name: 'reader', scopes: ['list'] });
+      assert.equal(created.status, 201);
+      assert.deepEqual(created.body.key.scopes, ['list']);
+      assert.match(created.body.secret, new RegExp(`^${created.body.key.prefix}_`));
+
+      const secret = created.body.secret;
+      const get = url => fastify.inject({ method: 'GET', url, headers: { authorization: `Bearer ${secret}` } });
+      assert.equal((await get('/api/uploads')).statusCode, 200);
+      assert.equal((await get('/api/wallet/address')).json().error, 'FORBIDDEN');
+      assert.equal((await get('/api/keys')).statusCode, 403);
+      assert.equal((await uploadAs(secret, 'not allowed')).status, 403);
+
+      const listed = (await fastify.inject({ method: 'GET', url: '/api/keys', headers: { 'x-api-key': API_KEY } })).json();
+      assert.ok(listed.keys.find(key => key.id === created.body.key.id).lastUsedAt);
+      assert.ok(listed.keys.every(key => !('secret' in key) && !('keyHash' in key)));
+    });
+
+    test('revoked keys and tampered secrets are refused', async () => {
+      const { body } = await createKey({ name: 'temporary' });
+      assert.equal((await fastify.inject({ method: 'GET', url: '/api/uploads', headers: { 'x-api-key': `${body.secret}x` } })).statusCode, 401);
+
+      const revoked = await fastify.inject({ method: 'POST', url: `/api/keys/${body.key.id}/revoke`, headers: { 'x-api-key': API_KEY } });
+      assert.ok(revoked.json().key.revokedAt);
+      assert.equal((await fastify.inject({ method: 'GET', url: '/api/uploads', headers: { 'x-api-key': body.secret } })).statusCode, 401);
+
+      const missing = await fastify.inject({ method: 'POST', url: '/api/keys/0000000000000000/revoke', headers: { 'x-api-key': API_KEY } });
+      assert.equal(missing.json().error, 'KEY_NOT_FOUND');
+    });
+
+    test('uploads are listed for the key that made them, all of them for admin', async () => {
+      const alice = (await createKey({ name: 'alice' })).body.secret;
+      const bob = (await createKey({ name: 'bob' })).body.secret;
+      const aliceUpload = (await uploadAs(alice, 'from alice')).body;
+      const bobUpload = (await uploadAs(bob, 'from bob')).body;
+
+      const list = async secret => (await fastify.inject({ method: 'GET', url: '/api/uploads?note=keyed', headers: { 'x-api-key': secret } }))
+        .json().uploads.map(row => row.id);
+      assert.deepEqual(await list(alice), [aliceUpload.id]);
+      assert.deepEqual(await list(bob), [bobUpload.id]);
+      assert.deepEqual((await list(API_KEY)).sort(), [aliceUpload.id, bobUpload.id].sort());
+    });
+
+    test('folder listings only show the uploads of the key asking', async () => {
+      const alice = (await createKey({ name: 'alice-folders' })).body.secret;
+      const bob = (await createKey({ name: 'bob-folders' })).body.secret;
+      const folderUpload = async secret => (await fastify.inject({
+        method: 'POST', url: '/api/upload', headers: { 'x-api-key': secret }, payload: { message: 'filed', folder: 'shared/inbox' }
+      })).json();
+      const aliceUpload = await folderUpload(alice);
+      const bobUpload = await folderUpload(bob);
+      assert.equal(aliceUpload.folderId, bobUpload.folderId);
+
+      const list = async secret => (await fastify.inject({
+        method: 'GET', url: `/api/folders/${aliceUpload.folderId}`, headers: { 'x-api-key': secret }
+      })).json().uploads;
+      assert.deepEqual((await list(alice)).map(row => row.id), [aliceUpload.id]);
+      assert.deepEqual((await list(bob)).map(row => row.id), [bobUpload.id]);
+
+      const all = await list(API_KEY);
+      assert.deepEqual(all.map(row => row.id).sort(), [aliceUpload.id, bobUpload.id].sort());
+      assert.equal(all.find(row => row.id === aliceUpload.id).shareUrl, aliceUpload.shareUrl);
+      assert.ok(all.every(row => !('api_key_id' in row) && !('callback_url' in row) && !('apiKeyId' in row)));
+    });
+
+    test('an upload ID another key has taken is 409 UPLOAD_EXISTS and leaves its row alone', async () => {
+      const alice = (await createKey({ name: 'alice-ids' })).body.secret;
+      const bob = (await createKey({ name: 'bob-ids' })).body.secret;
+      const uploadWithId = async (secret, message) => {
+        const response = await fastify.inject({
+          method: 'POST', url: '/api/upload', headers: { 'x-api-key': secret }, payload: { id: 'claimed-id', message, note: 'claimed' }
+        });
+        return { status: response.statusCode, body: response.json() };
+      };
+
+      const original = await uploadWithId(alice, 'first');
+      assert.equal(original.status, 200);
+
+      const stored = uploader.items.size;
+      const taken = await uploadWithId(bob, 'second');
+      assert.equal(taken.status, 409);
+      assert.equal(taken.body.error, 'UPLOAD_EXISTS');
+      assert.equal(uploader.items.size, stored);
+
+      // A race past the check is caught by the database
+      await assert.rejects(dbManager.saveUpload({ id: 'claimed-id', url: 'https://arweave.net/other', timestamp: Date.now() }), { errorCode: 'UPLOAD_EXISTS' });
+
+      const listed = (await fastify.inject({ method: 'GET', url: '/api/uploads?note=claimed', headers: { 'x-api-key': alice } })).json().uploads;
+      assert.deepEqual(listed.map(row => [row.id, row.url]), [['claimed-id', original.body.url]]);
+    });
+
+    test('jobs, content and status of other keys\' uploads are 404', async () => {
+      const alice = (await createKey({ name: 'alice-jobs' })).body.secret;
+      const bob = (await createKey({ name: 'bob-jobs' })).body.secret;
+      const as = async (secret, method, url, payload) => {
+        const response = await fastify.inject({ method, url, headers: { 'x-api-key': secret }, payload });
+        return { status: response.statusCode, body: response.json() };
+      };
+
+      const upload = (await uploadAs(alice, 'alice only')).body;
+      const arweaveId = upload.url.split('/').pop();
+      const { jobId } = (await as(alice, 'POST', '/api/upload?async=true', { message: 'alice queued' })).body;
+
+      assert.equal((await as(alice, 'GET', `/api/jobs/${jobId}`)).status, 200);
+      assert.equal((await as(API_KEY, 'GET', `/api/jobs/${jobId}`)).status, 200);
+      assert.deepEqual((await as(alice, 'GET', '/api/jobs')).body.jobs.map(job => job.id), [jobId]);
+
+      assert.equal((await as(bob, 'GET', `/api/jobs/${jobId}`)).body.error, 'JOB_NOT_FOUND');
+      assert.equal((await as(bob, 'POST', `/api/jobs/${jobId}/cancel`)).body.error, 'JOB_NOT_FOUND');
+      assert.equal((await as(bob, 'POST', `/api/jobs/${jobId}/retry`)).body.error, 'JOB_NOT_FOUND');
+      assert.deepEqual((await as(bob, 'GET', '/api/jobs')).body.jobs, []);
+
+      for (const url of [`/api/content/${upload.id}`, `/api/content/${arweaveId}`, `/api/uploads/${upload.id}/status`, `/api/drive/decrypt/${arweaveId}`]) {
+        assert.equal((await as(bob, 'GET', url)).status, 404, url);
+      }
+    });
+
+    test('uploads past the daily quota are 429 QUOTA_EXCEEDED', async () => {
+      const { body } = await createKey({ name: 'metered', quotaBytesPerDay: 400 });
+
+      assert.equal((await uploadAs(body.secret, 'a'.repeat(100))).status, 200);
+      const refused = await uploadAs(body.secret, 'b'.repeat(301));
+      assert.equal(refused.status, 429);
+      assert.equal(refused.body.error, 'QUOTA_EXCEEDED');
+
+      const listed = (await fastify.inject({ method: 'GET', url: '/api/keys', headers: { 'x-api-key': API_KEY } })).json();
+      assert.equal(listed.keys.find(key => key.id === body.key.id).usedToday, 100);
+    });
+
+    test('quota is taken when an upload is accepted and given back when it fails', async () => {
+      const { body } = await createKey({ name: 'reserved', quotaBytesPerDay: 500 });
+      const usedToday = async () => (await fastify.inject({ method: 'GET', url: '/api/keys', headers: { 'x-api-key': API_KEY } }))
+        .json().keys.find(key => key.id === body.key.id).usedToday;
+
+      const racing = await Promise.all([uploadAs(body.secret, 'a'.repeat(300)), uploadAs(body.secret, 'b'.repeat(300))]);
+      assert.deepEqual(racing.map(response => response.status).sort(), [200, 429]);
+      assert.equal(await usedToday(), 300);
+
+      uploader.failWith = new Error('HTTP 503: bundler down');
+      try {
+        assert.equal((await uploadAs(body.secret, 'c'.repeat(100))).status, 500);
+      } finally {
+        uploader.failWith = null;
+      }
+      assert.equal(await usedToday(), 300);
+
+      const queue = message => fastify.inject({
+        method: 'POST', url: '/api/upload?async=true', headers: { 'x-api-key': body.secret }, payload: { message }
+      });
+      assert.equal((await queue('d'.repeat(150))).statusCode, 202);
+      assert.equal((await queue('e'.repeat(150))).json().error, 'QUOTA_EXCEEDED');
+      assert.equal(await usedToday(), 450);
+    });
+
+    test('manifests count against the quota and are listed for their key', async () => {
+      const { body } = await createKey({ name: 'publisher', quotaBytesPerDay: 200 });
+      const publish = async (content) => {
+        const { payload, headers } = await multipartPayload({}, [{ field: 'index.html', name: 'index.html', content, type: 'text/html' }]);
+        const response = await fastify.inject({ method: 'POST', url: '/api/manifest', headers: { ...headers, 'x-api-key': body.secret }, payload });
+        return { status: response.statusCode, body: response.json() };
+      };
+
+      const published = await publish('<h1>hello</h1>');
+      assert.equal(published.status, 200);
+      const listed = await fastify.inject({ method: 'GET', url: '/api/uploads', headers: { 'x-api-key': body.secret } });
+      assert.deepEqual(listed.json().uploads.map(row => row.id), [published.body.id]);
+
+      assert.equal((await publish('x'.repeat(300))).body.error, 'QUOTA_EXCEEDED');
+    });
+
+    test('invalid names, scopes and quotas are refused', async () => {
+      assert.equal((await createKey({ scopes: ['list'] })).body.error, 'INVALID_NAME');
+      assert.equal((await createKey({ name: 'x', scopes: ['root'] })).body.error, 'INVALID_SCOPE');
+      assert.equal((await createKey({ name: 'x', quotaBytesPerDay: -5 })).body.error, 'INVALID_QUOTA');
+    });
+  });
+
+  describe('wallet export', () => {
+    const exportWallet = async (payload, apiKey = API_KEY) => {
+      const response = await fastify.inject({ method: 'POST', url: '/api/wallet/export', headers: { 'x-api-key': apiKey }, payload });
+      return { status: response.statusCode, headers: response.headers, body: response.json() };
+    };
+
+    test('answers with a keyfile that opens with the passphrase, and audits it', async () => {
+      const response = await exportWallet({ passphrase: 'correct horse battery' });
+      assert.equal(response.status, 200);
+      assert.match(response.headers['content-disposition'], /^attachment; filename="thyra-wallet-/);
+      assert.deepEqual(await decryptWalletKeyfile(response.body, 'correct horse battery'), thyraCore.arweaveJWK);
+
+      const { events } = (await fastify.inject({ method: 'GET', url: '/api/audit?event=wallet.export', headers: { 'x-api-key': API_KEY } })).json();
+      assert.equal(events[0].apiKeyName, 'API_KEY');
+      assert.deepEqual(events[0].details, { format: 'encrypted', outcome: 'exported', address: response.body.address });
+    });
+
+    test('needs a wallet:export key and a passphrase, and refuses paths', async () => {
+      const created = await fastify.inject({
+        method: 'POST', url: '/api/keys', headers: { 'x-api-key': API_KEY }, payload: { name: 'wallet reader', scopes: ['wallet:read', 'upload', 'list'] }
+      });
+      assert.equal((await exportWallet({ passphrase: 'correct horse battery' }, created.json().secret)).status, 403);
+
+      const exporter = await fastify.inject({
+        method: 'POST', url: '/api/keys', headers: { 'x-api-key': API_KEY }, payload: { name: 'wallet exporter', scopes: ['wallet:export'] }
+      });
+      assert.equal(exporter.statusCode, 201);
+      const exported = await exportWallet({ passphrase: 'correct horse battery' }, exporter.json().secret);
+      assert.equal(exported.status, 200);
+      assert.deepEqual(await decryptWalletKeyfile(exported.body, 'correct horse battery'), thyraCore.arweaveJWK);
+      assert.equal((await exportWallet({})).body.error, 'WEAK_PASSPHRASE');
+      assert.equal((await exportWallet({ path: '/tmp/stolen.json' })).body.error, 'INVALID_EXPORT');
+
+      const { events } = (await fastify.inject({ method: 'GET', url: '/api/audit?limit=3', headers: { 'x-api-key': API_KEY } })).json();
+      assert.deepEqual(events.map(event => event.details.error), ['INVALID_EXPORT', 'WEAK_PASSPHRASE', undefined]);
+    });
+
+    test('server backups stay inside the backup directory', async () => {
+      assert.equal((await exportWallet({ format: 'backup' })).body.error, 'BACKUP_DIR_NOT_CONFIGURED');
+
+      thyraCore.config.wallet.backupDir = path.join(dir, 'backups');
+      try {
+        assert.equal((await exportWallet({ format: 'backup', filename: '../escape.json' })).body.error, 'INVALID_FILENAME');
+
+        const backup = await exportWallet({ format: 'backup', filename: 'nightly.json', passphrase: 'correct horse battery' });
+        assert.equal(backup.body.walletPath, path.join(dir, 'backups', 'nightly.json'));
+        assert.equal(backup.body.encrypted, true);
+        assert.equal(fs.statSync(backup.body.walletPath).mode & 0o777, 0o600);
+
+        assert.equal((await exportWallet({ format: 'backup', filename: 'nightly.json' })).status, 409);
+        assert.ok(!fs.existsSync(path.join(dir, 'escape.json')));
+      } finally {
+        thyraCore.config.wallet.backupDir = null;
+      }
+    });
+  });
+
+  describe('drive key', () => {
+    const driveKey = async (method, payload, apiKey = API_KEY) => {
+      const response = await fastify.inject({ method, url: '/api/drive/key', headers: { 'x-api-key': apiKey }, payload });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    test('exports need an admin key and are audited', async () => {
+      const exported = await driveKey('GET');
+      assert.equal(exported.status, 200);
+      assert.equal(Buffer.from(exported.body.key, 'base64').length, 32);
+
+      const reader = (await fastify.inject({
+        method: 'POST', url: '/api/keys', headers: { 'x-api-key': API_KEY }, payload: { name: 'drive-reader', scopes: ['list', 'wallet:read'] }
+      })).json().secret;
+      assert.equal((await driveKey('GET', undefined, reader)).status, 403);
+
+      const events = (await fastify.inject({ method: 'GET', url: '/api/audit?event=drive_key.export', headers: { 'x-api-key': API_KEY } })).json().events;
+      assert.equal(events[0].details.outcome, 'exported');
+      assert.equal(events[0].details.fingerprint, exported.body.fingerprint);
+    });
+
+    test('an import that cannot be saved fails and keeps the old key', async () => {
+      const before = (await driveKey('GET')).body;
+      const keyPath = thyraCore.config.drive.keyPath;
+      thyraCore.config.drive.keyPath = path.join(dir, 'missing', 'drive-key.json');
+      try {
+        const failed = await driveKey('POST', { key: crypto.randomBytes(32).toString('base64'), force: true });
+        assert.equal(failed.status, 500);
+        assert.equal(failed.body.error, 'DRIVE_KEY_NOT_SAVED');
+      } finally {
+        thyraCore.config.drive.keyPath = keyPath;
+      }
+      assert.equal((await driveKey('GET')).body.key, before.key);
+    });
+  });
+
+  describe('named wallets', () => {
+    const api = async (method, url, payload, apiKey = API_KEY) => {
+      const response = await fastify.inject({ method, url, headers: { 'x-api-key': apiKey }, payload });
+      return { status: response.statusCode, body: response.json() };
+    };
+
+    const ownerAddress = (url) => walletAddress({ n: storedItem(url).owner });
+
+    test('uploads are signed by the wallet they name', async () => {
+      const created = await api('POST', '/api/wallets', { name: 'team-a' });
+      assert.equal(created.status, 201);
+      const { address } = created.body.wallet;
+
+      const { wallets } = (await api('GET', '/api/wallets')).body;
+      assert.deepEqual(wallets.map(wallet => wallet.name), ['default', 'team-a']);
+      assert.equal((await api('GET', '/api/wallet/address?wallet=team-a')).body.address, address);
+
+      const message = await api('POST', '/api/upload', { message: 'signed by team a', wallet: 'team-a', note: 'team-a upload' });
+      assert.equal(message.body.walletAddress, address);
+      assert.equal(ownerAddress(message.body.url), address);
+
+      const file = await upload({ wallet: 'team-a' });
+      assert.equal(ownerAddress(file.body.url), address);
+
+      const plain = await upload({});
+      assert.equal(ownerAddress(plain.body.url), walletAddress(thyraCore.arweaveJWK));
+
+      const listed = (await api('GET', '/api/uploads?note=team-a')).body.uploads;
+      assert.equal(listed[0].wallet_address, address);
+
+      const unknown = await api('POST', '/api/upload', { message: 'nobody', wallet: 'team-z' });
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.error, 'WALLET_NOT_FOUND');
+    });
+
+    test('rotation signs new uploads with a new wallet and keeps the old one', async () => {
+      const rotated = await api('POST', '/api/wallets/team-a/rotate', {});
+      assert.equal(rotated.status, 200);
+      const { wallet, retired } = rotated.body;
+      assert.notEqual(wallet.address, retired.address);
+
+      const { wallets } = (await api('GET', '/api/wallets')).body;
+      assert.ok(wallets.find(entry => entry.address === retired.address).retiredAt);
+
+      const after = await api('POST', '/api/upload', { message: 'after rotation', wallet: 'team-a' });
+      assert.equal(ownerAddress(after.body.url), wallet.address);
+      assert.equal(walletAddress(await thyraCore.wallets.loadWallet(retired.address)), retired.address);
+
+      assert.equal((await api('POST', '/api/wallets/team-z/rotate', {})).body.error, 'WALLET_NOT_FOUND');
+      const { events } = (await api('GET', '/api/audit?event=wallet.rotate')).body;
+      assert.equal(events[0].details.retired, retired.address);
+    });
+
+    test('imports JWKs and keyfiles, refusing duplicates and bad keys', async () => {
+      const jwk = await generateWallet();
+      const imported = await api('POST', '/api/wallets', { name: 'team-b', jwk });
+      assert.equal(imported.status, 201);
+      assert.equal(imported.body.wallet.address, walletAddress(jwk));
+
+      const keyfile = await encryptWalletKeyfile(jwk, 'correct horse battery', { N: 1024 });
+      const again = await api('POST', '/api/wallets', { name: 'team-c', keyfile, passphrase: 'correct horse battery' });
+      assert.equal(again.status, 409);
+      assert.match(again.body.message, /already stored as team-b/);
+
+      assert.equal((await api('POST', '/api/wallets', { name: 'team-c', keyfile, passphrase: 'wrong horse battery' })).body.error, 'DECRYPTION_FAILED');
+      assert.equal((await api('POST', '/api/wallets', { name: 'mine', jwk: thyraCore.arweaveJWK })).body.error, 'WALLET_EXISTS');
+      assert.equal((await api('POST', '/api/wallets', { name: 'team-c', jwk: { kty: 'RSA', n: 'AQAB', e: 'AQAB' } })).body.error, 'INVALID_WALLET');
+      assert.equal((await api('POST', '/api/wallets', { name: 'Team C', jwk })).body.error, 'INVALID_WALLET_NAME');
+    });
+
+    test('keys only sign with the named wallets they were given', async () => {
+      const teamA = (await api('POST', '/api/keys', { name: 'team-a-ci', scopes: ['upload'], wallets: 'team-a' })).body;
+      assert.deepEqual(teamA.key.wallets, ['team-a']);
+      const other = (await api('POST', '/api/keys', { name: 'other-ci', scopes: ['upload'] })).body.secret;
+
+      assert.equal((await api('POST', '/api/upload', { message: 'a', wallet: 'team-a' }, teamA.secret)).status, 200);
+      assert.equal((await api('POST', '/api/upload', { message: 'b', wallet: 'team-b' }, teamA.secret)).body.error, 'WALLET_FORBIDDEN');
+      assert.equal((await api('POST', '/api/upload', { message: 'c', wallet: 'team-a' }, other)).status, 403);
+      assert.equal((await api('POST', '/api/upload?async=true', { message: 'd', wallet: 'team-a' }, other)).status, 403);
+      assert.equal((await api('POST', '/api/upload', { message: 'e' }, other)).status, 200);
+
+      assert.equal((await api('POST', '/api/keys', { name: 'bad', wallets: ['Team A'] })).body.error, 'INVALID_WALLET_NAME');
+    });
+
+    test('listing needs wallet:read, adding needs admin', async () => {
+      const key = await api('POST', '/api/keys', { name: 'auditor', scopes: ['wallet:read'] });
+      assert.equal((await api('GET', '/api/wallets', undefined, key.body.secret)).status, 200);
+      assert.equal((await api('POST', '/api/wallets', { name: 'sneaky' }, key.body.secret)).status, 403);
+    });
+  });
+
+  describe('upload errors', () => {
+    const cases = [
+      ['an unknown encryption mode', { encryption: 'rot13' }, 400, 'INVALID_ENCRYPTION'],
+      ['a short passphrase', { encryption: 'passphrase', passphrase: 'short' }, 400, 'WEAK_PASSPHRASE'],
+      ['a custom key of the wrong length', { encryption: 'custom', customKey: 'dG9vIHNob3J0' }, 400, 'INVALID_KEY']
+    ];
+
+    for (const [name, fields, status, error] of cases) {
+      test(`${name} is ${status} ${error}`, async () => {
+        const response = await upload(fields);
+        assert.equal(response.status, status);
+        assert.equal(response.body.error, error);
+      });
+    }
+
+    test('a request without a file is 400 MISSING_CONTENT', async () => {
+      const response = await upload({ note: 'no file' }, null);
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'MISSING_CONTENT');
+    });
+
+    test('encryption fields after the file are 400 INVALID_FIELD_ORDER', async () => {
+      const form = new FormData();
+      form.append('file', new Blob(['late fields']), 'late.txt');
+      form.append('encryption', 'none');
+      const request = new Request('http://localhost/', { method: 'POST', body: form });
+
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/api/upload',
+        headers: { 'content-type': request.headers.get('content-type'), 'x-api-key': API_KEY },
+        payload: Buffer.from(await request.arrayBuffer())
+      });
+      assert.equal(response.statusCode, 400);
+      assert.equal(response.json().error, 'INVALID_FIELD_ORDER');
+    });
+
+    test('files over the size limit are 413 FILE_TOO_LARGE', async () => {
+      const response = await upload({}, { name: 'big.bin', content: crypto.randomBytes(65 * 1024) });
+      assert.equal(response.status, 413);
+      assert.equal(response.body.error, 'FILE_TOO_LARGE');
+    });
+
+    test('a bundler failure is 500 UPLOAD_FAILED', async () => {
+      uploader.failWith = new Error('HTTP 503: bundler down');
+      try {
+        const response = await upload({});
+        assert.equal(response.status, 500);
+        assert.equal(response.body.error, 'UPLOAD_FAILED');
+        assert.match(response.body.message, /bundler down/);
+      } finally {
+        uploader.failWith = null;
+      }
+    });
+  });
+});
+
+test('without API_KEY the API is open until the first key is created', async () => {
+  const dir = createTempDir();
+  const config = createTestConfig(dir);
+  config.database.enabled = true;
+  const { fastify } = await start(config, { uploader: createFakeUploader(), listen: false });
+
+  try {
+    assert.equal((await fastify.inject({ method: 'GET', url: '/api/uploads' })).statusCode, 200);
+    assert.equal((await fastify.inject({ method: 'POST', url: '/api/wallet/export', payload: { passphrase: 'correct horse battery' } })).statusCode, 403);
+    assert.equal((await fastify.inject({ method: 'GET', url: '/api/drive/key' })).statusCode, 403);
+
+    const created = await fastify.inject({ method: 'POST', url: '/api/keys', payload: { name: 'owner', scopes: 'admin' } });
+    assert.equal(created.statusCode, 201);
+
+    assert.equal((await fastify.inject({ method: 'GET', url: '/api/uploads' })).statusCode, 401);
+    assert.equal((await fastify.inject({
+      method: 'GET', url: '/api/keys', headers: { 'x-api-key': created.json().secret }
+    })).statusCode, 200);
+  } finally {
+    await fastify.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('wallet balances come from the gateway and the payment service', async () => {
+  const dir = createTempDir();
+  const gateway = await startMockGateway({ port: 0, dataDir: path.join(dir, 'gateway') });
+  const config = createTestConfig(dir);
+  config.network = { ...config.network, gateways: [gateway.url], payments: [gateway.url] };
+  const { fastify, thyraCore } = await start(config, { uploader: createFakeUploader(), listen: false });
+
+  const balance = async (query = '') => {
+    const response = await fastify.inject({ method: 'GET', url: `/api/wallet/balance${query}` });
+    return { status: response.statusCode, body: response.json() };
+  };
+
+  try {
+    // A wallet that never topped up is unknown to the payment service
+    const empty = (await balance()).body;
+    assert.equal(empty.bytes, 1024 * 1024);
+    assert.equal(empty.ar.winston, '0');
+    assert.equal(empty.turbo.winc, '0');
+    assert.equal(empty.turbo.uploadsRemaining, 0);
+
+    const address = await thyraCore.getWalletAddress();
+    gateway.store.balances.set(address, { winston: '2500000000000', winc: '1000000000000' });
+
+    const { body } = await balance('?bytes=1000000');
+    assert.equal(body.address, address);
+    assert.deepEqual(body.ar, { winston: '2500000000000', ar: '2.5', priceWinston: '1000000000', uploadsRemaining: 2500 });
+    assert.deepEqual(body.turbo, { winc: '1000000000000', credits: '1', priceWinc: '800000000', uploadsRemaining: 1250 });
+
+    assert.equal((await balance('?bytes=-5')).body.error, 'INVALID_BYTES');
+    assert.equal((await balance('?wallet=team-z')).body.error, 'WALLET_NOT_FOUND');
+
+    thyraCore.payments = new EndpointPool('payment service', ['http://127.0.0.1:9'], { retries: 0 });
+    const partial = (await balance()).body;
+    assert.equal(partial.ar.ar, '2.5');
+    assert.match(partial.turbo.error, /payment service/);
+  } finally {
+    await fastify.close();
+    await gateway.fastify.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('private drive uploads have no share link and read back through /api/content', async () => {
+  const dir = createTempDir();
+  const gateway = await startMockGateway({ port: 0, dataDir: path.join(dir, 'gateway') });
+  const config = createTestConfig(dir);
+  config.database.enabled = true;
+  config.drive = { ...config.drive, privacy: 'private', password: 'drive password' };
+  config.network = { ...config.network, gateways: [gateway.url], bundlers: [`${gateway.url}/v1/tx`], payments: [gateway.url] };
+  const { fastify, thyraCore } = await start(config, { listen: false });
+
+  const upload = async () => {
+    const { payload, headers } = await multipartPayload({}, [{ name: 'secret.txt', content: 'drive secret', type: 'text/plain' }]);
+    const response = await fastify.inject({ method: 'POST', url: '/api/upload', headers, payload });
+    return { status: response.statusCode, body: response.json() };
+  };
+
+  try {
+    assert.ok(thyraCore.arfsDriveKey);
+
+    const { status, body } = await upload();
+    assert.equal(status, 200);
+    assert.equal(body.shareUrl, null);
+    assert.ok(body.fileId);
+
+    const content = await fastify.inject({ method: 'GET', url: `/api/content/${body.id}`, headers: { 'x-decryption-key': body.encryptionKey } });
+    assert.equal(content.statusCode, 200);
+    assert.equal(content.body, 'drive secret');
+
+    // Without its file entity the data can't be found or decrypted on the drive
+    thyraCore.uploadArFSEntity = async () => { throw new Error('HTTP 503: bundler down'); };
+    const failed = await upload();
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.error, 'FILE_METADATA_FAILED');
+    assert.match(failed.body.message, /bundler down/);
+  } finally {
+    await fastify.close();
+    await gateway.fastify.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('webhook routes need the database', async () => {
+  const dir = createTempDir();
+  const { fastify } = await start(createTestConfig(dir), { uploader: createFakeUploader(), listen: false });
+
+  try {
+    const response = await fastify.inject({ method: 'DELETE', url: '/api/webhooks/some-hook' });
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.json().error, 'DATABASE_DISABLED');
+  } finally {
+    await fastify.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,454 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+  encryptContent,
+  decryptEnvelope,
+  parseEncryptionKey,
+  detectContentType,
+  createShareUrl,
+  parseShareUrl,
+  parseUrlList,
+  walletAddress,
+  encryptWalletKeyfile,
+  decryptWalletKeyfile,
+  FileWalletProvider,
+  EphemeralWalletProvider,
+  WalletStore,
+  generateWallet
+} from '../thyra-core.js';
+import { ThyraAPICore, EndpointPool, ConfirmationWorker } from '../thyra-r.js';
+import { createTempDir } from './helpers.js';
+
+describe('envelope encryption', () => {
+  const core = new ThyraAPICore();
+
+  test('round-trips content and metadata through a binary envelope', async () => {
+    const key = crypto.randomBytes(32);
+    const metadata = core.createEnvelopeMetadata('notes.txt', 'text/plain');
+    const envelope = await core.encryptContent('hello thyra', key, metadata);
+
+    assert.ok(core.isBinaryEnvelope(envelope));
+    const decoded = core.decodeEnvelope(envelope);
+    assert.equal(decoded.algorithm, 'aes-256-gcm');
+    assert.deepEqual(decoded.metadata, { filename: 'notes.txt', contentType: 'text/plain' });
+    assert.equal(decoded.authTag.length, 16);
+
+    assert.equal((await core.decryptContent(envelope, key)).toString(), 'hello thyra');
+  });
+
+  test('streamed encryption produces an envelope decryptContent accepts', async () => {
+    const key = crypto.randomBytes(32);
+    const chunks = [];
+    for await (const chunk of core.encryptContentStream([Buffer.from('part one, '), Buffer.from('part two')], key)) {
+      chunks.push(chunk);
+    }
+
+    assert.equal((await core.decryptContent(Buffer.concat(chunks), key)).toString(), 'part one, part two');
+  });
+
+  test('rejects the wrong key', async () => {
+    const envelope = await core.encryptContent('secret', crypto.randomBytes(32));
+    await assert.rejects(core.decryptContent(envelope, crypto.randomBytes(32)));
+  });
+
+  test('rejects tampered ciphertext and tampered metadata', async () => {
+    const key = crypto.randomBytes(32);
+    const envelope = await core.encryptContent('secret', key, core.createEnvelopeMetadata('a.txt', 'text/plain'));
+
+    const body = Buffer.from(envelope);
+    body[body.length - 20] ^= 1;
+    await assert.rejects(core.decryptContent(body, key));
+
+    // The header is authenticated too, so renaming the file breaks it
+    const header = Buffer.from(envelope.toString('latin1').replace('a.txt', 'b.txt'), 'latin1');
+    await assert.rejects(core.decryptContent(header, key));
+  });
+
+  test('reads legacy JSON envelopes from older servers and arload.js', async () => {
+    const key = crypto.randomBytes(32);
+
+    const cbcIv = crypto.randomBytes(16);
+    const cbc = crypto.createCipheriv('aes-256-cbc', key, cbcIv);
+    const cbcEnvelope = JSON.stringify({
+      encrypted: Buffer.concat([cbc.update('old server'), cbc.final()]).toString('base64'),
+      iv: cbcIv.toString('base64'),
+      algorithm: 'aes-256-cbc'
+    });
+    assert.equal((await core.decryptContent(cbcEnvelope, key)).toString(), 'old server');
+
+    const gcmIv = crypto.randomBytes(16);
+    const gcm = crypto.createCipheriv('aes-256-gcm', key, gcmIv);
+    const encrypted = Buffer.concat([gcm.update('arload'), gcm.final()]);
+    const gcmEnvelope = Buffer.from(JSON.stringify({
+      encrypted: encrypted.toString('base64'),
+      iv: gcmIv.toString('base64'),
+      authTag: gcm.getAuthTag().toString('base64'),
+      algorithm: 'aes-256-gcm'
+    }));
+    assert.equal((await core.decryptContent(gcmEnvelope, key)).toString(), 'arload');
+  });
+
+  test('refuses envelope versions it does not know', () => {
+    const envelope = core.encodeEnvelopeHeader('aes-256-gcm', crypto.randomBytes(12));
+    envelope[4] = 9;
+    assert.throws(() => core.decodeEnvelope(envelope), /Unsupported envelope version: 9/);
+  });
+});
+
+describe('shared core', () => {
+  const arweaveId = 'a'.repeat(40) + '_-0';
+
+  test('share URLs carry the key in the fragment and parse back', () => {
+    const key = Buffer.alloc(32, 0xfb);
+    const shareUrl = createShareUrl('https://thyra.test/', arweaveId, key);
+    assert.equal(shareUrl, `https://thyra.test/share/${arweaveId}#decrypt=${encodeURIComponent(key.toString('base64'))}`);
+    assert.deepEqual(parseShareUrl(shareUrl), { arweaveId, key: key.toString('base64'), contentType: null });
+
+    assert.equal(createShareUrl('https://thyra.test', arweaveId), `https://thyra.test/share/${arweaveId}`);
+  });
+
+  test('older share URLs, gateway URLs and bare IDs parse too', () => {
+    const legacy = `https://thyra.test/s/?url=${btoa(`https://arweave.net/${arweaveId}`)}&key=ab+c%3D&type=text%2Fplain`;
+    assert.deepEqual(parseShareUrl(legacy), { arweaveId, key: 'ab+c=', contentType: 'text/plain' });
+    assert.equal(parseShareUrl(`https://arweave.net/${arweaveId}`).arweaveId, arweaveId);
+    assert.equal(parseShareUrl(arweaveId).arweaveId, arweaveId);
+
+    assert.throws(() => parseShareUrl('https://thyra.test/share/short'), { statusCode: 400, errorCode: 'INVALID_SHARE_URL' });
+    assert.throws(() => parseShareUrl('not a url'), { errorCode: 'INVALID_SHARE_URL' });
+  });
+
+  test('URL lists from the environment are trimmed, with defaults when empty', () => {
+    assert.deepEqual(parseUrlList(' https://a.test/, https://b.test//,,', ['https://c.test']), ['https://a.test', 'https://b.test']);
+    assert.deepEqual(parseUrlList('', ['https://c.test']), ['https://c.test']);
+    assert.deepEqual(parseUrlList(undefined, ['https://c.test']), ['https://c.test']);
+  });
+
+  test('keys are 32 bytes of base64, with the same error code everywhere', () => {
+    const key = crypto.randomBytes(32);
+    assert.deepEqual(parseEncryptionKey(key.toString('base64').replace(/\+/g, ' ')), key);
+    assert.equal(parseEncryptionKey(null), null);
+
+    assert.throws(() => parseEncryptionKey(crypto.randomBytes(16).toString('base64')), { statusCode: 400, errorCode: 'INVALID_KEY' });
+    assert.throws(() => parseEncryptionKey('not*base64'), { errorCode: 'INVALID_KEY' });
+  });
+
+  test('decryption reports the algorithm and metadata along with the content', () => {
+    const key = crypto.randomBytes(32);
+    const decrypted = decryptEnvelope(encryptContent('hi', key, { filename: 'hi.txt' }), key);
+    assert.equal(decrypted.content.toString(), 'hi');
+    assert.equal(decrypted.algorithm, 'aes-256-gcm');
+    assert.deepEqual(decrypted.metadata, { filename: 'hi.txt' });
+  });
+
+  test('content types come from the declared type, the extension, then the bytes', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+    assert.equal(detectContentType(png, 'image.bin', 'image/webp'), 'image/webp');
+    assert.equal(detectContentType(Buffer.from('{"a":1}'), 'data.json'), 'application/json');
+    assert.equal(detectContentType(png), 'image/png');
+    assert.equal(detectContentType(Buffer.from('just some words')), 'text/plain');
+    assert.equal(detectContentType(Buffer.from([0, 1, 2, 3])), 'application/octet-stream');
+  });
+
+  test('a file wallet is created once and loaded after that', async () => {
+    const dir = createTempDir();
+    const walletPath = path.join(dir, 'wallet.json');
+
+    const first = new FileWalletProvider(walletPath);
+    const wallet = await first.getWallet();
+    assert.equal(first.created, true);
+    assert.equal(first.saved, true);
+    assert.equal(fs.statSync(walletPath).mode & 0o777, 0o600);
+
+    const second = new FileWalletProvider(walletPath);
+    assert.deepEqual(await second.getWallet(), wallet);
+    assert.equal(second.created, false);
+    assert.match(walletAddress(wallet), /^[a-zA-Z0-9_-]{43}$/);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('an ephemeral provider hands out a new wallet every time', async () => {
+    const provider = new EphemeralWalletProvider();
+    const [a, b] = await Promise.all([provider.getWallet(), provider.getWallet()]);
+    assert.equal(a.kty, 'RSA');
+    assert.notEqual(walletAddress(a), walletAddress(b));
+  });
+
+  // Stands in for a wallet where no RSA maths is needed
+  const fakeJwk = () => ({ kty: 'RSA', n: crypto.randomBytes(512).toString('base64url'), e: 'AQAB', d: crypto.randomBytes(512).toString('base64url') });
+
+  test('wallet keyfiles only open with their passphrase', async () => {
+    const jwk = fakeJwk();
+    const keyfile = await encryptWalletKeyfile(jwk, 'correct horse battery', { N: 1024 });
+
+    assert.equal(keyfile.address, walletAddress(jwk));
+    assert.ok(!JSON.stringify(keyfile).includes(jwk.d));
+    assert.deepEqual(await decryptWalletKeyfile(keyfile, 'correct horse battery'), jwk);
+    await assert.rejects(decryptWalletKeyfile(keyfile, 'wrong horse battery'), { errorCode: 'DECRYPTION_FAILED' });
+    await assert.rejects(decryptWalletKeyfile(jwk, 'correct horse battery'), { errorCode: 'INVALID_KEYFILE' });
+  });
+
+  test('keyfiles asking for a costlier key derivation than Thyra writes are refused', async () => {
+    const keyfile = await encryptWalletKeyfile(fakeJwk(), 'correct horse battery', { N: 1024 });
+    const withKdf = kdf => decryptWalletKeyfile({ ...keyfile, kdf: { ...keyfile.kdf, ...kdf } }, 'correct horse battery');
+
+    await assert.rejects(withKdf({ N: 2 ** 24 }), { errorCode: 'INVALID_KEYFILE' });
+    await assert.rejects(withKdf({ N: 1000 }), { errorCode: 'INVALID_KEYFILE' });
+    await assert.rejects(withKdf({ r: 64 }), { errorCode: 'INVALID_KEYFILE' });
+    await assert.rejects(withKdf({ p: 16 }), { errorCode: 'INVALID_KEYFILE' });
+    await assert.rejects(withKdf({ name: 'pbkdf2-sha256', iterations: 1e9 }), { errorCode: 'INVALID_KEYFILE' });
+    await assert.rejects(encryptWalletKeyfile(fakeJwk(), 'correct horse battery', { N: 2 ** 20 }), { errorCode: 'INVALID_KEYFILE' });
+  });
+
+  test('a file provider keeps the wallet encrypted at rest once it has a passphrase', async () => {
+    const dir = createTempDir();
+    const walletPath = path.join(dir, 'wallet.json');
+    const jwk = fakeJwk();
+    fs.writeFileSync(walletPath, JSON.stringify(jwk));
+
+    const plain = new FileWalletProvider(walletPath);
+    assert.deepEqual(await plain.getWallet(), jwk);
+    assert.equal(plain.encrypted, false);
+
+    await plain.save('correct horse battery');
+    const stored = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+    assert.equal(stored.type, 'thyra-wallet');
+    assert.equal(stored.kdf.name, 'scrypt');
+    assert.equal(fs.statSync(walletPath).mode & 0o777, 0o600);
+    assert.deepEqual(fs.readdirSync(dir), ['wallet.json']);
+
+    await assert.rejects(new FileWalletProvider(walletPath).getWallet(), { errorCode: 'WALLET_LOCKED' });
+    await assert.rejects(new FileWalletProvider(walletPath, { passphrase: 'wrong horse battery' }).getWallet(), { errorCode: 'DECRYPTION_FAILED' });
+
+    const unlocked = new FileWalletProvider(walletPath, { passphrase: 'correct horse battery' });
+    assert.deepEqual(await unlocked.getWallet(), jwk);
+    assert.equal(unlocked.encrypted, true);
+
+    await unlocked.save(null);
+    assert.deepEqual(JSON.parse(fs.readFileSync(walletPath, 'utf8')), jwk);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a wallet store encrypts named wallets and keeps them after rotation', async () => {
+    const dir = createTempDir();
+    const store = new WalletStore(dir, { passphrase: 'correct horse battery' });
+    const jwk = await generateWallet();
+
+    const added = await store.add('team-a', jwk);
+    assert.equal(added.address, walletAddress(jwk));
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, `${added.address}.json`), 'utf8')).type, 'thyra-wallet');
+    await assert.rejects(store.add('team-b', jwk), { errorCode: 'WALLET_EXISTS' });
+    await assert.rejects(store.add('default'), { errorCode: 'INVALID_WALLET_NAME' });
+    await assert.rejects(store.rotate('team-z'), { errorCode: 'WALLET_NOT_FOUND' });
+
+    await assert.rejects(new WalletStore(dir).loadWallet(added.address), { errorCode: 'WALLET_LOCKED' });
+    assert.deepEqual(await new WalletStore(dir, { passphrase: 'correct horse battery' }).loadWallet(added.address), jwk);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a drive key that cannot be saved stops startup instead of being lost', async () => {
+    const dir = createTempDir();
+    const core = new ThyraAPICore();
+    core.arweaveJWK = fakeJwk();
+    core.config = { drive: { keyPath: path.join(dir, 'missing', 'drive-key.json') } };
+
+    await assert.rejects(core.initializeDriveKey(), { errorCode: 'DRIVE_KEY_NOT_SAVED' });
+    assert.equal(core.driveKey, null);
+
+    core.config.drive.keyPath = path.join(dir, 'drive-key.json');
+    await core.initializeDriveKey();
+    assert.equal(fs.statSync(core.config.drive.keyPath).mode & 0o777, 0o600);
+
+    const restarted = new ThyraAPICore();
+    restarted.arweaveJWK = core.arweaveJWK;
+    restarted.config = core.config;
+    await restarted.initializeDriveKey();
+    assert.deepEqual(restarted.driveKey, core.driveKey);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('production refuses an unencrypted wallet file unless allowed', async () => {
+    const dir = createTempDir();
+    const walletPath = path.join(dir, 'wallet.json');
+    fs.writeFileSync(walletPath, JSON.stringify(fakeJwk()));
+
+    const initialize = async (wallet) => {
+      const core = new ThyraAPICore();
+      core.config = { nodeEnv: 'production', wallet: { path: walletPath, ...wallet } };
+      await core.initializeWallet();
+      return core;
+    };
+
+    await assert.rejects(initialize({}), /without a wallet passphrase/);
+    await assert.rejects(initialize({ passphrase: 'correct horse battery' }), /unencrypted wallet/);
+    assert.ok((await initialize({ allowUnencrypted: true })).arweaveJWK);
+
+    const provider = new FileWalletProvider(walletPath);
+    await provider.getWallet();
+    await provider.save('correct horse battery');
+    assert.ok((await initialize({ passphrase: 'correct horse battery' })).arweaveJWK);
+
+    // The passphrase can also come from a file descriptor
+    const passphrasePath = path.join(dir, 'passphrase.txt');
+    fs.writeFileSync(passphrasePath, 'correct horse battery\n');
+    const fd = fs.openSync(passphrasePath, 'r');
+    try {
+      assert.ok((await initialize({ passphraseFd: fd })).arweaveJWK);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('encryption keys', () => {
+  const core = new ThyraAPICore();
+
+  test('random keys are 32 fresh bytes', async () => {
+    const first = await core.resolveEncryptionKey('random');
+    const second = await core.resolveEncryptionKey('random');
+    assert.equal(first.key.length, 32);
+    assert.notDeepEqual(first.key, second.key);
+  });
+
+  test('custom keys must be 32 bytes of base64', async () => {
+    const customKey = crypto.randomBytes(32).toString('base64');
+    const { key } = await core.resolveEncryptionKey('custom', { customKey });
+    assert.equal(key.toString('base64'), customKey);
+
+    await assert.rejects(
+      core.resolveEncryptionKey('custom', { customKey: crypto.randomBytes(16).toString('base64') }),
+      { statusCode: 400, errorCode: 'INVALID_KEY' }
+    );
+  });
+
+  test('passphrases are stretched with PBKDF2 and reproducible from the KDF record', async () => {
+    const { key, kdf } = await core.resolveEncryptionKey('passphrase', { passphrase: 'correct horse' });
+    assert.equal(kdf.name, 'pbkdf2-sha256');
+    assert.deepEqual(await core.deriveKeyFromPassphrase('correct horse', kdf), key);
+  });
+
+  test('short passphrases and unknown modes are refused', async () => {
+    await assert.rejects(
+      core.resolveEncryptionKey('passphrase', { passphrase: 'short' }),
+      { statusCode: 400, errorCode: 'WEAK_PASSPHRASE' }
+    );
+    await assert.rejects(
+      core.resolveEncryptionKey('rot13'),
+      { statusCode: 400, errorCode: 'INVALID_ENCRYPTION' }
+    );
+  });
+});
+
+describe('ArFS helpers', () => {
+  const core = new ThyraAPICore();
+
+  test('private drive data decrypts with the key derived for its file', () => {
+    const driveKey = crypto.randomBytes(32);
+    core.arfsDriveKey = driveKey;
+    const fileId = crypto.randomUUID();
+    const fileKey = core.deriveArFSFileKey(fileId);
+
+    const { data, iv } = core.encryptArFS(Buffer.from('drive data'), fileKey);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey, iv);
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    const plain = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+
+    assert.equal(plain.toString(), 'drive data');
+    assert.notDeepEqual(core.deriveArFSFileKey(crypto.randomUUID()), fileKey);
+  });
+
+  test('private drive uploads only carry cipher tags', () => {
+    core.thyraDriveId = crypto.randomUUID();
+    core.thyraRootFolderId = crypto.randomUUID();
+    const fileEntity = core.createFileEntity();
+    const tags = core.buildUploadTags('text/plain', 'secret-name.txt', fileEntity);
+    assert.ok(!tags.some(tag => tag.value === 'secret-name.txt'));
+    assert.ok(tags.some(tag => tag.name === 'Cipher' && tag.value === 'AES256-GCM'));
+  });
+});
+
+describe('EndpointPool', () => {
+  const pool = (urls) => new EndpointPool('gateway', urls, { timeoutMs: 200, retries: 0, backoffMs: 1 });
+
+  test('moves past endpoints that error or answer 5xx', async () => {
+    const endpoints = pool(['http://down', 'http://broken', 'http://up']);
+    const seen = [];
+
+    const response = await endpoints.fetch(async (url) => {
+      seen.push(url);
+      if (url === 'http://down') throw new Error('ECONNREFUSED');
+      if (url === 'http://broken') return new Response('', { status: 503 });
+      return new Response('ok');
+    });
+
+    assert.equal(await response.text(), 'ok');
+    assert.deepEqual(seen, ['http://down', 'http://broken', 'http://up']);
+    assert.deepEqual(endpoints.status().map(endpoint => endpoint.healthy), [false, false, true]);
+
+    // Failed endpoints go to the back of the line
+    seen.length = 0;
+    await endpoints.fetch(async (url) => { seen.push(url); return new Response('ok'); });
+    assert.deepEqual(seen, ['http://up']);
+  });
+
+  test('tryNext responses move on without marking the endpoint down', async () => {
+    const endpoints = pool(['http://empty', 'http://full']);
+    const response = await endpoints.fetch(
+      async (url) => new Response(url === 'http://empty' ? '' : 'data', { status: url === 'http://empty' ? 404 : 200 }),
+      { tryNext: response => response.status === 404 }
+    );
+
+    assert.equal(await response.text(), 'data');
+    assert.ok(endpoints.status().every(endpoint => endpoint.healthy));
+  });
+
+  test('times out slow endpoints', async () => {
+    const endpoints = pool(['http://slow']);
+    await assert.rejects(
+      endpoints.fetch((url, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      })),
+      /All gateways failed, last error: timed out after 200ms/
+    );
+  });
+});
+
+describe('ConfirmationWorker', () => {
+  const createWorker = (chain) => {
+    const updates = [];
+    const core = { fetchTransactionStatus: async () => chain };
+    const db = { enabled: true, updateUploadStatus: async (id, state) => updates.push({ id, ...state }) };
+    return { worker: new ConfirmationWorker(core, db, { required: 3, timeoutMs: 1000, intervalMs: 0 }), updates };
+  };
+
+  test('confirms uploads once they are deep enough, telling the webhooks once', async () => {
+    const { worker, updates } = createWorker({ blockHeight: 10, confirmations: 3 });
+    const events = [];
+    worker.webhooks = { emit: async (event, data, { callbackUrl }) => events.push({ event, id: data.id, callbackUrl }) };
+
+    const upload = { id: 'u1', arweave_id: 'tx1', timestamp: Date.now(), status: 'pending', callback_url: 'http://cb.test/' };
+    assert.equal((await worker.check(upload)).status, 'confirmed');
+    assert.deepEqual(updates, [{ id: 'u1', status: 'confirmed', blockHeight: 10, confirmations: 3 }]);
+    assert.deepEqual(events, [{ event: 'upload.confirmed', id: 'u1', callbackUrl: 'http://cb.test/' }]);
+
+    await worker.check({ ...upload, status: 'confirmed' });
+    assert.equal(events.length, 1);
+  });
+
+  test('keeps shallow and unmined uploads pending until the timeout', async () => {
+    assert.equal((await createWorker({ blockHeight: 10, confirmations: 2 }).worker.check({ id: 'u', arweave_id: 'tx', timestamp: 0 })).status, 'pending');
+
+    const { worker } = createWorker({ blockHeight: null, confirmations: 0 });
+    assert.equal((await worker.check({ id: 'u', arweave_id: 'tx', timestamp: Date.now() })).status, 'pending');
+    assert.equal((await worker.check({ id: 'u', arweave_id: 'tx', timestamp: Date.now() - 2000 })).status, 'failed');
+  });
+});
@@ -0,0 +1,677 @@
+// thyra-core.js - what the server (thyra-r.js), the Netlify function
+// (arload.js) and the CLI have in common: the encryption envelope, keys,
+// content type detection, share URLs, wallets and error codes.
+// CommonJS so the Netlify function can require() it; ES modules import it
+// like any other package, e.g. import { encryptContent } from './thyra-core.js'
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+const pbkdf2 = promisify(crypto.pbkdf2);
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const ARWEAVE_ID_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const WALLET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Binary envelope:
+//   magic(4) | version(1) | algorithm(1) | ivLength(1) | iv | metadataLength(2) | metadata JSON | ciphertext | authTag
+// GCM authenticates the header as additional data and appends a 16 byte tag,
+// which is also the layout WebCrypto expects; CBC, from older servers, has none.
+const ENVELOPE = {
+  MAGIC: Buffer.from('THYR'),
+  VERSION: 1,
+  ALGORITHMS: { 'aes-256-gcm': 1, 'aes-256-cbc': 2 }
+};
+
+// Errors that should reach the client with their own status and error code
+function createHttpError(statusCode, errorCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errorCode = errorCode;
+  return error;
+}
+
+function encodeEnvelopeHeader(algorithm, iv, metadata = null) {
+  const metadataBuffer = metadata ? Buffer.from(JSON.stringify(metadata)) : Buffer.alloc(0);
+  const header = Buffer.alloc(ENVELOPE.MAGIC.length + 3 + iv.length + 2);
+
+  let offset = ENVELOPE.MAGIC.copy(header, 0);
+  offset = header.writeUInt8(ENVELOPE.VERSION, offset);
+  offset = header.writeUInt8(ENVELOPE.ALGORITHMS[algorithm], offset);
+  offset = header.writeUInt8(iv.length, offset);
+  offset += iv.copy(header, offset);
+  header.writeUInt16BE(metadataBuffer.length, offset);
+
+  return Buffer.concat([header, metadataBuffer]);
+}
+
+function isBinaryEnvelope(data) {
+  return Buffer.isBuffer(data) &&
+    data.length > ENVELOPE.MAGIC.length &&
+    data.subarray(0, ENVELOPE.MAGIC.length).equals(ENVELOPE.MAGIC);
+}
+
+// Header fields only, so a spooled envelope can be parsed from its first bytes
+function decodeEnvelopeHeader(buffer) {
+  let offset = ENVELOPE.MAGIC.length;
+  const version = buffer.readUInt8(offset++);
+  if (version !== ENVELOPE.VERSION) {
+    throw new Error(`Unsupported envelope version: ${version}`);
+  }
+
+  const algorithmId = buffer.readUInt8(offset++);
+  const algorithm = Object.keys(ENVELOPE.ALGORITHMS).find(name => ENVELOPE.ALGORITHMS[name] === algorithmId);
+  if (!algorithm) {
+    throw new Error(`Unsupported encryption algorithm: ${algorithmId}`);
+  }
+
+  const ivLength = buffer.readUInt8(offset++);
+  const iv = buffer.subarray(offset, offset + ivLength);
+  offset += ivLength;
+
+  const metadataLength = buffer.readUInt16BE(offset);
+  offset += 2;
+  const metadata = metadataLength
+    ? JSON.parse(buffer.subarray(offset, offset + metadataLength).toString('utf8'))
+    : null;
+  offset += metadataLength;
+
+  return {
+    version,
+    algorithm,
+    iv,
+    metadata,
+    header: buffer.subarray(0, offset),
+    tagLength: algorithm === 'aes-256-gcm' ? 16 : 0
+  };
+}
+
+function decodeEnvelope(buffer) {
+  const { tagLength, ...envelope } = decodeEnvelopeHeader(buffer);
+  return {
+    ...envelope,
+    encrypted: buffer.subarray(envelope.header.length, buffer.length - tagLength),
+    authTag: tagLength ? buffer.subarray(buffer.length - tagLength) : null
+  };
+}
+
+// Envelope metadata is optional and kept short so it never eats into size limits
+function createEnvelopeMetadata(filename, contentType, kdf = null) {
+  const metadata = {};
+  if (filename) metadata.filename = filename.slice(0, 255);
+  if (contentType) metadata.contentType = contentType.slice(0, 127);
+  if (kdf) metadata.kdf = kdf;
+  return Object.keys(metadata).length ? metadata : null;
+}
+
+function encryptContent(content, key, metadata = null) {
+  const iv = crypto.randomBytes(12);
+  const header = encodeEnvelopeHeader('aes-256-gcm', iv, metadata);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key.subarray(0, KEY_LENGTH), iv);
+  cipher.setAAD(header);
+
+  const encrypted = Buffer.concat([cipher.update(Buffer.isBuffer(content) ? content : Buffer.from(content)), cipher.final()]);
+  return Buffer.concat([header, encrypted, cipher.getAuthTag()]);
+}
+
+// Produces the same envelope as encryptContent, but incrementally
+async function* encryptContentStream(source, key, metadata = null) {
+  const iv = crypto.randomBytes(12);
+  const header = encodeEnvelopeHeader('aes-256-gcm', iv, metadata);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key.subarray(0, KEY_LENGTH), iv);
+  cipher.setAAD(header);
+
+  yield header;
+
+  for await (const chunk of source) {
+    yield cipher.update(chunk);
+  }
+
+  yield cipher.final();
+  yield cipher.getAuthTag();
+}
+
+// Legacy base64 JSON envelopes: CBC from older servers, GCM from older
+// arload.js. Accepts the parsed object, a string or a buffer; null if it
+// isn't one.
+function parseLegacyEnvelope(data) {
+  let envelope = data;
+  if (Buffer.isBuffer(data) || typeof data === 'string') {
+    const text = data.toString('utf8');
+    if (!text.startsWith('{')) return null;
+    try {
+      envelope = JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!envelope?.encrypted || !envelope.iv) return null;
+  return { ...envelope, algorithm: envelope.algorithm || 'aes-256-cbc' };
+}
+
+// Decrypts either envelope format, returning the algorithm and any metadata with the content
+function decryptEnvelope(data, key) {
+  if (isBinaryEnvelope(data)) {
+    const envelope = decodeEnvelope(data);
+    const decipher = crypto.createDecipheriv(envelope.algorithm, key.subarray(0, KEY_LENGTH), envelope.iv);
+
+    if (envelope.authTag) {
+      decipher.setAAD(envelope.header);
+      decipher.setAuthTag(envelope.authTag);
+    }
+
+    return {
+      content: Buffer.concat([decipher.update(envelope.encrypted), decipher.final()]),
+      algorithm: envelope.algorithm,
+      metadata: envelope.metadata
+    };
+  }
+
+  const legacy = parseLegacyEnvelope(data);
+  if (!legacy) {
+    throw new Error('Content is not in a known encrypted format');
+  }
+  if (!ENVELOPE.ALGORITHMS[legacy.algorithm]) {
+    throw new Error(`Unsupported encryption algorithm: ${legacy.algorithm}`);
+  }
+
+  const decipher = crypto.createDecipheriv(legacy.algorithm, key.subarray(0, KEY_LENGTH), Buffer.from(legacy.iv, 'base64'));
+  if (legacy.algorithm === 'aes-256-gcm') {
+    decipher.setAuthTag(Buffer.from(legacy.authTag, 'base64'));
+  }
+
+  return {
+    content: Buffer.concat([decipher.update(Buffer.from(legacy.encrypted, 'base64')), decipher.final()]),
+    algorithm: legacy.algorithm,
+    metadata: null
+  };
+}
+
+function decryptContent(data, key) {
+  return decryptEnvelope(data, key).content;
+}
+
+function generateEncryptionKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+// A key sent by a client: 32 bytes, base64. A "+" that arrived as a space
+// (raw base64 in a query string) is put back. null when there is no key.
+function parseEncryptionKey(value) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) value = value.toString('base64');
+
+  const keyB64 = String(value).trim().replace(/ /g, '+');
+  if (!BASE64_PATTERN.test(keyB64)) {
+    throw createHttpError(400, 'INVALID_KEY', 'Key must be 32 bytes encoded as base64');
+  }
+
+  const key = Buffer.from(keyB64, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw createHttpError(400, 'INVALID_KEY', `Key must be 32 bytes encoded as base64, got ${key.length} bytes`);
+  }
+  return key;
+}
+
+const EXTENSION_TYPES = {
+  'txt': 'text/plain',
+  'html': 'text/html',
+  'htm': 'text/html',
+  'css': 'text/css',
+  'js': 'application/javascript',
+  'json': 'application/json',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'png': 'image/png',
+  'gif': 'image/gif',
+  'pdf': 'application/pdf',
+  'doc': 'application/msword',
+  'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'zip': 'application/zip'
+};
+
+// A declared type wins, then the file extension, then the first bytes
+function detectContentType(buffer, filename = '', mimeType = '') {
+  if (mimeType && mimeType !== 'application/octet-stream') {
+    return mimeType;
+  }
+
+  const ext = (filename || '').toLowerCase().split('.').pop();
+  if (EXTENSION_TYPES[ext]) {
+    return EXTENSION_TYPES[ext];
+  }
+
+  const bytes = buffer.subarray(0, 16);
+
+  // Images
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'image/jpeg';
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) return 'image/png';
+  if (bytes[0] === 0x47 && bytes[1] === 0x49) return 'image/gif';
+
+  // Documents
+  if (bytes[0] === 0x25 && bytes[1] === 0x50) return 'application/pdf'; // %PDF
+  if (bytes[0] === 0x50 && bytes[1] === 0x4B) return 'application/zip'; // PK (zip/docx)
+
+  if (isTextContent(bytes)) {
+    const text = buffer.toString('utf8', 0, Math.min(1000, buffer.length));
+    if (text.includes('<!DOCTYPE') || text.includes('<html')) {
+      return 'text/html';
+    }
+    return 'text/plain';
+  }
+
+  return 'application/octet-stream';
+}
+
+function isTextContent(bytes) {
+  for (let i = 0; i < Math.min(100, bytes.length); i++) {
+    const byte = bytes[i];
+    if (byte === 0 || (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function isArweaveId(value) {
+  return ARWEAVE_ID_PATTERN.test(value || '');
+}
+
+// Comma separated URLs, trailing slashes removed
+function parseUrlList(value, defaults) {
+  const urls = (value || '').split(',').map(url => url.trim().replace(/\/+$/, '')).filter(Boolean);
+  return urls.length ? urls : defaults;
+}
+
+// The one share URL scheme. The key rides in the fragment, which browsers
+// never send, so it stays out of server logs:
+//   <baseUrl>/share/<arweaveId>#decrypt=<base64 key>
+function createShareUrl(baseUrl, arweaveId, key = null) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/share/${arweaveId}`;
+  if (!key) return url;
+
+  const keyB64 = Buffer.isBuffer(key) ? key.toString('base64') : String(key);
+  return `${url}#decrypt=${encodeURIComponent(keyB64)}`;
+}
+
+// Reads share URLs, gateway URLs and bare Arweave IDs. The /s/ page links
+// arload used to hand out (?url=<base64 gateway URL>&key=..&type=..) still
+// open; only the ID is taken from the embedded gateway URL, so content is
+// always fetched from gateways we trust.
+function parseShareUrl(value) {
+  const target = String(value || '').trim();
+  if (isArweaveId(target)) {
+    return { arweaveId: target, key: null, contentType: null };
+  }
+
+  let url;
+  try {
+    url = new URL(target);
+  } catch (error) {
+    throw createHttpError(400, 'INVALID_SHARE_URL', 'Not a share URL, gateway URL or Arweave ID');
+  }
+
+  // Query values may hold raw base64, where a "+" would have become a space
+  const param = (params, name) => {
+    const param = params.get(name);
+    return param ? param.replace(/ /g, '+') : null;
+  };
+
+  let arweaveId;
+  let key;
+  let contentType = null;
+
+  if (url.searchParams.has('url')) {
+    let arweaveUrl;
+    try {
+      arweaveUrl = new URL(Buffer.from(param(url.searchParams, 'url'), 'base64').toString('utf8'));
+    } catch (error) {
+      throw createHttpError(400, 'INVALID_SHARE_URL', 'The embedded Arweave URL is not valid');
+    }
+    arweaveId = arweaveUrl.pathname.split('/').filter(Boolean).pop();
+    key = param(url.searchParams, 'key');
+    contentType = url.searchParams.get('type');
+  } else {
+    const segments = url.pathname.split('/').filter(Boolean);
+    arweaveId = segments[0] === 'share' ? segments[1] : segments[segments.length - 1];
+    key = param(new URLSearchParams(url.hash.slice(1)), 'decrypt');
+  }
+
+  if (!isArweaveId(arweaveId)) {
+    throw createHttpError(400, 'INVALID_SHARE_URL', 'No Arweave ID found in the share URL');
+  }
+
+  return { arweaveId, key, contentType };
+}
+
+// Arweave wallets are 4096 bit RSA keys as JWK, which Node exports directly
+async function generateWallet() {
+  const { privateKey } = await generateKeyPair('rsa', { modulusLength: 4096, publicExponent: 0x10001 });
+  return privateKey.export({ format: 'jwk' });
+}
+
+function walletAddress(jwk) {
+  return crypto.createHash('sha256').update(Buffer.from(jwk.n, 'base64url')).digest('base64url');
+}
+
+// Imported wallets must be complete 4096 bit RSA private keys
+function validateWallet(jwk) {
+  try {
+    const key = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+    if (key.asymmetricKeyType === 'rsa' && key.asymmetricKeyDetails.modulusLength === 4096) {
+      return jwk;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw createHttpError(400, 'INVALID_WALLET', 'Wallets must be Arweave JWKs: 4096 bit RSA private keys');
+}
+
+// Writes next to the file and renames over it, so a failed write never
+// leaves half a file
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  try {
+    await fs.promises.writeFile(tempPath, contents, { mode: 0o600 });
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Passphrase protected wallet keyfile, used for exports and for the wallet
+// file itself: the JWK encrypted with AES-256-GCM under a scrypt key. The
+// address stays readable so a keyfile can be told apart from others without
+// the passphrase.
+async function encryptWalletKeyfile(jwk, passphrase, { N = 2 ** 17, r = 8, p = 1 } = {}) {
+  const kdf = { name: 'scrypt', N, r, p, salt: crypto.randomBytes(16).toString('base64') };
+  const key = await deriveKeyfileKey(passphrase, kdf);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const wallet = Buffer.concat([cipher.update(JSON.stringify(jwk)), cipher.final()]);
+
+  return {
+    version: 1,
+    type: 'thyra-wallet',
+    address: walletAddress(jwk),
+    algorithm: 'aes-256-gcm',
+    kdf,
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    wallet: wallet.toString('base64')
+  };
+}
+
+async function decryptWalletKeyfile(record, passphrase) {
+  if (!isWalletKeyfile(record) || record.algorithm !== 'aes-256-gcm') {
+    throw createHttpError(400, 'INVALID_KEYFILE', 'Not a Thyra wallet keyfile');
+  }
+
+  const key = await deriveKeyfileKey(passphrase, record.kdf);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.authTag, 'base64'));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(record.wallet, 'base64')), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    throw createHttpError(422, 'DECRYPTION_FAILED', 'Wrong passphrase or damaged keyfile');
+  }
+}
+
+function isWalletKeyfile(record) {
+  return record?.type === 'thyra-wallet';
+}
+
+// Keyfiles arrive from outside and name their own KDF cost, so it is capped
+// at what encryptWalletKeyfile writes (and the PBKDF2 keyfiles did): a
+// crafted keyfile could otherwise tie up the server's memory or CPU.
+const KEYFILE_KDF_LIMITS = { N: 2 ** 17, r: 8, p: 1, iterations: 600000 };
+
+async function deriveKeyfileKey(passphrase, kdf) {
+  const within = (value, max) => Number.isSafeInteger(value) && value >= 1 && value <= max;
+  if (typeof kdf?.salt !== 'string') {
+    throw createHttpError(400, 'INVALID_KEYFILE', 'Keyfile key derivation has no salt');
+  }
+  const salt = Buffer.from(kdf.salt, 'base64');
+
+  switch (kdf.name) {
+    case 'scrypt':
+      if (!within(kdf.N, KEYFILE_KDF_LIMITS.N) || kdf.N < 2 || (kdf.N & (kdf.N - 1)) !== 0 ||
+          !within(kdf.r, KEYFILE_KDF_LIMITS.r) || !within(kdf.p, KEYFILE_KDF_LIMITS.p)) {
+        throw createHttpError(400, 'INVALID_KEYFILE', `Keyfile scrypt parameters are out of range (N up to ${KEYFILE_KDF_LIMITS.N}, r up to ${KEYFILE_KDF_LIMITS.r}, p up to ${KEYFILE_KDF_LIMITS.p})`);
+      }
+      return await scrypt(passphrase, salt, KEY_LENGTH, { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r });
+    case 'pbkdf2-sha256':
+      if (!within(kdf.iterations, KEYFILE_KDF_LIMITS.iterations)) {
+        throw createHttpError(400, 'INVALID_KEYFILE', `Keyfile PBKDF2 iterations are out of range (up to ${KEYFILE_KDF_LIMITS.iterations})`);
+      }
+      return await pbkdf2(passphrase, salt, kdf.iterations, KEY_LENGTH, 'sha256');
+    default:
+      throw createHttpError(400, 'INVALID_KEYFILE', `Unsupported keyfile key derivation: ${kdf?.name}`);
+  }
+}
+
+// Wallet providers hand out the JWK that signs uploads: getWallet() is all
+// they need. The server keeps one wallet in a file; the Netlify function has
+// nowhere to keep one and signs each upload with a fresh wallet.
+class FileWalletProvider {
+  // With a passphrase the file is a wallet keyfile (see encryptWalletKeyfile);
+  // a plain JWK file still loads, with encrypted left false.
+  constructor(walletPath, { passphrase = null } = {}) {
+    this.path = walletPath;
+    this.passphrase = passphrase;
+    this.wallet = null;
+    this.created = false;
+    this.saved = false;
+    this.encrypted = false;
+  }
+
+  // Loads the wallet, creating it on first use. A wallet that can't be saved
+  // (read-only or stateless disk) lasts as long as the process.
+  async getWallet() {
+    if (this.wallet) return this.wallet;
+
+    let record;
+    try {
+      record = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      this.wallet = await generateWallet();
+      this.created = true;
+      try {
+        await this.save(this.passphrase);
+      } catch (saveError) {
+        this.saved = false;
+      }
+      return this.wallet;
+    }
+
+    if (isWalletKeyfile(record)) {
+      if (!this.passphrase) {
+        throw createHttpError(401, 'WALLET_LOCKED', `The wallet at ${this.path} is encrypted, a passphrase is needed to unlock it`);
+      }
+      this.wallet = await decryptWalletKeyfile(record, this.passphrase);
+      this.encrypted = true;
+    } else {
+      this.wallet = record;
+    }
+    this.saved = true;
+
+    return this.wallet;
+  }
+
+  // Rewrites the file, encrypted with passphrase or as a plain JWK without
+  // one. Written next to it and renamed over it, so a failed write never
+  // leaves half a wallet.
+  async save(passphrase = null) {
+    const contents = passphrase ? await encryptWalletKeyfile(this.wallet, passphrase) : this.wallet;
+    await writeFileAtomic(this.path, JSON.stringify(contents, null, 2));
+
+    this.passphrase = passphrase;
+    this.encrypted = Boolean(passphrase);
+    this.saved = true;
+  }
+}
+
+class EphemeralWalletProvider {
+  async getWallet() {
+    return await generateWallet();
+  }
+}
+
+// Named wallets kept beside the server's own, so teams sharing a server sign
+// with their own identity. Each wallet is a file named by its address (a
+// keyfile when the store has a passphrase) and wallets.json records which
+// address each name uses. Rotating a name retires its wallet but keeps the
+// file, so the key behind older uploads is never lost.
+class WalletStore {
+  constructor(dir, { passphrase = null } = {}) {
+    this.dir = dir;
+    this.passphrase = passphrase;
+    this.wallets = new Map();
+    this.updates = Promise.resolve();
+  }
+
+  // Every name that was ever used, retired wallets included, oldest first
+  async list() {
+    return (await this.readIndex()).wallets;
+  }
+
+  async getWallet(name) {
+    const entry = (await this.list()).find(wallet => wallet.name === name && !wallet.retiredAt);
+    if (!entry) {
+      throw createHttpError(404, 'WALLET_NOT_FOUND', `No wallet named ${name}`);
+    }
+    return await this.loadWallet(entry.address);
+  }
+
+  async loadWallet(address) {
+    if (!this.wallets.has(address)) {
+      const record = JSON.parse(await fs.promises.readFile(path.join(this.dir, `${address}.json`), 'utf8'));
+      if (isWalletKeyfile(record) && !this.passphrase) {
+        throw createHttpError(401, 'WALLET_LOCKED', `Wallet ${address} is encrypted, a passphrase is needed to unlock it`);
+      }
+      this.wallets.set(address, isWalletKeyfile(record) ? await decryptWalletKeyfile(record, this.passphrase) : record);
+    }
+    return this.wallets.get(address);
+  }
+
+  // Adds a wallet under a new name; generates one when no JWK is given
+  async add(name, jwk = null) {
+    if (typeof name !== 'string' || !WALLET_NAME_PATTERN.test(name) || name === 'default') {
+      throw createHttpError(400, 'INVALID_WALLET_NAME', 'Wallet names are lowercase letters, digits, - and _, and not "default"');
+    }
+
+    const wallet = jwk ? validateWallet(jwk) : await generateWallet();
+    return await this.update(async (index) => {
+      if (index.wallets.some(entry => entry.name === name && !entry.retiredAt)) {
+        throw createHttpError(409, 'WALLET_EXISTS', `A wallet named ${name} already exists, rotate it instead`);
+      }
+      return await this.store(index, name, wallet);
+    });
+  }
+
+  // Replaces the wallet a name signs with. The old one is kept, retired.
+  async rotate(name, jwk = null) {
+    const isCurrent = entry => entry.name === name && !entry.retiredAt;
+    const notFound = () => createHttpError(404, 'WALLET_NOT_FOUND', `No wallet named ${name}`);
+
+    // Checked before generating, which takes a while
+    if (!(await this.list()).some(isCurrent)) {
+      throw notFound();
+    }
+
+    const wallet = jwk ? validateWallet(jwk) : await generateWallet();
+    return await this.update(async (index) => {
+      const current = index.wallets.find(isCurrent);
+      if (!current) {
+        throw notFound();
+      }
+
+      const added = await this.store(index, name, wallet);
+      current.retiredAt = added.createdAt;
+      return { wallet: added, retired: current };
+    });
+  }
+
+  async store(index, name, wallet) {
+    const address = walletAddress(wallet);
+    const existing = index.wallets.find(entry => entry.address === address);
+    if (existing) {
+      throw createHttpError(409, 'WALLET_EXISTS', `Wallet ${address} is already stored as ${existing.name}`);
+    }
+
+    const contents = this.passphrase ? await encryptWalletKeyfile(wallet, this.passphrase) : wallet;
+    await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    await writeFileAtomic(path.join(this.dir, `${address}.json`), JSON.stringify(contents, null, 2));
+    this.wallets.set(address, wallet);
+
+    const entry = { name, address, createdAt: Date.now(), retiredAt: null };
+    index.wallets.push(entry);
+    return entry;
+  }
+
+  async readIndex() {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dir, 'wallets.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return { version: 1, wallets: [] };
+    }
+  }
+
+  // One change at a time, written back once it succeeds
+  update(change) {
+    const run = this.updates.then(async () => {
+      const index = await this.readIndex();
+      const result = await change(index);
+      await writeFileAtomic(path.join(this.dir, 'wallets.json'), JSON.stringify(index, null, 2));
+      return result;
+    });
+
+    this.updates = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = {
+  ENVELOPE,
+  KEY_LENGTH,
+  createHttpError,
+  encodeEnvelopeHeader,
+  isBinaryEnvelope,
+  decodeEnvelopeHeader,
+  decodeEnvelope,
+  createEnvelopeMetadata,
+  encryptContent,
+  encryptContentStream,
+  parseLegacyEnvelope,
+  decryptEnvelope,
+  decryptContent,
+  generateEncryptionKey,
+  parseEncryptionKey,
+  detectContentType,
+  isTextContent,
+  isArweaveId,
+  parseUrlList,
+  createShareUrl,
+  parseShareUrl,
+  generateWallet,
+  walletAddress,
+  encryptWalletKeyfile,
+  decryptWalletKeyfile,
+  isWalletKeyfile,
+  validateWallet,
+  writeFileAtomic,
+  WALLET_NAME_PATTERN,
+  FileWalletProvider,
+  EphemeralWalletProvider,
+  WalletStore
+};
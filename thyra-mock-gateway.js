@@ -0,0 +1,393 @@
+// thyra-mock-gateway.js - Local stand-in for an Arweave gateway and bundler
+//
+// Enough of both for the server, the CLI and arload.js to run offline:
+//   POST /v1/tx           signed data items, verified and stored on disk
+//   GET  /:id[/path]      data, with arweave/paths manifests resolved
+//   GET  /raw/:id         data as uploaded, manifests included
+//   GET  /tx/:id/status   202 until the next block, then confirmations
+//   POST /graphql         transaction(id) and transactions(ids, owners, tags)
+//   GET  /info            network info, answers health probes
+//   GET  /wallet/:address/balance, /price/:bytes   AR balance and price
+//   GET  /v1/account/balance/arweave, /v1/price/bytes/:bytes   Turbo's
+//                         payment service, so PAYMENT_URLS can point here
+//
+// Balances start at zero and live in memory (store.balances, address to
+// { winston, winc }); prices are flat per byte.
+// Blocks are simulated: a new one every blockTimeMs, counted from the first
+// time the data directory was used, so heights survive restarts.
+import Fastify from 'fastify';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const MANIFEST_CONTENT_TYPE = 'application/x.arweave-manifest+json';
+const WINSTON_PER_BYTE = 1000n;
+const WINC_PER_BYTE = 800n;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+class MockGatewayStore {
+  constructor(dataDir, { blockTimeMs = 2000 } = {}) {
+    this.dataDir = dataDir;
+    this.blockTimeMs = blockTimeMs;
+    this.items = new Map();
+    this.balances = new Map();
+
+    fs.mkdirSync(path.join(dataDir, 'items'), { recursive: true });
+
+    const statePath = path.join(dataDir, 'state.json');
+    if (fs.existsSync(statePath)) {
+      this.genesis = JSON.parse(fs.readFileSync(statePath, 'utf8')).genesis;
+    } else {
+      this.genesis = Date.now();
+      fs.writeFileSync(statePath, JSON.stringify({ genesis: this.genesis }, null, 2));
+    }
+
+    for (const file of fs.readdirSync(path.join(dataDir, 'items'))) {
+      if (file.endsWith('.json')) {
+        const record = JSON.parse(fs.readFileSync(path.join(dataDir, 'items', file), 'utf8'));
+        this.items.set(record.id, record);
+      }
+    }
+  }
+
+  heightAt(timestamp) {
+    return Math.floor((timestamp - this.genesis) / this.blockTimeMs);
+  }
+
+  get height() {
+    return this.heightAt(Date.now());
+  }
+
+  blockHash(height) {
+    return base64url(crypto.createHash('sha384').update(`thyra-mock-block-${height}`).digest());
+  }
+
+  // Items are mined into the first block after they arrive
+  blockOf(record) {
+    const height = this.heightAt(record.timestamp) + 1;
+    return height <= this.height ? height : null;
+  }
+
+  itemPath(id) {
+    return path.join(this.dataDir, 'items', `${id}.bin`);
+  }
+
+  async add(raw) {
+    const { DataItem } = await import('arbundles');
+
+    if (!await DataItem.verify(raw)) {
+      return null;
+    }
+
+    const item = new DataItem(raw);
+
+    if (this.items.has(item.id)) {
+      return this.items.get(item.id);
+    }
+
+    const tags = item.tags;
+    const record = {
+      id: item.id,
+      owner: item.owner,
+      ownerAddress: base64url(crypto.createHash('sha256').update(item.rawOwner).digest()),
+      target: item.target,
+      tags,
+      contentType: tags.find(tag => tag.name.toLowerCase() === 'content-type')?.value || 'application/octet-stream',
+      dataOffset: item.getStartOfData(),
+      dataSize: raw.length - item.getStartOfData(),
+      timestamp: Date.now()
+    };
+
+    fs.writeFileSync(this.itemPath(record.id), raw);
+    fs.writeFileSync(path.join(this.dataDir, 'items', `${record.id}.json`), JSON.stringify(record, null, 2));
+    this.items.set(record.id, record);
+
+    return record;
+  }
+
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  readData(record) {
+    return fs.createReadStream(this.itemPath(record.id), { start: record.dataOffset });
+  }
+
+  async readJson(record) {
+    const data = await fs.promises.readFile(this.itemPath(record.id));
+    return JSON.parse(data.subarray(record.dataOffset).toString('utf8'));
+  }
+
+  // GraphQL shape of a transaction; clients pick the fields they asked for
+  toNode(record) {
+    const height = this.blockOf(record);
+    return {
+      id: record.id,
+      anchor: '',
+      signature: '',
+      recipient: record.target || '',
+      owner: { address: record.ownerAddress, key: record.owner },
+      fee: { winston: '0', ar: '0.000000000000' },
+      quantity: { winston: '0', ar: '0.000000000000' },
+      data: { size: String(record.dataSize), type: record.contentType },
+      tags: record.tags,
+      block: height === null ? null : {
+        id: this.blockHash(height),
+        height,
+        timestamp: Math.floor((this.genesis + height * this.blockTimeMs) / 1000),
+        previous: this.blockHash(height - 1)
+      },
+      bundledIn: null
+    };
+  }
+
+  // Newest first, like the gateways
+  find({ ids, owners, tags } = {}) {
+    return [...this.items.values()]
+      .filter(record => !ids?.length || ids.includes(record.id))
+      .filter(record => !owners?.length || owners.includes(record.ownerAddress))
+      .filter(record => (tags || []).every(filter =>
+        record.tags.some(tag => tag.name === filter.name && (filter.values || []).includes(tag.value))
+      ))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+}
+
+// Reads a value from a GraphQL argument list, either a $variable or a literal
+function graphqlArgument(args, name, variables) {
+  const match = args.match(new RegExp(`\\b${name}\\s*:\\s*(\\$\\w+|"[^"]*"|\\[[^\\]]*\\]|\\d+)`));
+  if (!match) return undefined;
+
+  const value = match[1];
+  if (value.startsWith('$')) return variables[value.slice(1)];
+  if (value.startsWith('"')) return value.slice(1, -1);
+  if (value.startsWith('[')) return [...value.matchAll(/"([^"]*)"/g)].map(m => m[1]);
+  return parseInt(value);
+}
+
+// Not a GraphQL implementation: the query shapes the Thyra tools and ArDrive
+// clients send, answered with every field filled in
+function runGraphqlQuery(store, query, variables = {}) {
+  const single = query.match(/\btransaction\s*\(([^)]*)\)/);
+  if (single) {
+    const id = graphqlArgument(single[1], 'id', variables);
+    const record = id && store.get(id);
+    return { data: { transaction: record ? store.toNode(record) : null } };
+  }
+
+  const list = query.match(/\btransactions\s*\(([^)]*)\)/);
+  if (list) {
+    const first = graphqlArgument(list[1], 'first', variables) || 10;
+    const after = graphqlArgument(list[1], 'after', variables);
+    const tagsArgument = list[1].match(/\btags\s*:\s*\$(\w+)/);
+
+    let records = store.find({
+      ids: graphqlArgument(list[1], 'ids', variables),
+      owners: graphqlArgument(list[1], 'owners', variables),
+      tags: tagsArgument ? variables[tagsArgument[1]] : undefined
+    });
+
+    if (after) {
+      const index = records.findIndex(record => record.id === after);
+      records = index === -1 ? records : records.slice(index + 1);
+    }
+
+    return {
+      data: {
+        transactions: {
+          pageInfo: { hasNextPage: records.length > first },
+          edges: records.slice(0, first).map(record => ({ cursor: record.id, node: store.toNode(record) }))
+        }
+      }
+    };
+  }
+
+  return { errors: [{ message: 'Unsupported query, the mock gateway answers transaction and transactions' }] };
+}
+
+function createMockGateway({
+  dataDir = './thyra-mock-gateway',
+  blockTimeMs = 2000,
+  maxItemSizeBytes = 1024 * 1024 * 1024,
+  logger = false
+} = {}) {
+  const store = new MockGatewayStore(dataDir, { blockTimeMs });
+
+  const fastify = Fastify({ logger, bodyLimit: maxItemSizeBytes });
+  fastify.decorate('store', store);
+
+  fastify.addContentTypeParser('application/octet-stream', { parseAs: 'buffer' }, (request, body, done) => {
+    done(null, body);
+  });
+
+  // The share page fetches straight from the gateway
+  fastify.addHook('onSend', async (request, reply) => {
+    reply.header('Access-Control-Allow-Origin', '*');
+  });
+
+  fastify.get('/info', async () => {
+    const height = store.height;
+    return {
+      network: 'arweave.mock',
+      version: 5,
+      release: 1,
+      height,
+      current: store.blockHash(height),
+      blocks: height + 1,
+      peers: 0,
+      queue_length: 0,
+      node_state_latency: 0
+    };
+  });
+
+  fastify.get('/wallet/:address/balance', async (request, reply) => {
+    const balance = store.balances.get(request.params.address);
+    return reply.type('text/plain').send(String(balance?.winston || 0));
+  });
+
+  fastify.get('/price/:bytes', async (request, reply) => {
+    return reply.type('text/plain').send(String(BigInt(parseInt(request.params.bytes) || 0) * WINSTON_PER_BYTE));
+  });
+
+  // Like Turbo, wallets that never topped up are unknown
+  fastify.get('/v1/account/balance/arweave', async (request, reply) => {
+    const balance = store.balances.get(request.query.address);
+    if (balance?.winc === undefined) {
+      return reply.code(404).type('text/plain').send('User Not Found');
+    }
+    return { winc: String(balance.winc), controlledWinc: String(balance.winc), effectiveBalance: String(balance.winc) };
+  });
+
+  fastify.get('/v1/price/bytes/:bytes', async (request) => {
+    return { winc: String(BigInt(parseInt(request.params.bytes) || 0) * WINC_PER_BYTE), adjustments: [] };
+  });
+
+  fastify.post('/v1/tx', async (request, reply) => {
+    if (!Buffer.isBuffer(request.body) || request.body.length === 0) {
+      return reply.code(400).send({ error: 'Expected a signed data item as application/octet-stream' });
+    }
+
+    let record;
+    try {
+      record = await store.add(request.body);
+    } catch (error) {
+      return reply.code(400).send({ error: `Malformed data item: ${error.message}` });
+    }
+
+    if (!record) {
+      return reply.code(400).send({ error: 'Invalid data item signature' });
+    }
+
+    request.log.info(`Stored ${record.id} (${record.dataSize} bytes)`);
+
+    return {
+      id: record.id,
+      owner: record.ownerAddress,
+      dataCaches: ['mock'],
+      fastFinalityIndexes: ['mock'],
+      deadlineHeight: store.heightAt(record.timestamp) + 200,
+      timestamp: record.timestamp,
+      version: '0.2.0',
+      winc: '0'
+    };
+  });
+
+  fastify.get('/tx/:id/status', async (request, reply) => {
+    const record = store.get(request.params.id);
+    if (!record) {
+      return reply.code(404).type('text/plain').send('Not Found');
+    }
+
+    const height = store.blockOf(record);
+    if (height === null) {
+      return reply.code(202).type('text/plain').send('Pending');
+    }
+
+    return {
+      block_height: height,
+      block_indep_hash: store.blockHash(height),
+      number_of_confirmations: store.height - height + 1
+    };
+  });
+
+  fastify.post('/graphql', async (request, reply) => {
+    const { query, variables } = request.body || {};
+    if (typeof query !== 'string') {
+      return reply.code(400).send({ errors: [{ message: 'Missing query' }] });
+    }
+    return runGraphqlQuery(store, query, variables);
+  });
+
+  const sendData = (reply, record) => {
+    return reply
+      .header('Content-Type', record.contentType)
+      .header('Content-Length', record.dataSize)
+      .send(store.readData(record));
+  };
+
+  fastify.get('/raw/:id', async (request, reply) => {
+    const record = store.get(request.params.id);
+    if (!record) {
+      return reply.code(404).type('text/plain').send('Not Found');
+    }
+    return sendData(reply, record);
+  });
+
+  fastify.get('/:id', async (request, reply) => {
+    const record = store.get(request.params.id);
+    if (!record) {
+      return reply.code(404).type('text/plain').send('Not Found');
+    }
+
+    if (record.contentType === MANIFEST_CONTENT_TYPE) {
+      return resolveManifest(request, reply, record, '');
+    }
+    return sendData(reply, record);
+  });
+
+  fastify.get('/:id/*', async (request, reply) => {
+    const record = store.get(request.params.id);
+    if (!record || record.contentType !== MANIFEST_CONTENT_TYPE) {
+      return reply.code(404).type('text/plain').send('Not Found');
+    }
+    return resolveManifest(request, reply, record, decodeURIComponent(request.params['*']));
+  });
+
+  async function resolveManifest(request, reply, record, subpath) {
+    let manifest;
+    try {
+      manifest = await store.readJson(record);
+    } catch (error) {
+      return reply.code(500).type('text/plain').send('Invalid manifest');
+    }
+
+    const paths = manifest.paths || {};
+    const entry = subpath
+      ? paths[subpath] || paths[`${subpath.replace(/\/$/, '')}/index.html`]
+      : paths[manifest.index?.path];
+    const target = entry?.id || (!entry && manifest.fallback?.id);
+    const resolved = target && store.get(target);
+
+    if (!resolved) {
+      return reply.code(404).type('text/plain').send('Not Found');
+    }
+    return sendData(reply, resolved);
+  }
+
+  return fastify;
+}
+
+async function startMockGateway({ port = 1984, host = '127.0.0.1', ...options } = {}) {
+  const fastify = createMockGateway(options);
+  await fastify.listen({ port, host });
+
+  const address = fastify.server.address();
+  const url = `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${address.port}`;
+
+  return { fastify, store: fastify.store, url };
+}
+
+export { createMockGateway, startMockGateway, MockGatewayStore };
@@ -6,13 +6,58 @@ import chalk from 'chalk';
 import inquirer from 'inquirer';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import {
+  isBinaryEnvelope,
+  decodeEnvelope,
+  decryptEnvelope,
+  parseLegacyEnvelope,
+  parseShareUrl,
+  isWalletKeyfile,
+  decryptWalletKeyfile,
+  FileWalletProvider
+} from './thyra-core.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const program = new Command();
 
+// Passphrase from --passphrase <value>, or prompted for when --passphrase is
+// given without a value or --encryption passphrase is used
+async function resolvePassphrase(options) {
+  if (typeof options.passphrase === 'string') {
+    return options.passphrase;
+  }
+
+  if (options.passphrase !== true && options.encryption !== 'passphrase') {
+    return null;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'Passphrase:',
+      mask: '*',
+      validate: (value) => value.length >= 8 || 'Use at least 8 characters'
+    },
+    {
+      type: 'password',
+      name: 'confirm',
+      message: 'Confirm passphrase:',
+      mask: '*'
+    }
+  ]);
+
+  if (answers.passphrase !== answers.confirm) {
+    throw new Error('Passphrases do not match');
+  }
+
+  return answers.passphrase;
+}
+
 // CLI Configuration
 program
   .name('thyra')
@@ -28,23 +73,63 @@ program
   .option('--db-enabled', 'Enable database storage', process.env.DB_ENABLED === 'true')
   .option('--db-path <path>', 'Database file path', process.env.DB_PATH || './thyra-uploads.db')
   .option('--wallet-path <path>', 'Wallet file path', process.env.WALLET_PATH || './thyra-wallet.json')
+  .option('--passphrase-fd <fd>', 'Read the wallet passphrase from this file descriptor', process.env.WALLET_PASSPHRASE_FD)
   .option('--log-level <level>', 'Log level (debug, info, warn, error)', process.env.LOG_LEVEL || 'info')
+  .option('--max-upload-size <mb>', 'Maximum upload size in MB', process.env.MAX_UPLOAD_SIZE_MB || '1024')
+  .option('--gateways <urls>', 'Comma separated Arweave gateways, tried in order', process.env.ARWEAVE_GATEWAYS)
+  .option('--bundlers <urls>', 'Comma separated bundler upload URLs, tried in order', process.env.BUNDLER_URLS)
+  .option('--private-drive', 'Create the ArDrive drive as private (password protected)', process.env.DRIVE_PRIVACY === 'private')
   .action(async (options) => {
     console.log(chalk.blue('🚀 Starting Thyra API Server...'));
 
+    if (options.privateDrive) {
+      process.env.DRIVE_PRIVACY = 'private';
+
+      if (!process.env.DRIVE_PASSWORD) {
+        const answers = await inquirer.prompt([
+          {
+            type: 'password',
+            name: 'password',
+            message: 'Drive password:',
+            mask: '*',
+            validate: (value) => value.length > 0 || 'A private drive needs a password'
+          }
+        ]);
+        process.env.DRIVE_PASSWORD = answers.password;
+      }
+    }
+
     // Set environment variables from CLI options BEFORE importing server
     if (options.port) process.env.PORT = options.port;
     if (options.apiKey) process.env.API_KEY = options.apiKey;
     if (options.dbEnabled) process.env.DB_ENABLED = 'true';
     if (options.dbPath) process.env.DB_PATH = options.dbPath;
     if (options.walletPath) process.env.WALLET_PATH = options.walletPath;
+    if (options.passphraseFd) process.env.WALLET_PASSPHRASE_FD = options.passphraseFd;
     if (options.logLevel) process.env.LOG_LEVEL = options.logLevel;
 
+    // An encrypted wallet is unlocked at startup; ask when no passphrase was given
+    if (!process.env.WALLET_PASSPHRASE && !process.env.WALLET_PASSPHRASE_FD &&
+        isWalletKeyfile(readJsonFile(process.env.WALLET_PATH))) {
+      if (!process.stdin.isTTY) {
+        console.error(chalk.red('❌ The wallet is encrypted: set WALLET_PASSPHRASE or use --passphrase-fd'));
+        process.exit(1);
+      }
+      process.env.WALLET_PASSPHRASE = await promptPassphrase('Wallet passphrase:');
+    }
+    if (options.maxUploadSize) process.env.MAX_UPLOAD_SIZE_MB = options.maxUploadSize;
+    if (options.gateways) process.env.ARWEAVE_GATEWAYS = options.gateways;
+    if (options.bundlers) process.env.BUNDLER_URLS = options.bundlers;
+
     console.log(chalk.gray('Configuration:'));
     console.log(chalk.gray(`  Port: ${process.env.PORT}`));
     console.log(chalk.gray(`  API Key: ${process.env.API_KEY ? '***' + process.env.API_KEY.slice(-3) : 'None'}`));
     console.log(chalk.gray(`  Database: ${process.env.DB_ENABLED === 'true' ? 'Enabled' : 'Disabled'}`));
     console.log(chalk.gray(`  Wallet: ${process.env.WALLET_PATH}`));
+    console.log(chalk.gray(`  Max upload: ${process.env.MAX_UPLOAD_SIZE_MB}MB`));
+    console.log(chalk.gray(`  Drive: ${process.env.DRIVE_PRIVACY === 'private' ? 'Private' : 'Public'}`));
+    console.log(chalk.gray(`  Gateways: ${process.env.ARWEAVE_GATEWAYS || 'default'}`));
+    console.log(chalk.gray(`  Bundlers: ${process.env.BUNDLER_URLS || 'default'}`));
     console.log('');
 
     try {
@@ -58,16 +143,339 @@ program
     }
   });
 
+// Mock gateway command
+program
+  .command('mock-gateway')
+  .description('Run a local Arweave gateway and bundler for offline development')
+  .option('-p, --port <port>', 'Port to listen on', '1984')
+  .option('--host <host>', 'Interface to listen on', '127.0.0.1')
+  .option('-d, --data-dir <path>', 'Where uploaded data items are kept', './thyra-mock-gateway')
+  .option('--block-time <seconds>', 'Seconds between simulated blocks', '2')
+  .option('--max-item-size <mb>', 'Largest data item accepted in MB', '1024')
+  .action(async (options) => {
+    try {
+      const { startMockGateway } = await import('./thyra-mock-gateway.js');
+      const { url, store } = await startMockGateway({
+        port: parseInt(options.port),
+        host: options.host,
+        dataDir: options.dataDir,
+        blockTimeMs: parseFloat(options.blockTime) * 1000,
+        maxItemSizeBytes: parseInt(options.maxItemSize) * 1024 * 1024,
+        logger: { level: 'info' }
+      });
+
+      console.log(chalk.green(`🧪 Mock gateway running at ${url}`));
+      console.log(chalk.gray(`  Data: ${path.resolve(options.dataDir)} (${store.items.size} items)`));
+      console.log(chalk.gray(`  Block time: ${options.blockTime}s`));
+      console.log('');
+      console.log(chalk.blue('Point Thyra at it with:'));
+      console.log(chalk.white(`  ARWEAVE_GATEWAYS=${url}`));
+      console.log(chalk.white(`  BUNDLER_URLS=${url}/v1/tx`));
+      console.log(chalk.white(`  PAYMENT_URLS=${url}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to start mock gateway:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Posts one file to /api/upload. Fields go before the file: the server
+// encrypts the file as it streams in.
+async function postFile(file, options, fields = {}) {
+  const FormData = (await import('form-data')).default;
+  const fetch = (await import('node-fetch')).default;
+
+  const form = new FormData();
+
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) form.append(name, String(value));
+  });
+  form.append('lastModified', String(Math.floor(fs.statSync(file).mtimeMs)));
+
+  form.append('file', fs.createReadStream(file));
+
+  const headers = {};
+  if (options.apiKey) {
+    headers['X-API-Key'] = options.apiKey;
+  }
+
+  const response = await fetch(`${options.server}/api/upload${options.async ? '?async=true' : ''}`, {
+    method: 'POST',
+    body: form,
+    headers
+  });
+
+  return await response.json();
+}
+
+// .thyraignore uses gitignore syntax: globs with * ** ?, a trailing / for
+// directories only, a leading or inner / to anchor at the root, ! to re-include
+function loadIgnoreRules(root) {
+  const ignorePath = path.join(root, '.thyraignore');
+  if (!fs.existsSync(ignorePath)) return [];
+
+  return fs.readFileSync(ignorePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      let pattern = negate ? line.slice(1) : line;
+      const directoryOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+
+      const body = pattern
+        .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+        .map(token => ({
+          '**/': '(?:.*/)?',
+          '/**': '(?:/.*)?',
+          '**': '.*',
+          '*': '[^/]*',
+          '?': '[^/]'
+        })[token] ?? token.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+
+      return {
+        negate,
+        directoryOnly,
+        regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`)
+      };
+    });
+}
+
+function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+// Files under root as posix relative paths, skipping ignored files and directories
+function walkDirectory(root, rules, skip = new Set()) {
+  const files = [];
+
+  const walk = (directory) => {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const fullPath = path.join(directory, entry.name);
+      const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+
+      if (skip.has(path.resolve(fullPath))) continue;
+      if (isIgnored(relativePath, entry.isDirectory(), rules)) continue;
+
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push({ fullPath, relativePath, size: fs.statSync(fullPath).size });
+      }
+    }
+  };
+
+  walk(root);
+  return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Parsed JSON, or null when the file is missing or isn't JSON
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function promptPassphrase(message) {
+  const { passphrase } = await inquirer.prompt([
+    { type: 'password', name: 'passphrase', message, mask: '*' }
+  ]);
+  return passphrase;
+}
+
+// Asked twice, like any new password
+async function promptNewPassphrase() {
+  const { passphrase } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'New wallet passphrase (at least 8 characters):',
+      mask: '*',
+      validate: (value) => value.length >= 8 || 'Use at least 8 characters'
+    },
+    {
+      type: 'password',
+      name: 'confirm',
+      message: 'Repeat the passphrase:',
+      mask: '*',
+      validate: (value, answers) => value === answers.passphrase || 'Passphrases do not match'
+    }
+  ]);
+  return passphrase;
+}
+
+// Unlocks the wallet file for the wallet encrypt/decrypt commands, asking
+// for the passphrase when it is encrypted. Never creates a wallet.
+async function openWalletFile(walletPath) {
+  const record = readJsonFile(walletPath);
+  if (!record) {
+    throw new Error(`No wallet found at ${walletPath}`);
+  }
+
+  const passphrase = isWalletKeyfile(record) ? await promptPassphrase('Current wallet passphrase:') : null;
+  const provider = new FileWalletProvider(walletPath, { passphrase });
+  await provider.getWallet();
+  return provider;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+async function uploadDirectory(directory, options, fields) {
+  const root = path.resolve(directory);
+  const manifestPath = path.resolve(options.manifest);
+  const concurrency = Math.max(1, parseInt(options.concurrency) || 4);
+
+  const rules = loadIgnoreRules(root);
+  const files = walkDirectory(root, rules, new Set([path.join(root, '.thyraignore'), manifestPath]));
+
+  if (files.length === 0) {
+    console.log(chalk.yellow('⚠️  No files to upload'));
+    return;
+  }
+
+  // Folders are mirrored into the drive when the server keeps a folder tree
+  let baseFolder = null;
+  try {
+    const fetch = (await import('node-fetch')).default;
+    const health = await (await fetch(`${options.server}/api/health`)).json();
+    if (health.database) {
+      baseFolder = options.folder || path.basename(root);
+    } else {
+      console.log(chalk.yellow('⚠️  Server database disabled, uploading without drive folders'));
+    }
+  } catch (error) {
+    console.log(chalk.yellow('⚠️  Could not check server, uploading without drive folders'));
+  }
+
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  console.log(chalk.blue(`📁 ${files.length} files, ${formatBytes(totalBytes)}, ${concurrency} at a time`));
+  if (rules.length) {
+    console.log(chalk.gray(`   Using .thyraignore (${rules.length} rules)`));
+  }
+
+  const manifest = {
+    root,
+    server: options.server,
+    createdAt: new Date().toISOString(),
+    files: {},
+    failed: {}
+  };
+
+  const startedAt = Date.now();
+  let done = 0;
+  let uploadedBytes = 0;
+
+  await runWithConcurrency(files, concurrency, async (file) => {
+    const fileStartedAt = Date.now();
+    const directoryPath = path.posix.dirname(file.relativePath);
+    const folder = baseFolder
+      ? (directoryPath === '.' ? baseFolder : `${baseFolder}/${directoryPath}`)
+      : null;
+
+    let result;
+    try {
+      result = await postFile(file.fullPath, options, { ...fields, folder });
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    done++;
+    const prefix = chalk.gray(`[${done}/${files.length}]`);
+
+    if (!result.success) {
+      manifest.failed[file.relativePath] = result.message;
+      console.log(prefix, chalk.red('❌'), file.relativePath, chalk.red(result.message));
+      return;
+    }
+
+    uploadedBytes += file.size;
+    const seconds = Math.max((Date.now() - fileStartedAt) / 1000, 0.001);
+    const overallSeconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+
+    manifest.files[file.relativePath] = {
+      id: result.id,
+      arweaveId: result.url.split('/').pop(),
+      url: result.url,
+      shareUrl: result.shareUrl,
+      size: file.size,
+      fileId: result.fileId || null,
+      folderId: result.folderId || null
+    };
+
+    console.log(
+      prefix,
+      chalk.green('✅'),
+      file.relativePath,
+      chalk.gray(`${formatBytes(file.size)} in ${seconds.toFixed(1)}s (${formatBytes(file.size / seconds)}/s)`),
+      chalk.blue(`overall ${formatBytes(uploadedBytes)}/${formatBytes(totalBytes)} at ${formatBytes(uploadedBytes / overallSeconds)}/s`)
+    );
+  });
+
+  // Share URLs carry decryption keys, so the manifest is private
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), { mode: 0o600 });
+
+  const failedCount = Object.keys(manifest.failed).length;
+  const elapsed = (Date.now() - startedAt) / 1000;
+
+  console.log('');
+  console.log(chalk.green(`✅ Uploaded ${files.length - failedCount}/${files.length} files, ${formatBytes(uploadedBytes)} in ${elapsed.toFixed(1)}s`));
+  console.log(chalk.yellow('📋 Manifest:'), manifestPath);
+  console.log(chalk.yellow('⚠️  The manifest contains share URLs with decryption keys. Keep it secure!'));
+
+  if (failedCount > 0) {
+    console.error(chalk.red(`❌ ${failedCount} files failed, see "failed" in the manifest`));
+    process.exit(1);
+  }
+}
+
 // Upload command
 program
   .command('upload <file>')
-  .description('Upload a file to Arweave')
+  .description('Upload a file (or a directory with --recursive) to Arweave')
   .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
   .option('-k, --api-key <key>', 'API key for authentication')
-  .option('-e, --encryption <type>', 'Encryption type (none, random, drive)', 'random')
+  .option('-e, --encryption <type>', 'Encryption type (none, random, drive, passphrase)', 'random')
+  .option('--passphrase [passphrase]', 'Encrypt with a passphrase (prompted for if no value is given)')
   .option('-n, --note <note>', 'Add a note to the upload')
   .option('-i, --id <id>', 'Custom upload ID')
   .option('--no-store', 'Don\'t store in database')
+  .option('-f, --folder <path>', 'Drive folder to upload into (created if missing)')
+  .option('--callback-url <url>', 'URL told when the upload is accepted, confirmed or failed')
+  .option('-w, --wallet <name>', 'Sign with a named wallet (see thyra wallet list)')
+  .option('--async', 'Queue the upload on the server and return straight away (see thyra jobs)')
+  .option('-r, --recursive', 'Upload a directory, mirroring its structure into drive folders')
+  .option('-c, --concurrency <number>', 'Parallel uploads with --recursive', '4')
+  .option('-m, --manifest <file>', 'Manifest written by --recursive', './thyra-manifest.json')
   .action(async (file, options) => {
     try {
       console.log(chalk.blue('📤 Uploading file:'), file);
@@ -77,23 +485,124 @@ program
         process.exit(1);
       }
 
+      const isDirectory = fs.statSync(file).isDirectory();
+      if (isDirectory && !options.recursive) {
+        console.error(chalk.red('❌ Is a directory, use --recursive:'), file);
+        process.exit(1);
+      }
+
+      const passphrase = await resolvePassphrase(options);
+      const encryption = passphrase ? 'passphrase' : options.encryption;
+
+      const fields = {
+        encryption,
+        passphrase,
+        note: options.note,
+        store: options.noStore ? 'false' : undefined,
+        callbackUrl: options.callbackUrl,
+        wallet: options.wallet
+      };
+
+      if (isDirectory) {
+        if (options.id) {
+          console.log(chalk.yellow('⚠️  --id is ignored with --recursive'));
+        }
+        if (options.async) {
+          console.log(chalk.yellow('⚠️  --async is ignored with --recursive, the manifest needs each upload\'s URL'));
+        }
+        await uploadDirectory(file, { ...options, async: false }, fields);
+        return;
+      }
+
+      const result = await postFile(file, options, { ...fields, id: options.id, folder: options.folder });
+
+      if (result.success && result.jobId) {
+        console.log(chalk.green('📥 Upload queued'));
+        console.log(chalk.yellow('📄 ID:'), result.id);
+        console.log(chalk.yellow('⚙️  Job:'), result.jobId);
+        console.log(chalk.gray(`   Follow it with: thyra jobs show ${result.jobId}`));
+      } else if (result.success) {
+        console.log(chalk.green('✅ Upload successful!'));
+        console.log(chalk.yellow('📄 ID:'), result.id);
+        console.log(chalk.yellow('🔗 URL:'), result.url);
+        if (result.shareUrl) {
+          console.log(chalk.yellow('🔐 Share URL:'), result.shareUrl);
+        }
+        if (result.encryptionKey) {
+          console.log(chalk.yellow('🔑 Key (private drive, no share link):'), result.encryptionKey);
+        }
+        if (result.keyDerivation) {
+          console.log(chalk.yellow('🔑 Passphrase protected:'), 'share the passphrase separately');
+        }
+        if (result.fileId) {
+          console.log(chalk.yellow('📁 ArDrive File ID:'), result.fileId);
+        }
+        if (result.folderId) {
+          console.log(chalk.yellow('📂 Folder:'), `${options.folder} (${result.folderId})`);
+        }
+        console.log(chalk.yellow('📊 Size:'), result.size, 'bytes');
+        console.log(chalk.yellow('🔒 Encrypted:'), result.encrypted ? 'Yes' : 'No');
+      } else {
+        console.error(chalk.red('❌ Upload failed:'), result.message);
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Upload error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Publish command
+program
+  .command('publish <dir>')
+  .description('Publish a static site directory behind a single Arweave path manifest (unencrypted)')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .option('--index <path>', 'Index file, relative to the directory', 'index.html')
+  .option('--fallback <path>', 'File served for paths not in the manifest, e.g. 404.html')
+  .option('-n, --note <note>', 'Add a note to the upload')
+  .option('--no-store', 'Don\'t store in database')
+  .action(async (dir, options) => {
+    try {
+      const root = path.resolve(dir);
+
+      if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+        console.error(chalk.red('❌ Not a directory:'), dir);
+        process.exit(1);
+      }
+
+      const files = walkDirectory(root, loadIgnoreRules(root), new Set([path.join(root, '.thyraignore')]));
+
+      if (!files.some(file => file.relativePath === options.index)) {
+        console.error(chalk.red('❌ Index file not found:'), options.index);
+        process.exit(1);
+      }
+
+      const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+      console.log(chalk.blue(`🌐 Publishing ${files.length} files, ${formatBytes(totalBytes)}...`));
+      console.log(chalk.yellow('⚠️  Published files are public and unencrypted'));
+
       const FormData = (await import('form-data')).default;
       const fetch = (await import('node-fetch')).default;
 
       const form = new FormData();
-      form.append('file', fs.createReadStream(file));
-
-      if (options.encryption) form.append('encryption', options.encryption);
+      form.append('index', options.index);
+      if (options.fallback) form.append('fallback', options.fallback);
       if (options.note) form.append('note', options.note);
-      if (options.id) form.append('id', options.id);
       if (options.noStore) form.append('store', 'false');
 
+      // The field name carries the file's path in the site
+      files.forEach(file => {
+        form.append(file.relativePath, fs.createReadStream(file.fullPath), { filename: path.basename(file.relativePath) });
+      });
+
       const headers = {};
       if (options.apiKey) {
         headers['X-API-Key'] = options.apiKey;
       }
 
-      const response = await fetch(`${options.server}/api/upload`, {
+      const response = await fetch(`${options.server}/api/manifest`, {
         method: 'POST',
         body: form,
         headers
@@ -101,22 +610,184 @@ program
 
       const result = await response.json();
 
-      if (result.success) {
-        console.log(chalk.green('✅ Upload successful!'));
-        console.log(chalk.yellow('📄 ID:'), result.id);
-        console.log(chalk.yellow('🔗 URL:'), result.url);
-        if (result.shareUrl) {
-          console.log(chalk.yellow('🔐 Share URL:'), result.shareUrl);
+      if (!result.success) {
+        console.error(chalk.red('❌ Publish failed:'), result.message);
+        process.exit(1);
+      }
+
+      Object.entries(result.files).forEach(([filePath, file]) => {
+        console.log(chalk.gray(`   ${filePath} → ${file.id}`));
+      });
+      console.log(chalk.green('✅ Site published!'));
+      console.log(chalk.yellow('📄 Manifest ID:'), result.manifestId);
+      console.log(chalk.yellow('🔗 URL:'), result.url);
+      if (result.fallback) {
+        console.log(chalk.yellow('↩️  Fallback:'), result.fallback);
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Publish error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Parses JSON content, which is how arload chunk manifests are stored
+function parseJsonContent(buffer) {
+  if (buffer[0] !== 0x7b) return null;
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchFromGateway(gateway, arweaveId) {
+  const fetch = (await import('node-fetch')).default;
+  const response = await fetch(`${gateway}/${arweaveId}`);
+
+  if (!response.ok) {
+    throw new Error(`Gateway returned ${response.status} for ${arweaveId}`);
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  const expectedLength = response.headers.get('content-length');
+  if (expectedLength && !response.headers.get('content-encoding') && parseInt(expectedLength) !== data.length) {
+    throw new Error(`Incomplete download of ${arweaveId}: ${data.length} of ${expectedLength} bytes`);
+  }
+
+  return data;
+}
+
+async function fetchOriginalFilename(gateway, arweaveId) {
+  try {
+    const fetch = (await import('node-fetch')).default;
+    const response = await fetch(`${gateway}/graphql`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: 'query($id: ID!) { transaction(id: $id) { tags { name value } } }',
+        variables: { id: arweaveId }
+      })
+    });
+    const result = await response.json();
+    return result.data?.transaction?.tags?.find(tag => tag.name === 'Original-Filename')?.value || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Download command
+program
+  .command('download <target>')
+  .description('Download and decrypt an upload by share URL, gateway URL or Arweave ID')
+  .option('-o, --output <path>', 'Output file or directory (default: original filename)')
+  .option('--key <key>', 'Decryption key (base64), if not in the share URL')
+  .option('--passphrase [passphrase]', 'Passphrase for passphrase protected uploads (prompted for if no value is given)')
+  .option('-g, --gateway <url>', 'Arweave gateway', process.env.ARWEAVE_GATEWAYS?.split(',')[0].trim() || 'https://arweave.net')
+  .option('--force', 'Overwrite the output file if it exists')
+  .action(async (target, options) => {
+    try {
+      const gateway = options.gateway.replace(/\/+$/, '');
+      // A share URL in any scheme, a gateway URL or a bare Arweave ID
+      const { arweaveId, key: urlKey } = parseShareUrl(target);
+      const keyB64 = options.key || urlKey;
+
+      console.log(chalk.blue('📥 Downloading:'), arweaveId);
+
+      const data = await fetchFromGateway(gateway, arweaveId);
+      const json = isBinaryEnvelope(data) ? null : parseJsonContent(data);
+      const envelope = isBinaryEnvelope(data) ? decodeEnvelope(data) : null;
+      const isChunked = json?.type === 'thyra-chunked-manifest';
+      const isEncrypted = Boolean(envelope || parseLegacyEnvelope(data) || (isChunked && json.encrypted));
+
+      let key = null;
+      if (isEncrypted) {
+        if (envelope?.metadata?.kdf) {
+          const { kdf } = envelope.metadata;
+          let passphrase = typeof options.passphrase === 'string' ? options.passphrase : null;
+          if (!passphrase) {
+            ({ passphrase } = await inquirer.prompt([
+              { type: 'password', name: 'passphrase', message: 'Passphrase:', mask: '*' }
+            ]));
+          }
+          key = crypto.pbkdf2Sync(passphrase, Buffer.from(kdf.salt, 'base64'), kdf.iterations, 32, 'sha256');
+        } else if (keyB64) {
+          key = Buffer.from(keyB64, 'base64');
+        } else {
+          console.error(chalk.red('❌ Content is encrypted, pass --key or use the full share URL'));
+          process.exit(1);
         }
-        console.log(chalk.yellow('📊 Size:'), result.size, 'bytes');
-        console.log(chalk.yellow('🔒 Encrypted:'), result.encrypted ? 'Yes' : 'No');
+
+        if (key.length !== 32) {
+          console.error(chalk.red('❌ Key must be 32 bytes encoded as base64'));
+          process.exit(1);
+        }
+      }
+
+      let content;
+      let algorithm = null;
+      const checks = [];
+
+      if (isChunked) {
+        const parts = [];
+        for (const chunk of [...json.chunks].sort((a, b) => a.index - b.index)) {
+          const raw = await fetchFromGateway(gateway, chunk.id);
+          if (crypto.createHash('sha256').update(raw).digest('hex') !== chunk.sha256) {
+            throw new Error(`Chunk ${chunk.index} failed its SHA-256 check`);
+          }
+          const part = json.encrypted ? decryptEnvelope(raw, key) : { content: raw, algorithm: null };
+          algorithm = part.algorithm;
+          parts.push(part.content);
+          console.log(chalk.gray(`   Chunk ${chunk.index + 1}/${json.totalChunks} verified`));
+        }
+        content = Buffer.concat(parts);
+        checks.push(`${json.chunks.length} chunk hashes verified`);
+        if (json.totalSize && content.length !== json.totalSize) {
+          throw new Error(`Reassembled ${content.length} bytes, manifest says ${json.totalSize}`);
+        }
+      } else if (isEncrypted) {
+        ({ content, algorithm } = decryptEnvelope(data, key));
       } else {
-        console.error(chalk.red('❌ Upload failed:'), result.message);
+        content = data;
+      }
+
+      if (algorithm === 'aes-256-gcm') {
+        checks.push('AES-256-GCM authentication passed');
+      } else if (algorithm === 'aes-256-cbc') {
+        checks.push(chalk.yellow('AES-256-CBC is not authenticated, integrity not verified'));
+      }
+
+      const filename = path.basename(
+        await fetchOriginalFilename(gateway, arweaveId) ||
+        envelope?.metadata?.filename ||
+        (isChunked && json.filename) ||
+        arweaveId
+      );
+
+      let outputPath = options.output || filename;
+      if (fs.existsSync(outputPath) && fs.statSync(outputPath).isDirectory()) {
+        outputPath = path.join(outputPath, filename);
+      }
+
+      if (fs.existsSync(outputPath) && !options.force) {
+        console.error(chalk.red('❌ Output file exists, use --force to overwrite:'), outputPath);
         process.exit(1);
       }
 
+      fs.writeFileSync(outputPath, content);
+
+      console.log(chalk.green('✅ Download complete!'));
+      console.log(chalk.yellow('📄 File:'), path.resolve(outputPath));
+      console.log(chalk.yellow('📊 Size:'), content.length, 'bytes');
+      console.log(chalk.yellow('🔒 Encrypted:'), isEncrypted ? 'Yes' : 'No');
+      checks.forEach(check => console.log(chalk.yellow('🛡️  Integrity:'), check));
+      console.log(chalk.yellow('#️⃣  SHA-256:'), crypto.createHash('sha256').update(content).digest('hex'));
+
     } catch (error) {
-      console.error(chalk.red('❌ Upload error:'), error.message);
+      const message = /unable to authenticate|bad decrypt/i.test(error.message)
+        ? 'Decryption failed, wrong key or tampered content'
+        : error.message;
+      console.error(chalk.red('❌ Download error:'), message);
       process.exit(1);
     }
   });
@@ -127,24 +798,34 @@ program
   .description('Upload a text message to Arweave')
   .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
   .option('-k, --api-key <key>', 'API key for authentication')
-  .option('-e, --encryption <type>', 'Encryption type (none, random, drive)', 'random')
+  .option('-e, --encryption <type>', 'Encryption type (none, random, drive, passphrase)', 'random')
+  .option('--passphrase [passphrase]', 'Encrypt with a passphrase (prompted for if no value is given)')
   .option('-n, --note <note>', 'Add a note to the upload')
   .option('-i, --id <id>', 'Custom upload ID')
   .option('--no-store', 'Don\'t store in database')
+  .option('--callback-url <url>', 'URL told when the upload is accepted, confirmed or failed')
+  .option('-w, --wallet <name>', 'Sign with a named wallet (see thyra wallet list)')
+  .option('--async', 'Queue the upload on the server and return straight away (see thyra jobs)')
   .action(async (text, options) => {
     try {
       console.log(chalk.blue('📤 Uploading message...'));
 
+      const passphrase = await resolvePassphrase(options);
+
       const fetch = (await import('node-fetch')).default;
 
       const payload = {
         message: text,
-        encryption: options.encryption
+        encryption: passphrase ? 'passphrase' : options.encryption
       };
 
+      if (passphrase) payload.passphrase = passphrase;
+
       if (options.note) payload.note = options.note;
       if (options.id) payload.id = options.id;
       if (options.noStore) payload.store = false;
+      if (options.callbackUrl) payload.callbackUrl = options.callbackUrl;
+      if (options.wallet) payload.wallet = options.wallet;
 
       const headers = {
         'Content-Type': 'application/json'
@@ -154,7 +835,7 @@ program
         headers['X-API-Key'] = options.apiKey;
       }
 
-      const response = await fetch(`${options.server}/api/upload`, {
+      const response = await fetch(`${options.server}/api/upload${options.async ? '?async=true' : ''}`, {
         method: 'POST',
         body: JSON.stringify(payload),
         headers
@@ -162,13 +843,23 @@ program
 
       const result = await response.json();
 
-      if (result.success) {
+      if (result.success && result.jobId) {
+        console.log(chalk.green('📥 Message queued'));
+        console.log(chalk.yellow('📄 ID:'), result.id);
+        console.log(chalk.yellow('⚙️  Job:'), result.jobId);
+      } else if (result.success) {
         console.log(chalk.green('✅ Message uploaded!'));
         console.log(chalk.yellow('📄 ID:'), result.id);
         console.log(chalk.yellow('🔗 URL:'), result.url);
         if (result.shareUrl) {
           console.log(chalk.yellow('🔐 Share URL:'), result.shareUrl);
         }
+        if (result.encryptionKey) {
+          console.log(chalk.yellow('🔑 Key (private drive, no share link):'), result.encryptionKey);
+        }
+        if (result.keyDerivation) {
+          console.log(chalk.yellow('🔑 Passphrase protected:'), 'share the passphrase separately');
+        }
         console.log(chalk.yellow('📊 Size:'), result.size, 'bytes');
         console.log(chalk.yellow('🔒 Encrypted:'), result.encrypted ? 'Yes' : 'No');
       } else {
@@ -225,6 +916,7 @@ program
           console.log(chalk.gray(`   URL: ${upload.url}`));
           console.log(chalk.gray(`   Size: ${upload.size} bytes`));
           console.log(chalk.gray(`   Encrypted: ${upload.encrypted ? 'Yes' : 'No'}`));
+          console.log(chalk.gray(`   Status: ${upload.status || 'unknown'}`));
           console.log(chalk.gray(`   Created: ${new Date(upload.timestamp).toLocaleString()}`));
           if (upload.note) {
             console.log(chalk.gray(`   Note: ${upload.note}`));
@@ -245,26 +937,16 @@ program
     }
   });
 
-// Wallet commands
+// Upload status command
 program
-  .command('wallet')
-  .description('Wallet management commands')
+  .command('status <id>')
+  .description('Show whether an upload has been confirmed on Arweave')
   .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
   .option('-k, --api-key <key>', 'API key for authentication')
-  .action(async (options) => {
-    const answers = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'action',
-        message: 'What would you like to do?',
-        choices: [
-          'Show wallet address',
-          'Export wallet',
-          'Check wallet balance (view only)'
-        ]
-      }
-    ]);
-
+  .option('-w, --wait', 'Keep checking until the upload is confirmed or has failed')
+  .option('--interval <seconds>', 'Seconds between checks with --wait', '5')
+  .option('--timeout <seconds>', 'Give up waiting after this many seconds')
+  .action(async (id, options) => {
     try {
       const fetch = (await import('node-fetch')).default;
 
@@ -273,46 +955,911 @@ program
         headers['X-API-Key'] = options.apiKey;
       }
 
-      if (answers.action === 'Show wallet address') {
-        const response = await fetch(`${options.server}/api/wallet/address`, { headers });
+      const interval = parseFloat(options.interval) * 1000;
+      const deadline = options.timeout ? Date.now() + parseFloat(options.timeout) * 1000 : Infinity;
+      let lastStatus = null;
+
+      while (true) {
+        const response = await fetch(`${options.server}/api/uploads/${encodeURIComponent(id)}/status`, { headers });
         const result = await response.json();
 
-        if (result.success) {
-          console.log(chalk.green('💼 Wallet Address:'), result.address);
-          console.log(chalk.gray('🔗 View on ArScan:'), `https://arscan.io/address/${result.address}`);
-        } else {
-          console.error(chalk.red('❌ Error:'), result.message);
+        if (!result.success) {
+          console.error(chalk.red('❌ Status check failed:'), result.message);
+          process.exit(1);
         }
-      } else if (answers.action === 'Export wallet') {
-        const exportAnswers = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'path',
-            message: 'Export path (default: ./thyra-wallet-backup.json):',
-            default: './thyra-wallet-backup.json'
-          }
-        ]);
 
-        const response = await fetch(`${options.server}/api/wallet/export`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            ...headers
-          },
-          body: JSON.stringify({ path: exportAnswers.path })
-        });
+        const summary = result.blockHeight === null
+          ? 'not yet mined'
+          : `block ${result.blockHeight}, ${result.confirmations}/${result.confirmationsRequired} confirmations`;
 
-        const result = await response.json();
+        if (!options.wait || result.status !== 'pending' || lastStatus !== summary) {
+          const color = { confirmed: chalk.green, failed: chalk.red }[result.status] || chalk.yellow;
+          console.log(color(`${result.status === 'confirmed' ? '✅' : result.status === 'failed' ? '❌' : '⏳'} ${result.status}`), chalk.gray(`(${summary})`));
+          lastStatus = summary;
+        }
 
-        if (result.success) {
-          console.log(chalk.green('💾 Wallet exported to:'), result.walletPath);
-          console.log(chalk.yellow('⚠️  Keep this file secure!'));
-        } else {
-          console.error(chalk.red('❌ Export failed:'), result.message);
+        if (result.status === 'failed') {
+          process.exit(1);
+        }
+
+        if (!options.wait || result.status === 'confirmed') {
+          break;
+        }
+
+        if (Date.now() + interval > deadline) {
+          console.error(chalk.red('❌ Timed out waiting for confirmation'));
+          process.exit(1);
         }
+
+        await new Promise(resolve => setTimeout(resolve, interval));
       }
+
     } catch (error) {
-      console.error(chalk.red('❌ Wallet error:'), error.message);
+      console.error(chalk.red('❌ Status error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Encryption report command
+program
+  .command('encryption-report')
+  .description('Report stored uploads still encrypted with legacy AES-256-CBC')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue('🔍 Checking stored uploads...'));
+
+      const fetch = (await import('node-fetch')).default;
+
+      const headers = {};
+      if (options.apiKey) {
+        headers['X-API-Key'] = options.apiKey;
+      }
+
+      const response = await fetch(`${options.server}/api/uploads`, { headers });
+      const result = await response.json();
+
+      if (!result.success) {
+        console.error(chalk.red('❌ Failed to fetch uploads:'), result.message);
+        process.exit(1);
+      }
+
+      const counts = {};
+      result.uploads.forEach(upload => {
+        const algorithm = upload.encrypted ? (upload.algorithm || 'unknown') : 'none';
+        counts[algorithm] = (counts[algorithm] || 0) + 1;
+      });
+
+      console.log(chalk.green(`📋 ${result.uploads.length} stored uploads:`));
+      Object.entries(counts).forEach(([algorithm, count]) => {
+        console.log(chalk.gray(`   ${algorithm}: ${count}`));
+      });
+      console.log('');
+
+      const legacy = result.uploads.filter(upload => upload.encrypted && upload.algorithm === 'aes-256-cbc');
+      if (legacy.length === 0) {
+        console.log(chalk.green('✅ No uploads use AES-256-CBC'));
+        return;
+      }
+
+      console.log(chalk.yellow(`⚠️  ${legacy.length} uploads still use AES-256-CBC (unauthenticated):`));
+      legacy.forEach(upload => {
+        console.log(chalk.cyan(`   ${upload.id}`));
+        console.log(chalk.gray(`     URL: ${upload.url}`));
+        console.log(chalk.gray(`     Created: ${new Date(upload.timestamp).toLocaleString()}`));
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Report error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Folder commands
+program
+  .command('mkdir <path>')
+  .description('Create a drive folder, including missing parent folders')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (folderPath, options) => {
+    try {
+      const fetch = (await import('node-fetch')).default;
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (options.apiKey) {
+        headers['X-API-Key'] = options.apiKey;
+      }
+
+      const response = await fetch(`${options.server}/api/folders`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ path: folderPath })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        console.error(chalk.red('❌ mkdir failed:'), result.message);
+        process.exit(1);
+      }
+
+      if (result.created.length === 0) {
+        console.log(chalk.gray('📂 Folder already exists:'), result.folder.path);
+      }
+      result.created.forEach(folder => {
+        console.log(chalk.green('📂 Created:'), folder.path);
+        console.log(chalk.gray(`   ID: ${folder.id}`));
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Folder error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Drive key commands
+const driveKeyCommand = program
+  .command('drive')
+  .description('Drive management commands')
+  .command('key')
+  .description('Export or import the key used by drive encryption');
+
+driveKeyCommand
+  .command('export')
+  .description('Export the drive key')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .option('-o, --output <file>', 'Write the key to a file instead of printing it')
+  .action(async (options) => {
+    try {
+      const fetch = (await import('node-fetch')).default;
+
+      const headers = {};
+      if (options.apiKey) {
+        headers['X-API-Key'] = options.apiKey;
+      }
+
+      const response = await fetch(`${options.server}/api/drive/key`, { headers });
+      const result = await response.json();
+
+      if (!result.success) {
+        console.error(chalk.red('❌ Export failed:'), result.message);
+        process.exit(1);
+      }
+
+      if (options.output) {
+        const backup = { key: result.key, fingerprint: result.fingerprint, createdAt: result.createdAt };
+        fs.writeFileSync(options.output, JSON.stringify(backup, null, 2), { mode: 0o600 });
+        console.log(chalk.green('💾 Drive key exported to:'), path.resolve(options.output));
+      } else {
+        console.log(chalk.green('🔑 Drive key:'), result.key);
+      }
+      console.log(chalk.gray('   Fingerprint:'), result.fingerprint);
+      console.log(chalk.yellow('⚠️  Anyone with this key can decrypt drive uploads. Keep it secure!'));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Drive key error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+driveKeyCommand
+  .command('import [key]')
+  .description('Import a drive key (base64, or a file written by export)')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .option('-f, --file <file>', 'Read the key from an exported file')
+  .option('--force', 'Replace a different drive key that is already in use')
+  .action(async (key, options) => {
+    try {
+      if (options.file) {
+        key = JSON.parse(fs.readFileSync(options.file, 'utf8')).key;
+      }
+
+      if (!key) {
+        console.error(chalk.red('❌ Provide a key or --file'));
+        process.exit(1);
+      }
+
+      const fetch = (await import('node-fetch')).default;
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (options.apiKey) {
+        headers['X-API-Key'] = options.apiKey;
+      }
+
+      const response = await fetch(`${options.server}/api/drive/key`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ key, force: options.force === true })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        console.error(chalk.red('❌ Import failed:'), result.message);
+        process.exit(1);
+      }
+
+      console.log(chalk.green('✅ Drive key imported'));
+      console.log(chalk.gray('   Fingerprint:'), result.fingerprint);
+
+    } catch (error) {
+      console.error(chalk.red('❌ Drive key error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Job commands
+const jobsCommand = program
+  .command('jobs')
+  .description('Inspect and manage async uploads queued on the server (requires the database)');
+
+const jobRequest = async (options, method, urlPath) => {
+  const fetch = (await import('node-fetch')).default;
+
+  const headers = {};
+  if (options.apiKey) {
+    headers['X-API-Key'] = options.apiKey;
+  }
+
+  const response = await fetch(`${options.server}${urlPath}`, { method, headers });
+  const result = await response.json();
+
+  if (!result.success) {
+    console.error(chalk.red('❌ Job request failed:'), result.message);
+    process.exit(1);
+  }
+  return result;
+};
+
+const jobColor = (status) => ({ completed: chalk.green, dead: chalk.red, cancelled: chalk.gray }[status] || chalk.yellow);
+
+const printJob = (job) => {
+  console.log(jobColor(job.status)(job.status.padEnd(9)), chalk.cyan(job.id), job.filename || '');
+  console.log(chalk.gray(`   Upload: ${job.uploadId}, ${job.attempts}/${job.maxAttempts} attempts, created ${new Date(job.createdAt).toLocaleString()}`));
+  if (job.error) {
+    console.log(chalk.gray(`   Last error: ${job.error}`));
+  }
+  if (job.nextRunAt) {
+    console.log(chalk.gray(`   Next attempt: ${new Date(job.nextRunAt).toLocaleString()}`));
+  }
+};
+
+jobsCommand
+  .command('list')
+  .description('List recent jobs')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .option('--status <status>', 'Only queued, running, completed, dead or cancelled jobs')
+  .option('-l, --limit <number>', 'Limit number of results', '20')
+  .action(async (options) => {
+    try {
+      const params = new URLSearchParams({ limit: options.limit });
+      if (options.status) params.append('status', options.status);
+
+      const { jobs } = await jobRequest(options, 'GET', `/api/jobs?${params}`);
+
+      if (jobs.length === 0) {
+        console.log(chalk.yellow('📭 No jobs found'));
+        return;
+      }
+
+      jobs.forEach(printJob);
+
+    } catch (error) {
+      console.error(chalk.red('❌ Jobs error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+jobsCommand
+  .command('show <id>')
+  .description('Show a job, and the upload once it has completed')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (id, options) => {
+    try {
+      const { job } = await jobRequest(options, 'GET', `/api/jobs/${encodeURIComponent(id)}`);
+      printJob(job);
+
+      if (job.result) {
+        console.log(chalk.yellow('🔗 URL:'), job.result.url);
+        if (job.result.shareUrl) {
+          console.log(chalk.yellow('🔐 Share URL:'), job.result.shareUrl);
+        }
+        if (job.result.encryptionKey) {
+          console.log(chalk.yellow('🔑 Key (private drive, no share link):'), job.result.encryptionKey);
+        }
+        console.log(chalk.yellow('📊 Size:'), job.result.size, 'bytes');
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Jobs error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+jobsCommand
+  .command('retry <id>')
+  .description('Queue a dead job again')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (id, options) => {
+    try {
+      await jobRequest(options, 'POST', `/api/jobs/${encodeURIComponent(id)}/retry`);
+      console.log(chalk.green('🔁 Job queued again:'), id);
+
+    } catch (error) {
+      console.error(chalk.red('❌ Jobs error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+jobsCommand
+  .command('cancel <id>')
+  .description('Cancel a queued or dead job and remove its spooled data')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (id, options) => {
+    try {
+      await jobRequest(options, 'POST', `/api/jobs/${encodeURIComponent(id)}/cancel`);
+      console.log(chalk.green('🛑 Job cancelled:'), id);
+
+    } catch (error) {
+      console.error(chalk.red('❌ Jobs error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Webhook commands
+const webhooksCommand = program
+  .command('webhooks')
+  .description('Manage webhooks told about upload events (requires the database)');
+
+const webhookRequest = async (options, method, urlPath, body) => {
+  const fetch = (await import('node-fetch')).default;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.apiKey) {
+    headers['X-API-Key'] = options.apiKey;
+  }
+
+  const response = await fetch(`${options.server}${urlPath}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    console.error(chalk.red('❌ Webhook request failed:'), result.message);
+    process.exit(1);
+  }
+  return result;
+};
+
+webhooksCommand
+  .command('add <url>')
+  .description('Register a webhook')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .option('-e, --events <events>', 'Comma separated events: upload.accepted, upload.confirmed, upload.failed or *', '*')
+  .option('--secret <secret>', 'Signing secret (generated if not given)')
+  .action(async (url, options) => {
+    try {
+      const result = await webhookRequest(options, 'POST', '/api/webhooks', {
+        url,
+        events: options.events,
+        secret: options.secret
+      });
+
+      console.log(chalk.green('✅ Webhook registered:'), result.webhook.id);
+      console.log(chalk.gray('   Events:'), result.webhook.events.join(', '));
+      console.log(chalk.yellow('🔑 Signing secret:'), result.secret);
+      console.log(chalk.gray('   Deliveries carry X-Thyra-Signature: sha256=HMAC(secret, "<X-Thyra-Timestamp>.<body>")'));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Webhook error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+webhooksCommand
+  .command('list')
+  .description('List registered webhooks')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (options) => {
+    try {
+      const { webhooks } = await webhookRequest(options, 'GET', '/api/webhooks');
+
+      if (webhooks.length === 0) {
+        console.log(chalk.yellow('📭 No webhooks registered'));
+        return;
+      }
+
+      webhooks.forEach(webhook => {
+        console.log(chalk.cyan(webhook.id), webhook.url);
+        console.log(chalk.gray(`   Events: ${webhook.events.join(', ')}`));
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Webhook error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+webhooksCommand
+  .command('remove <id>')
+  .description('Remove a webhook')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (id, options) => {
+    try {
+      await webhookRequest(options, 'DELETE', `/api/webhooks/${encodeURIComponent(id)}`);
+      console.log(chalk.green('🗑️  Webhook removed:'), id);
+
+    } catch (error) {
+      console.error(chalk.red('❌ Webhook error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+webhooksCommand
+  .command('deliveries')
+  .description('Show recent webhook deliveries')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .option('-w, --webhook <id>', 'Only deliveries to this webhook')
+  .option('-u, --upload <id>', 'Only deliveries about this upload')
+  .option('--status <status>', 'Only pending, delivered or failed deliveries')
+  .option('-l, --limit <number>', 'Limit number of results', '20')
+  .action(async (options) => {
+    try {
+      const params = new URLSearchParams({ limit: options.limit });
+      if (options.webhook) params.append('webhookId', options.webhook);
+      if (options.upload) params.append('uploadId', options.upload);
+      if (options.status) params.append('status', options.status);
+
+      const { deliveries } = await webhookRequest(options, 'GET', `/api/webhooks/deliveries?${params}`);
+
+      if (deliveries.length === 0) {
+        console.log(chalk.yellow('📭 No deliveries found'));
+        return;
+      }
+
+      deliveries.forEach(delivery => {
+        const color = { delivered: chalk.green, failed: chalk.red }[delivery.status] || chalk.yellow;
+        console.log(color(delivery.status.padEnd(9)), delivery.event, chalk.gray(delivery.url));
+        console.log(chalk.gray(`   ${new Date(delivery.createdAt).toLocaleString()}, upload ${delivery.uploadId}, ${delivery.attempts} attempt(s)` +
+          (delivery.error ? `, last error: ${delivery.error}` : '') +
+          (delivery.nextAttemptAt ? `, next ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : '')));
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Webhook error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// API key commands
+const keysCommand = program
+  .command('keys')
+  .description('Manage API keys, their scopes and daily quotas (requires the database)');
+
+const keyRequest = async (options, method, urlPath, body) => {
+  const fetch = (await import('node-fetch')).default;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.apiKey) {
+    headers['X-API-Key'] = options.apiKey;
+  }
+
+  const response = await fetch(`${options.server}${urlPath}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    console.error(chalk.red('❌ Key request failed:'), result.message);
+    process.exit(1);
+  }
+  return result;
+};
+
+keysCommand
+  .command('create <name>')
+  .description('Create an API key; the secret is shown once')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .option('--scopes <scopes>', 'Comma separated scopes: upload, list, wallet:read, wallet:export, admin', 'upload,list')
+  .option('--quota <bytes>', 'Bytes the key may upload per day (UTC)')
+  .option('--wallets <names>', 'Comma separated named wallets the key may sign with')
+  .action(async (name, options) => {
+    try {
+      const result = await keyRequest(options, 'POST', '/api/keys', {
+        name,
+        scopes: options.scopes,
+        quotaBytesPerDay: options.quota ? parseInt(options.quota) : null,
+        wallets: options.wallets || []
+      });
+
+      console.log(chalk.green('✅ API key created:'), result.key.id, chalk.gray(`(${result.key.name})`));
+      console.log(chalk.gray('   Scopes:'), result.key.scopes.join(', '));
+      if (result.key.quotaBytesPerDay) {
+        console.log(chalk.gray('   Quota:'), `${formatBytes(result.key.quotaBytesPerDay)} per day`);
+      }
+      if (result.key.wallets.length > 0) {
+        console.log(chalk.gray('   Wallets:'), result.key.wallets.join(', '));
+      }
+      console.log(chalk.yellow('🔑 Secret:'), result.secret);
+      console.log(chalk.gray('   Store it now, it cannot be shown again'));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Key error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+keysCommand
+  .command('list')
+  .description('List API keys')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (options) => {
+    try {
+      const { keys } = await keyRequest(options, 'GET', '/api/keys');
+
+      if (keys.length === 0) {
+        console.log(chalk.yellow('📭 No API keys created'));
+        return;
+      }
+
+      keys.forEach(key => {
+        const name = key.revokedAt ? chalk.gray(`${key.name} (revoked)`) : key.name;
+        console.log(chalk.cyan(key.id), name, chalk.gray(key.scopes.join(', ')),
+          key.wallets.length > 0 ? chalk.gray(`wallets: ${key.wallets.join(', ')}`) : '');
+        console.log(chalk.gray(`   Today: ${formatBytes(key.usedToday)}` +
+          (key.quotaBytesPerDay ? ` of ${formatBytes(key.quotaBytesPerDay)}` : '') +
+          `, last used ${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'never'}`));
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Key error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+keysCommand
+  .command('revoke <id>')
+  .description('Revoke an API key')
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (id, options) => {
+    try {
+      await keyRequest(options, 'POST', `/api/keys/${encodeURIComponent(id)}/revoke`);
+      console.log(chalk.green('🚫 API key revoked:'), id);
+
+    } catch (error) {
+      console.error(chalk.red('❌ Key error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Wallet commands
+const walletCommand = program
+  .command('wallet')
+  .description('Wallet management commands')
+  .configureHelp({ showGlobalOptions: true })
+  .option('-s, --server <url>', 'Server URL', 'http://localhost:3000')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .action(async (options) => {
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What would you like to do?',
+        choices: [
+          'Show wallet address',
+          'Export wallet',
+          'Check wallet balance (view only)'
+        ]
+      }
+    ]);
+
+    try {
+      const fetch = (await import('node-fetch')).default;
+
+      const headers = {};
+      if (options.apiKey) {
+        headers['X-API-Key'] = options.apiKey;
+      }
+
+      if (answers.action === 'Show wallet address') {
+        const response = await fetch(`${options.server}/api/wallet/address`, { headers });
+        const result = await response.json();
+
+        if (result.success) {
+          console.log(chalk.green('💼 Wallet Address:'), result.address);
+          console.log(chalk.gray('🔗 View on ArScan:'), `https://arscan.io/address/${result.address}`);
+        } else {
+          console.error(chalk.red('❌ Error:'), result.message);
+        }
+      } else if (answers.action === 'Export wallet') {
+        // Needs an admin key; the keyfile is encrypted with the passphrase
+        const exportAnswers = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'format',
+            message: 'Where should the export go?',
+            choices: [
+              { name: 'Download an encrypted keyfile', value: 'encrypted' },
+              { name: 'Save a backup in the server\'s WALLET_BACKUP_DIR', value: 'backup' }
+            ]
+          },
+          {
+            type: 'input',
+            name: 'path',
+            message: 'Save keyfile to:',
+            default: './thyra-wallet-backup.json',
+            when: (answers) => answers.format === 'encrypted'
+          },
+          {
+            type: 'input',
+            name: 'filename',
+            message: 'Backup file name (empty for a dated name):',
+            when: (answers) => answers.format === 'backup'
+          },
+          {
+            type: 'password',
+            name: 'passphrase',
+            message: 'Passphrase for the keyfile (at least 8 characters, empty for an unencrypted server backup):',
+            mask: '*'
+          }
+        ]);
+
+        const response = await fetch(`${options.server}/api/wallet/export`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...headers
+          },
+          body: JSON.stringify({
+            format: exportAnswers.format,
+            filename: exportAnswers.filename || undefined,
+            passphrase: exportAnswers.passphrase || undefined
+          })
+        });
+
+        const result = await response.json();
+
+        if (result.success === false) {
+          console.error(chalk.red('❌ Export failed:'), result.message);
+        } else if (exportAnswers.format === 'encrypted') {
+          fs.writeFileSync(exportAnswers.path, JSON.stringify(result, null, 2), { mode: 0o600 });
+          console.log(chalk.green('💾 Encrypted keyfile saved to:'), path.resolve(exportAnswers.path));
+          console.log(chalk.yellow('⚠️  Keep the passphrase safe, the keyfile is useless without it'));
+        } else {
+          console.log(chalk.green('💾 Wallet backed up on the server to:'), result.walletPath);
+          console.log(chalk.yellow(result.encrypted ? '🔐 Encrypted with your passphrase' : '⚠️  Unencrypted, keep the backup directory secure!'));
+        }
+      } else if (answers.action === 'Check wallet balance (view only)') {
+        // Only ask which wallet when the server has named ones in use
+        const listed = await (await fetch(`${options.server}/api/wallets`, { headers })).json();
+        const active = (listed.wallets || []).filter(wallet => !wallet.retiredAt);
+
+        const balanceAnswers = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'wallet',
+            message: 'Which wallet?',
+            choices: active.map(wallet => ({ name: `${wallet.name} (${wallet.address})`, value: wallet.name })),
+            when: () => active.length > 1
+          },
+          {
+            type: 'input',
+            name: 'size',
+            message: 'Estimate uploads of how many MB each?',
+            default: '1',
+            validate: (input) => parseFloat(input) > 0 || 'Enter a size above 0'
+          }
+        ]);
+
+        const bytes = Math.max(Math.round(parseFloat(balanceAnswers.size) * 1024 * 1024), 1);
+        const query = new URLSearchParams({ wallet: balanceAnswers.wallet || 'default', bytes: String(bytes) });
+        const response = await fetch(`${options.server}/api/wallet/balance?${query}`, { headers });
+        const result = await response.json();
+
+        if (!result.success) {
+          console.error(chalk.red('❌ Error:'), result.message);
+          return;
+        }
+
+        const remaining = (count) => count === null
+          ? 'free at this size'
+          : `~${count.toLocaleString()} uploads of ${formatBytes(result.bytes)} left`;
+
+        console.log(chalk.green('💼 Wallet:'), `${result.wallet} (${result.address})`);
+        console.log(chalk.green('💰 AR balance:'), `${result.ar.ar} AR`, chalk.gray(`(${result.ar.winston} winston)`));
+        console.log(chalk.gray(`   ${remaining(result.ar.uploadsRemaining)} as layer 1 transactions, ${result.ar.priceWinston} winston each`));
+
+        if (result.turbo.error) {
+          console.log(chalk.yellow('⚠️  Turbo credits unavailable:'), result.turbo.error);
+        } else {
+          console.log(chalk.green('🎫 Turbo credits:'), result.turbo.credits, chalk.gray(`(${result.turbo.winc} winc)`));
+          console.log(chalk.gray(`   ${remaining(result.turbo.uploadsRemaining)} through Turbo, ${result.turbo.priceWinc} winc each`));
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Wallet error:'), error.message);
+    }
+  });
+
+// Named wallets on the server (admin key needed to add or rotate). The
+// server and key options belong to the wallet command itself, which would
+// otherwise take them before a subcommand saw them, so the subcommands read
+// them with optsWithGlobals().
+const walletRequest = async (options, method, urlPath, body) => {
+  const fetch = (await import('node-fetch')).default;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.apiKey) {
+    headers['X-API-Key'] = options.apiKey;
+  }
+
+  const response = await fetch(`${options.server}${urlPath}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    console.error(chalk.red('❌ Wallet request failed:'), result.message);
+    process.exit(1);
+  }
+  return result;
+};
+
+// A plain JWK file, or a keyfile unlocked here so the passphrase never leaves
+async function readWalletFile(file) {
+  const record = readJsonFile(file);
+  if (!record) {
+    throw new Error(`No wallet found at ${file}`);
+  }
+  return isWalletKeyfile(record) ? await decryptWalletKeyfile(record, await promptPassphrase('Keyfile passphrase:')) : record;
+}
+
+walletCommand
+  .command('list')
+  .description('List the server\'s wallets, retired ones included')
+  .action(async (options, command) => {
+    try {
+      const { wallets } = await walletRequest(command.optsWithGlobals(), 'GET', '/api/wallets');
+
+      wallets.forEach(wallet => {
+        const name = wallet.retiredAt ? chalk.gray(`${wallet.name} (retired ${new Date(wallet.retiredAt).toLocaleString()})`) : wallet.name;
+        console.log(chalk.cyan(wallet.address), name);
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Wallet error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+walletCommand
+  .command('import <file>')
+  .description('Add a JWK or encrypted keyfile to the server as a named wallet')
+  .requiredOption('--name <name>', 'Name uploads use to pick the wallet')
+  .action(async (file, options, command) => {
+    try {
+      const jwk = await readWalletFile(file);
+      const { wallet } = await walletRequest(command.optsWithGlobals(), 'POST', '/api/wallets', { name: options.name, jwk });
+      console.log(chalk.green('✅ Wallet imported:'), wallet.name, chalk.cyan(wallet.address));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Wallet error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+walletCommand
+  .command('generate <name>')
+  .description('Create a new named wallet on the server')
+  .action(async (name, options, command) => {
+    try {
+      const { wallet } = await walletRequest(command.optsWithGlobals(), 'POST', '/api/wallets', { name });
+      console.log(chalk.green('✨ Wallet created:'), wallet.name, chalk.cyan(wallet.address));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Wallet error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+walletCommand
+  .command('rotate <name>')
+  .description('Give a named wallet a new key; the old one is kept for older uploads')
+  .option('--from <file>', 'Rotate to this JWK or keyfile instead of a generated wallet')
+  .action(async (name, options, command) => {
+    try {
+      const jwk = options.from ? await readWalletFile(options.from) : null;
+      const { wallet, retired } = await walletRequest(command.optsWithGlobals(), 'POST', `/api/wallets/${encodeURIComponent(name)}/rotate`, { jwk });
+      console.log(chalk.green('🔄 Wallet rotated:'), wallet.name, chalk.cyan(wallet.address));
+      console.log(chalk.gray(`   Retired: ${retired.address}`));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Wallet error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// These work on the wallet file directly; restart the server afterwards
+walletCommand
+  .command('encrypt')
+  .description('Encrypt the wallet file with a passphrase (scrypt and AES-256-GCM)')
+  .option('--wallet-path <path>', 'Wallet file path', process.env.WALLET_PATH || './thyra-wallet.json')
+  .action(async (options) => {
+    try {
+      const provider = await openWalletFile(options.walletPath);
+      if (provider.encrypted) {
+        console.log(chalk.yellow('🔐 The wallet is already encrypted, use thyra wallet change-passphrase'));
+        return;
+      }
+
+      await provider.save(await promptNewPassphrase());
+      console.log(chalk.green('🔐 Wallet encrypted:'), path.resolve(options.walletPath));
+      console.log(chalk.gray('   Start the server with WALLET_PASSPHRASE, --passphrase-fd, or enter it when asked'));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Wallet error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+walletCommand
+  .command('decrypt')
+  .description('Store the wallet file as a plain JWK again')
+  .option('--wallet-path <path>', 'Wallet file path', process.env.WALLET_PATH || './thyra-wallet.json')
+  .action(async (options) => {
+    try {
+      const provider = await openWalletFile(options.walletPath);
+      if (!provider.encrypted) {
+        console.log(chalk.yellow('📁 The wallet is not encrypted'));
+        return;
+      }
+
+      await provider.save(null);
+      console.log(chalk.green('🔓 Wallet decrypted:'), path.resolve(options.walletPath));
+      console.log(chalk.yellow('⚠️  Anyone who can read this file can spend from the wallet'));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Wallet error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+walletCommand
+  .command('change-passphrase')
+  .description('Encrypt the wallet file with a new passphrase')
+  .option('--wallet-path <path>', 'Wallet file path', process.env.WALLET_PATH || './thyra-wallet.json')
+  .action(async (options) => {
+    try {
+      const provider = await openWalletFile(options.walletPath);
+      if (!provider.encrypted) {
+        console.log(chalk.yellow('📁 The wallet is not encrypted, use thyra wallet encrypt'));
+        return;
+      }
+
+      await provider.save(await promptNewPassphrase());
+      console.log(chalk.green('🔐 Wallet passphrase changed:'), path.resolve(options.walletPath));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Wallet error:'), error.message);
+      process.exit(1);
     }
   });
 
@@ -328,13 +1875,17 @@ program
 
     const envVars = [
       'PORT', 'API_KEY', 'DB_ENABLED', 'DB_PATH',
-      'WALLET_PATH', 'LOG_LEVEL', 'NODE_ENV'
+      'WALLET_PATH', 'WALLET_BACKUP_DIR', 'WALLETS_DIR', 'WALLET_PASSPHRASE_FD', 'ALLOW_UNENCRYPTED_WALLET', 'DRIVE_KEY_PATH', 'DRIVE_STATE_PATH', 'DRIVE_PRIVACY', 'LOG_LEVEL', 'NODE_ENV', 'MAX_UPLOAD_SIZE_MB', 'SPOOL_DIR',
+      'ARWEAVE_GATEWAYS', 'BUNDLER_URLS', 'PAYMENT_URLS', 'NETWORK_TIMEOUT_MS', 'UPLOAD_TIMEOUT_MS', 'NETWORK_RETRIES',
+      'CONFIRMATIONS_REQUIRED', 'CONFIRMATION_INTERVAL_MS', 'CONFIRMATION_TIMEOUT_HOURS',
+      'JOB_CONCURRENCY', 'JOB_MAX_ATTEMPTS', 'JOB_BACKOFF_MS',
+      'WEBHOOK_SECRET', 'WEBHOOK_MAX_ATTEMPTS', 'WEBHOOK_BACKOFF_MS', 'WEBHOOK_TIMEOUT_MS'
     ];
 
     envVars.forEach(envVar => {
       const value = process.env[envVar];
       if (value) {
-        const displayValue = envVar === 'API_KEY' ? '***' + value.slice(-3) : value;
+        const displayValue = ['API_KEY', 'WEBHOOK_SECRET'].includes(envVar) ? '***' + value.slice(-3) : value;
         console.log(chalk.yellow(`${envVar}:`), displayValue);
       } else {
         console.log(chalk.gray(`${envVar}:`), 'Not set');
@@ -4,36 +4,84 @@ function createConfig() {
   return {
     port: process.env.PORT || 3000,
     wallet: {
-      path: process.env.WALLET_PATH || './thyra-wallet.json'
+      path: process.env.WALLET_PATH || './thyra-wallet.json',
+      backupDir: process.env.WALLET_BACKUP_DIR || null,
+      dir: process.env.WALLETS_DIR || null,
+      passphrase: process.env.WALLET_PASSPHRASE || null,
+      passphraseFd: Number.isNaN(parseInt(process.env.WALLET_PASSPHRASE_FD)) ? null : parseInt(process.env.WALLET_PASSPHRASE_FD),
+      allowUnencrypted: process.env.ALLOW_UNENCRYPTED_WALLET === 'true'
+    },
+    drive: {
+      keyPath: process.env.DRIVE_KEY_PATH || './thyra-drive-key.json',
+      statePath: process.env.DRIVE_STATE_PATH || './thyra-drive-state.json',
+      privacy: process.env.DRIVE_PRIVACY === 'private' ? 'private' : 'public',
+      password: process.env.DRIVE_PASSWORD || null
     },
     database: {
       enabled: process.env.DB_ENABLED === 'true',
       path: process.env.DB_PATH || './thyra-uploads.db'
     },
+    upload: {
+      maxSizeBytes: (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 1024) * 1024 * 1024,
+      spoolDir: process.env.SPOOL_DIR || path.join(os.tmpdir(), 'thyra-spool')
+    },
+    network: {
+      gateways: parseUrlList(process.env.ARWEAVE_GATEWAYS, ['https://arweave.net', 'https://ar-io.net']),
+      bundlers: parseUrlList(process.env.BUNDLER_URLS, ['https://upload.ardrive.io/v1/tx']),
+      payments: parseUrlList(process.env.PAYMENT_URLS, ['https://payment.ardrive.io']),
+      timeoutMs: parseInt(process.env.NETWORK_TIMEOUT_MS) || 30000,
+      uploadTimeoutMs: parseInt(process.env.UPLOAD_TIMEOUT_MS) || 10 * 60 * 1000,
+      retries: Number.isNaN(parseInt(process.env.NETWORK_RETRIES)) ? 2 : parseInt(process.env.NETWORK_RETRIES),
+      healthCheckIntervalMs: Number.isNaN(parseInt(process.env.HEALTH_CHECK_INTERVAL_MS)) ? 60000 : parseInt(process.env.HEALTH_CHECK_INTERVAL_MS)
+    },
+    confirmations: {
+      required: parseInt(process.env.CONFIRMATIONS_REQUIRED) || 10,
+      intervalMs: Number.isNaN(parseInt(process.env.CONFIRMATION_INTERVAL_MS)) ? 60000 : parseInt(process.env.CONFIRMATION_INTERVAL_MS),
+      timeoutMs: (parseFloat(process.env.CONFIRMATION_TIMEOUT_HOURS) || 24) * 60 * 60 * 1000
+    },
+    jobs: {
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+      maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+      backoffMs: parseInt(process.env.JOB_BACKOFF_MS) || 30000
+    },
+    webhooks: {
+      secret: process.env.WEBHOOK_SECRET || null,
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+      backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 30000,
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+      // Hosts on the local network that webhooks may still be sent to
+      allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    },
     apiKey: process.env.API_KEY || null,
     logLevel: process.env.LOG_LEVEL || 'info',
     nodeEnv: process.env.NODE_ENV || 'development'
   };
 }
 
-async function requireApiKey(request, reply, config) {
-  console.log('🔍 Auth middleware called');
-  console.log('🔍 Config API Key:', config.apiKey);
-  console.log('🔍 Request headers:', request.headers['x-api-key'], request.headers['authorization']);
+// WALLET_PASSPHRASE, or WALLET_PASSPHRASE_FD to read it from an inherited
+// file descriptor (thyra server 3<passphrase.txt) and keep it out of the
+// environment
+function readWalletPassphrase(walletConfig = {}) {
+  if (walletConfig.passphrase) return walletConfig.passphrase;
+  if (walletConfig.passphraseFd === null || walletConfig.passphraseFd === undefined) return null;
+
+  return fs.readFileSync(walletConfig.passphraseFd, 'utf8').replace(/\r?\n$/, '') || null;
+}
+
+// Authenticates /api/ requests and checks the route's scope. Access is open
+// until API_KEY is set or the first key is created; after that every request
+// needs API_KEY (which holds every scope) or a key from POST /api/keys.
+async function requireApiKey(request, reply, config, dbManager) {
+  request.apiKey = null;
 
-  if (!config.apiKey) {
-    console.log('🔍 No API key configured, skipping auth');
-    return; // No auth required when API_KEY not set
+  if (!config.apiKey && !(await dbManager.countApiKeys())) {
+    return; // No auth required until a key exists
   }
 
   const providedKey = request.headers['x-api-key'] || request.headers['authorization']?.replace('Bearer ', '');
+  const apiKey = providedKey ? await findApiKey(providedKey, config, dbManager) : null;
 
-  console.log('🔍 Provided key:', providedKey);
-  console.log('🔍 Expected key:', config.apiKey);
-  console.log('🔍 Keys match:', providedKey === config.apiKey);
-
-  if (!providedKey || providedKey !== config.apiKey) {
-    console.log('🔍 Auth failed, returning 401');
+  if (!apiKey) {
     return reply.code(401).send({
       success: false,
       error: 'UNAUTHORIZED',
@@ -41,24 +89,454 @@ async function requireApiKey(request, reply, config) {
     });
   }
 
-  console.log('🔍 Auth passed');
+  // Unmatched URLs fall through to the 404 handler
+  const routeUrl = request.routeOptions.url;
+  const scope = routeUrl ? ROUTE_SCOPES[`${request.method} ${routeUrl}`] || 'admin' : null;
+
+  if (scope && !hasScope(apiKey, scope)) {
+    return reply.code(403).send({
+      success: false,
+      error: 'FORBIDDEN',
+      message: `API key lacks the ${scope} scope`
+    });
+  }
+
+  request.apiKey = apiKey;
+  if (apiKey.id) {
+    await dbManager.touchApiKey(apiKey.id);
+  }
+}
+
+// The key behind a presented secret, or null. API_KEY stands for an
+// unnamed key with the admin scope.
+async function findApiKey(providedKey, config, dbManager) {
+  if (config.apiKey && safeEqual(providedKey, config.apiKey)) {
+    return { id: null, name: 'API_KEY', scopes: ['admin'], quotaBytesPerDay: null, wallets: [] };
+  }
+
+  const match = /^thyra_([0-9a-f]{16})_(.+)$/.exec(providedKey);
+  const row = match ? await dbManager.getApiKey(match[1]) : null;
+
+  if (!row || row.revoked_at || !safeEqual(hashApiKeySecret(match[2]), row.key_hash)) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    name: row.name,
+    scopes: row.scopes.split(','),
+    quotaBytesPerDay: row.quota_bytes_per_day,
+    wallets: row.wallets ? row.wallets.split(',') : []
+  };
+}
+
+// Named wallets belong to the keys they were given to: a key signs with the
+// server's wallet and its own named ones, admin keys with any
+function canUseWallet(apiKey, name) {
+  return !apiKey || !name || name === 'default' || apiKey.scopes.includes('admin') || apiKey.wallets.includes(name);
+}
+
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+// Keys without the admin scope only reach the uploads and jobs they made.
+// While the API is open (no key on the request) everything is reachable.
+function ownsRow(request, apiKeyId) {
+  return !request.apiKey || hasScope(request.apiKey, 'admin') || request.apiKey.id === apiKeyId;
+}
+
+function hashApiKeySecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Quotas count bytes per UTC day
+function usageDay(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Counts an upload's bytes against its key when the upload is accepted,
+// refusing with 429 once that would pass the daily quota, so concurrent and
+// queued uploads can't overrun it. Hand the reservation to releaseQuota if
+// the upload then doesn't happen.
+async function reserveQuota(dbManager, apiKeyId, quotaBytesPerDay, bytes, time = Date.now()) {
+  if (!apiKeyId) return null;
+
+  const day = usageDay(time);
+  if (!await dbManager.reserveApiKeyUsage(apiKeyId, day, bytes, quotaBytesPerDay || null)) {
+    const usedToday = await dbManager.getApiKeyUsage(apiKeyId, day);
+    throw createHttpError(429, 'QUOTA_EXCEEDED',
+      `Upload would exceed the daily quota of ${quotaBytesPerDay} bytes (${usedToday} used today)`);
+  }
+  return { apiKeyId, day, bytes };
+}
+
+async function releaseQuota(dbManager, reservation) {
+  if (reservation) {
+    await dbManager.releaseApiKeyUsage(reservation.apiKeyId, reservation.day, reservation.bytes);
+  }
 }
 
 import Fastify from 'fastify';
 import multipart from '@fastify/multipart';
 import cors from '@fastify/cors';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
 import sqlite3 from 'sqlite3';
 import { promisify } from 'util';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
+import {
+  ENVELOPE,
+  createHttpError,
+  encodeEnvelopeHeader,
+  isBinaryEnvelope,
+  decodeEnvelopeHeader,
+  decodeEnvelope,
+  createEnvelopeMetadata,
+  encryptContent,
+  encryptContentStream,
+  decryptContent,
+  parseEncryptionKey,
+  parseUrlList,
+  createShareUrl,
+  parseShareUrl,
+  walletAddress,
+  encryptWalletKeyfile,
+  decryptWalletKeyfile,
+  WALLET_NAME_PATTERN,
+  writeFileAtomic,
+  FileWalletProvider,
+  WalletStore
+} from './thyra-core.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PASSPHRASE_MIN_LENGTH = 8;
+const PBKDF2_ITERATIONS = 600000;
+const ARFS_VERSION = '0.11';
+const WEBHOOK_EVENTS = ['upload.accepted', 'upload.confirmed', 'upload.failed'];
+const API_KEY_SCOPES = ['upload', 'list', 'wallet:read', 'wallet:export', 'admin'];
+
+// Scope each API route needs; routes not listed need admin
+const ROUTE_SCOPES = {
+  'POST /api/upload': 'upload',
+  'POST /api/manifest': 'upload',
+  'POST /api/folders': 'upload',
+  'POST /api/jobs/:id/retry': 'upload',
+  'POST /api/jobs/:id/cancel': 'upload',
+  'GET /api/folders/:id': 'list',
+  'GET /api/uploads': 'list',
+  'GET /api/uploads/:id/status': 'list',
+  'GET /api/content/:id': 'list',
+  'GET /api/drive/decrypt/:arweaveId': 'list',
+  'GET /api/jobs': 'list',
+  'GET /api/jobs/:id': 'list',
+  'GET /api/wallet/address': 'wallet:read',
+  'GET /api/wallet/balance': 'wallet:read',
+  'GET /api/wallets': 'wallet:read',
+  'POST /api/wallet/export': 'wallet:export'
+};
+
+const WINSTON_PER_AR = 10n ** 12n;
+
+// Winston (or Turbo winc, same scale) as a decimal amount of AR, without
+// going through floats
+function formatWinston(winston) {
+  const value = BigInt(winston);
+  const fraction = (value % WINSTON_PER_AR).toString().padStart(12, '0').replace(/0+$/, '');
+  return fraction ? `${value / WINSTON_PER_AR}.${fraction}` : `${value / WINSTON_PER_AR}`;
+}
+
+// How many uploads at price a balance covers, null when they're free
+function uploadsAffordable(balance, price) {
+  return BigInt(price) > 0n ? Number(BigInt(balance) / BigInt(price)) : null;
+}
+
+// Splits "docs/2024/" into ['docs', '2024'], rejecting empty or relative segments
+function parseFolderPath(folderPath) {
+  const segments = String(folderPath || '').split('/').map(segment => segment.trim()).filter(Boolean);
+
+  if (segments.length === 0) {
+    throw createHttpError(400, 'INVALID_FOLDER', 'Folder path is empty');
+  }
+
+  for (const segment of segments) {
+    if (segment === '.' || segment === '..' || segment.length > 255) {
+      throw createHttpError(400, 'INVALID_FOLDER', `Invalid folder name: ${segment.slice(0, 40)}`);
+    }
+  }
+
+  return segments;
+}
+
+// Single "bytes=" range as { start, end }, null without a usable header,
+// false when the range can't be satisfied
+function parseRangeHeader(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start, end;
+  if (match[1] === '') {
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+// Webhook and callback targets must be absolute http(s) URLs
+// Loopback, link-local (cloud metadata lives there), private and shared
+// ranges; a webhook pointed at them would let API keys probe the local network
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function webhookHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function isLocalHostname(hostname) {
+  return hostname === 'localhost' || hostname.endsWith('.localhost') ||
+    (net.isIP(hostname) !== 0 && isPrivateAddress(hostname));
+}
+
+// Names that resolve to the local network are caught when delivering
+function parseWebhookUrl(value, errorCode = 'INVALID_URL', allowedHosts = []) {
+  let url = null;
+  try {
+    url = new URL(String(value));
+  } catch {
+    // Reported below
+  }
+
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw createHttpError(400, errorCode, `Not an http(s) URL: ${String(value).slice(0, 80)}`);
+  }
+
+  const hostname = webhookHostname(url);
+  if (!allowedHosts.includes(hostname) && isLocalHostname(hostname)) {
+    throw createHttpError(400, errorCode, `Webhooks can't be sent to ${hostname}, add it to WEBHOOK_ALLOWED_HOSTS to allow it`);
+  }
+
+  return url.href;
+}
+
+function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Manifest paths are relative posix paths inside the published bundle
+function normalizeManifestPath(filePath) {
+  const normalized = path.posix.normalize(String(filePath || '').replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '');
+
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    throw createHttpError(400, 'INVALID_PATH', `Invalid manifest path: ${String(filePath).slice(0, 80)}`);
+  }
+
+  return normalized;
+}
+
+// Interchangeable endpoints, gateways or bundlers. Requests go to healthy
+// endpoints first and fail over to the next one on network errors, timeouts
+// and 5xx responses, backing off between attempts. Failed endpoints sit out
+// a cooldown unless a health probe finds them working again.
+class EndpointPool {
+  constructor(name, urls, { timeoutMs = 30000, retries = 2, backoffMs = 250, cooldownMs = 60000, probePath = '/' } = {}) {
+    this.name = name;
+    this.endpoints = urls.map(url => ({ url, healthy: true, failures: 0, lastFailure: null, lastError: null }));
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.cooldownMs = cooldownMs;
+    this.probePath = probePath;
+    this.probeTimer = null;
+  }
+
+  get primary() {
+    return this.endpoints[0].url;
+  }
+
+  ordered() {
+    const now = Date.now();
+    const available = endpoint => endpoint.healthy || now - endpoint.lastFailure > this.cooldownMs;
+    return [
+      ...this.endpoints.filter(available),
+      ...this.endpoints.filter(endpoint => !available(endpoint))
+    ];
+  }
+
+  markFailure(endpoint, reason) {
+    endpoint.healthy = false;
+    endpoint.failures++;
+    endpoint.lastFailure = Date.now();
+    endpoint.lastError = reason;
+    console.log(`⚠️  ${this.name} ${endpoint.url} failed: ${reason}`);
+  }
+
+  markSuccess(endpoint) {
+    endpoint.healthy = true;
+    endpoint.failures = 0;
+    endpoint.lastError = null;
+  }
+
+  // makeRequest(baseUrl, signal) is called once per attempt, so request bodies
+  // that are streams must be created inside it. The timeout covers waiting for
+  // the response headers, not reading the body. Responses matched by
+  // tryNext (e.g. a 404 from a gateway that hasn't indexed the data yet) move
+  // on without counting against the endpoint; if every attempt ends that way
+  // the last response is returned.
+  async fetch(makeRequest, { tryNext = () => false } = {}) {
+    const endpoints = this.ordered();
+    const attempts = Math.max(endpoints.length, this.retries + 1);
+    let lastResponse = null;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const endpoint = endpoints[attempt % endpoints.length];
+
+      if (attempt > 0) {
+        const delay = this.backoffMs * 2 ** (attempt - 1);
+        await new Promise(resolve => setTimeout(resolve, delay + Math.random() * delay / 2));
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(new Error(`timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+
+      try {
+        const response = await makeRequest(endpoint.url, controller.signal);
+        clearTimeout(timer);
+
+        if (response.status >= 500) {
+          this.markFailure(endpoint, `HTTP ${response.status}`);
+        } else {
+          this.markSuccess(endpoint);
+          if (!tryNext(response) || attempt === attempts - 1) {
+            return response;
+          }
+        }
+
+        lastResponse = response;
+        if (attempt < attempts - 1) {
+          await response.body?.cancel();
+        }
+      } catch (error) {
+        clearTimeout(timer);
+        lastError = controller.signal.aborted ? controller.signal.reason : error;
+        this.markFailure(endpoint, lastError.message);
+      }
+    }
+
+    if (lastResponse) {
+      return lastResponse;
+    }
+    throw new Error(`All ${this.name}s failed, last error: ${lastError?.message}`);
+  }
+
+  async probe() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        const response = await fetch(new URL(this.probePath, endpoint.url), { signal: AbortSignal.timeout(5000) });
+        await response.body?.cancel();
+        if (response.status >= 500) {
+          this.markFailure(endpoint, `probe HTTP ${response.status}`);
+        } else {
+          this.markSuccess(endpoint);
+        }
+      } catch (error) {
+        this.markFailure(endpoint, `probe ${error.message}`);
+      }
+    }));
+  }
+
+  // An interval of 0 turns probing off; endpoints then only change state
+  // when requests to them fail or succeed
+  startProbing(intervalMs) {
+    if (intervalMs > 0) {
+      this.probe();
+      this.probeTimer = setInterval(() => this.probe(), intervalMs);
+      this.probeTimer.unref();
+    }
+  }
+
+  stopProbing() {
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
+  }
+
+  status() {
+    return this.endpoints.map(({ url, healthy, failures, lastError }) => ({ url, healthy, failures, lastError }));
+  }
+}
+
+// Default uploader: posts signed data items to the bundlers. createBody() is
+// called once per attempt and returns the raw item as a Buffer or a stream.
+// Anything with the same upload() can stand in for it, see start().
+class BundlerUploader {
+  constructor(bundlers) {
+    this.bundlers = bundlers;
+  }
+
+  async upload(createBody, { size }) {
+    const response = await this.bundlers.fetch(async (bundler, signal) => {
+      const body = await createBody();
+      return await fetch(bundler, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': String(size),
+          'Accept': 'application/json'
+        },
+        body,
+        ...(Buffer.isBuffer(body) ? {} : { duplex: 'half' }),
+        signal
+      });
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+
+    return await response.json();
+  }
+}
+
 class ThyraAPICore {
-  constructor() {
+  constructor({ uploader = null, walletProvider = null } = {}) {
+    this.uploader = uploader;
+    this.walletProvider = walletProvider;
     this.arweaveClient = null;
     this.arweaveJWK = null;
     this.driveKey = null;
@@ -66,6 +544,8 @@ class ThyraAPICore {
     this.config = {};
     this.thyraDriveId = null;
     this.thyraRootFolderId = null;
+    this.thyraDrivePrivacy = null;
+    this.arfsDriveKey = null;
   }
 
   async initialize(config) {
@@ -73,11 +553,32 @@ class ThyraAPICore {
 
     const Arweave = (await import('arweave')).default;
 
+    const network = config.network || createConfig().network;
+    this.gateways = new EndpointPool('gateway', network.gateways, {
+      timeoutMs: network.timeoutMs,
+      retries: network.retries,
+      probePath: '/info'
+    });
+    this.bundlers = new EndpointPool('bundler', network.bundlers, {
+      timeoutMs: network.uploadTimeoutMs,
+      retries: network.retries
+    });
+    // Turbo's payment service: credit balances and upload prices, only
+    // asked when someone checks a balance, so it isn't probed
+    this.payments = new EndpointPool('payment service', network.payments || createConfig().network.payments, {
+      timeoutMs: network.timeoutMs,
+      retries: network.retries
+    });
+    this.gateways.startProbing(network.healthCheckIntervalMs);
+    this.bundlers.startProbing(network.healthCheckIntervalMs);
+    this.uploader = this.uploader || new BundlerUploader(this.bundlers);
+
     // Initialize Arweave client
+    const gateway = new URL(this.gateways.primary);
     this.arweaveClient = Arweave.init({
-      host: 'arweave.net',
-      port: 443,
-      protocol: 'https'
+      host: gateway.hostname,
+      port: gateway.port || (gateway.protocol === 'https:' ? 443 : 80),
+      protocol: gateway.protocol.replace(':', '')
     });
 
     // Load or create wallet
@@ -86,58 +587,91 @@ class ThyraAPICore {
     // Create or load drive
     await this.initializeDrive();
 
-    // Generate drive key
-    this.driveKey = await this.generateDriveKey();
+    // Load or create drive key
+    await this.initializeDriveKey();
 
     this.initialized = true;
     console.log('✅ Thyra API Core initialized (Direct HTTP mode)');
   }
 
+  // The wallet comes from a provider (see thyra-core.js), by default the
+  // file at wallet.path, created on first start and encrypted when a wallet
+  // passphrase is set. Production refuses a plain wallet file unless
+  // ALLOW_UNENCRYPTED_WALLET is set. Named wallets live in wallet.dir, next
+  // to the wallet file unless set, under the same passphrase.
   async initializeWallet() {
-    try {
-      // Try to load existing wallet
-      const walletPath = this.config.wallet?.path || './thyra-wallet.json';
-      const walletData = await fs.promises.readFile(walletPath, 'utf8');
-      this.arweaveJWK = JSON.parse(walletData);
+    const walletConfig = this.config.wallet || {};
+    const walletPath = walletConfig.path || './thyra-wallet.json';
+    const guardPlainWallet = !this.walletProvider && this.config.nodeEnv === 'production' && !walletConfig.allowUnencrypted;
+    const passphrase = readWalletPassphrase(walletConfig);
 
-      const address = await this.arweaveClient.wallets.jwkToAddress(this.arweaveJWK);
-      console.log('📁 Loaded existing wallet:', address);
+    this.wallets = new WalletStore(walletConfig.dir || path.join(path.dirname(walletPath), 'thyra-wallets'), { passphrase });
 
-    } catch (error) {
-      // Create new wallet if none exists
-      console.log('🔧 Creating new wallet...');
-      this.arweaveJWK = await this.arweaveClient.wallets.generate();
+    if (!this.walletProvider) {
+      if (guardPlainWallet && !passphrase) {
+        throw new Error('Refusing to start in production without a wallet passphrase: set WALLET_PASSPHRASE or WALLET_PASSPHRASE_FD, or ALLOW_UNENCRYPTED_WALLET=true');
+      }
+      this.walletProvider = new FileWalletProvider(walletPath, { passphrase });
+    }
 
-      const address = await this.arweaveClient.wallets.jwkToAddress(this.arweaveJWK);
-      console.log('✨ New wallet created:', address);
+    this.arweaveJWK = await this.walletProvider.getWallet();
 
-      // Try to save wallet (may fail in stateless environments)
-      try {
-        const walletPath = this.config.wallet?.path || './thyra-wallet.json';
-        await fs.promises.writeFile(walletPath, JSON.stringify(this.arweaveJWK, null, 2));
-        console.log('💾 Wallet saved to:', walletPath);
-      } catch (saveError) {
-        console.log('⚠️  Could not save wallet (stateless environment?)');
+    if (this.walletProvider instanceof FileWalletProvider && this.walletProvider.saved && !this.walletProvider.encrypted) {
+      if (guardPlainWallet) {
+        throw new Error(`Refusing to start in production with an unencrypted wallet at ${this.walletProvider.path}: run thyra wallet encrypt, or set ALLOW_UNENCRYPTED_WALLET=true`);
       }
+      console.log('⚠️  Wallet file is not encrypted, run thyra wallet encrypt to protect it');
+    }
+
+    const address = walletAddress(this.arweaveJWK);
+    if (!this.walletProvider.created) {
+      console.log(this.walletProvider.encrypted ? '🔐 Unlocked encrypted wallet:' : '📁 Loaded existing wallet:', address);
+    } else if (this.walletProvider.saved) {
+      console.log('✨ New wallet created:', address);
+      console.log('💾 Wallet saved to:', this.walletProvider.path);
+    } else {
+      console.log('✨ New wallet created:', address);
+      console.log('⚠️  Could not save wallet (stateless environment?)');
     }
   }
 
   async initializeDrive() {
-    const driveStatePath = './thyra-drive-state.json';
+    const driveStatePath = this.config.drive?.statePath || './thyra-drive-state.json';
+    const privacy = this.config.drive?.privacy || 'public';
+    const password = this.config.drive?.password || null;
 
     try {
       // Try to load existing drive
       const driveState = JSON.parse(await fs.promises.readFile(driveStatePath, 'utf8'));
+
+      if (driveState.privacy === 'private') {
+        if (!password) {
+          console.log('⚠️  Thyra Uploads drive is private, set DRIVE_PASSWORD to use it');
+          console.log('📁 Continuing without managed drive');
+          return;
+        }
+        this.arfsDriveKey = this.deriveArFSDriveKey(driveState.driveId, password);
+      } else if (privacy === 'private') {
+        console.log('⚠️  Existing Thyra Uploads drive is public, DRIVE_PRIVACY=private only applies to new drives');
+      }
+
       this.thyraDriveId = driveState.driveId;
       this.thyraRootFolderId = driveState.rootFolderId;
+      this.thyraDrivePrivacy = driveState.privacy || 'public';
 
-      console.log('📂 Thyra Uploads drive found:', this.thyraDriveId);
+      console.log(`📂 Thyra Uploads drive found (${this.thyraDrivePrivacy}):`, this.thyraDriveId);
       console.log('🎯 Drive URL: https://app.ardrive.io/#/drives/' + this.thyraDriveId);
       console.log('🔍 Drive Transaction:', driveState.driveTxId);
       console.log('🔍 Root Folder Transaction:', driveState.rootFolderTxId);
       return;
     } catch (error) {
-      console.log('🔧 Creating "Thyra Uploads" drive...');
+      console.log(`🔧 Creating ${privacy} "Thyra Uploads" drive...`);
+    }
+
+    if (privacy === 'private' && !password) {
+      console.log('⚠️  A private drive needs DRIVE_PASSWORD');
+      console.log('📁 Continuing without managed drive');
+      return;
     }
 
     try {
@@ -145,6 +679,7 @@ class ThyraAPICore {
       const driveId = crypto.randomUUID();
       const rootFolderId = crypto.randomUUID();
       const currentUnixTime = Math.floor(Date.now() / 1000);
+      const arfsDriveKey = privacy === 'private' ? this.deriveArFSDriveKey(driveId, password) : null;
 
       console.log('📋 Generated Drive ID:', driveId);
       console.log('📋 Generated Root Folder ID:', rootFolderId);
@@ -162,26 +697,26 @@ class ThyraAPICore {
       const driveTags = [
         { name: 'App-Name', value: 'Thyra' },
         { name: 'App-Version', value: '1.0.0' },
-        { name: 'ArFS', value: '0.11' },
-        { name: 'Content-Type', value: 'application/json' },
+        { name: 'ArFS', value: ARFS_VERSION },
         { name: 'Drive-Id', value: driveId },
-        { name: 'Drive-Privacy', value: 'public' },
+        { name: 'Drive-Privacy', value: privacy },
         { name: 'Entity-Type', value: 'drive' },
         { name: 'Unix-Time', value: currentUnixTime.toString() }
       ];
 
-      console.log('🏷️  Drive Tags:', JSON.stringify(driveTags, null, 2));
+      if (arfsDriveKey) {
+        driveTags.push(
+          { name: 'Drive-Auth-Mode', value: 'password' },
+          { name: 'Signature-Type', value: '1' }
+        );
+      }
 
       // Upload drive entity
       console.log('📤 Uploading drive entity...');
-      const driveResult = await this.uploadData(
-        JSON.stringify(driveMetadata),
-        'application/json',
-        driveTags
-      );
+      const driveResult = await this.uploadArFSEntity(driveMetadata, driveTags, arfsDriveKey);
 
       console.log('✅ Drive uploaded:', driveResult.id);
-      console.log('🔗 Drive transaction: https://arweave.net/' + driveResult.id);
+      console.log('🔗 Drive transaction: ' + this.gatewayUrl(driveResult.id));
 
       // Create root folder metadata
       const rootFolderMetadata = {
@@ -194,31 +729,25 @@ class ThyraAPICore {
       const folderTags = [
         { name: 'App-Name', value: 'Thyra' },
         { name: 'App-Version', value: '1.0.0' },
-        { name: 'ArFS', value: '0.11' },
-        { name: 'Content-Type', value: 'application/json' },
+        { name: 'ArFS', value: ARFS_VERSION },
         { name: 'Drive-Id', value: driveId },
         { name: 'Entity-Type', value: 'folder' },
         { name: 'Folder-Id', value: rootFolderId },
         { name: 'Unix-Time', value: currentUnixTime.toString() }
       ];
 
-      console.log('🏷️  Root Folder Tags:', JSON.stringify(folderTags, null, 2));
-
       // Upload root folder entity
       console.log('📤 Uploading root folder entity...');
-      const folderResult = await this.uploadData(
-        JSON.stringify(rootFolderMetadata),
-        'application/json',
-        folderTags
-      );
+      const folderResult = await this.uploadArFSEntity(rootFolderMetadata, folderTags, arfsDriveKey);
 
       console.log('✅ Root folder uploaded:', folderResult.id);
-      console.log('🔗 Folder transaction: https://arweave.net/' + folderResult.id);
+      console.log('🔗 Folder transaction: ' + this.gatewayUrl(folderResult.id));
 
       // Save drive state
       const driveState = {
         driveId: driveId,
         rootFolderId: rootFolderId,
+        privacy,
         driveTxId: driveResult.id,
         rootFolderTxId: folderResult.id,
         createdAt: Date.now(),
@@ -231,13 +760,18 @@ class ThyraAPICore {
 
       this.thyraDriveId = driveId;
       this.thyraRootFolderId = rootFolderId;
+      this.thyraDrivePrivacy = privacy;
+      this.arfsDriveKey = arfsDriveKey;
 
       console.log('✨ Drive created successfully!');
       console.log('🎯 ArDrive URL: https://app.ardrive.io/#/drives/' + driveId);
+      if (arfsDriveKey) {
+        console.log('🔐 Unlock it in ArDrive with this wallet and DRIVE_PASSWORD');
+      }
       console.log('📊 Wait 10-15 minutes for ArDrive indexing');
       console.log('🔍 You can check transactions:');
-      console.log('   Drive: https://arweave.net/' + driveResult.id);
-      console.log('   Folder: https://arweave.net/' + folderResult.id);
+      console.log('   Drive: ' + this.gatewayUrl(driveResult.id));
+      console.log('   Folder: ' + this.gatewayUrl(folderResult.id));
 
     } catch (error) {
       console.error('❌ Drive creation failed:', error);
@@ -246,448 +780,3629 @@ class ThyraAPICore {
     }
   }
 
-  async uploadData(content, contentType, tags = []) {
-    // TODO: replace arbundles because of deprecation
-    const { createData, ArweaveSigner } = await import('arbundles');
+  // Uploads an ArFS metadata entity: JSON for public drives, encrypted with
+  // the drive or file key (and tagged with Cipher/Cipher-IV) for private ones
+  async uploadArFSEntity(metadata, tags, key = null) {
+    const json = Buffer.from(JSON.stringify(metadata));
 
-    const dataBuffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
-    const signer = new ArweaveSigner(this.arweaveJWK);
-    const dataItem = createData(dataBuffer, signer, { tags });
-    await dataItem.sign(signer);
+    if (!key) {
+      return await this.uploadData(json, 'application/json', [
+        ...tags,
+        { name: 'Content-Type', value: 'application/json' }
+      ]);
+    }
 
-    const response = await fetch('https://upload.ardrive.io/v1/tx', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/octet-stream',
-        'Accept': 'application/json'
-      },
-      body: dataItem.getRaw()
-    });
+    const { data, iv } = this.encryptArFS(json, key);
+    return await this.uploadData(data, 'application/octet-stream', [
+      ...tags,
+      { name: 'Content-Type', value: 'application/octet-stream' },
+      ...this.getArFSCipherTags(iv)
+    ]);
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
+  // ArFS private drive key: HKDF-SHA256 over a deterministic RSA-PSS wallet
+  // signature of "drive" + drive id bytes, with the password as info
+  deriveArFSDriveKey(driveId, password) {
+    const privateKey = crypto.createPrivateKey({ key: this.arweaveJWK, format: 'jwk' });
+    const signature = crypto.sign('sha256', Buffer.concat([Buffer.from('drive'), this.uuidToBytes(driveId)]), {
+      key: privateKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: 0
+    });
 
-    return await response.json();
+    return Buffer.from(crypto.hkdfSync('sha256', signature, Buffer.alloc(0), Buffer.from(password), 32));
   }
 
-  async generateDriveKey() {
-    const key = crypto.randomBytes(32);
-    return key;
+  deriveArFSFileKey(fileId) {
+    return Buffer.from(crypto.hkdfSync('sha256', this.arfsDriveKey, Buffer.alloc(0), this.uuidToBytes(fileId), 32));
   }
 
-  async getWalletAddress() {
-    return await this.arweaveClient.wallets.jwkToAddress(this.arweaveJWK);
+  uuidToBytes(uuid) {
+    return Buffer.from(uuid.replace(/-/g, ''), 'hex');
   }
 
-  async exportWallet(exportPath) {
-    const finalPath = exportPath || './thyra-wallet.json';
-    await fs.promises.writeFile(finalPath, JSON.stringify(this.arweaveJWK, null, 2));
-    return path.resolve(finalPath);
+  // ArFS cipher: AES-256-GCM, 12 byte IV in the Cipher-IV tag, tag appended to the data
+  encryptArFS(data, key, iv = crypto.randomBytes(12)) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    return {
+      data: Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]),
+      iv
+    };
   }
 
-  async uploadContent(content, options = {}) {
-    const {
-      encryption = 'random',
-      customKey = null,
-      contentType = 'application/octet-stream',
-      filename = null
-    } = options;
+  async *encryptArFSStream(source, key, iv) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
 
-    let encryptedData, encryptionKey;
+    for await (const chunk of source) {
+      yield cipher.update(chunk);
+    }
 
-    // Handle encryption
-    if (encryption === 'none') {
-      encryptedData = content;
-    } else {
-      if (encryption === 'custom' && customKey) {
-        encryptionKey = Buffer.from(JSON.stringify(customKey));
-      } else if (encryption === 'random') {
-        encryptionKey = crypto.randomBytes(32);
-      } else {
-        encryptionKey = this.driveKey;
-      }
+    yield cipher.final();
+    yield cipher.getAuthTag();
+  }
 
-      encryptedData = await this.encryptContent(content, encryptionKey);
+  async decryptArFSData(arweaveId, data, key) {
+    const tags = await this.fetchTransactionTags(arweaveId);
+    const cipherIV = tags.find(tag => tag.name === 'Cipher-IV')?.value;
+    if (!cipherIV) {
+      throw createHttpError(422, 'DECRYPTION_FAILED', `${arweaveId} has no Cipher-IV tag`);
     }
 
-    const dataBuffer = Buffer.isBuffer(encryptedData) ? encryptedData : Buffer.from(encryptedData);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(cipherIV, 'base64'));
+      decipher.setAuthTag(data.subarray(data.length - 16));
+      return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+    } catch (error) {
+      throw createHttpError(422, 'DECRYPTION_FAILED', `Could not decrypt ${arweaveId} with its file key`);
+    }
+  }
 
-    // Prepare tags - keep it simple
-    const tags = [
-      { name: 'Content-Type', value: contentType },
-      { name: 'App-Name', value: 'Thyra' }
-    ];
+  async queryGraphql(query, variables) {
+    const response = await this.gateways.fetch((gateway, signal) => fetch(`${gateway}/graphql`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables }),
+      signal
+    }));
 
-    if (filename) {
-      tags.push({ name: 'Original-Filename', value: filename });
+    if (!response.ok) {
+      throw createHttpError(502, 'FETCH_FAILED', `GraphQL query failed: ${response.status}`);
     }
 
-    // If we have a drive, add basic ArFS tags for file organization
-    if (this.thyraDriveId && this.thyraRootFolderId) {
-      const fileId = crypto.randomUUID();
-      tags.push(
-        { name: 'Entity-Type', value: 'file' },
-        { name: 'Drive-Id', value: this.thyraDriveId },
-        { name: 'File-Id', value: fileId },
-        { name: 'Parent-Folder-Id', value: this.thyraRootFolderId },
-        { name: 'ArFS', value: '0.11' }
-      );
+    return (await response.json()).data;
+  }
+
+  async fetchTransactionTags(arweaveId) {
+    const data = await this.queryGraphql(
+      'query($id: ID!) { transaction(id: $id) { tags { name value } } }',
+      { id: arweaveId }
+    );
+    return data?.transaction?.tags || [];
+  }
+
+  getArFSCipherTags(iv) {
+    return [
+      { name: 'Cipher', value: 'AES256-GCM' },
+      { name: 'Cipher-IV', value: iv.toString('base64') }
+    ];
+  }
+
+  // ArFS file entity for an upload, with its file key when the drive is private
+  createFileEntity() {
+    if (!this.thyraDriveId || !this.thyraRootFolderId) {
+      return null;
     }
 
-    try {
-      const result = await this.uploadData(dataBuffer, contentType, tags);
+    const fileId = crypto.randomUUID();
+    return {
+      fileId,
+      fileKey: this.arfsDriveKey ? this.deriveArFSFileKey(fileId) : null,
+      cipherIV: this.arfsDriveKey ? crypto.randomBytes(12) : null
+    };
+  }
 
-      return {
-        arweaveId: result.id,
-        url: `https://arweave.net/${result.id}`,
-        encrypted: encryption !== 'none',
-        encryptionKey: encryptionKey,
-        size: dataBuffer.length
-      };
+  // The file metadata transaction is what makes an upload show up in ArDrive,
+  // and on a private drive the file ID it carries is needed to decrypt the data.
+  // The data is already stored, so the error names its transaction.
+  async uploadFileMetadata(fileEntity, { name, size, dataTxId, dataContentType, lastModifiedDate, parentFolderId }) {
+    const metadata = { name, size, lastModifiedDate, dataTxId, dataContentType };
+    const tags = [
+      { name: 'App-Name', value: 'Thyra' },
+      { name: 'App-Version', value: '1.0.0' },
+      { name: 'ArFS', value: ARFS_VERSION },
+      { name: 'Drive-Id', value: this.thyraDriveId },
+      { name: 'Entity-Type', value: 'file' },
+      { name: 'File-Id', value: fileEntity.fileId },
+      { name: 'Parent-Folder-Id', value: parentFolderId || this.thyraRootFolderId },
+      { name: 'Unix-Time', value: Math.floor(Date.now() / 1000).toString() }
+    ];
 
+    try {
+      const result = await this.uploadArFSEntity(metadata, tags, fileEntity.fileKey);
+      return result.id;
     } catch (error) {
-      console.error('Direct HTTP upload failed:', error.message);
-      throw new Error(`Upload failed: ${error.message}`);
+      throw createHttpError(502, 'FILE_METADATA_FAILED', `Data stored as ${dataTxId}, but its file entity failed: ${error.message}`);
     }
   }
 
-  async encryptContent(content, key) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', key.slice(0, 32), iv);
+  async createFolder(name, parentFolderId = null) {
+    if (!this.thyraDriveId || !this.thyraRootFolderId) {
+      throw createHttpError(503, 'DRIVE_UNAVAILABLE', 'No managed drive, folders are not available');
+    }
 
-    let encrypted = cipher.update(Buffer.isBuffer(content) ? content : Buffer.from(content));
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
+    const folderId = crypto.randomUUID();
+    const parentId = parentFolderId || this.thyraRootFolderId;
+    const tags = [
+      { name: 'App-Name', value: 'Thyra' },
+      { name: 'App-Version', value: '1.0.0' },
+      { name: 'ArFS', value: ARFS_VERSION },
+      { name: 'Drive-Id', value: this.thyraDriveId },
+      { name: 'Entity-Type', value: 'folder' },
+      { name: 'Folder-Id', value: folderId },
+      { name: 'Parent-Folder-Id', value: parentId },
+      { name: 'Unix-Time', value: Math.floor(Date.now() / 1000).toString() }
+    ];
 
-    return JSON.stringify({
-      encrypted: encrypted.toString('base64'),
-      iv: iv.toString('base64'),
-      algorithm: 'aes-256-cbc'
-    });
+    const result = await this.uploadArFSEntity({ name }, tags, this.arfsDriveKey);
+
+    return {
+      id: folderId,
+      name,
+      parentId,
+      driveId: this.thyraDriveId,
+      txId: result.id
+    };
   }
 
-  async decryptContent(encryptedData, key) {
-    const data = JSON.parse(encryptedData);
-    const decipher = crypto.createDecipheriv('aes-256-cbc', key.slice(0, 32), Buffer.from(data.iv, 'base64'));
+  async uploadData(content, contentType, tags = [], wallet = this.arweaveJWK) {
+    // TODO: replace arbundles because of deprecation
+    const { createData, ArweaveSigner } = await import('arbundles');
 
-    let decrypted = decipher.update(Buffer.from(data.encrypted, 'base64'));
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
+    const dataBuffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const signer = new ArweaveSigner(wallet);
+    const dataItem = createData(dataBuffer, signer, { tags });
+    await dataItem.sign(signer);
 
-    return decrypted;
+    const raw = dataItem.getRaw();
+    return await this.uploader.upload(() => raw, { size: raw.length });
   }
-}
 
-// Database helper
-class DatabaseManager {
-  constructor(config) {
-    this.enabled = config.database?.enabled || false;
-    this.dbPath = config.database?.path || './uploads.db';
-    this.db = null;
+  // Sign and post a spooled file as a data item without loading it into memory.
+  // The signature sits in front of the data, so the content is read twice:
+  // once for the deep hash and once for the request body.
+  async uploadDataStream(filePath, tags = [], wallet = this.arweaveJWK) {
+    const { createData, ArweaveSigner } = await import('arbundles');
+    const { streamSigner } = await import('arbundles/stream');
+
+    const signer = new ArweaveSigner(wallet);
+    const { size } = await fs.promises.stat(filePath);
+    const headerSize = createData('', signer, { tags }).getRaw().length;
+
+    // Each attempt signs afresh, a stream can't be replayed
+    return await this.uploader.upload(() => streamSigner(
+      fs.createReadStream(filePath),
+      fs.createReadStream(filePath),
+      signer,
+      { tags }
+    ), { size: headerSize + size });
   }
 
-  async initialize() {
-    if (!this.enabled) return;
+  // Uploads each spooled file unencrypted, then an arweave/paths manifest so
+  // the bundle is served from the manifest ID with relative links resolving
+  // between files. The spools are left to the caller.
+  async publishManifest(files, { index, fallback = null }) {
+    if (!files.some(file => file.path === index)) {
+      throw createHttpError(400, 'INVALID_INDEX', `Index ${index} is not one of the uploaded files`);
+    }
+    if (fallback && !files.some(file => file.path === fallback)) {
+      throw createHttpError(400, 'INVALID_FALLBACK', `Fallback ${fallback} is not one of the uploaded files`);
+    }
 
-    this.db = new sqlite3.Database(this.dbPath);
-    const run = promisify(this.db.run.bind(this.db));
+    const paths = {};
+    for (const file of files) {
+      const result = await this.uploadDataStream(file.spool.path, [
+        { name: 'Content-Type', value: file.contentType },
+        { name: 'App-Name', value: 'Thyra' }
+      ]);
+      paths[file.path] = { id: result.id };
+    }
 
-    await run(`
-      CREATE TABLE IF NOT EXISTS uploads (
-        id TEXT PRIMARY KEY,
-        url TEXT NOT NULL,
-        share_url TEXT,
-        timestamp INTEGER,
-        encrypted BOOLEAN,
-        size INTEGER,
-        note TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    const manifest = {
+      manifest: 'arweave/paths',
+      version: '0.2.0',
+      index: { path: index },
+      paths
+    };
 
-    console.log('📊 Database initialized:', this.dbPath);
+    if (fallback) {
+      manifest.fallback = { id: paths[fallback].id };
+    }
+
+    const result = await this.uploadData(JSON.stringify(manifest), 'application/x.arweave-manifest+json', [
+      { name: 'Content-Type', value: 'application/x.arweave-manifest+json' },
+      { name: 'App-Name', value: 'Thyra' },
+      { name: 'Type', value: 'manifest' }
+    ]);
+
+    return {
+      arweaveId: result.id,
+      url: this.gatewayUrl(result.id),
+      paths,
+      size: files.reduce((sum, file) => sum + file.spool.size, 0)
+    };
   }
 
-  async saveUpload(uploadData) {
-    if (!this.enabled || !this.db) return;
+  // Downloads a transaction into a spool file without holding it in memory
+  async fetchToSpool(arweaveId) {
+    const response = await this.fetchFromGateway(arweaveId);
+    if (!response.ok) {
+      throw createHttpError(response.status === 404 ? 404 : 502, 'FETCH_FAILED', `Failed to fetch ${arweaveId}: ${response.status}`);
+    }
 
-    const run = promisify(this.db.run.bind(this.db));
-    await run(
-      `INSERT OR REPLACE INTO uploads (id, url, share_url, timestamp, encrypted, size, note)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        uploadData.id,
-        uploadData.url,
-        uploadData.shareUrl,
-        uploadData.timestamp,
-        uploadData.encrypted,
-        uploadData.size,
-        uploadData.note
-      ]
+    const spoolDir = this.config.upload?.spoolDir || os.tmpdir();
+    await fs.promises.mkdir(spoolDir, { recursive: true });
+
+    const spoolPath = path.join(spoolDir, `download-${crypto.randomUUID()}.tmp`);
+    try {
+      await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(spoolPath));
+    } catch (error) {
+      await fs.promises.rm(spoolPath, { force: true });
+      throw error;
+    }
+
+    return {
+      path: spoolPath,
+      contentType: response.headers.get('content-type') || 'application/octet-stream'
+    };
+  }
+
+  // Decrypts a spooled download into a second spool file, so the GCM tag is
+  // checked before any plaintext is sent. Returns null for plain content.
+  async decryptSpoolFile(filePath, { key = null, passphrase = null } = {}) {
+    const { size } = await fs.promises.stat(filePath);
+    const handle = await fs.promises.open(filePath, 'r');
+    let head;
+    try {
+      head = Buffer.alloc(Math.min(size, ENVELOPE.MAGIC.length + 3 + 255 + 2 + 65535));
+      await handle.read(head, 0, head.length, 0);
+    } finally {
+      await handle.close();
+    }
+
+    const outputPath = `${filePath}.plain`;
+
+    try {
+      if (this.isBinaryEnvelope(head)) {
+        const envelope = this.decodeEnvelopeHeader(head);
+        const decryptionKey = await this.resolveDecryptionKey(envelope.metadata?.kdf, { key, passphrase });
+
+        const decipher = crypto.createDecipheriv(envelope.algorithm, decryptionKey, envelope.iv);
+        if (envelope.tagLength) {
+          const authTag = Buffer.alloc(envelope.tagLength);
+          const tagHandle = await fs.promises.open(filePath, 'r');
+          try {
+            await tagHandle.read(authTag, 0, authTag.length, size - authTag.length);
+          } finally {
+            await tagHandle.close();
+          }
+          decipher.setAAD(envelope.header);
+          decipher.setAuthTag(authTag);
+        }
+
+        const encryptedEnd = size - envelope.tagLength - 1;
+        const encrypted = encryptedEnd >= envelope.header.length
+          ? fs.createReadStream(filePath, { start: envelope.header.length, end: encryptedEnd })
+          : Readable.from([]);
+
+        await pipeline(encrypted, decipher, fs.createWriteStream(outputPath));
+
+        return {
+          path: outputPath,
+          filename: envelope.metadata?.filename || null,
+          contentType: envelope.metadata?.contentType || null
+        };
+      }
+
+      // Legacy JSON envelopes are small enough to decrypt in memory
+      if (head[0] === 0x7b && size <= 10 * 1024 * 1024) {
+        const data = await fs.promises.readFile(filePath);
+        let legacy = null;
+        try {
+          legacy = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+          // Plain JSON content
+        }
+
+        if (legacy?.encrypted && legacy.iv && legacy.algorithm) {
+          const decryptionKey = await this.resolveDecryptionKey(null, { key, passphrase });
+          await fs.promises.writeFile(outputPath, await this.decryptContent(data, decryptionKey));
+          return { path: outputPath, filename: null, contentType: null };
+        }
+      }
+
+      return null;
+
+    } catch (error) {
+      await fs.promises.rm(outputPath, { force: true });
+      if (error.errorCode) throw error;
+      throw createHttpError(422, 'DECRYPTION_FAILED', 'Decryption failed, wrong key or tampered content');
+    }
+  }
+
+  async resolveDecryptionKey(kdf, { key, passphrase }) {
+    if (kdf) {
+      if (!passphrase) {
+        throw createHttpError(400, 'PASSPHRASE_REQUIRED', 'Content is passphrase protected, send the X-Passphrase header');
+      }
+      return await this.deriveKeyFromPassphrase(passphrase, kdf);
+    }
+
+    if (!key) {
+      throw createHttpError(400, 'KEY_REQUIRED', 'Content is encrypted, send the X-Decryption-Key header');
+    }
+    return parseEncryptionKey(key);
+  }
+
+  gatewayUrl(arweaveId) {
+    return `${this.gateways.primary}/${arweaveId}`;
+  }
+
+  // GET a transaction's data from the first gateway that has it
+  async fetchFromGateway(arweaveId) {
+    return await this.gateways.fetch(
+      (gateway, signal) => fetch(`${gateway}/${arweaveId}`, { signal }),
+      { tryNext: response => response.status === 404 }
     );
   }
 
-  async getUploads(filters = {}) {
-    if (!this.enabled || !this.db) return [];
+  // Where a transaction stands on chain: { blockHeight, confirmations }, with
+  // a null height while it isn't mined (or the gateways don't know it yet).
+  // Gateways answer /tx/:id/status for layer 1 transactions; bundled data
+  // items usually only show up in GraphQL, once their bundle is mined.
+  async fetchTransactionStatus(arweaveId) {
+    const response = await this.gateways.fetch(
+      (gateway, signal) => fetch(`${gateway}/tx/${arweaveId}/status`, { signal }),
+      { tryNext: response => response.status === 404 }
+    );
 
-    const all = promisify(this.db.all.bind(this.db));
-    let query = 'SELECT * FROM uploads WHERE 1=1';
-    const params = [];
+    if (response.status === 200) {
+      const status = await response.json();
+      return { blockHeight: status.block_height, confirmations: status.number_of_confirmations };
+    }
+    await response.body?.cancel();
 
-    if (filters.since) {
-      query += ' AND timestamp >= ?';
-      params.push(filters.since);
+    if (response.status === 202) {
+      return { blockHeight: null, confirmations: 0 };
     }
 
-    if (filters.id) {
-      query += ' AND id LIKE ?';
-      params.push(`%${filters.id}%`);
+    const data = await this.queryGraphql(
+      'query($id: ID!) { transaction(id: $id) { id block { height } } }',
+      { id: arweaveId }
+    );
+    const height = data?.transaction?.block?.height;
+    if (height === undefined || height === null) {
+      return { blockHeight: null, confirmations: 0 };
     }
 
-    if (filters.note) {
-      query += ' AND note LIKE ?';
-      params.push(`%${filters.note}%`);
+    const info = await this.gateways.fetch((gateway, signal) => fetch(`${gateway}/info`, { signal }));
+    if (!info.ok) {
+      throw createHttpError(502, 'FETCH_FAILED', `Failed to fetch network info: ${info.status}`);
     }
+    const { height: currentHeight } = await info.json();
 
-    query += ' ORDER BY timestamp DESC';
+    return { blockHeight: height, confirmations: Math.max(currentHeight - height + 1, 1) };
+  }
 
-    if (filters.limit) {
-      query += ' LIMIT ?';
-      params.push(filters.limit);
+  async generateDriveKey() {
+    const key = crypto.randomBytes(32);
+    return key;
+  }
+
+  // The drive key is created once and kept on disk wrapped with a key derived
+  // from the wallet, so drive uploads stay decryptable across restarts
+  async initializeDriveKey() {
+    const keyPath = this.config.drive?.keyPath || './thyra-drive-key.json';
+
+    try {
+      const record = JSON.parse(await fs.promises.readFile(keyPath, 'utf8'));
+      this.driveKey = this.unwrapDriveKey(record);
+      this.driveKeyCreatedAt = record.createdAt;
+      console.log('🔑 Loaded drive key:', this.getDriveKeyFingerprint());
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // Never replace a key that exists but can't be read, uploads depend on it
+        throw new Error(`Could not load drive key from ${keyPath}: ${error.message}`);
+      }
+
+      const key = await this.generateDriveKey();
+      const createdAt = new Date().toISOString();
+      await this.saveDriveKey(key, createdAt);
+      this.driveKey = key;
+      this.driveKeyCreatedAt = createdAt;
+      console.log('✨ New drive key created:', this.getDriveKeyFingerprint());
     }
+  }
 
-    return await all(query, params);
+  // A key that isn't on disk would be replaced at the next start, leaving
+  // every upload made with it undecryptable, so failing to save is an error
+  async saveDriveKey(key = this.driveKey, createdAt = this.driveKeyCreatedAt) {
+    const keyPath = this.config.drive?.keyPath || './thyra-drive-key.json';
+    const record = this.wrapDriveKey(key);
+    record.createdAt = createdAt;
+
+    try {
+      await writeFileAtomic(keyPath, JSON.stringify(record, null, 2));
+    } catch (error) {
+      throw createHttpError(500, 'DRIVE_KEY_NOT_SAVED', `Could not save the drive key to ${keyPath}: ${error.message}`);
+    }
+    console.log('💾 Drive key saved to:', keyPath);
   }
-}
 
-// Updated start function to accept config and return instances
-const start = async (providedConfig = null) => {
-  // Create config from environment variables (after CLI has set them)
-  const config = providedConfig || createConfig();
+  // Keys Thyra keeps on disk or in the database are wrapped with a key
+  // derived from the wallet, one per purpose
+  deriveWalletKey(info) {
+    return Buffer.from(crypto.hkdfSync(
+      'sha256',
+      Buffer.from(this.arweaveJWK.d, 'base64url'),
+      Buffer.alloc(0),
+      info,
+      32
+    ));
+  }
 
-  console.log('🔧 Using config:', {
-    port: config.port,
-    apiKey: config.apiKey ? '***' + config.apiKey.slice(-3) : 'None',
-    database: config.database.enabled,
-    logLevel: config.logLevel
-  });
+  getDriveKeyWrappingKey() {
+    return this.deriveWalletKey('thyra-drive-key-wrap');
+  }
 
-  const fastify = Fastify({
-    logger: {
-      level: config.logLevel,
-      transport: config.nodeEnv === 'development' ? {
-        target: 'pino-pretty'
-      } : undefined
+  wrapDriveKey(key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getDriveKeyWrappingKey(), iv);
+    const wrapped = Buffer.concat([cipher.update(key), cipher.final()]);
+
+    return {
+      version: 1,
+      algorithm: 'aes-256-gcm',
+      kdf: 'hkdf-sha256-wallet',
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      key: wrapped.toString('base64')
+    };
+  }
+
+  unwrapDriveKey(record) {
+    if (record.algorithm !== 'aes-256-gcm' || record.kdf !== 'hkdf-sha256-wallet') {
+      throw new Error(`Unsupported drive key format: ${record.algorithm}/${record.kdf}`);
     }
-  });
 
-  // Register plugins
-  await fastify.register(multipart);
-  await fastify.register(cors);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getDriveKeyWrappingKey(), Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(record.key, 'base64')), decipher.final()]);
+  }
 
-  // Register global authentication middleware with config
-  fastify.addHook('preHandler', async (request, reply) => {
-    // Only apply auth to API routes, skip health, docs, and share routes
-    if (request.url.startsWith('/api/') &&
-        !request.url.startsWith('/api/health')) {
-      await requireApiKey(request, reply, config);
+  getDriveKeyFingerprint(key = this.driveKey) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  exportDriveKey() {
+    return {
+      key: this.driveKey.toString('base64'),
+      fingerprint: this.getDriveKeyFingerprint(),
+      createdAt: this.driveKeyCreatedAt
+    };
+  }
+
+  // Replacing a different key orphans every earlier drive upload, so it needs force
+  async importDriveKey(keyB64, { force = false } = {}) {
+    const key = keyB64 ? Buffer.from(keyB64, 'base64') : Buffer.alloc(0);
+    if (key.length !== 32) {
+      throw createHttpError(400, 'INVALID_KEY', `Drive key must be 32 bytes encoded as base64, got ${key.length} bytes`);
     }
-  });
 
-  // Initialize Thyra core
-  const thyraCore = new ThyraAPICore();
-  await thyraCore.initialize(config);
+    if (this.driveKey && !key.equals(this.driveKey) && !force) {
+      throw createHttpError(409, 'DRIVE_KEY_EXISTS', `A different drive key is already in use (${this.getDriveKeyFingerprint()}), set force to replace it`);
+    }
 
-  // Initialize database
-  const dbManager = new DatabaseManager(config);
-  await dbManager.initialize();
+    // Saved before it's used, so a failed write leaves the old key in place
+    if (!this.driveKey || !key.equals(this.driveKey)) {
+      const createdAt = new Date().toISOString();
+      await this.saveDriveKey(key, createdAt);
+      this.driveKey = key;
+      this.driveKeyCreatedAt = createdAt;
+    }
 
-  // Routes with access to instances and config
-  fastify.post('/api/upload', async (request, reply) => {
+    return this.exportDriveKey();
+  }
+
+  // Fetches an upload from Arweave and decrypts it with the drive key. Uploads
+  // to a private ArFS drive are unwrapped with their file key first.
+  async decryptDriveUpload(arweaveId, { fileId = null } = {}) {
+    const response = await this.fetchFromGateway(arweaveId);
+    if (!response.ok) {
+      throw createHttpError(response.status === 404 ? 404 : 502, 'FETCH_FAILED', `Failed to fetch ${arweaveId}: ${response.status}`);
+    }
+
+    let data = Buffer.from(await response.arrayBuffer());
+
+    if (fileId) {
+      if (!this.arfsDriveKey) {
+        throw createHttpError(400, 'NOT_PRIVATE_DRIVE', 'fileId only applies to uploads on a private drive');
+      }
+      data = await this.decryptArFSData(arweaveId, data, this.deriveArFSFileKey(fileId));
+    }
+
+    const metadata = this.isBinaryEnvelope(data) ? this.decodeEnvelope(data).metadata : null;
+
+    let content;
     try {
-      if (!thyraCore.initialized) {
-        throw new Error('Service not initialized');
+      content = await this.decryptContent(data, this.driveKey);
+    } catch (error) {
+      throw createHttpError(422, 'DECRYPTION_FAILED', `Could not decrypt ${arweaveId} with the drive key`);
+    }
+
+    return {
+      content,
+      filename: metadata?.filename || null,
+      contentType: metadata?.contentType || 'application/octet-stream'
+    };
+  }
+
+  async getWalletAddress(name = null) {
+    return walletAddress(await this.getSigningWallet(name));
+  }
+
+  // The wallet an upload is signed with: the server's own unless a named one
+  // is asked for. Drive entities are always signed by the server's wallet,
+  // which owns the drive.
+  async getSigningWallet(name = null) {
+    if (!name || name === 'default') {
+      return this.arweaveJWK;
+    }
+    return await this.wallets.getWallet(name);
+  }
+
+  // What a wallet holds and roughly how far it goes: AR from the gateways and
+  // Turbo credits from the payment service, each with the price of a
+  // `bytes` upload and how many of those the balance covers. Uploads go
+  // through Turbo, so the credits are what pay for them. The payment
+  // service failing leaves turbo.error set instead of failing the lot.
+  async getWalletBalance(name = null, { bytes = 1024 * 1024 } = {}) {
+    const address = await this.getWalletAddress(name);
+
+    const [winston, priceWinston] = await Promise.all([
+      this.fetchWinston(this.gateways, `/wallet/${address}/balance`),
+      this.fetchWinston(this.gateways, `/price/${bytes}`)
+    ]);
+
+    let turbo;
+    try {
+      const [winc, priceWinc] = await Promise.all([
+        // The payment service only knows wallets that have topped up
+        this.fetchWinston(this.payments, `/v1/account/balance/arweave?address=${address}`, { missing: '0' }),
+        this.fetchWinston(this.payments, `/v1/price/bytes/${bytes}`)
+      ]);
+      turbo = { winc, credits: formatWinston(winc), priceWinc, uploadsRemaining: uploadsAffordable(winc, priceWinc) };
+    } catch (error) {
+      turbo = { error: error.message };
+    }
+
+    return {
+      address,
+      bytes,
+      ar: { winston, ar: formatWinston(winston), priceWinston, uploadsRemaining: uploadsAffordable(winston, priceWinston) },
+      turbo
+    };
+  }
+
+  // A winston amount from a pool: gateways answer plain text, the payment
+  // service JSON with a winc field. missing stands in for a 404.
+  async fetchWinston(pool, urlPath, { missing = null } = {}) {
+    const response = await pool.fetch((base, signal) => fetch(`${base}${urlPath}`, { signal }));
+
+    if (response.status === 404 && missing !== null) {
+      await response.body?.cancel();
+      return missing;
+    }
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw createHttpError(502, 'FETCH_FAILED', `${pool.name} ${urlPath} failed: ${response.status}`);
+    }
+
+    const text = (await response.text()).trim();
+    const value = text.startsWith('{') ? String(JSON.parse(text).winc) : text;
+    if (!/^\d+$/.test(value)) {
+      throw createHttpError(502, 'FETCH_FAILED', `${pool.name} ${urlPath} answered ${text.slice(0, 40)}`);
+    }
+    return value;
+  }
+
+  async listWallets() {
+    return [
+      { name: 'default', address: walletAddress(this.arweaveJWK), createdAt: null, retiredAt: null },
+      ...await this.wallets.list()
+    ];
+  }
+
+  // Adds a named wallet, or with rotate gives an existing name a new one.
+  // Generated when no JWK is given.
+  async addWallet(name, jwk = null, { rotate = false } = {}) {
+    if (jwk && walletAddress(jwk) === walletAddress(this.arweaveJWK)) {
+      throw createHttpError(409, 'WALLET_EXISTS', 'That is the server\'s own wallet');
+    }
+    return rotate ? await this.wallets.rotate(name, jwk) : await this.wallets.add(name, jwk);
+  }
+
+  // A keyfile for the caller to keep (see encryptWalletKeyfile), nothing is written
+  async exportWalletKeyfile(passphrase) {
+    if (!passphrase || passphrase.length < PASSPHRASE_MIN_LENGTH) {
+      throw createHttpError(400, 'WEAK_PASSPHRASE', `Passphrase must be at least ${PASSPHRASE_MIN_LENGTH} characters`);
+    }
+    return await encryptWalletKeyfile(this.arweaveJWK, passphrase);
+  }
+
+  // Backups are only written to WALLET_BACKUP_DIR, under a plain file name,
+  // and never over an existing file. Encrypted when a passphrase is given.
+  async backupWallet(filename, { passphrase = null } = {}) {
+    const backupDir = this.config.wallet?.backupDir;
+    if (!backupDir) {
+      throw createHttpError(404, 'BACKUP_DIR_NOT_CONFIGURED', 'Set WALLET_BACKUP_DIR to keep wallet backups on the server');
+    }
+
+    const name = filename || `thyra-wallet-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    if (typeof name !== 'string' || !/^\w[\w.-]*$/.test(name)) {
+      throw createHttpError(400, 'INVALID_FILENAME', 'Backup filename must be a plain file name, without directories');
+    }
+
+    const contents = passphrase ? await this.exportWalletKeyfile(passphrase) : this.arweaveJWK;
+    const backupPath = path.join(path.resolve(backupDir), name);
+
+    await fs.promises.mkdir(backupDir, { recursive: true, mode: 0o700 });
+    try {
+      await fs.promises.writeFile(backupPath, JSON.stringify(contents, null, 2), { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw createHttpError(409, 'BACKUP_EXISTS', `A backup named ${name} already exists`);
       }
+      throw error;
+    }
 
-      let content, contentType, filename;
-      const timestamp = Date.now();
-      let userProvidedId = null;
-      let noteValue = null;
-      let storeValue = true;
+    return { path: backupPath, encrypted: Boolean(passphrase) };
+  }
 
-      const uploadOptions = {
-        encryption: 'random',
-        customKey: null,
-        contentType: 'application/octet-stream',
-        filename: null
-      };
+  // Returns the key for an encryption mode, plus the KDF parameters to store
+  // in the envelope when the key is derived from a passphrase
+  async resolveEncryptionKey(encryption, { customKey = null, passphrase = null } = {}) {
+    switch (encryption) {
+      case 'random':
+        return { key: crypto.randomBytes(32), kdf: null };
 
-      // Handle different content types
-      if (request.isMultipart()) {
-        const data = await request.file();
-        const chunks = [];
+      case 'custom':
+        return { key: parseEncryptionKey(customKey || ''), kdf: null };
 
-        for await (const chunk of data.file) {
-          chunks.push(chunk);
+      case 'passphrase': {
+        if (!passphrase || passphrase.length < PASSPHRASE_MIN_LENGTH) {
+          throw createHttpError(400, 'WEAK_PASSPHRASE', `Passphrase must be at least ${PASSPHRASE_MIN_LENGTH} characters`);
         }
+        const kdf = {
+          name: 'pbkdf2-sha256',
+          iterations: PBKDF2_ITERATIONS,
+          salt: crypto.randomBytes(16).toString('base64')
+        };
+        return { key: await this.deriveKeyFromPassphrase(passphrase, kdf), kdf };
+      }
 
-        content = Buffer.concat(chunks);
-        contentType = data.mimetype;
-        filename = data.filename;
+      case 'drive':
+        return { key: this.driveKey, kdf: null };
 
-        const fields = {};
-        const parts = data.fields;
-        if (parts) {
-          for (const [key, field] of Object.entries(parts)) {
-            if (field && field.value !== undefined) {
-              fields[key] = field.value;
-            }
-          }
-        }
+      default:
+        throw createHttpError(400, 'INVALID_ENCRYPTION', `Unknown encryption mode: ${encryption}`);
+    }
+  }
 
-        if (fields.encryption) uploadOptions.encryption = fields.encryption;
-        if (fields.id) userProvidedId = fields.id;
-        if (fields.note) noteValue = fields.note;
-        if (fields.store !== undefined) storeValue = fields.store !== 'false';
+  // PBKDF2 rather than scrypt so the /share page can derive the same key with WebCrypto
+  async deriveKeyFromPassphrase(passphrase, kdf) {
+    if (kdf.name !== 'pbkdf2-sha256') {
+      throw new Error(`Unsupported key derivation: ${kdf.name}`);
+    }
+    return await pbkdf2(passphrase, Buffer.from(kdf.salt, 'base64'), kdf.iterations, 32, 'sha256');
+  }
 
-      } else if (request.headers['content-type']?.includes('application/json')) {
-        content = request.body?.message;
-        contentType = 'text/plain';
+  // Tags for the data transaction. On a private drive the data is ArFS
+  // encrypted, so only the cipher tags go out in the clear.
+  buildUploadTags(contentType, filename, fileEntity = null) {
+    if (fileEntity?.fileKey) {
+      return [
+        { name: 'Content-Type', value: 'application/octet-stream' },
+        { name: 'App-Name', value: 'Thyra' },
+        ...this.getArFSCipherTags(fileEntity.cipherIV)
+      ];
+    }
 
-        if (request.body?.encryption) uploadOptions.encryption = request.body.encryption;
-        if (request.body?.customKey) uploadOptions.customKey = request.body.customKey;
-        if (request.body?.id) userProvidedId = request.body.id;
-        if (request.body?.note) noteValue = request.body.note;
-        if (request.body?.store !== undefined) storeValue = request.body.store;
+    // Prepare tags - keep it simple
+    const tags = [
+      { name: 'Content-Type', value: contentType },
+      { name: 'App-Name', value: 'Thyra' }
+    ];
+
+    if (filename) {
+      tags.push({ name: 'Original-Filename', value: filename });
+    }
+
+    return tags;
+  }
+
+  // Name, size and type recorded in the ArFS file entity. Thyra encrypted
+  // content is stored as an opaque envelope, so that's what ArDrive sees.
+  describeFileEntity({ filename, contentType, encryption, size, lastModifiedDate }) {
+    return {
+      name: filename || `thyra-upload-${Date.now()}`,
+      size,
+      dataContentType: encryption === 'none' ? contentType : 'application/octet-stream',
+      lastModifiedDate: lastModifiedDate || Date.now()
+    };
+  }
+
+  async uploadContent(content, options = {}) {
+    const {
+      encryption = 'random',
+      contentType = 'application/octet-stream',
+      filename = null
+    } = options;
+
+    const wallet = await this.getSigningWallet(options.wallet);
+    let encryptedData, encryptionKey, kdf;
+
+    // Handle encryption
+    if (encryption === 'none') {
+      encryptedData = content;
+    } else {
+      ({ key: encryptionKey, kdf } = await this.resolveEncryptionKey(encryption, options));
+      encryptedData = await this.encryptContent(content, encryptionKey, this.createEnvelopeMetadata(filename, contentType, kdf));
+    }
+
+    const dataBuffer = Buffer.isBuffer(encryptedData) ? encryptedData : Buffer.from(encryptedData);
+    const fileEntity = this.createFileEntity();
+    const tags = this.buildUploadTags(contentType, filename, fileEntity);
+
+    let payload = dataBuffer;
+    if (fileEntity?.fileKey) {
+      ({ data: payload } = this.encryptArFS(dataBuffer, fileEntity.fileKey, fileEntity.cipherIV));
+    }
+
+    try {
+      const result = await this.uploadData(payload, contentType, tags, wallet);
+
+      if (fileEntity) {
+        await this.uploadFileMetadata(fileEntity, {
+          ...this.describeFileEntity({ filename, contentType, encryption, size: dataBuffer.length, lastModifiedDate: options.lastModifiedDate }),
+          dataTxId: result.id,
+          parentFolderId: options.parentFolderId
+        });
+      }
+
+      return {
+        arweaveId: result.id,
+        url: this.gatewayUrl(result.id),
+        encrypted: encryption !== 'none',
+        algorithm: encryption !== 'none' ? 'aes-256-gcm' : null,
+        encryption,
+        // A passphrase-derived key is never handed back, only the passphrase
+        // unlocks it, and neither is the drive key, which opens every upload
+        encryptionKey: kdf || encryption === 'drive' ? null : encryptionKey,
+        keyDerivation: kdf ? kdf.name : null,
+        fileId: fileEntity?.fileId || null,
+        privateDrive: Boolean(fileEntity?.fileKey),
+        walletAddress: walletAddress(wallet),
+        size: payload.length
+      };
+
+    } catch (error) {
+      console.error('Direct HTTP upload failed:', error.message);
+      if (error.errorCode) throw error;
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  // Streaming counterpart of uploadContent: the source is encrypted on the fly
+  // into a spool file, which is then signed and posted without buffering.
+  async uploadStream(source, options = {}) {
+    const spool = await this.spoolStream(source, options);
+    try {
+      return await this.uploadSpool(spool, options);
+    } catch (error) {
+      await this.discardSpool(spool);
+      throw error;
+    }
+  }
+
+  async spoolStream(source, options = {}) {
+    const { encryption = 'random', contentType = null, filename = null } = options;
+
+    const spoolDir = this.config.upload?.spoolDir || os.tmpdir();
+    await fs.promises.mkdir(spoolDir, { recursive: true });
+
+    const spool = {
+      path: path.join(spoolDir, `upload-${crypto.randomUUID()}.tmp`),
+      encryption,
+      encryptionKey: null,
+      kdf: null,
+      fileEntity: this.createFileEntity(),
+      contentSize: 0,
+      size: 0
+    };
+
+    // Counts the bytes of the Thyra-level content, before any ArFS encryption
+    const counted = async function* (stream) {
+      for await (const chunk of stream) {
+        spool.contentSize += chunk.length;
+        yield chunk;
+      }
+    };
+
+    try {
+      let content = source;
+      if (encryption !== 'none') {
+        ({ key: spool.encryptionKey, kdf: spool.kdf } = await this.resolveEncryptionKey(encryption, options));
+        const metadata = this.createEnvelopeMetadata(filename, contentType, spool.kdf);
+        content = this.encryptContentStream(source, spool.encryptionKey, metadata);
+      }
+
+      content = counted(content);
+      if (spool.fileEntity?.fileKey) {
+        content = this.encryptArFSStream(content, spool.fileEntity.fileKey, spool.fileEntity.cipherIV);
+      }
+
+      await pipeline(content, fs.createWriteStream(spool.path));
+
+      spool.size = (await fs.promises.stat(spool.path)).size;
+      return spool;
+
+    } catch (error) {
+      await this.discardSpool(spool);
+      throw error;
+    }
+  }
+
+  // Spools content that is published as it is, like the files of a manifest
+  async spoolPlain(source) {
+    const spoolDir = this.config.upload?.spoolDir || os.tmpdir();
+    await fs.promises.mkdir(spoolDir, { recursive: true });
+
+    const spool = { path: path.join(spoolDir, `upload-${crypto.randomUUID()}.tmp`), size: 0 };
+    try {
+      await pipeline(source, fs.createWriteStream(spool.path));
+      spool.size = (await fs.promises.stat(spool.path)).size;
+      return spool;
+    } catch (error) {
+      await this.discardSpool(spool);
+      throw error;
+    }
+  }
+
+  // Removes the spool once uploaded. On failure it is left to the caller,
+  // which may want to try again.
+  async uploadSpool(spool, options = {}) {
+    const {
+      contentType = 'application/octet-stream',
+      filename = null
+    } = options;
+
+    const wallet = await this.getSigningWallet(options.wallet);
+
+    try {
+      const tags = this.buildUploadTags(contentType, filename, spool.fileEntity);
+      const result = await this.uploadDataStream(spool.path, tags, wallet);
+
+      if (spool.fileEntity) {
+        await this.uploadFileMetadata(spool.fileEntity, {
+          ...this.describeFileEntity({ filename, contentType, encryption: spool.encryption, size: spool.contentSize, lastModifiedDate: options.lastModifiedDate }),
+          dataTxId: result.id,
+          parentFolderId: options.parentFolderId
+        });
+      }
+
+      await this.discardSpool(spool);
+
+      return {
+        arweaveId: result.id,
+        url: this.gatewayUrl(result.id),
+        encrypted: spool.encryption !== 'none',
+        algorithm: spool.encryption !== 'none' ? 'aes-256-gcm' : null,
+        encryption: spool.encryption,
+        encryptionKey: spool.kdf || spool.encryption === 'drive' ? null : spool.encryptionKey,
+        keyDerivation: spool.kdf ? spool.kdf.name : null,
+        fileId: spool.fileEntity?.fileId || null,
+        privateDrive: Boolean(spool.fileEntity?.fileKey),
+        walletAddress: walletAddress(wallet),
+        size: spool.size
+      };
+
+    } catch (error) {
+      console.error('Streaming upload failed:', error.message);
+      if (error.errorCode) throw error;
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  async discardSpool(spool) {
+    if (spool?.path) {
+      await fs.promises.rm(spool.path, { force: true });
+    }
+  }
+
+  // Queued uploads keep their spool across restarts, so it is stored as JSON.
+  // The content key is only needed for the share URL once the upload is done,
+  // and is stored wrapped; the ArFS file key isn't stored at all, it is
+  // derived from the file ID again.
+  serializeSpool(spool) {
+    return {
+      path: spool.path,
+      encryption: spool.encryption,
+      encryptionKey: spool.encryptionKey ? this.wrapSpoolKey(spool.encryptionKey) : null,
+      kdf: spool.kdf,
+      fileEntity: spool.fileEntity ? {
+        fileId: spool.fileEntity.fileId,
+        cipherIV: spool.fileEntity.cipherIV ? spool.fileEntity.cipherIV.toString('base64') : null
+      } : null,
+      contentSize: spool.contentSize,
+      size: spool.size
+    };
+  }
+
+  restoreSpool(record) {
+    const fileEntity = record.fileEntity ? {
+      fileId: record.fileEntity.fileId,
+      fileKey: record.fileEntity.cipherIV ? this.deriveArFSFileKey(record.fileEntity.fileId) : null,
+      cipherIV: record.fileEntity.cipherIV ? Buffer.from(record.fileEntity.cipherIV, 'base64') : null
+    } : null;
+
+    return {
+      ...record,
+      // Jobs queued before keys were wrapped hold them as base64
+      encryptionKey: typeof record.encryptionKey === 'string'
+        ? Buffer.from(record.encryptionKey, 'base64')
+        : record.encryptionKey ? this.unwrapSpoolKey(record.encryptionKey) : null,
+      fileEntity
+    };
+  }
+
+  wrapSpoolKey(key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveWalletKey('thyra-spool-key-wrap'), iv);
+    const wrapped = Buffer.concat([cipher.update(key), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      key: wrapped.toString('base64')
+    };
+  }
+
+  unwrapSpoolKey(record) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.deriveWalletKey('thyra-spool-key-wrap'), Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(record.key, 'base64')), decipher.final()]);
+  }
+
+  // The envelope lives in thyra-core.js, shared with arload.js and the CLI
+  encodeEnvelopeHeader(algorithm, iv, metadata = null) {
+    return encodeEnvelopeHeader(algorithm, iv, metadata);
+  }
+
+  isBinaryEnvelope(data) {
+    return isBinaryEnvelope(data);
+  }
+
+  decodeEnvelopeHeader(buffer) {
+    return decodeEnvelopeHeader(buffer);
+  }
+
+  decodeEnvelope(buffer) {
+    return decodeEnvelope(buffer);
+  }
+
+  createEnvelopeMetadata(filename, contentType, kdf = null) {
+    return createEnvelopeMetadata(filename, contentType, kdf);
+  }
+
+  async encryptContent(content, key, metadata = null) {
+    return encryptContent(content, key, metadata);
+  }
+
+  encryptContentStream(source, key, metadata = null) {
+    return encryptContentStream(source, key, metadata);
+  }
+
+  // Accepts a binary envelope or a legacy base64 JSON envelope (string or buffer)
+  async decryptContent(encryptedData, key) {
+    return decryptContent(encryptedData, key);
+  }
+}
+
+// Database helper
+class DatabaseManager {
+  constructor(config) {
+    this.enabled = config.database?.enabled || false;
+    this.dbPath = config.database?.path || './uploads.db';
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.enabled) return;
+
+    this.db = new sqlite3.Database(this.dbPath);
+    const run = promisify(this.db.run.bind(this.db));
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS uploads (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        share_url TEXT,
+        timestamp INTEGER,
+        encrypted BOOLEAN,
+        size INTEGER,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Mirror of the folder entities created in the drive
+    await run(`
+      CREATE TABLE IF NOT EXISTS folders (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        parent_id TEXT NOT NULL,
+        drive_id TEXT NOT NULL,
+        path TEXT NOT NULL,
+        tx_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (drive_id, parent_id, name)
+      )
+    `);
+
+    // Registered webhooks and every delivery made to them or to an upload's
+    // callbackUrl (webhook_id NULL)
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        created_at INTEGER
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT,
+        url TEXT NOT NULL,
+        event TEXT NOT NULL,
+        upload_id TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at INTEGER,
+        created_at INTEGER,
+        delivered_at INTEGER
+      )
+    `);
+
+    // Queued async uploads; spool and options are JSON
+    await run(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        upload_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER,
+        spool TEXT,
+        options TEXT,
+        result TEXT,
+        error TEXT,
+        next_run_at INTEGER,
+        created_at INTEGER,
+        updated_at INTEGER,
+        completed_at INTEGER
+      )
+    `);
+
+    // Named API keys (only a SHA-256 of the secret is kept) and the bytes each
+    // one uploaded per UTC day
+    await run(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        quota_bytes_per_day INTEGER,
+        created_at INTEGER,
+        last_used_at INTEGER,
+        revoked_at INTEGER
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        api_key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        bytes INTEGER DEFAULT 0,
+        PRIMARY KEY (api_key_id, day)
+      )
+    `);
+
+    // Security relevant actions, such as wallet exports; details are JSON
+    await run(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id TEXT PRIMARY KEY,
+        event TEXT NOT NULL,
+        api_key_id TEXT,
+        api_key_name TEXT,
+        ip TEXT,
+        details TEXT,
+        created_at INTEGER
+      )
+    `);
+
+    // Columns added after the first release
+    if (await this.ensureColumn('uploads', 'algorithm', 'TEXT')) {
+      // Every encrypted upload before GCM was introduced used CBC
+      await run(`UPDATE uploads SET algorithm = 'aes-256-cbc' WHERE encrypted = 1 AND algorithm IS NULL`);
+    }
+    await this.ensureColumn('uploads', 'folder_id', 'TEXT');
+    await this.ensureColumn('uploads', 'file_id', 'TEXT');
+    if (await this.ensureColumn('uploads', 'arweave_id', 'TEXT')) {
+      await run(`UPDATE uploads SET arweave_id = replace(url, 'https://arweave.net/', '') WHERE arweave_id IS NULL`);
+    }
+    if (await this.ensureColumn('uploads', 'status', 'TEXT')) {
+      // Earlier uploads were never checked; the confirmation worker will
+      await run(`UPDATE uploads SET status = 'pending' WHERE status IS NULL`);
+    }
+    await this.ensureColumn('uploads', 'block_height', 'INTEGER');
+    await this.ensureColumn('uploads', 'confirmations', 'INTEGER');
+    await this.ensureColumn('uploads', 'status_checked_at', 'INTEGER');
+    await this.ensureColumn('uploads', 'callback_url', 'TEXT');
+    await this.ensureColumn('uploads', 'api_key_id', 'TEXT');
+    await this.ensureColumn('uploads', 'wallet_address', 'TEXT');
+    await this.ensureColumn('uploads', 'encryption', 'TEXT');
+    await this.ensureColumn('api_keys', 'wallets', 'TEXT');
+    if (await this.ensureColumn('jobs', 'api_key_id', 'TEXT')) {
+      await run(`UPDATE jobs SET api_key_id = json_extract(options, '$.apiKeyId') WHERE api_key_id IS NULL`);
+    }
+
+    console.log('📊 Database initialized:', this.dbPath);
+  }
+
+  async close() {
+    if (!this.db) return;
+
+    await promisify(this.db.close.bind(this.db))();
+    this.db = null;
+  }
+
+  // Add a column to an existing table, returns true when it was missing
+  async ensureColumn(table, column, type) {
+    const all = promisify(this.db.all.bind(this.db));
+    const run = promisify(this.db.run.bind(this.db));
+
+    const columns = await all(`PRAGMA table_info(${table})`);
+    if (columns.some(existing => existing.name === column)) {
+      return false;
+    }
+
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    return true;
+  }
+
+  async saveUpload(uploadData) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    try {
+      await run(
+        `INSERT INTO uploads (id, url, share_url, timestamp, encrypted, size, note, algorithm, folder_id, file_id, arweave_id, encryption, callback_url, api_key_id, wallet_address, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        [
+          uploadData.id,
+          uploadData.url,
+          uploadData.shareUrl,
+          uploadData.timestamp,
+          uploadData.encrypted,
+          uploadData.size,
+          uploadData.note,
+          uploadData.algorithm || null,
+          uploadData.folderId || null,
+          uploadData.fileId || null,
+          uploadData.arweaveId || uploadData.url.split('/').pop(),
+          uploadData.encryption || null,
+          uploadData.callbackUrl || null,
+          uploadData.apiKeyId || null,
+          uploadData.walletAddress || null
+        ]
+      );
+    } catch (error) {
+      // Upload IDs can come from the client, so one must never replace
+      // another's row
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        throw createHttpError(409, 'UPLOAD_EXISTS', `An upload with ID ${uploadData.id} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  // By upload ID or Arweave ID
+  async findUpload(id) {
+    if (!this.enabled || !this.db) return null;
+
+    const get = promisify(this.db.get.bind(this.db));
+    return await get('SELECT * FROM uploads WHERE id = ? OR arweave_id = ? LIMIT 1', [id, id]) || null;
+  }
+
+  // Oldest check first, so every pending upload gets its turn
+  async getPendingUploads(limit = 50) {
+    if (!this.enabled || !this.db) return [];
+
+    const all = promisify(this.db.all.bind(this.db));
+    return await all(
+      `SELECT * FROM uploads WHERE status = 'pending'
+       ORDER BY COALESCE(status_checked_at, 0), timestamp LIMIT ?`,
+      [limit]
+    );
+  }
+
+  async updateUploadStatus(id, { status, blockHeight = null, confirmations = null }) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(
+      `UPDATE uploads SET status = ?, block_height = ?, confirmations = ?, status_checked_at = ? WHERE id = ?`,
+      [status, blockHeight, confirmations, Date.now(), id]
+    );
+  }
+
+  async saveWebhook(webhook) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(
+      'INSERT INTO webhooks (id, url, events, secret, created_at) VALUES (?, ?, ?, ?, ?)',
+      [webhook.id, webhook.url, webhook.events.join(','), webhook.secret, webhook.createdAt]
+    );
+  }
+
+  async getWebhooks() {
+    if (!this.enabled || !this.db) return [];
+
+    const all = promisify(this.db.all.bind(this.db));
+    return await all('SELECT * FROM webhooks ORDER BY created_at');
+  }
+
+  async getWebhook(id) {
+    if (!this.enabled || !this.db) return null;
+
+    const get = promisify(this.db.get.bind(this.db));
+    return await get('SELECT * FROM webhooks WHERE id = ?', [id]) || null;
+  }
+
+  async deleteWebhook(id) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run('DELETE FROM webhooks WHERE id = ?', [id]);
+  }
+
+  async saveDelivery(delivery) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(
+      `INSERT OR REPLACE INTO webhook_deliveries
+       (id, webhook_id, url, event, upload_id, payload, status, attempts, response_status, error, next_attempt_at, created_at, delivered_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        delivery.id,
+        delivery.webhookId,
+        delivery.url,
+        delivery.event,
+        delivery.uploadId,
+        delivery.payload,
+        delivery.status,
+        delivery.attempts,
+        delivery.responseStatus,
+        delivery.error,
+        delivery.nextAttemptAt,
+        delivery.createdAt,
+        delivery.deliveredAt
+      ]
+    );
+  }
+
+  async getDeliveries(filters = {}) {
+    if (!this.enabled || !this.db) return [];
+
+    const all = promisify(this.db.all.bind(this.db));
+    let query = 'SELECT * FROM webhook_deliveries WHERE 1=1';
+    const params = [];
+
+    if (filters.webhookId) {
+      query += ' AND webhook_id = ?';
+      params.push(filters.webhookId);
+    }
+
+    if (filters.uploadId) {
+      query += ' AND upload_id = ?';
+      params.push(filters.uploadId);
+    }
+
+    if (filters.event) {
+      query += ' AND event = ?';
+      params.push(filters.event);
+    }
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    if (filters.limit) {
+      query += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return await all(query, params);
+  }
+
+  async saveJob(job) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(
+      `INSERT OR REPLACE INTO jobs
+       (id, upload_id, status, attempts, max_attempts, spool, options, result, error, next_run_at, created_at, updated_at, completed_at, api_key_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        job.id,
+        job.uploadId,
+        job.status,
+        job.attempts,
+        job.maxAttempts,
+        job.spool ? JSON.stringify(job.spool) : null,
+        JSON.stringify(job.options),
+        job.result ? JSON.stringify(job.result) : null,
+        job.error,
+        job.nextRunAt,
+        job.createdAt,
+        job.updatedAt,
+        job.completedAt,
+        job.apiKeyId || null
+      ]
+    );
+  }
+
+  async getJob(id) {
+    if (!this.enabled || !this.db) return null;
+
+    const get = promisify(this.db.get.bind(this.db));
+    return await get('SELECT * FROM jobs WHERE id = ?', [id]) || null;
+  }
+
+  async getJobs(filters = {}) {
+    if (!this.enabled || !this.db) return [];
+
+    const all = promisify(this.db.all.bind(this.db));
+    let query = 'SELECT * FROM jobs WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.uploadId) {
+      query += ' AND upload_id = ?';
+      params.push(filters.uploadId);
+    }
+
+    if (filters.apiKeyId) {
+      query += ' AND api_key_id = ?';
+      params.push(filters.apiKeyId);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    if (filters.limit) {
+      query += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return await all(query, params);
+  }
+
+  async nextQueuedJob(now) {
+    if (!this.enabled || !this.db) return null;
+
+    const get = promisify(this.db.get.bind(this.db));
+    return await get(
+      `SELECT * FROM jobs WHERE status = 'queued' AND next_run_at <= ?
+       ORDER BY next_run_at, created_at LIMIT 1`,
+      [now]
+    ) || null;
+  }
+
+  // Jobs that were running when the server stopped
+  async requeueRunningJobs() {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(`UPDATE jobs SET status = 'queued', next_run_at = ? WHERE status = 'running'`, [Date.now()]);
+  }
+
+  async saveApiKey(key) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(
+      `INSERT INTO api_keys (id, name, key_hash, scopes, quota_bytes_per_day, wallets, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [key.id, key.name, key.keyHash, key.scopes.join(','), key.quotaBytesPerDay, key.wallets?.length ? key.wallets.join(',') : null, key.createdAt]
+    );
+  }
+
+  async getApiKey(id) {
+    if (!this.enabled || !this.db) return null;
+
+    const get = promisify(this.db.get.bind(this.db));
+    return await get('SELECT * FROM api_keys WHERE id = ?', [id]) || null;
+  }
+
+  async getApiKeys() {
+    if (!this.enabled || !this.db) return [];
+
+    const all = promisify(this.db.all.bind(this.db));
+    return await all('SELECT * FROM api_keys ORDER BY created_at');
+  }
+
+  // Revoked keys count too: once keys are in use the API stays locked
+  async countApiKeys() {
+    if (!this.enabled || !this.db) return 0;
+
+    const get = promisify(this.db.get.bind(this.db));
+    return (await get('SELECT COUNT(*) AS count FROM api_keys')).count;
+  }
+
+  async revokeApiKey(id) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [Date.now(), id]);
+  }
+
+  async touchApiKey(id) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [Date.now(), id]);
+  }
+
+  // Adds bytes to a day's usage unless that would pass quota (null for no
+  // quota). The check and the addition are one statement, so two uploads
+  // can't both slip under the quota. Returns whether the bytes were added.
+  async reserveApiKeyUsage(id, day, bytes, quota = null) {
+    if (!this.enabled || !this.db) return true;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run('INSERT OR IGNORE INTO api_key_usage (api_key_id, day, bytes) VALUES (?, ?, 0)', [id, day]);
+
+    const changes = await new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE api_key_usage SET bytes = bytes + ?
+         WHERE api_key_id = ? AND day = ? AND (? IS NULL OR bytes + ? <= ?)`,
+        [bytes, id, day, quota, bytes, quota],
+        function (error) {
+          if (error) reject(error);
+          else resolve(this.changes);
+        }
+      );
+    });
+    return changes > 0;
+  }
+
+  async releaseApiKeyUsage(id, day, bytes) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(
+      'UPDATE api_key_usage SET bytes = MAX(bytes - ?, 0) WHERE api_key_id = ? AND day = ?',
+      [bytes, id, day]
+    );
+  }
+
+  async getApiKeyUsage(id, day) {
+    if (!this.enabled || !this.db) return 0;
+
+    const get = promisify(this.db.get.bind(this.db));
+    const row = await get('SELECT bytes FROM api_key_usage WHERE api_key_id = ? AND day = ?', [id, day]);
+    return row ? row.bytes : 0;
+  }
+
+  async saveAuditEvent(entry) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(
+      `INSERT INTO audit_events (id, event, api_key_id, api_key_name, ip, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [entry.id, entry.event, entry.apiKeyId, entry.apiKeyName, entry.ip, JSON.stringify(entry.details), entry.createdAt]
+    );
+  }
+
+  async getAuditEvents(filters = {}) {
+    if (!this.enabled || !this.db) return [];
+
+    const all = promisify(this.db.all.bind(this.db));
+    let query = 'SELECT * FROM audit_events WHERE 1=1';
+    const params = [];
+
+    if (filters.event) {
+      query += ' AND event = ?';
+      params.push(filters.event);
+    }
+
+    if (filters.apiKeyId) {
+      query += ' AND api_key_id = ?';
+      params.push(filters.apiKeyId);
+    }
+
+    query += ' ORDER BY created_at DESC, rowid DESC';
+
+    if (filters.limit) {
+      query += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return await all(query, params);
+  }
+
+  async saveFolder(folder) {
+    if (!this.enabled || !this.db) return;
+
+    const run = promisify(this.db.run.bind(this.db));
+    await run(
+      `INSERT INTO folders (id, name, parent_id, drive_id, path, tx_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [folder.id, folder.name, folder.parentId, folder.driveId, folder.path, folder.txId]
+    );
+  }
+
+  async getFolder(id) {
+    if (!this.enabled || !this.db) return null;
+
+    const get = promisify(this.db.get.bind(this.db));
+    return await get('SELECT * FROM folders WHERE id = ?', [id]) || null;
+  }
+
+  async findFolder(driveId, parentId, name) {
+    if (!this.enabled || !this.db) return null;
+
+    const get = promisify(this.db.get.bind(this.db));
+    return await get(
+      'SELECT * FROM folders WHERE drive_id = ? AND parent_id = ? AND name = ?',
+      [driveId, parentId, name]
+    ) || null;
+  }
+
+  async getChildFolders(driveId, parentId) {
+    if (!this.enabled || !this.db) return [];
+
+    const all = promisify(this.db.all.bind(this.db));
+    return await all(
+      'SELECT * FROM folders WHERE drive_id = ? AND parent_id = ? ORDER BY name',
+      [driveId, parentId]
+    );
+  }
+
+  async getUploads(filters = {}) {
+    if (!this.enabled || !this.db) return [];
+
+    const all = promisify(this.db.all.bind(this.db));
+    let query = 'SELECT * FROM uploads WHERE 1=1';
+    const params = [];
+
+    if (filters.since) {
+      query += ' AND timestamp >= ?';
+      params.push(filters.since);
+    }
+
+    if (filters.id) {
+      query += ' AND id LIKE ?';
+      params.push(`%${filters.id}%`);
+    }
+
+    if (filters.note) {
+      query += ' AND note LIKE ?';
+      params.push(`%${filters.note}%`);
+    }
+
+    if (filters.algorithm) {
+      query += ' AND algorithm = ?';
+      params.push(filters.algorithm);
+    }
+
+    if (filters.folderId) {
+      query += ' AND folder_id = ?';
+      params.push(filters.folderId);
+    }
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.apiKeyId) {
+      query += ' AND api_key_id = ?';
+      params.push(filters.apiKeyId);
+    }
+
+    query += ' ORDER BY timestamp DESC';
+
+    if (filters.limit) {
+      query += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return await all(query, params);
+  }
+}
+
+// Tells registered webhooks, and the callbackUrl an upload was sent with,
+// about upload events. Deliveries are POSTed as JSON, signed with
+// X-Thyra-Signature: sha256=HMAC(secret, "<X-Thyra-Timestamp>.<body>") using
+// the webhook's secret (WEBHOOK_SECRET for callbacks), and retried with
+// exponential backoff. Retries still due are resumed from the database by
+// start(), so a restart doesn't lose them.
+class WebhookDispatcher {
+  constructor(dbManager, { secret = null, maxAttempts = 6, backoffMs = 30000, timeoutMs = 10000, allowedHosts = [] } = {}) {
+    this.dbManager = dbManager;
+    this.secret = secret;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.timeoutMs = timeoutMs;
+    this.allowedHosts = allowedHosts;
+    this.timers = new Set();
+    this.inFlight = new Set();
+    this.stopped = false;
+  }
+
+  async start() {
+    for (const row of await this.dbManager.getDeliveries({ status: 'pending' })) {
+      this.schedule({
+        id: row.id,
+        webhookId: row.webhook_id,
+        url: row.url,
+        event: row.event,
+        uploadId: row.upload_id,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.error,
+        nextAttemptAt: row.next_attempt_at,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+      });
+    }
+  }
+
+  async stop() {
+    this.stopped = true;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    await Promise.allSettled(this.inFlight);
+  }
+
+  // Queues a delivery to every webhook subscribed to the event. Never throws,
+  // a webhook problem must not fail the upload that caused it.
+  async emit(event, data, { callbackUrl = null } = {}) {
+    try {
+      const targets = (await this.dbManager.getWebhooks())
+        .filter(webhook => webhook.events.split(',').some(name => name === event || name === '*'))
+        .map(webhook => ({ webhookId: webhook.id, url: webhook.url }));
+
+      if (callbackUrl) {
+        targets.push({ webhookId: null, url: callbackUrl });
+      }
+
+      const createdAt = Date.now();
+      const deliveries = [];
+
+      for (const target of targets) {
+        const id = crypto.randomUUID();
+        const delivery = {
+          id,
+          ...target,
+          event,
+          uploadId: data.id || null,
+          payload: JSON.stringify({ id, event, createdAt, data }),
+          status: 'pending',
+          attempts: 0,
+          responseStatus: null,
+          error: null,
+          nextAttemptAt: createdAt,
+          createdAt,
+          deliveredAt: null
+        };
+
+        await this.dbManager.saveDelivery(delivery);
+        this.schedule(delivery);
+        deliveries.push(delivery);
+      }
+
+      return deliveries;
+    } catch (error) {
+      console.log(`⚠️  Webhook ${event} not sent: ${error.message}`);
+      return [];
+    }
+  }
+
+  schedule(delivery) {
+    if (this.stopped) return;
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      const attempt = this.attempt(delivery)
+        .catch(error => console.log(`⚠️  Webhook delivery ${delivery.id} failed: ${error.message}`))
+        .finally(() => this.inFlight.delete(attempt));
+      this.inFlight.add(attempt);
+    }, Math.max(delivery.nextAttemptAt - Date.now(), 0));
+
+    timer.unref();
+    this.timers.add(timer);
+  }
+
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async resolve(hostname) {
+    return await dns.promises.lookup(hostname, { all: true });
+  }
+
+  // The URL was checked when it was registered, but a name can resolve to
+  // the local network, now or by the time of a retry. Returns the address
+  // that passed, which the delivery then connects to.
+  async checkTarget(url) {
+    const hostname = webhookHostname(new URL(url));
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await this.resolve(hostname);
+
+    if (!this.allowedHosts.includes(hostname) &&
+        (isLocalHostname(hostname) || addresses.some(({ address }) => isPrivateAddress(address)))) {
+      throw createHttpError(400, 'WEBHOOK_TARGET_REFUSED', `${hostname} is on the local network and not in WEBHOOK_ALLOWED_HOSTS`);
+    }
+    return addresses[0];
+  }
+
+  // POSTs to the address checkTarget passed rather than resolving the name
+  // again, which could answer differently the second time. Redirects are not
+  // followed, one could lead past checkTarget just the same.
+  post(url, { headers, body, address }) {
+    const target = new URL(url);
+    const lookup = (hostname, options, callback) => options.all
+      ? callback(null, [address])
+      : callback(null, address.address, address.family || net.isIP(address.address));
+
+    return new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  async attempt(delivery) {
+    let secret = this.secret;
+
+    if (delivery.webhookId) {
+      const webhook = await this.dbManager.getWebhook(delivery.webhookId);
+      if (!webhook) {
+        await this.dbManager.saveDelivery({ ...delivery, status: 'failed', error: 'Webhook was removed' });
+        return;
+      }
+      secret = webhook.secret;
+    }
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Thyra-Webhooks',
+      'X-Thyra-Event': delivery.event,
+      'X-Thyra-Delivery': delivery.id,
+      'X-Thyra-Timestamp': timestamp
+    };
+    if (secret) {
+      headers['X-Thyra-Signature'] = this.sign(secret, timestamp, delivery.payload);
+    }
+
+    delivery.attempts++;
+
+    try {
+      const address = await this.checkTarget(delivery.url);
+      const status = await this.post(delivery.url, { headers, body: delivery.payload, address });
+
+      delivery.responseStatus = status;
+      if (status >= 200 && status < 300) {
+        delivery.status = 'delivered';
+        delivery.error = null;
+        delivery.deliveredAt = Date.now();
+      } else {
+        delivery.error = `HTTP ${status}`;
+      }
+    } catch (error) {
+      delivery.responseStatus = null;
+      delivery.error = error.message;
+      if (error.errorCode === 'WEBHOOK_TARGET_REFUSED') {
+        delivery.status = 'failed';
+      }
+    }
+
+    if (delivery.status === 'pending') {
+      if (delivery.attempts >= this.maxAttempts) {
+        delivery.status = 'failed';
+      } else {
+        delivery.nextAttemptAt = Date.now() + this.backoffMs * 2 ** (delivery.attempts - 1);
+      }
+    }
+
+    await this.dbManager.saveDelivery(delivery);
+
+    if (delivery.status === 'pending') {
+      this.schedule(delivery);
+    }
+  }
+}
+
+// Runs async uploads in the background, up to concurrency at a time. Jobs are
+// kept in the database and their spooled payload on disk, so queued work
+// survives a restart; jobs that were running at the time are queued again.
+// Failures are retried with exponential backoff until maxAttempts, then the
+// job is dead-lettered with its spool kept so it can be retried by hand.
+class UploadQueue {
+  constructor(thyraCore, dbManager, processJob, { concurrency = 2, maxAttempts = 5, backoffMs = 30000, pollIntervalMs = 1000 } = {}, webhooks = null) {
+    this.thyraCore = thyraCore;
+    this.dbManager = dbManager;
+    this.processJob = processJob;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.webhooks = webhooks;
+    this.active = new Set();
+    this.claiming = null;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  async start() {
+    if (!this.dbManager.enabled) return;
+
+    await this.dbManager.requeueRunningJobs();
+
+    // Picks up retries as they fall due
+    this.timer = setInterval(() => this.kick(), this.pollIntervalMs);
+    this.timer.unref();
+    this.kick();
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearInterval(this.timer);
+    await this.claiming;
+    await Promise.allSettled(this.active);
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      uploadId: row.upload_id,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      spool: row.spool ? JSON.parse(row.spool) : null,
+      options: JSON.parse(row.options),
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error,
+      nextRunAt: row.next_run_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at,
+      apiKeyId: row.api_key_id
+    };
+  }
+
+  async get(id) {
+    const row = await this.dbManager.getJob(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  async list(filters = {}) {
+    return (await this.dbManager.getJobs(filters)).map(row => this.fromRow(row));
+  }
+
+  // The queue owns the spool from here on
+  async enqueue({ uploadId, spool, options, apiKeyId = null }) {
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      uploadId,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      spool: this.thyraCore.serializeSpool(spool),
+      options,
+      result: null,
+      error: null,
+      nextRunAt: now,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      apiKeyId
+    };
+
+    await this.dbManager.saveJob(job);
+    this.kick();
+    return job;
+  }
+
+  // Starts due jobs while there is room. Claims are made one kick at a time
+  // so the same job is never started twice.
+  kick() {
+    if (this.stopped || this.claiming) return this.claiming;
+
+    this.claiming = (async () => {
+      while (!this.stopped && this.active.size < this.concurrency) {
+        const row = await this.dbManager.nextQueuedJob(Date.now());
+        if (!row) break;
+
+        const job = this.fromRow(row);
+        job.status = 'running';
+        job.attempts++;
+        job.updatedAt = Date.now();
+        await this.dbManager.saveJob(job);
+
+        const run = this.run(job)
+          .catch(error => console.log(`⚠️  Job ${job.id} could not be saved: ${error.message}`))
+          .finally(() => {
+            this.active.delete(run);
+            this.kick();
+          });
+        this.active.add(run);
+      }
+    })()
+      .catch(error => console.log(`⚠️  Job queue error: ${error.message}`))
+      .finally(() => {
+        this.claiming = null;
+      });
+
+    return this.claiming;
+  }
+
+  async run(job) {
+    try {
+      job.result = await this.processJob(job, this.thyraCore.restoreSpool(job.spool));
+      job.status = 'completed';
+      job.spool = null;
+      job.error = null;
+      job.completedAt = Date.now();
+    } catch (error) {
+      console.log(`⚠️  Job ${job.id} attempt ${job.attempts} failed: ${error.message}`);
+      job.error = error.message;
+
+      // Bad requests won't improve with another try
+      const permanent = error.statusCode >= 400 && error.statusCode < 500;
+      if (permanent || job.attempts >= job.maxAttempts) {
+        job.status = 'dead';
+        await releaseQuota(this.dbManager, job.options.quota);
+        job.options.quota = null;
+        await this.webhooks?.emit('upload.failed', {
+          id: job.uploadId,
+          jobId: job.id,
+          status: 'failed',
+          error: error.message
+        }, { callbackUrl: job.options.callbackUrl });
+      } else {
+        job.status = 'queued';
+        job.nextRunAt = Date.now() + this.backoffMs * 2 ** (job.attempts - 1);
+      }
+    }
+
+    job.updatedAt = Date.now();
+    await this.dbManager.saveJob(job);
+  }
+
+  // Dead jobs go back on the queue with a fresh set of attempts
+  async retry(id) {
+    const job = await this.get(id);
+    if (!job) {
+      throw createHttpError(404, 'JOB_NOT_FOUND', `Job not found: ${id}`);
+    }
+    if (job.status !== 'dead') {
+      throw createHttpError(409, 'JOB_NOT_RETRYABLE', `Only dead jobs can be retried, this one is ${job.status}`);
+    }
+    if (!job.spool || !fs.existsSync(job.spool.path)) {
+      throw createHttpError(410, 'SPOOL_MISSING', 'The spooled upload is gone, upload the file again');
+    }
+
+    // Its bytes went back to the quota when it died
+    if (job.apiKeyId) {
+      const apiKey = await this.dbManager.getApiKey(job.apiKeyId);
+      job.options.quota = await reserveQuota(this.dbManager, job.apiKeyId, apiKey?.quota_bytes_per_day, job.spool.size);
+    }
+
+    Object.assign(job, { status: 'queued', attempts: 0, error: null, nextRunAt: Date.now(), updatedAt: Date.now() });
+    await this.dbManager.saveJob(job);
+    this.kick();
+    return job;
+  }
+
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job) {
+      throw createHttpError(404, 'JOB_NOT_FOUND', `Job not found: ${id}`);
+    }
+    if (job.status !== 'queued' && job.status !== 'dead') {
+      throw createHttpError(409, 'JOB_NOT_CANCELLABLE', `Only queued or dead jobs can be cancelled, this one is ${job.status}`);
+    }
+
+    await this.thyraCore.discardSpool(job.spool);
+    await releaseQuota(this.dbManager, job.options.quota);
+    job.options.quota = null;
+    Object.assign(job, { status: 'cancelled', spool: null, updatedAt: Date.now() });
+    await this.dbManager.saveJob(job);
+    return job;
+  }
+}
+
+// Follows uploads from "accepted by the bundler" to settled on Arweave. Each
+// run checks the pending uploads that have waited longest; an upload is
+// confirmed once it is that many blocks deep, and failed if it still isn't
+// mined timeoutMs after it was uploaded.
+class ConfirmationWorker {
+  constructor(thyraCore, dbManager, { required = 10, intervalMs = 60000, timeoutMs = 24 * 60 * 60 * 1000, batchSize = 50 } = {}, webhooks = null) {
+    this.thyraCore = thyraCore;
+    this.dbManager = dbManager;
+    this.webhooks = webhooks;
+    this.required = required;
+    this.intervalMs = intervalMs;
+    this.timeoutMs = timeoutMs;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.intervalMs > 0 && this.dbManager.enabled) {
+      this.timer = setInterval(() => this.run(), this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+
+  // Runs never overlap; a slow one makes the next tick a no-op
+  async run() {
+    if (this.running) return;
+
+    this.running = (async () => {
+      for (const upload of await this.dbManager.getPendingUploads(this.batchSize)) {
+        try {
+          await this.check(upload);
+        } catch (error) {
+          console.log(`⚠️  Status check failed for ${upload.id}: ${error.message}`);
+        }
+      }
+    })();
+
+    try {
+      await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  statusOf({ blockHeight, confirmations }, uploadedAt = null) {
+    if (blockHeight !== null && confirmations >= this.required) {
+      return 'confirmed';
+    }
+    if (blockHeight === null && uploadedAt && Date.now() - uploadedAt > this.timeoutMs) {
+      return 'failed';
+    }
+    return 'pending';
+  }
+
+  async check(upload) {
+    const arweaveId = upload.arweave_id || upload.url.split('/').pop();
+    const chain = await this.thyraCore.fetchTransactionStatus(arweaveId);
+    const status = this.statusOf(chain, upload.timestamp);
+
+    await this.dbManager.updateUploadStatus(upload.id, { status, ...chain });
+
+    if (status !== 'pending' && upload.status !== status) {
+      await this.webhooks?.emit(`upload.${status}`, {
+        id: upload.id,
+        arweaveId,
+        url: upload.url,
+        status,
+        ...chain
+      }, { callbackUrl: upload.callback_url });
+    }
+
+    return { status, ...chain };
+  }
+}
+
+// Updated start function to accept config and return instances
+// Dependencies can be passed in, mainly for tests: an uploader to stand in
+// for the bundlers (see BundlerUploader), a wallet provider (see
+// thyra-core.js), a prepared thyraCore or dbManager, and listen: false to get
+// the app back unbound, ready for fastify.inject().
+const start = async (providedConfig = null, { uploader = null, walletProvider = null, thyraCore = null, dbManager = null, listen = true } = {}) => {
+  // Create config from environment variables (after CLI has set them)
+  const config = providedConfig || createConfig();
+
+  console.log('🔧 Using config:', {
+    port: config.port,
+    apiKey: config.apiKey ? '***' + config.apiKey.slice(-3) : 'None',
+    database: config.database.enabled,
+    logLevel: config.logLevel
+  });
+
+  const fastify = Fastify({
+    logger: {
+      level: config.logLevel,
+      transport: config.nodeEnv === 'development' ? {
+        target: 'pino-pretty'
+      } : undefined
+    }
+  });
+
+  // Register plugins
+  await fastify.register(multipart, {
+    limits: {
+      fileSize: config.upload.maxSizeBytes
+    }
+  });
+  await fastify.register(cors);
+
+  // Register global authentication middleware with config
+  fastify.addHook('preHandler', async (request, reply) => {
+    // Only apply auth to API routes, skip health, docs, and share routes
+    if (request.url.startsWith('/api/') &&
+        !request.url.startsWith('/api/health')) {
+      await requireApiKey(request, reply, config, dbManager);
+    }
+  });
+
+  // Initialize Thyra core
+  thyraCore = thyraCore || new ThyraAPICore({ uploader, walletProvider });
+  if (!thyraCore.initialized) {
+    await thyraCore.initialize(config);
+  }
+
+  fastify.addHook('onClose', async () => {
+    thyraCore.gateways.stopProbing();
+    thyraCore.bundlers.stopProbing();
+  });
+
+  // Initialize database
+  dbManager = dbManager || new DatabaseManager(config);
+  if (!dbManager.db) {
+    await dbManager.initialize();
+  }
+
+  const webhooks = new WebhookDispatcher(dbManager, config.webhooks || createConfig().webhooks);
+  await webhooks.start();
+
+  const confirmationWorker = new ConfirmationWorker(thyraCore, dbManager, config.confirmations || createConfig().confirmations, webhooks);
+  confirmationWorker.start();
+
+  // Started once the routes below have defined runUploadJob
+  const uploadQueue = new UploadQueue(thyraCore, dbManager, (job, spool) => runUploadJob(job, spool),
+    config.jobs || createConfig().jobs, webhooks);
+
+  fastify.addHook('onClose', async () => {
+    await confirmationWorker.stop();
+    await uploadQueue.stop();
+    await webhooks.stop();
+    await dbManager.close();
+  });
+
+  // Resolves a folder path to its folder ID, creating missing folders on the
+  // way (like mkdir -p). Runs one at a time so concurrent uploads to the same
+  // new folder don't create it twice.
+  let folderQueue = Promise.resolve();
+  const ensureFolderPath = (folderPath) => {
+    const run = folderQueue.then(async () => {
+      if (!dbManager.enabled) {
+        throw createHttpError(404, 'DATABASE_DISABLED', 'Folders need database mode enabled');
+      }
+
+      const segments = parseFolderPath(folderPath);
+      const created = [];
+      let parentId = thyraCore.thyraRootFolderId;
+      let folder = null;
+
+      for (let i = 0; i < segments.length; i++) {
+        folder = await dbManager.findFolder(thyraCore.thyraDriveId, parentId, segments[i]);
+
+        if (!folder) {
+          const entity = await thyraCore.createFolder(segments[i], parentId);
+          folder = { ...entity, path: segments.slice(0, i + 1).join('/') };
+          await dbManager.saveFolder(folder);
+          folder = await dbManager.getFolder(entity.id);
+          created.push(folder);
+        }
+
+        parentId = folder.id;
+      }
+
+      return { folder, created };
+    });
+
+    folderQueue = run.catch(() => {});
+    return run;
+  };
+
+  const formatFolder = (row) => ({
+    id: row.id,
+    name: row.name,
+    parentId: row.parent_id,
+    path: row.path,
+    txId: row.tx_id,
+    createdAt: row.created_at
+  });
+
+  // Listings leave out who made the upload and where it reports back
+  const formatUpload = (row) => ({
+    id: row.id,
+    arweaveId: row.arweave_id,
+    url: row.url,
+    shareUrl: row.share_url,
+    timestamp: row.timestamp,
+    encrypted: Boolean(row.encrypted),
+    algorithm: row.algorithm,
+    size: row.size,
+    note: row.note,
+    folderId: row.folder_id,
+    fileId: row.file_id,
+    status: row.status,
+    confirmations: row.confirmations
+  });
+
+  // Secrets are only ever returned when the webhook is created
+  const formatWebhook = (row) => ({
+    id: row.id,
+    url: row.url,
+    events: row.events.split(','),
+    createdAt: row.created_at
+  });
+
+  const formatApiKey = async (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: `thyra_${row.id}`,
+    scopes: row.scopes.split(','),
+    quotaBytesPerDay: row.quota_bytes_per_day,
+    wallets: row.wallets ? row.wallets.split(',') : [],
+    usedToday: await dbManager.getApiKeyUsage(row.id, usageDay()),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  });
+
+  const formatAuditEvent = (row) => ({
+    id: row.id,
+    event: row.event,
+    apiKeyId: row.api_key_id,
+    apiKeyName: row.api_key_name,
+    ip: row.ip,
+    details: JSON.parse(row.details),
+    createdAt: row.created_at
+  });
+
+  // Security relevant actions go to the log and, with the database, to
+  // GET /api/audit
+  const audit = async (request, event, details) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      event,
+      apiKeyId: request.apiKey?.id || null,
+      apiKeyName: request.apiKey?.name || null,
+      ip: request.ip,
+      details,
+      createdAt: Date.now()
+    };
+
+    fastify.log.info({ audit: entry }, `audit: ${event}`);
+    await dbManager.saveAuditEvent(entry);
+  };
+
+  const formatDelivery = (row) => ({
+    id: row.id,
+    webhookId: row.webhook_id,
+    url: row.url,
+    event: row.event,
+    uploadId: row.upload_id,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    payload: JSON.parse(row.payload)
+  });
+
+  // A client supplied upload ID is refused before anything is uploaded when
+  // it is taken; saveUpload refuses it again should two requests race
+  const checkUploadId = async (id) => {
+    if (id && await dbManager.findUpload(id)) {
+      throw createHttpError(409, 'UPLOAD_EXISTS', `An upload with ID ${id} already exists`);
+    }
+  };
+
+  // Everything after the bytes are stored: the share URL, the database
+  // record and the upload.accepted event. Returns the /api/upload response.
+  const completeUpload = async ({ uploadId, result, timestamp, note, store, folderId, callbackUrl, baseUrl, apiKeyId = null }) => {
+    // The share page can't take off a private drive's ArFS encryption, so
+    // those uploads get no link; GET /api/content/:id reads them, with the
+    // key handed back here
+    const shareable = result.encrypted && !result.privateDrive;
+    let shareUrl = null;
+    if (shareable && result.encryptionKey) {
+      shareUrl = createShareUrl(baseUrl, result.arweaveId, result.encryptionKey);
+    } else if (shareable && (result.keyDerivation || result.encryption === 'drive')) {
+      // The share page asks for the passphrase, so there is no key fragment.
+      // Drive encrypted uploads get none either, they read back through
+      // GET /api/content/:id or /api/drive/decrypt/:arweaveId.
+      shareUrl = createShareUrl(baseUrl, result.arweaveId);
+    }
+
+    const response = {
+      success: true,
+      id: uploadId,
+      url: result.url,
+      shareUrl,
+      timestamp,
+      encrypted: result.encrypted,
+      algorithm: result.algorithm,
+      size: result.size
+    };
+
+    if (result.keyDerivation) response.keyDerivation = result.keyDerivation;
+    if (result.privateDrive && result.encryptionKey) response.encryptionKey = result.encryptionKey.toString('base64');
+    if (result.walletAddress) response.walletAddress = result.walletAddress;
+    if (result.fileId) response.fileId = result.fileId;
+    if (folderId) response.folderId = folderId;
+
+    if (dbManager.enabled && store !== false) {
+      await dbManager.saveUpload({
+        id: uploadId,
+        url: result.url,
+        shareUrl,
+        timestamp,
+        encrypted: result.encrypted,
+        size: result.size,
+        note: note || null,
+        algorithm: result.algorithm,
+        folderId: folderId || null,
+        fileId: result.fileId || null,
+        arweaveId: result.arweaveId,
+        encryption: result.encryption || null,
+        callbackUrl,
+        apiKeyId,
+        walletAddress: result.walletAddress
+      });
+    }
+
+    // Share URLs carry the key, so they stay out of webhook payloads
+    await webhooks.emit('upload.accepted', {
+      id: uploadId,
+      arweaveId: result.arweaveId,
+      url: result.url,
+      size: result.size,
+      encrypted: result.encrypted,
+      algorithm: result.algorithm,
+      note: note || null,
+      folderId: folderId || null,
+      timestamp
+    }, { callbackUrl });
+
+    return response;
+  };
+
+  // What a queued upload does when its turn comes
+  const runUploadJob = async (job, spool) => {
+    const { upload: uploadOptions, folder, note, store, callbackUrl, timestamp, baseUrl, apiKeyId } = job.options;
+
+    const folderId = folder ? (await ensureFolderPath(folder)).folder.id : null;
+    const result = await thyraCore.uploadSpool(spool, { ...uploadOptions, parentFolderId: folderId });
+
+    return await completeUpload({ uploadId: job.uploadId, result, timestamp, note, store, folderId, callbackUrl, baseUrl, apiKeyId });
+  };
+
+  await uploadQueue.start();
+
+  const formatJob = (job) => ({
+    id: job.id,
+    uploadId: job.uploadId,
+    status: job.status,
+    filename: job.options.upload.filename,
+    size: job.spool?.size ?? job.result?.size ?? null,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    nextRunAt: job.status === 'queued' ? job.nextRunAt : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+    result: job.result
+  });
+
+  // Routes with access to instances and config
+  // With ?async=true the upload is spooled and queued, answering 202 with a
+  // job to follow at /api/jobs/:id
+  fastify.post('/api/upload', async (request, reply) => {
+    const asyncMode = request.query.async === 'true';
+    let spool = null;
+    let uploadId = null;
+    let callbackUrl = null;
+    let quota = null;
+
+    try {
+      if (!thyraCore.initialized) {
+        throw new Error('Service not initialized');
+      }
+
+      let content, contentType, filename;
+      const timestamp = Date.now();
+      let userProvidedId = null;
+      let noteValue = null;
+      let storeValue = true;
+      let folderPath = null;
+
+      const uploadOptions = {
+        encryption: 'random',
+        customKey: null,
+        passphrase: null,
+        contentType: 'application/octet-stream',
+        filename: null
+      };
+
+      // Handle different content types
+      if (request.isMultipart()) {
+        // Stream the file straight into the encrypted spool. Encryption fields
+        // must therefore arrive before the file part; the rest may follow it.
+        const fields = {};
+
+        for await (const part of request.parts()) {
+          if (part.type !== 'file') {
+            fields[part.fieldname] = part.value;
+            continue;
+          }
+
+          if (spool) {
+            part.file.resume(); // Only the first file is uploaded
+            continue;
+          }
+
+          if (fields.encryption) uploadOptions.encryption = fields.encryption;
+          if (fields.customKey) uploadOptions.customKey = fields.customKey;
+          if (fields.passphrase) uploadOptions.passphrase = fields.passphrase;
+
+          contentType = part.mimetype;
+          filename = part.filename;
+          spool = await thyraCore.spoolStream(part.file, { ...uploadOptions, contentType, filename });
+        }
+
+        if (!spool) {
+          return reply.code(400).send({
+            success: false,
+            error: 'MISSING_CONTENT',
+            message: 'No file provided'
+          });
+        }
+
+        if ((fields.encryption && fields.encryption !== uploadOptions.encryption) ||
+            (fields.customKey && fields.customKey !== uploadOptions.customKey) ||
+            (fields.passphrase && fields.passphrase !== uploadOptions.passphrase)) {
+          await thyraCore.discardSpool(spool);
+          return reply.code(400).send({
+            success: false,
+            error: 'INVALID_FIELD_ORDER',
+            message: 'Encryption fields must be sent before the file part'
+          });
+        }
+
+        if (fields.id) userProvidedId = fields.id;
+        if (fields.note) noteValue = fields.note;
+        if (fields.store !== undefined) storeValue = fields.store !== 'false';
+        if (fields.lastModified) uploadOptions.lastModifiedDate = parseInt(fields.lastModified) || null;
+        if (fields.folder) folderPath = fields.folder;
+        if (fields.callbackUrl) callbackUrl = fields.callbackUrl;
+        if (fields.wallet) uploadOptions.wallet = fields.wallet;
+
+      } else if (request.headers['content-type']?.includes('application/json')) {
+        content = request.body?.message;
+        contentType = 'text/plain';
+
+        if (request.body?.encryption) uploadOptions.encryption = request.body.encryption;
+        if (request.body?.customKey) uploadOptions.customKey = request.body.customKey;
+        if (request.body?.passphrase) uploadOptions.passphrase = request.body.passphrase;
+        if (request.body?.id) userProvidedId = request.body.id;
+        if (request.body?.note) noteValue = request.body.note;
+        if (request.body?.store !== undefined) storeValue = request.body.store;
+        if (request.body?.lastModified) uploadOptions.lastModifiedDate = parseInt(request.body.lastModified) || null;
+        if (request.body?.folder) folderPath = request.body.folder;
+        if (request.body?.callbackUrl) callbackUrl = request.body.callbackUrl;
+        if (request.body?.wallet) uploadOptions.wallet = request.body.wallet;
+
+      } else {
+        content = request.body;
+        contentType = 'text/plain';
+      }
+
+      if (!content && !spool) {
+        return reply.code(400).send({
+          success: false,
+          error: 'MISSING_CONTENT',
+          message: 'No content provided'
+        });
+      }
+
+      if (callbackUrl) {
+        callbackUrl = parseWebhookUrl(callbackUrl, 'INVALID_CALLBACK_URL', webhooks.allowedHosts);
+      }
+
+      // Refuse an unknown wallet now rather than after the upload is queued
+      if (uploadOptions.wallet) {
+        if (!canUseWallet(request.apiKey, uploadOptions.wallet)) {
+          throw createHttpError(403, 'WALLET_FORBIDDEN', `API key may not sign with wallet ${uploadOptions.wallet}`);
+        }
+        await thyraCore.getSigningWallet(uploadOptions.wallet);
+      }
+
+      if (asyncMode) {
+        if (!dbManager.enabled) {
+          throw createHttpError(404, 'DATABASE_DISABLED', 'Async uploads need database mode enabled');
+        }
+        // Created when the job runs, but a bad path is refused now
+        if (folderPath) parseFolderPath(folderPath);
+      } else if (folderPath) {
+        const { folder } = await ensureFolderPath(folderPath);
+        uploadOptions.parentFolderId = folder.id;
+      }
+
+      const size = spool
+        ? spool.size
+        : Buffer.isBuffer(content) ? content.length : Buffer.from(content).length;
+
+      if (storeValue !== false) {
+        await checkUploadId(userProvidedId);
+      }
+
+      const apiKey = request.apiKey;
+      quota = await reserveQuota(dbManager, apiKey?.id, apiKey?.quotaBytesPerDay, size, timestamp);
+
+      uploadId = userProvidedId || crypto.randomUUID();
+
+      if (size > 100 * 1024) {
+        fastify.log.warn(`Large upload: ${size} bytes`);
+      }
+
+      uploadOptions.contentType = contentType;
+      uploadOptions.filename = filename;
+
+      const baseUrl = `${request.protocol}://${request.headers.host}`;
+
+      if (asyncMode) {
+        if (!spool) {
+          spool = await thyraCore.spoolStream([Buffer.from(content)], uploadOptions);
+        }
+
+        // Passphrases were used for the spool and are not kept. A content
+        // key is kept wrapped in the job's spool record for the share URL,
+        // until the job completes or is cancelled
+        const job = await uploadQueue.enqueue({
+          uploadId,
+          spool,
+          options: {
+            upload: {
+              encryption: uploadOptions.encryption,
+              contentType,
+              filename,
+              wallet: uploadOptions.wallet || null,
+              lastModifiedDate: uploadOptions.lastModifiedDate || null
+            },
+            folder: folderPath,
+            note: noteValue,
+            store: storeValue,
+            callbackUrl,
+            timestamp,
+            baseUrl,
+            apiKeyId: apiKey?.id || null,
+            quota
+          },
+          apiKeyId: apiKey?.id || null
+        });
+        spool = null;
+        quota = null;
+
+        return reply.code(202).send({
+          success: true,
+          id: uploadId,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`
+        });
+      }
+
+      const result = spool
+        ? await thyraCore.uploadSpool(spool, uploadOptions)
+        : await thyraCore.uploadContent(content, uploadOptions);
+      quota = null; // Spent
+
+      const response = await completeUpload({
+        uploadId,
+        result,
+        timestamp,
+        note: noteValue,
+        store: storeValue,
+        folderId: uploadOptions.parentFolderId,
+        callbackUrl,
+        baseUrl,
+        apiKeyId: apiKey?.id || null
+      });
+
+      reply.send(response);
+
+    } catch (error) {
+      await thyraCore.discardSpool(spool);
+      await releaseQuota(dbManager, quota);
+      fastify.log.error(error);
+
+      // Only once the upload itself was under way; bad requests are just answered
+      if (uploadId && !(error.statusCode < 500)) {
+        await webhooks.emit('upload.failed', {
+          id: uploadId,
+          status: 'failed',
+          error: error.message
+        }, { callbackUrl });
+      }
+
+      if (error.statusCode === 413) {
+        return reply.code(413).send({
+          success: false,
+          error: 'FILE_TOO_LARGE',
+          message: `File exceeds the ${Math.floor(config.upload.maxSizeBytes / (1024 * 1024))}MB upload limit`
+        });
+      }
+
+      if (error.errorCode) {
+        return reply.code(error.statusCode).send({
+          success: false,
+          error: error.errorCode,
+          message: error.message
+        });
+      }
+
+      reply.code(500).send({
+        success: false,
+        error: 'UPLOAD_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  // The server's own wallet, or a named one with ?wallet=
+  fastify.get('/api/wallet/address', async (request, reply) => {
+    try {
+      const address = await thyraCore.getWalletAddress(request.query.wallet);
+      reply.send({
+        success: true,
+        address
+      });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'WALLET_ERROR',
+        message: error.message
+      });
+    }
+  });
+
+  // Balances of the server wallet or a named one (?wallet=), with how many
+  // uploads of ?bytes= each (1 MiB by default) they cover
+  fastify.get('/api/wallet/balance', async (request, reply) => {
+    try {
+      const bytes = request.query.bytes === undefined ? undefined : Number(request.query.bytes);
+      if (bytes !== undefined && !(Number.isSafeInteger(bytes) && bytes > 0)) {
+        throw createHttpError(400, 'INVALID_BYTES', 'bytes must be a positive whole number');
+      }
+
+      reply.send({
+        success: true,
+        wallet: request.query.wallet || 'default',
+        ...await thyraCore.getWalletBalance(request.query.wallet, { bytes })
+      });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'BALANCE_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  // The server's own wallet (default) and every named wallet, retired ones
+  // included: they signed older uploads
+  fastify.get('/api/wallets', async (request, reply) => {
+    try {
+      reply.send({
+        success: true,
+        wallets: await thyraCore.listWallets()
+      });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'WALLET_ERROR',
+        message: error.message
+      });
+    }
+  });
+
+  // A JWK, or a keyfile with its passphrase, from the request; null to generate
+  const walletFromBody = async (body) => {
+    if (body?.keyfile) {
+      return await decryptWalletKeyfile(body.keyfile, body.passphrase || '');
+    }
+    return body?.jwk || null;
+  };
+
+  // Import a wallet under a name: {name, jwk} or {name, keyfile, passphrase};
+  // just {name} generates one
+  fastify.post('/api/wallets', async (request, reply) => {
+    try {
+      const jwk = await walletFromBody(request.body);
+      const wallet = await thyraCore.addWallet(request.body?.name, jwk);
+      await audit(request, jwk ? 'wallet.import' : 'wallet.generate', { name: wallet.name, address: wallet.address });
+
+      reply.code(201).send({ success: true, wallet });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'WALLET_ERROR',
+        message: error.message
+      });
+    }
+  });
+
+  // New uploads under the name are signed with the new wallet; the old one
+  // is kept, retired
+  fastify.post('/api/wallets/:name/rotate', async (request, reply) => {
+    try {
+      const jwk = await walletFromBody(request.body);
+      const { wallet, retired } = await thyraCore.addWallet(request.params.name, jwk, { rotate: true });
+      await audit(request, 'wallet.rotate', { name: wallet.name, address: wallet.address, retired: retired.address });
+
+      reply.send({ success: true, wallet, retired });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'WALLET_ERROR',
+        message: error.message
+      });
+    }
+  });
+
+  // Needs a wallet:export (or admin) key, also while the API is otherwise
+  // open. The default format, encrypted, answers with a passphrase protected
+  // keyfile to save; backup writes into WALLET_BACKUP_DIR. Every attempt is
+  // audited.
+  fastify.post('/api/wallet/export', async (request, reply) => {
+    const format = request.body?.format || 'encrypted';
+
+    try {
+      if (!request.apiKey || !hasScope(request.apiKey, 'wallet:export')) {
+        throw createHttpError(403, 'FORBIDDEN', 'Exporting the wallet needs an API key with the wallet:export or admin scope');
+      }
+
+      if (request.body?.path) {
+        throw createHttpError(400, 'INVALID_EXPORT', 'Export paths are not accepted, use format "backup" with a filename to write into WALLET_BACKUP_DIR');
+      }
+
+      const address = await thyraCore.getWalletAddress();
+
+      if (format === 'encrypted') {
+        const keyfile = await thyraCore.exportWalletKeyfile(request.body?.passphrase);
+        await audit(request, 'wallet.export', { format, outcome: 'exported', address });
+
+        return reply
+          .header('Content-Disposition', `attachment; filename="thyra-wallet-${address.slice(0, 8)}.json"`)
+          .send(keyfile);
+      }
+
+      if (format === 'backup') {
+        const backup = await thyraCore.backupWallet(request.body?.filename, { passphrase: request.body?.passphrase || null });
+        await audit(request, 'wallet.export', { format, outcome: 'exported', address, path: backup.path, encrypted: backup.encrypted });
+
+        return reply.send({
+          success: true,
+          walletPath: backup.path,
+          encrypted: backup.encrypted,
+          address
+        });
+      }
+
+      throw createHttpError(400, 'INVALID_FORMAT', 'format must be encrypted or backup');
+    } catch (error) {
+      await audit(request, 'wallet.export', { format, outcome: 'refused', error: error.errorCode || 'EXPORT_FAILED' });
+
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'EXPORT_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  // The raw key opens every drive upload: admin keys only, even while the
+  // API is open, and audited like wallet exports
+  fastify.get('/api/drive/key', async (request, reply) => {
+    if (!request.apiKey || !hasScope(request.apiKey, 'admin')) {
+      await audit(request, 'drive_key.export', { outcome: 'refused', error: 'FORBIDDEN' });
+      return reply.code(403).send({
+        success: false,
+        error: 'FORBIDDEN',
+        message: 'Exporting the drive key needs an admin API key'
+      });
+    }
+
+    const driveKey = thyraCore.exportDriveKey();
+    await audit(request, 'drive_key.export', { outcome: 'exported', fingerprint: driveKey.fingerprint });
+    reply.send({
+      success: true,
+      ...driveKey
+    });
+  });
+
+  fastify.post('/api/drive/key', async (request, reply) => {
+    try {
+      const driveKey = await thyraCore.importDriveKey(request.body?.key, { force: request.body?.force === true });
+      reply.send({
+        success: true,
+        fingerprint: driveKey.fingerprint,
+        createdAt: driveKey.createdAt
+      });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'IMPORT_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  // The drive key opens every drive upload, so keys without admin only get
+  // the uploads they made
+  fastify.get('/api/drive/decrypt/:arweaveId', async (request, reply) => {
+    try {
+      if (!ownsRow(request, null)) {
+        const upload = await dbManager.findUpload(request.params.arweaveId);
+        if (!upload || !ownsRow(request, upload.api_key_id)) {
+          throw createHttpError(404, 'NOT_FOUND', `Upload not found: ${request.params.arweaveId}`);
+        }
+      }
+
+      const { content, filename, contentType } = await thyraCore.decryptDriveUpload(request.params.arweaveId, {
+        fileId: request.query.fileId || null
+      });
+
+      reply.header('Content-Type', contentType);
+      if (filename) {
+        reply.header('Content-Disposition', `attachment; filename="${filename.replace(/["\\\r\n]/g, '_')}"`);
+      }
+      reply.send(content);
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'DECRYPTION_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  // Multipart: index and fallback fields, then one file part per file with
+  // the file's path in the bundle as the field name
+  fastify.post('/api/manifest', async (request, reply) => {
+    let quota = null;
+    const files = [];
+    const discardSpools = () => Promise.all(files.map(file => thyraCore.discardSpool(file.spool)));
+
+    try {
+      if (!request.isMultipart()) {
+        throw createHttpError(400, 'INVALID_REQUEST', 'Send the files as multipart/form-data');
+      }
+
+      const fields = {};
+
+      for await (const part of request.parts()) {
+        if (part.type !== 'file') {
+          fields[part.fieldname] = part.value;
+          continue;
+        }
+
+        const filePath = normalizeManifestPath(part.fieldname);
+        if (files.some(file => file.path === filePath)) {
+          throw createHttpError(400, 'INVALID_PATH', `Duplicate manifest path: ${filePath}`);
+        }
+
+        files.push({
+          path: filePath,
+          contentType: part.mimetype || 'application/octet-stream',
+          spool: await thyraCore.spoolPlain(part.file)
+        });
+      }
+
+      if (files.length === 0) {
+        throw createHttpError(400, 'MISSING_CONTENT', 'No files provided');
+      }
+
+      const index = normalizeManifestPath(fields.index || 'index.html');
+      const fallback = fields.fallback ? normalizeManifestPath(fields.fallback) : null;
+      const timestamp = Date.now();
+
+      if (fields.store !== 'false') {
+        await checkUploadId(fields.id);
+      }
+
+      const apiKey = request.apiKey;
+      const size = files.reduce((total, file) => total + file.spool.size, 0);
+      quota = await reserveQuota(dbManager, apiKey?.id, apiKey?.quotaBytesPerDay, size, timestamp);
+
+      const result = await thyraCore.publishManifest(files, { index, fallback });
+      quota = null; // Spent
+      await discardSpools();
+
+      const uploadId = fields.id || crypto.randomUUID();
+
+      if (dbManager.enabled && fields.store !== 'false') {
+        await dbManager.saveUpload({
+          id: uploadId,
+          url: result.url,
+          shareUrl: null,
+          timestamp,
+          encrypted: false,
+          size: result.size,
+          note: fields.note || `manifest: ${files.length} files`,
+          algorithm: null,
+          apiKeyId: apiKey?.id || null
+        });
+      }
+
+      reply.send({
+        success: true,
+        id: uploadId,
+        manifestId: result.arweaveId,
+        url: `${result.url}/`,
+        index,
+        fallback,
+        files: Object.fromEntries(Object.entries(result.paths).map(([filePath, { id }]) => [
+          filePath,
+          { id, url: thyraCore.gatewayUrl(id) }
+        ])),
+        timestamp,
+        size: result.size
+      });
+    } catch (error) {
+      await discardSpools();
+      await releaseQuota(dbManager, quota);
+      fastify.log.error(error);
+
+      if (error.statusCode === 413) {
+        return reply.code(413).send({
+          success: false,
+          error: 'FILE_TOO_LARGE',
+          message: `File exceeds the ${Math.floor(config.upload.maxSizeBytes / (1024 * 1024))}MB upload limit`
+        });
+      }
+
+      reply.code(error.errorCode ? error.statusCode : 500).send({
+        success: false,
+        error: error.errorCode || 'MANIFEST_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.post('/api/folders', async (request, reply) => {
+    try {
+      let folderPath = request.body?.path;
+
+      // Or a single folder by name under an existing parent
+      if (!folderPath && request.body?.name) {
+        const parent = request.body.parentId ? await dbManager.getFolder(request.body.parentId) : null;
+        if (request.body.parentId && !parent) {
+          throw createHttpError(404, 'FOLDER_NOT_FOUND', `Folder not found: ${request.body.parentId}`);
+        }
+        folderPath = parent ? `${parent.path}/${request.body.name}` : request.body.name;
+      }
+
+      const { folder, created } = await ensureFolderPath(folderPath);
+
+      reply.code(created.length ? 201 : 200).send({
+        success: true,
+        folder: formatFolder(folder),
+        created: created.map(formatFolder)
+      });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'FOLDER_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  // "root" lists the top level of the drive
+  fastify.get('/api/folders/:id', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
+
+    try {
+      const isRoot = request.params.id === 'root' || request.params.id === thyraCore.thyraRootFolderId;
+      const folder = isRoot
+        ? { id: thyraCore.thyraRootFolderId, name: 'Root', parentId: null, path: '', txId: null }
+        : await dbManager.getFolder(request.params.id);
+
+      if (!folder) {
+        return reply.code(404).send({
+          success: false,
+          error: 'FOLDER_NOT_FOUND',
+          message: `Folder not found: ${request.params.id}`
+        });
+      }
+
+      // Folders are shared, the uploads in them only show to their key
+      const filters = { folderId: folder.id };
+      if (!ownsRow(request, null)) {
+        filters.apiKeyId = request.apiKey.id;
+      }
+
+      const folders = await dbManager.getChildFolders(thyraCore.thyraDriveId, folder.id);
+      const uploads = await dbManager.getUploads(filters);
+
+      reply.send({
+        success: true,
+        folder: isRoot ? folder : formatFolder(folder),
+        folders: folders.map(formatFolder),
+        uploads: uploads.map(formatUpload)
+      });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'DATABASE_ERROR',
+        message: error.message
+      });
+    }
+  });
+
+  // Webhooks live in the database so they outlast restarts
+  fastify.post('/api/webhooks', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
+
+    try {
+      const url = parseWebhookUrl(request.body?.url, 'INVALID_URL', webhooks.allowedHosts);
+
+      let events = request.body?.events || WEBHOOK_EVENTS;
+      if (typeof events === 'string') {
+        events = events.split(',').map(event => event.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(events) || events.length === 0 ||
+          events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+        throw createHttpError(400, 'INVALID_EVENT', `Events must be some of ${WEBHOOK_EVENTS.join(', ')}, or *`);
+      }
+
+      const secret = request.body?.secret || crypto.randomBytes(32).toString('hex');
+      if (typeof secret !== 'string' || secret.length < 16) {
+        throw createHttpError(400, 'WEAK_SECRET', 'Webhook secrets must be at least 16 characters');
+      }
+
+      const webhook = { id: crypto.randomUUID(), url, events, secret, createdAt: Date.now() };
+      await dbManager.saveWebhook(webhook);
+
+      reply.code(201).send({
+        success: true,
+        webhook: formatWebhook(await dbManager.getWebhook(webhook.id)),
+        secret
+      });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'WEBHOOK_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.get('/api/webhooks', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
+
+    try {
+      reply.send({
+        success: true,
+        webhooks: (await dbManager.getWebhooks()).map(formatWebhook)
+      });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'DATABASE_ERROR',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.delete('/api/webhooks/:id', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
+
+    try {
+      if (!await dbManager.getWebhook(request.params.id)) {
+        return reply.code(404).send({
+          success: false,
+          error: 'WEBHOOK_NOT_FOUND',
+          message: `Webhook not found: ${request.params.id}`
+        });
+      }
+
+      await dbManager.deleteWebhook(request.params.id);
+      reply.send({ success: true, id: request.params.id });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'DATABASE_ERROR',
+        message: error.message
+      });
+    }
+  });
+
+  // Delivery log, newest first; filter by webhookId, uploadId, event or status
+  fastify.get('/api/webhooks/deliveries', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
+
+    try {
+      const deliveries = await dbManager.getDeliveries({ limit: 50, ...request.query });
+      reply.send({
+        success: true,
+        deliveries: deliveries.map(formatDelivery)
+      });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'DATABASE_ERROR',
+        message: error.message
+      });
+    }
+  });
+
+  // Named keys for the API. The secret is only returned here, as
+  // thyra_<id>_<secret>; the database keeps a hash of it.
+  fastify.post('/api/keys', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
+
+    try {
+      const name = typeof request.body?.name === 'string' ? request.body.name.trim() : '';
+      if (!name) {
+        throw createHttpError(400, 'INVALID_NAME', 'A key name is required');
+      }
+
+      let scopes = request.body?.scopes || ['upload', 'list'];
+      if (typeof scopes === 'string') {
+        scopes = scopes.split(',').map(scope => scope.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        throw createHttpError(400, 'INVALID_SCOPE', `Scopes must be some of ${API_KEY_SCOPES.join(', ')}`);
+      }
+
+      const quota = request.body?.quotaBytesPerDay ?? null;
+      if (quota !== null && (!Number.isInteger(Number(quota)) || Number(quota) <= 0)) {
+        throw createHttpError(400, 'INVALID_QUOTA', 'quotaBytesPerDay must be a positive whole number of bytes');
+      }
+
+      // Named wallets the key may sign with, besides the server's own
+      let wallets = request.body?.wallets || [];
+      if (typeof wallets === 'string') {
+        wallets = wallets.split(',').map(wallet => wallet.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(wallets) || wallets.some(wallet => typeof wallet !== 'string' || !WALLET_NAME_PATTERN.test(wallet))) {
+        throw createHttpError(400, 'INVALID_WALLET_NAME', 'wallets must be wallet names: lowercase letters, digits, - and _');
+      }
+
+      const id = crypto.randomBytes(8).toString('hex');
+      const secret = crypto.randomBytes(32).toString('base64url');
+      await dbManager.saveApiKey({
+        id,
+        name,
+        keyHash: hashApiKeySecret(secret),
+        scopes: [...new Set(scopes)],
+        quotaBytesPerDay: quota === null ? null : Number(quota),
+        wallets: [...new Set(wallets)],
+        createdAt: Date.now()
+      });
+
+      reply.code(201).send({
+        success: true,
+        key: await formatApiKey(await dbManager.getApiKey(id)),
+        secret: `thyra_${id}_${secret}`
+      });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'KEY_FAILED',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.get('/api/keys', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
+
+    try {
+      const keys = await dbManager.getApiKeys();
+      reply.send({
+        success: true,
+        keys: await Promise.all(keys.map(formatApiKey))
+      });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'DATABASE_ERROR',
+        message: error.message
+      });
+    }
+  });
 
-      } else {
-        content = request.body;
-        contentType = 'text/plain';
-      }
+  // Revoked keys are kept, so uploads still show who made them
+  fastify.post('/api/keys/:id/revoke', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
 
-      if (!content) {
-        return reply.code(400).send({
+    try {
+      if (!await dbManager.getApiKey(request.params.id)) {
+        return reply.code(404).send({
           success: false,
-          error: 'MISSING_CONTENT',
-          message: 'No content provided'
+          error: 'KEY_NOT_FOUND',
+          message: `API key not found: ${request.params.id}`
         });
       }
 
-      const uploadId = userProvidedId || crypto.randomUUID();
-      const size = Buffer.isBuffer(content) ? content.length : Buffer.from(content).length;
-
-      if (size > 100 * 1024) {
-        fastify.log.warn(`Large upload: ${size} bytes`);
-      }
+      await dbManager.revokeApiKey(request.params.id);
+      reply.send({
+        success: true,
+        key: await formatApiKey(await dbManager.getApiKey(request.params.id))
+      });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'DATABASE_ERROR',
+        message: error.message
+      });
+    }
+  });
 
-      uploadOptions.contentType = contentType;
-      uploadOptions.filename = filename;
+  // Audit log, newest first; filter by event or apiKeyId
+  fastify.get('/api/audit', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
 
-      const result = await thyraCore.uploadContent(content, uploadOptions);
-
-      // Fixed share URL generation
-      let shareUrl = null;
-      if (result.encrypted && result.encryptionKey) {
-        // Ensure the encryption key is properly base64 encoded
-        let keyB64;
-        if (Buffer.isBuffer(result.encryptionKey)) {
-          keyB64 = result.encryptionKey.toString('base64');
-        } else if (typeof result.encryptionKey === 'string') {
-          keyB64 = result.encryptionKey;
-        } else {
-          keyB64 = Buffer.from(result.encryptionKey).toString('base64');
-        }
+    try {
+      const events = await dbManager.getAuditEvents({ limit: 50, ...request.query });
+      reply.send({
+        success: true,
+        events: events.map(formatAuditEvent)
+      });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'DATABASE_ERROR',
+        message: error.message
+      });
+    }
+  });
 
-        // URL encode the base64 key to handle special characters
-        const encodedKey = encodeURIComponent(keyB64);
-        shareUrl = `${request.protocol}://${request.headers.host}/share/${result.arweaveId}#decrypt=${encodedKey}`;
+  fastify.get('/api/jobs', async (request, reply) => {
+    if (!dbManager.enabled) {
+      return reply.code(404).send({
+        success: false,
+        error: 'DATABASE_DISABLED',
+        message: 'Database mode not enabled'
+      });
+    }
 
-        console.log('🔑 Encryption key (base64):', keyB64.substring(0, 20) + '...');
+    try {
+      const filters = { limit: 50, ...request.query };
+      if (!ownsRow(request, null)) {
+        filters.apiKeyId = request.apiKey.id;
       }
 
-      const response = {
+      const jobs = await uploadQueue.list(filters);
+      reply.send({
         success: true,
-        id: uploadId,
-        url: result.url,
-        shareUrl,
-        timestamp,
-        encrypted: result.encrypted,
-        size: result.size
-      };
+        jobs: jobs.map(formatJob)
+      });
+    } catch (error) {
+      reply.code(500).send({
+        success: false,
+        error: 'DATABASE_ERROR',
+        message: error.message
+      });
+    }
+  });
 
-      if (dbManager.enabled && storeValue !== false) {
-        await dbManager.saveUpload({
-          id: uploadId,
-          url: result.url,
-          shareUrl,
-          timestamp,
-          encrypted: result.encrypted,
-          size: result.size,
-          note: noteValue || null
+  fastify.get('/api/jobs/:id', async (request, reply) => {
+    try {
+      const job = await uploadQueue.get(request.params.id);
+      if (!job || !ownsRow(request, job.apiKeyId)) {
+        return reply.code(404).send({
+          success: false,
+          error: 'JOB_NOT_FOUND',
+          message: `Job not found: ${request.params.id}`
         });
       }
 
-      reply.send(response);
-
+      reply.send({ success: true, job: formatJob(job) });
     } catch (error) {
-      fastify.log.error(error);
       reply.code(500).send({
         success: false,
-        error: 'UPLOAD_FAILED',
+        error: 'DATABASE_ERROR',
         message: error.message
       });
     }
   });
 
-  fastify.get('/api/wallet/address', async (request, reply) => {
+  // Someone else's job answers as if it didn't exist
+  const findOwnJob = async (request) => {
+    const job = await uploadQueue.get(request.params.id);
+    if (!job || !ownsRow(request, job.apiKeyId)) {
+      throw createHttpError(404, 'JOB_NOT_FOUND', `Job not found: ${request.params.id}`);
+    }
+    return job;
+  };
+
+  fastify.post('/api/jobs/:id/retry', async (request, reply) => {
     try {
-      const address = await thyraCore.getWalletAddress();
-      reply.send({
-        success: true,
-        address
+      await findOwnJob(request);
+      const job = await uploadQueue.retry(request.params.id);
+      reply.send({ success: true, job: formatJob(job) });
+    } catch (error) {
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'JOB_FAILED',
+        message: error.message
       });
+    }
+  });
+
+  fastify.post('/api/jobs/:id/cancel', async (request, reply) => {
+    try {
+      await findOwnJob(request);
+      const job = await uploadQueue.cancel(request.params.id);
+      reply.send({ success: true, job: formatJob(job) });
     } catch (error) {
-      reply.code(500).send({
+      reply.code(error.statusCode || 500).send({
         success: false,
-        error: 'WALLET_ERROR',
+        error: error.errorCode || 'JOB_FAILED',
         message: error.message
       });
     }
   });
 
-  fastify.post('/api/wallet/export', async (request, reply) => {
+  // Pending uploads are checked on the spot rather than waiting for the
+  // worker. Arweave IDs the database doesn't know are looked up but not kept.
+  fastify.get('/api/uploads/:id/status', async (request, reply) => {
     try {
-      const exportPath = await thyraCore.exportWallet(request.body?.path);
-      const address = await thyraCore.getWalletAddress();
+      const upload = await dbManager.findUpload(request.params.id);
+
+      if ((upload && !ownsRow(request, upload.api_key_id)) ||
+          (!upload && !/^[a-zA-Z0-9_-]{43}$/.test(request.params.id))) {
+        return reply.code(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: `Upload not found: ${request.params.id}`
+        });
+      }
+
+      let state;
+      if (!upload) {
+        const chain = await thyraCore.fetchTransactionStatus(request.params.id);
+        state = { status: confirmationWorker.statusOf(chain), ...chain, checkedAt: Date.now() };
+      } else if (upload.status === 'pending') {
+        state = { ...await confirmationWorker.check(upload), checkedAt: Date.now() };
+      } else {
+        state = {
+          status: upload.status,
+          blockHeight: upload.block_height,
+          confirmations: upload.confirmations,
+          checkedAt: upload.status_checked_at
+        };
+      }
 
       reply.send({
         success: true,
-        walletPath: exportPath,
-        address
+        id: upload?.id || request.params.id,
+        arweaveId: upload?.arweave_id || request.params.id,
+        tracked: Boolean(upload),
+        ...state,
+        confirmationsRequired: confirmationWorker.required
       });
     } catch (error) {
-      reply.code(500).send({
+      reply.code(error.statusCode || 500).send({
         success: false,
-        error: 'EXPORT_FAILED',
+        error: error.errorCode || 'STATUS_FAILED',
         message: error.message
       });
     }
   });
 
-  fastify.get('/api/uploads', async (request, reply) => {
-    // Check authentication using the config passed to this function
-    if (config.apiKey) {
-      const providedKey = request.headers['x-api-key'] || request.headers['authorization']?.replace('Bearer ', '');
+  // Keys come from headers (X-Decryption-Key, X-Passphrase) or the stored
+  // share URL, never the query string, so they stay out of access logs
+  fastify.get('/api/content/:id', async (request, reply) => {
+    const spoolFiles = [];
+    const cleanup = () => Promise.all(spoolFiles.map(file => fs.promises.rm(file, { force: true })));
+
+    try {
+      const upload = await dbManager.findUpload(request.params.id);
+      const arweaveId = upload?.arweave_id || request.params.id;
+
+      // Someone else's upload would be decrypted with its stored key
+      if ((upload && !ownsRow(request, upload.api_key_id)) ||
+          (!upload && !/^[a-zA-Z0-9_-]{43}$/.test(arweaveId))) {
+        return reply.code(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: `Upload not found: ${request.params.id}`
+        });
+      }
+
+      // Drive encrypted uploads never had their key in the share URL
+      const storedKey = upload?.encryption === 'drive'
+        ? thyraCore.driveKey?.toString('base64')
+        : upload?.share_url ? parseShareUrl(upload.share_url).key : null;
+
+      const download = await thyraCore.fetchToSpool(arweaveId);
+      spoolFiles.push(download.path);
+
+      // Uploads to a private drive are ArFS encrypted underneath
+      if (upload?.file_id && thyraCore.arfsDriveKey) {
+        const data = await thyraCore.decryptArFSData(arweaveId, await fs.promises.readFile(download.path), thyraCore.deriveArFSFileKey(upload.file_id));
+        await fs.promises.writeFile(download.path, data);
+      }
+
+      const decrypted = await thyraCore.decryptSpoolFile(download.path, {
+        key: request.headers['x-decryption-key'] || storedKey,
+        passphrase: request.headers['x-passphrase'] || null
+      });
+      if (decrypted) spoolFiles.push(decrypted.path);
+
+      const contentPath = decrypted?.path || download.path;
+      const contentType = decrypted?.contentType || (decrypted ? 'application/octet-stream' : download.contentType);
+      const { size } = await fs.promises.stat(contentPath);
+      const range = parseRangeHeader(request.headers.range, size);
 
-      if (!providedKey || providedKey !== config.apiKey) {
-        return reply.code(401).send({
+      if (range === false) {
+        await cleanup();
+        return reply.code(416).header('Content-Range', `bytes */${size}`).send({
           success: false,
-          error: 'UNAUTHORIZED',
-          message: 'Valid API key required'
+          error: 'RANGE_NOT_SATISFIABLE',
+          message: `Range not satisfiable for ${size} bytes`
         });
       }
+
+      reply.header('Content-Type', contentType);
+      reply.header('Accept-Ranges', 'bytes');
+      if (decrypted?.filename) {
+        reply.header('Content-Disposition', contentDisposition(decrypted.filename));
+      }
+
+      const stream = range
+        ? fs.createReadStream(contentPath, { start: range.start, end: range.end })
+        : fs.createReadStream(contentPath);
+      stream.on('close', cleanup);
+
+      if (range) {
+        reply.code(206);
+        reply.header('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        reply.header('Content-Length', range.end - range.start + 1);
+      } else {
+        reply.header('Content-Length', size);
+      }
+
+      return reply.send(stream);
+
+    } catch (error) {
+      await cleanup();
+      reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.errorCode || 'CONTENT_FAILED',
+        message: error.message
+      });
     }
+  });
 
+  // Keys without the admin scope only see the uploads they made
+  fastify.get('/api/uploads', async (request, reply) => {
     if (!dbManager.enabled) {
       return reply.code(404).send({
         success: false,
@@ -697,7 +4412,12 @@ const start = async (providedConfig = null) => {
     }
 
     try {
-      const uploads = await dbManager.getUploads(request.query);
+      const filters = { ...request.query };
+      if (!ownsRow(request, null)) {
+        filters.apiKeyId = request.apiKey.id;
+      }
+
+      const uploads = await dbManager.getUploads(filters);
       reply.send({
         success: true,
         uploads
@@ -728,6 +4448,8 @@ const start = async (providedConfig = null) => {
         .error { color: #e74c3c; margin: 20px; padding: 15px; background: #fdf2f2; border-radius: 5px; }
         .success { color: #27ae60; margin: 20px; padding: 15px; background: #f2fdf2; border-radius: 5px; }
         .debug { color: #7f8c8d; font-size: 0.9em; margin-top: 20px; padding: 10px; background: #f8f9fa; border-radius: 5px; text-align: left; }
+        #passphrase-form input { padding: 10px; width: 60%; border: 1px solid #ddd; border-radius: 5px; }
+        #passphrase-form button { padding: 10px 20px; border: none; border-radius: 5px; background: #3498db; color: white; cursor: pointer; }
       </style>
     </head>
     <body>
@@ -735,6 +4457,10 @@ const start = async (providedConfig = null) => {
         <h1>🔓 Decrypting Content</h1>
         <div class="spinner" id="spinner"></div>
         <div id="status">Please wait while we decrypt your content...</div>
+        <form id="passphrase-form" style="display: none;">
+          <p><input type="password" id="passphrase" placeholder="Passphrase" autocomplete="off"></p>
+          <button type="submit">Decrypt</button>
+        </form>
         <div id="debug" class="debug" style="display: none;"></div>
       </div>
 
@@ -746,68 +4472,181 @@ const start = async (providedConfig = null) => {
           console.log(message);
         }
 
-        async function decryptAndDownload() {
-          try {
-            addDebug('Starting decryption process...');
+        const toBytes = (b64) => new Uint8Array(atob(b64).split('').map(c => c.charCodeAt(0)));
+
+        // Shows the passphrase form and resolves once it is submitted
+        function askPassphrase(message) {
+          const form = document.getElementById('passphrase-form');
+          document.getElementById('spinner').style.display = 'none';
+          document.getElementById('status').innerHTML = message;
+          form.style.display = 'block';
+
+          return new Promise(resolve => {
+            form.onsubmit = (event) => {
+              event.preventDefault();
+              form.style.display = 'none';
+              document.getElementById('spinner').style.display = 'block';
+              resolve(document.getElementById('passphrase').value);
+            };
+          });
+        }
 
-            const fragment = window.location.hash.substring(1);
-            addDebug('URL fragment: ' + fragment);
+        async function deriveKeyFromPassphrase(passphrase, kdf) {
+          if (kdf.name !== 'pbkdf2-sha256') {
+            throw new Error('Unsupported key derivation: ' + kdf.name);
+          }
 
-            if (!fragment.startsWith('decrypt=')) {
-              throw new Error('Missing or invalid decryption key in URL. Expected format: #decrypt=<base64-key>');
-            }
+          const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+          );
+          const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: toBytes(kdf.salt), iterations: kdf.iterations }, baseKey, 256
+          );
+          return new Uint8Array(bits);
+        }
 
-            const keyParam = fragment.split('=')[1];
-            if (!keyParam) {
-              throw new Error('No decryption key found in URL fragment');
-            }
+        function keyFromFragment() {
+          const fragment = window.location.hash.substring(1);
+          addDebug('URL fragment: ' + fragment);
 
-            addDebug('Key parameter length: ' + keyParam.length);
+          if (!fragment.startsWith('decrypt=')) {
+            throw new Error('Missing or invalid decryption key in URL. Expected format: #decrypt=<base64-key>');
+          }
 
-            document.getElementById('status').innerHTML = 'Fetching encrypted content from Arweave...';
+          const keyParam = fragment.split('=')[1];
+          if (!keyParam) {
+            throw new Error('No decryption key found in URL fragment');
+          }
 
-            const arweaveUrl = 'https://arweave.net/${arweaveId}';
-            addDebug('Fetching from: ' + arweaveUrl);
+          addDebug('Key parameter length: ' + keyParam.length);
 
-            const response = await fetch(arweaveUrl);
-            if (!response.ok) {
-              throw new Error(\`Content not found on Arweave (HTTP \${response.status})\`);
-            }
+          // Clean and validate the base64 key
+          let cleanKey = decodeURIComponent(keyParam).replace(/\\s/g, '');
+          addDebug('Cleaned key length: ' + cleanKey.length);
 
-            const encryptedData = await response.json();
-            addDebug('Encrypted data received. Algorithm: ' + encryptedData.algorithm);
+          // Validate base64 format
+          if (!/^[A-Za-z0-9+/]*={0,2}$/.test(cleanKey)) {
+            throw new Error('Invalid base64 key format');
+          }
 
-            document.getElementById('status').innerHTML = 'Decrypting content...';
+          // Decode the base64 key
+          const keyBytes = toBytes(cleanKey);
+          addDebug('Key bytes length: ' + keyBytes.length);
 
-            // Clean and validate the base64 key
-            let cleanKey = decodeURIComponent(keyParam).replace(/\\s/g, '');
-            addDebug('Cleaned key length: ' + cleanKey.length);
+          if (keyBytes.length !== 32) {
+            throw new Error(\`Invalid key length: expected 32 bytes, got \${keyBytes.length} bytes\`);
+          }
 
-            // Validate base64 format
-            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(cleanKey)) {
-              throw new Error('Invalid base64 key format');
-            }
+          return keyBytes;
+        }
 
-            // Decode the base64 key
-            const keyBytes = new Uint8Array(atob(cleanKey).split('').map(c => c.charCodeAt(0)));
-            addDebug('Key bytes length: ' + keyBytes.length);
+        async function decryptAndDownload() {
+          try {
+            addDebug('Starting decryption process...');
+
+            document.getElementById('status').innerHTML = 'Fetching encrypted content from Arweave...';
+
+            // The server's gateways, in order; move on when one is down or doesn't have the data
+            const gateways = ${JSON.stringify(thyraCore.gateways.ordered().map(endpoint => endpoint.url))};
+            let response = null;
+            for (const gateway of gateways) {
+              const arweaveUrl = gateway + '/${arweaveId}';
+              addDebug('Fetching from: ' + arweaveUrl);
+              try {
+                response = await fetch(arweaveUrl);
+                if (response.ok) break;
+              } catch (fetchError) {
+                addDebug('Gateway failed: ' + fetchError.message);
+                response = null;
+              }
+            }
 
-            if (keyBytes.length !== 32) {
-              throw new Error(\`Invalid key length: expected 32 bytes, got \${keyBytes.length} bytes\`);
+            if (!response || !response.ok) {
+              throw new Error(\`Content not found on Arweave (\${response ? 'HTTP ' + response.status : 'no gateway reachable'})\`);
             }
 
-            // Import the key for decryption
-            const cryptoKey = await crypto.subtle.importKey(
-              'raw', keyBytes, { name: 'AES-CBC' }, false, ['decrypt']
-            );
+            const bytes = new Uint8Array(await response.arrayBuffer());
 
-            // Decrypt the data
-            const iv = new Uint8Array(atob(encryptedData.iv).split('').map(c => c.charCodeAt(0)));
-            const encrypted = new Uint8Array(atob(encryptedData.encrypted).split('').map(c => c.charCodeAt(0)));
+            // Binary envelopes start with "THYR"; anything else is the legacy JSON envelope
+            let algorithm, iv, encrypted, additionalData = null, metadata = null;
+            if (bytes.length > 4 && String.fromCharCode(...bytes.subarray(0, 4)) === 'THYR') {
+              let offset = 4;
+              const version = bytes[offset++];
+              if (version !== 1) {
+                throw new Error('Unsupported envelope version: ' + version);
+              }
+
+              const algorithmId = bytes[offset++];
+              algorithm = { 1: 'aes-256-gcm', 2: 'aes-256-cbc' }[algorithmId];
+              if (!algorithm) {
+                throw new Error('Unsupported encryption algorithm: ' + algorithmId);
+              }
+
+              const ivLength = bytes[offset++];
+              iv = bytes.slice(offset, offset + ivLength);
+              offset += ivLength;
 
-            const decrypted = await crypto.subtle.decrypt(
-              { name: 'AES-CBC', iv: iv }, cryptoKey, encrypted
-            );
+              const metadataLength = (bytes[offset] << 8) | bytes[offset + 1];
+              offset += 2;
+              if (metadataLength) {
+                metadata = JSON.parse(new TextDecoder().decode(bytes.subarray(offset, offset + metadataLength)));
+              }
+              offset += metadataLength;
+
+              additionalData = bytes.slice(0, offset);
+              encrypted = bytes.slice(offset); // GCM tag trails the ciphertext, as WebCrypto expects
+            } else {
+              const encryptedData = JSON.parse(new TextDecoder().decode(bytes));
+              algorithm = encryptedData.algorithm;
+              iv = toBytes(encryptedData.iv);
+              encrypted = toBytes(encryptedData.encrypted);
+
+              if (algorithm === 'aes-256-gcm') {
+                const authTag = toBytes(encryptedData.authTag);
+                const combined = new Uint8Array(encrypted.length + authTag.length);
+                combined.set(encrypted);
+                combined.set(authTag, encrypted.length);
+                encrypted = combined;
+              } else if (algorithm !== 'aes-256-cbc') {
+                throw new Error('Unsupported encryption algorithm: ' + algorithm);
+              }
+            }
+            addDebug('Encrypted data received. Algorithm: ' + algorithm);
+
+            const params = algorithm === 'aes-256-gcm'
+              ? { name: 'AES-GCM', iv: iv, additionalData: additionalData || new Uint8Array(0) }
+              : { name: 'AES-CBC', iv: iv };
+
+            const decryptWith = async (keyBytes) => {
+              document.getElementById('status').innerHTML = 'Decrypting content...';
+
+              // Import the key for decryption
+              const cryptoKey = await crypto.subtle.importKey(
+                'raw', keyBytes, { name: params.name }, false, ['decrypt']
+              );
+
+              // Decrypt the data
+              return await crypto.subtle.decrypt(params, cryptoKey, encrypted);
+            };
+
+            let decrypted;
+            if (metadata?.kdf) {
+              // Passphrase uploads: keep asking until the passphrase opens the envelope
+              let prompt = 'This content is protected with a passphrase.';
+              while (!decrypted) {
+                const passphrase = await askPassphrase(prompt);
+                document.getElementById('status').innerHTML = 'Deriving key...';
+
+                try {
+                  decrypted = await decryptWith(await deriveKeyFromPassphrase(passphrase, metadata.kdf));
+                } catch (error) {
+                  addDebug('Passphrase attempt failed: ' + error.message);
+                  prompt = '<div class="error">❌ Incorrect passphrase, please try again.</div>';
+                }
+              }
+            } else {
+              decrypted = await decryptWith(keyFromFragment());
+            }
 
             const decryptedData = new Uint8Array(decrypted);
 
@@ -821,7 +4660,10 @@ const start = async (providedConfig = null) => {
             }
 
             let blob, filename = 'decrypted_${arweaveId}';
-            if (isText) {
+            if (metadata?.filename) {
+              filename = metadata.filename;
+              blob = new Blob([decryptedData], { type: metadata.contentType || 'application/octet-stream' });
+            } else if (isText) {
               const text = new TextDecoder().decode(decryptedData);
               blob = new Blob([text], { type: 'text/plain' });
               filename += '.txt';
@@ -867,6 +4709,8 @@ const start = async (providedConfig = null) => {
       initialized: thyraCore?.initialized || false,
       database: dbManager?.enabled || false,
       environment: config.nodeEnv,
+      gateways: thyraCore?.gateways?.status() || [],
+      bundlers: thyraCore?.bundlers?.status() || [],
       timestamp: new Date().toISOString()
     };
 
@@ -911,18 +4755,121 @@ curl -X POST http://localhost:3000/api/upload \\
 
 // File upload
 curl -X POST http://localhost:3000/api/upload \\
+  -F "file=@example.txt"
+
+// Passphrase protected upload (fields before the file)
+curl -X POST http://localhost:3000/api/upload \\
+  -F "encryption=passphrase" -F "passphrase=correct horse battery" \\
   -F "file=@example.txt"
         </pre>
+        <p>Encryption modes: <code>random</code> (default), <code>none</code>, <code>drive</code>, <code>custom</code> (<code>customKey</code>: 32 bytes as base64) and <code>passphrase</code> (<code>passphrase</code>: at least 8 characters, key derived with PBKDF2).</p>
+        <p>Set <code>folder</code> (e.g. <code>docs/2024</code>) to file the upload in a drive folder, missing folders are created. Set <code>wallet</code> to sign with a named wallet (see <code>/api/wallets</code>); keys may only use the wallets they were created with.</p>
+        <p>Add <code>?async=true</code> to get <code>202</code> with a <code>jobId</code> as soon as the upload is spooled, and follow it at <code>/api/jobs/:id</code> (requires database enabled).</p>
       </div>
 
       <div class="endpoint">
         <h2><span class="method get">GET</span> /api/wallet/address</h2>
-        <p>Get the server wallet address</p>
+        <p>Get the server wallet address, or a named wallet's with <code>?wallet=</code></p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/wallet/balance</h2>
+        <p>AR balance from the gateways and Turbo credits from the payment service, in winston/winc and AR/credits, for the server wallet or <code>?wallet=</code>. Each comes with the price of an upload of <code>?bytes=</code> (1 MiB by default) and how many such uploads the balance covers (<code>null</code> when they're free)</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/wallets</h2>
+        <p>The server's own wallet (<code>default</code>) and the named wallets, retired ones included. Admin keys add wallets with <code>POST /api/wallets</code>: <code>{"name", "jwk"}</code>, <code>{"name", "keyfile", "passphrase"}</code>, or just <code>{"name"}</code> to generate one. <code>POST /api/wallets/:name/rotate</code> gives a name a new wallet and keeps the old one. Uploads choose a wallet with the <code>wallet</code> field</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method post">POST</span> /api/wallet/export</h2>
+        <p>Export the wallet, admin keys only. <code>{"passphrase"}</code> returns a passphrase protected keyfile as a download; <code>{"format": "backup", "filename", "passphrase"}</code> writes it into <code>WALLET_BACKUP_DIR</code> instead (unencrypted without a passphrase). Every export is recorded in <code>GET /api/audit</code></p>
+        <pre>
+curl -X POST http://localhost:3000/api/wallet/export \
+  -H "X-API-Key: &lt;admin-key&gt;" -H "Content-Type: application/json" \
+  -d '{"passphrase": "correct horse battery"}' -o thyra-wallet.json
+        </pre>
       </div>
 
       <div class="endpoint">
         <h2><span class="method get">GET</span> /api/uploads</h2>
-        <p>List recent uploads (requires database enabled)</p>
+        <p>List recent uploads (requires database enabled). Keys without the <code>admin</code> scope only see their own uploads</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method post">POST</span> /api/keys</h2>
+        <p>Create a named API key: <code>{"name", "scopes": ["upload", "list"], "quotaBytesPerDay", "wallets"}</code>, where <code>wallets</code> names the named wallets the key may sign with. Scopes are <code>upload</code>, <code>list</code>, <code>wallet:read</code>, <code>wallet:export</code> and <code>admin</code> (everything, including managing keys). The secret is only returned here; send it as <code>X-API-Key</code> or <code>Authorization: Bearer</code>. Once a key exists every <code>/api/</code> request needs one. Requires database enabled</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/keys</h2>
+        <p>List keys with their scopes, quota, bytes uploaded today and when they were last used. <code>POST /api/keys/:id/revoke</code> revokes one</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/jobs/:id</h2>
+        <p>A queued upload from <code>POST /api/upload?async=true</code>: <code>queued</code>, <code>running</code>, <code>completed</code> (with the upload response as <code>result</code>), <code>dead</code> after its last retry, or <code>cancelled</code>. <code>GET /api/jobs?status=dead</code> lists jobs; <code>POST /api/jobs/:id/retry</code> requeues a dead job and <code>POST /api/jobs/:id/cancel</code> drops a queued or dead one</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method post">POST</span> /api/webhooks</h2>
+        <p>Register a webhook: <code>{"url", "events": ["upload.accepted", "upload.confirmed", "upload.failed"], "secret"}</code>. The secret is generated when omitted and only returned here. Deliveries are signed with <code>X-Thyra-Signature: sha256=HMAC(secret, "&lt;X-Thyra-Timestamp&gt;.&lt;body&gt;")</code> and retried with backoff. Uploads also accept a <code>callbackUrl</code>. Requires database enabled</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/webhooks</h2>
+        <p>List webhooks. <code>DELETE /api/webhooks/:id</code> removes one</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/webhooks/deliveries</h2>
+        <p>Delivery log, newest first. Filter with <code>webhookId</code>, <code>uploadId</code>, <code>event</code>, <code>status</code> and <code>limit</code></p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/uploads/:id/status</h2>
+        <p>Confirmation status of an upload: <code>pending</code>, <code>confirmed</code> or <code>failed</code>, with block height and confirmation count. Arweave IDs the database doesn't know are looked up live</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/content/:id</h2>
+        <p>Fetch and decrypt an upload by upload ID or Arweave ID. Stored uploads use their saved key; otherwise send <code>X-Decryption-Key</code> (base64) or <code>X-Passphrase</code>. Supports <code>Range</code> requests.</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method post">POST</span> /api/manifest</h2>
+        <p>Publish a static site: each file is uploaded unencrypted, then an <code>arweave/paths</code> manifest serves them all from one ID</p>
+        <pre>
+curl -X POST http://localhost:3000/api/manifest \\
+  -F "index=index.html" -F "fallback=404.html" \\
+  -F "index.html=@index.html" -F "css/site.css=@css/site.css" -F "404.html=@404.html"
+        </pre>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method post">POST</span> /api/folders</h2>
+        <p>Create a drive folder: <code>{"path": "docs/2024"}</code> creates missing parents, or <code>{"name", "parentId"}</code>. Requires database enabled</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/folders/:id</h2>
+        <p>A folder with its subfolders and uploads (<code>root</code> for the top level)</p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/drive/key</h2>
+        <p>Export the drive key (base64) used by <code>drive</code> encryption. Admin keys only, even when the API is otherwise open; every attempt is recorded in <code>GET /api/audit</code></p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method post">POST</span> /api/drive/key</h2>
+        <p>Import a drive key: <code>{"key": "&lt;base64&gt;"}</code>. Replacing a different key requires <code>"force": true</code></p>
+      </div>
+
+      <div class="endpoint">
+        <h2><span class="method get">GET</span> /api/drive/decrypt/:arweaveId</h2>
+        <p>Fetch a <code>drive</code> encrypted upload and return it decrypted. On a private drive, pass the upload's <code>fileId</code> as a query parameter</p>
       </div>
 
       <div class="endpoint">
@@ -941,6 +4888,11 @@ curl -X POST http://localhost:3000/api/upload \\
     reply.type('text/html').send(html);
   });
 
+  if (!listen) {
+    await fastify.ready();
+    return { fastify, config, thyraCore, dbManager, webhooks };
+  }
+
   // Error handling for production
   process.on('uncaughtException', (error) => {
     console.error('Uncaught Exception:', error);
@@ -963,7 +4915,7 @@ curl -X POST http://localhost:3000/api/upload \\
     console.log(`📚 API docs available at http://localhost:${config.port}/docs`);
     console.log(`🌍 Environment: ${config.nodeEnv}`);
 
-    if (config.apiKey) {
+    if (config.apiKey || await dbManager.countApiKeys()) {
       console.log(`🔐 API Key authentication enabled`);
     } else {
       console.log(`🔓 No API key configured - public access`);
@@ -973,7 +4925,7 @@ curl -X POST http://localhost:3000/api/upload \\
       console.log(`📊 Database enabled: ${dbManager.dbPath}`);
     }
 
-    return { fastify, config, thyraCore, dbManager };
+    return { fastify, config, thyraCore, dbManager, webhooks };
 
   } catch (err) {
     fastify.log.error(err);
@@ -986,4 +4938,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   start();
 }
 
-export { start, createConfig };
+export { start, createConfig, ThyraAPICore, DatabaseManager, BundlerUploader, EndpointPool, ConfirmationWorker, WebhookDispatcher, UploadQueue };